@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * 候选生成基准测试
+ * 对比全量扫描商品库与候选索引筛选两种方式的评分耗时，并校验最佳候选是否一致
+ *
+ * 用法: node scripts/benchmark-matching.js [商品数量] [批发行数]
+ */
+
+const { createEngine } = require("../src/utils/matching-algorithm")
+
+const matchingEngine = createEngine()
+
+const PRODUCT_COUNT = parseInt(process.argv[2]) || 3000
+const ROW_COUNT = parseInt(process.argv[3]) || 300
+
+const SERIES = ["硬", "软", "细支", "中支", "爆珠", "精品", "经典", "典藏"]
+const EDITIONS = ["红", "金", "蓝", "特制", "1916", "天叶", "和天下", "新版"]
+
+/**
+ * 生成可复现的伪随机数
+ */
+function createRandom(seed) {
+  let value = seed
+  return () => {
+    value = (value * 16807) % 2147483647
+    return (value - 1) / 2147483646
+  }
+}
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)]
+}
+
+/**
+ * 生成模拟商品库
+ */
+function generateProducts(count, random) {
+  const brands = matchingEngine.commonBrands
+  const products = []
+
+  for (let i = 0; i < count; i++) {
+    const brand = brands[i % brands.length]
+    const name = `${brand}(${pick(EDITIONS, random)}${pick(SERIES, random)}${
+      i % 97
+    })`
+    products.push({
+      _id: `product-${i}`,
+      name,
+      brand,
+      pricing: { companyPrice: Math.round(100 + random() * 900) },
+    })
+  }
+
+  return products
+}
+
+/**
+ * 基于商品名称生成带噪声的批发数据
+ */
+function generateRows(products, count, random) {
+  return Array.from({ length: count }, () => {
+    const product = pick(products, random)
+    const name = product.name
+      .replace(/[()]/g, random() > 0.5 ? " " : "")
+      .replace("硬", random() > 0.5 ? "硬盒" : "硬")
+    return {
+      name,
+      price: product.pricing.companyPrice + Math.round((random() - 0.5) * 20),
+    }
+  })
+}
+
+/**
+ * 对指定商品集合评分并返回排序后的前10个候选
+ */
+function scoreCandidates(row, entries) {
+  const originalName = matchingEngine.normalize(row.name)
+  const candidates = []
+
+  for (const { product, name } of entries) {
+    const score = matchingEngine.calculateScore(
+      originalName,
+      name,
+      row,
+      product
+    )
+    if (score >= 30) candidates.push({ productId: product._id, score })
+  }
+
+  return candidates.sort((a, b) => b.score - a.score).slice(0, 10)
+}
+
+function run() {
+  const random = createRandom(42)
+  const products = generateProducts(PRODUCT_COUNT, random)
+  const rows = generateRows(products, ROW_COUNT, random)
+
+  matchingEngine.setBrands([...new Set(products.map((p) => p.brand))])
+
+  // 全量扫描
+  const fullEntries = products.map((product) => ({
+    product,
+    name: matchingEngine.normalize(product.name),
+  }))
+  let start = process.hrtime.bigint()
+  const fullResults = rows.map((row) => scoreCandidates(row, fullEntries))
+  const fullMs = Number(process.hrtime.bigint() - start) / 1e6
+
+  // 候选索引
+  start = process.hrtime.bigint()
+  const candidateIndex = matchingEngine.buildIndex(products)
+  const buildMs = Number(process.hrtime.bigint() - start) / 1e6
+
+  start = process.hrtime.bigint()
+  let shortlisted = 0
+  const indexedResults = rows.map((row) => {
+    const shortlist = candidateIndex.shortlist(
+      matchingEngine.normalize(row.name)
+    )
+    shortlisted += shortlist.length
+    return scoreCandidates(row, shortlist)
+  })
+  const indexedMs = Number(process.hrtime.bigint() - start) / 1e6
+
+  // 最佳候选一致率
+  const sameBest = rows.filter((_, i) => {
+    const full = fullResults[i][0]
+    const indexed = indexedResults[i][0]
+    if (!full) return !indexed
+    return indexed && full.score === indexed.score
+  }).length
+
+  console.log(`
+候选生成基准测试
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+商品数量:         ${PRODUCT_COUNT}
+批发行数:         ${ROW_COUNT}
+全量扫描耗时:     ${fullMs.toFixed(0)} ms
+索引构建耗时:     ${buildMs.toFixed(0)} ms
+索引筛选耗时:     ${indexedMs.toFixed(0)} ms
+平均候选数量:     ${(shortlisted / ROW_COUNT).toFixed(1)}
+加速比:           ${(fullMs / (buildMs + indexedMs)).toFixed(1)}x
+最佳候选一致率:   ${((sameBest / ROW_COUNT) * 100).toFixed(1)}%
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  `)
+}
+
+if (require.main === module) {
+  run()
+  process.exit(0)
+}
+
+module.exports = { run }
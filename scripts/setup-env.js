@@ -46,6 +46,7 @@ REDIS_DB=0
 JWT_SECRET=${generateJWTSecret()}
 JWT_EXPIRES_IN=24h
 JWT_REFRESH_EXPIRES_IN=7d
+JWT_STREAM_EXPIRES_IN=60s
 
 # ===========================================
 # 文件上传配置
@@ -74,6 +75,37 @@ RATE_LIMIT_WINDOW_MS=900000
 RATE_LIMIT_MAX_REQUESTS=1000
 
 
+# ===========================================
+# 匹配任务队列（需启用Redis，否则在进程内执行）
+# ===========================================
+MATCHING_QUEUE_CONCURRENCY=2
+MATCHING_QUEUE_MAX_RETRIES=3
+MATCHING_QUEUE_BACKOFF_MS=30000
+
+# ===========================================
+# 价格单位换算（支/包/条/件）
+# ===========================================
+DEFAULT_WHOLESALE_UNIT=条
+UNIT_PACKS_PER_CARTON=10
+UNIT_CARTONS_PER_CASE=50
+
+# ===========================================
+# 价格异常检测（报价与参考价相差的倍数）
+# ===========================================
+PRICE_ANOMALY_ENABLED=true
+PRICE_ANOMALY_LOW_RATIO=1.5
+PRICE_ANOMALY_MEDIUM_RATIO=2
+PRICE_ANOMALY_HIGH_RATIO=5
+PRICE_ANOMALY_HISTORY_DAYS=90
+
+# ===========================================
+# 记忆成功率（低于阈值时降权/废弃，百分比）
+# ===========================================
+MEMORY_AUTO_DEMOTE=false
+MEMORY_MIN_SAMPLES=5
+MEMORY_DEMOTE_BELOW=60
+MEMORY_DEPRECATE_BELOW=30
+
 # ===========================================
 # 定时任务调度
 # ===========================================
@@ -120,6 +152,7 @@ REDIS_DB=0
 JWT_SECRET=${generateJWTSecret()}
 JWT_EXPIRES_IN=8h
 JWT_REFRESH_EXPIRES_IN=7d
+JWT_STREAM_EXPIRES_IN=60s
 
 # ===========================================
 # 文件上传配置
@@ -148,6 +181,37 @@ RATE_LIMIT_WINDOW_MS=900000
 RATE_LIMIT_MAX_REQUESTS=100
 
 
+# ===========================================
+# 匹配任务队列（需启用Redis，否则在进程内执行）
+# ===========================================
+MATCHING_QUEUE_CONCURRENCY=2
+MATCHING_QUEUE_MAX_RETRIES=3
+MATCHING_QUEUE_BACKOFF_MS=30000
+
+# ===========================================
+# 价格单位换算（支/包/条/件）
+# ===========================================
+DEFAULT_WHOLESALE_UNIT=条
+UNIT_PACKS_PER_CARTON=10
+UNIT_CARTONS_PER_CASE=50
+
+# ===========================================
+# 价格异常检测（报价与参考价相差的倍数）
+# ===========================================
+PRICE_ANOMALY_ENABLED=true
+PRICE_ANOMALY_LOW_RATIO=1.5
+PRICE_ANOMALY_MEDIUM_RATIO=2
+PRICE_ANOMALY_HIGH_RATIO=5
+PRICE_ANOMALY_HISTORY_DAYS=90
+
+# ===========================================
+# 记忆成功率（低于阈值时降权/废弃，百分比）
+# ===========================================
+MEMORY_AUTO_DEMOTE=false
+MEMORY_MIN_SAMPLES=5
+MEMORY_DEMOTE_BELOW=60
+MEMORY_DEPRECATE_BELOW=30
+
 # ===========================================
 # 定时任务调度
 # ===========================================
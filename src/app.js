@@ -12,8 +12,10 @@ const path = require("path")
 const config = require("./config/env")
 const database = require("./config/database")
 const { redisManager } = require("./config/redis")
-const { logger, httpLogStream } = require("./utils/logger")
+const { logger, httpLogStream, redactUrl } = require("./utils/logger")
 const schedulerService = require("./services/scheduler.service")
+const matchingQueueService = require("./services/matching-queue.service")
+const taskEventsService = require("./services/task-events.service")
 
 // 导入中间件
 const {
@@ -29,6 +31,9 @@ const productRoutes = require("./routes/product.routes")
 const templateRoutes = require("./routes/template.routes")
 const matchingRoutes = require("./routes/matching.routes")
 const memoryRoutes = require("./routes/memory.routes")
+const columnMappingRoutes = require("./routes/column-mapping.routes")
+const supplierRoutes = require("./routes/supplier.routes")
+const reportRoutes = require("./routes/report.routes")
 const userRoutes = require("./routes/user.routes")
 const systemRoutes = require("./routes/system.routes")
 
@@ -106,6 +111,8 @@ app.use(
 /**
  * 日志中间件
  */
+// 任务事件订阅通过 ?token= 传递令牌，访问日志中需隐藏
+morgan.token("url", (req) => redactUrl(req.originalUrl || req.url))
 app.use(morgan("combined", { stream: httpLogStream }))
 
 /**
@@ -225,6 +232,9 @@ app.use("/api/products", productRoutes)
 app.use("/api/templates", templateRoutes)
 app.use("/api/matching", matchingRoutes)
 app.use("/api/matching/memories", memoryRoutes)
+app.use("/api/matching/column-mappings", columnMappingRoutes)
+app.use("/api/suppliers", supplierRoutes)
+app.use("/api/reports", reportRoutes)
 app.use("/api/users", userRoutes)
 app.use("/api/system", systemRoutes)
 
@@ -256,6 +266,14 @@ const startServer = async () => {
     logger.info("正在初始化Redis...")
     await redisManager.initialize()
 
+    // 初始化任务事件广播
+    await taskEventsService.initialize()
+
+    // 初始化匹配任务队列，并恢复中断的任务
+    logger.info("正在初始化匹配任务队列...")
+    await matchingQueueService.initialize()
+    await matchingQueueService.recoverOrphanedTasks()
+
     // 初始化定时任务服务
     if (config.SCHEDULER && config.SCHEDULER.ENABLED) {
       logger.info("正在初始化定时任务服务...")
@@ -287,10 +305,15 @@ const startServer = async () => {
     const gracefulShutdown = (signal) => {
       logger.info(`收到 ${signal} 信号，开始优雅关闭...`)
 
+      // 先断开任务事件长连接，否则HTTP服务器无法关闭
+      taskEventsService.close()
+
       server.close(async () => {
         logger.info("HTTP服务器已关闭")
 
         try {
+          await matchingQueueService.close()
+
           await database.disconnect()
           logger.info("数据库连接已关闭")
 
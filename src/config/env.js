@@ -41,6 +41,8 @@ const config = {
       "your-super-secret-jwt-key-change-this-in-production",
     expiresIn: process.env.JWT_EXPIRES_IN || "24h",
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "7d",
+    // 任务事件订阅令牌（通过查询参数传递，仅能订阅指定任务）
+    streamExpiresIn: process.env.JWT_STREAM_EXPIRES_IN || "60s",
   },
 
   // 文件上传配置
@@ -72,6 +74,42 @@ const config = {
     },
   },
 
+  // 匹配任务队列配置
+  MATCHING_QUEUE: {
+    concurrency: parseInt(process.env.MATCHING_QUEUE_CONCURRENCY) || 2,
+    maxRetries: parseInt(process.env.MATCHING_QUEUE_MAX_RETRIES) || 3,
+    backoffDelay: parseInt(process.env.MATCHING_QUEUE_BACKOFF_MS) || 30000, // 30秒
+  },
+
+  // 价格单位换算配置
+  PRICE_UNITS: {
+    // 批发文件未提供单位时使用的默认单位
+    defaultWholesaleUnit: process.env.DEFAULT_WHOLESALE_UNIT || "条",
+    packsPerCarton: parseInt(process.env.UNIT_PACKS_PER_CARTON) || 10,
+    cartonsPerCase: parseInt(process.env.UNIT_CARTONS_PER_CASE) || 50,
+  },
+
+  // 价格异常检测：报价与零售价、公司价、近期批发价相差的倍数阈值
+  PRICE_ANOMALY: {
+    enabled: process.env.PRICE_ANOMALY_ENABLED !== "false",
+    lowRatio: parseFloat(process.env.PRICE_ANOMALY_LOW_RATIO) || 1.5,
+    mediumRatio: parseFloat(process.env.PRICE_ANOMALY_MEDIUM_RATIO) || 2,
+    highRatio: parseFloat(process.env.PRICE_ANOMALY_HIGH_RATIO) || 5,
+    // 近期批发价取最近 historyDays 天内最多 historySize 条记录的中位数
+    historyDays: parseInt(process.env.PRICE_ANOMALY_HISTORY_DAYS) || 90,
+    historySize: 20,
+    minHistorySamples: 3,
+  },
+
+  // 记忆成功率（记忆建议被确认的比例）
+  MEMORY_QUALITY: {
+    // 开启后记录审核结果时自动降权/废弃低成功率记忆
+    autoDemote: process.env.MEMORY_AUTO_DEMOTE === "true",
+    minSamples: parseInt(process.env.MEMORY_MIN_SAMPLES) || 5,
+    demoteBelow: parseFloat(process.env.MEMORY_DEMOTE_BELOW) || 60,
+    deprecateBelow: parseFloat(process.env.MEMORY_DEPRECATE_BELOW) || 30,
+  },
+
   // 定时调度器配置
   SCHEDULER: {
     ENABLED: process.env.SCHEDULER_ENABLED === "true",
@@ -0,0 +1,180 @@
+/**
+ * 列映射配置控制器
+ */
+const ColumnMappingProfile = require("../models/ColumnMappingProfile")
+const { logOperation } = require("../utils/logger")
+const {
+  asyncHandler,
+  BusinessError,
+  NotFoundError,
+} = require("../middleware/error.middleware")
+const columnMappingService = require("../services/column-mapping.service")
+const matchingTaskService = require("../services/matching-task.service")
+
+/**
+ * 识别上传文件的列映射，返回样例行供确认
+ */
+const detectColumnMapping = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new BusinessError("请上传文件")
+  }
+
+  try {
+    const result = await columnMappingService.inspectFile({
+      filePath: req.file.path,
+      originalFilename: req.file.originalname,
+      supplier: req.body.supplier,
+      sheets: req.body.sheets,
+      allSheets: req.body.allSheets,
+    })
+
+    res.json({
+      success: true,
+      message: "列映射识别完成",
+      data: result,
+    })
+  } finally {
+    // 识别用的文件不保留，创建任务时重新上传
+    matchingTaskService.removeTaskFile({ filePath: req.file.path })
+  }
+})
+
+/**
+ * 获取列映射配置列表
+ */
+const getColumnMappingProfiles = asyncHandler(async (req, res) => {
+  const { supplier } = req.query
+
+  const query = { isActive: true }
+  if (supplier !== undefined) {
+    query.supplier = supplier
+  }
+
+  const profiles = await ColumnMappingProfile.find(query)
+    .populate("createdBy", "name username")
+    .sort({ supplier: 1, lastUsedAt: -1 })
+    .lean()
+
+  res.json({
+    success: true,
+    data: { profiles },
+  })
+})
+
+/**
+ * 获取列映射配置详情
+ */
+const getColumnMappingProfileById = asyncHandler(async (req, res) => {
+  const profile = await ColumnMappingProfile.findById(req.params.id)
+    .populate("createdBy", "name username")
+    .lean()
+
+  if (!profile) {
+    throw new NotFoundError("列映射配置")
+  }
+
+  res.json({
+    success: true,
+    data: { profile },
+  })
+})
+
+/**
+ * 创建列映射配置
+ */
+const createColumnMappingProfile = asyncHandler(async (req, res) => {
+  const { name, supplier = "", mapping, headers = [] } = req.body
+
+  const exists = await ColumnMappingProfile.exists({ supplier, name })
+  if (exists) {
+    throw new BusinessError("该供应商已存在同名的列映射配置")
+  }
+
+  const profile = await columnMappingService.saveProfile({
+    name,
+    supplier,
+    mapping,
+    headers,
+    userId: req.user._id,
+  })
+
+  logOperation("创建列映射配置", req.user, {
+    profileId: profile._id,
+    name,
+    supplier,
+  })
+
+  res.status(201).json({
+    success: true,
+    message: "列映射配置创建成功",
+    data: { profile },
+  })
+})
+
+/**
+ * 更新列映射配置
+ */
+const updateColumnMappingProfile = asyncHandler(async (req, res) => {
+  const profile = await ColumnMappingProfile.findById(req.params.id)
+  if (!profile) {
+    throw new NotFoundError("列映射配置")
+  }
+
+  const { name, supplier, mapping, headers, isActive } = req.body
+
+  if (name !== undefined) profile.name = name
+  if (supplier !== undefined) profile.supplier = supplier
+  if (mapping !== undefined) {
+    profile.mapping = columnMappingService.pickMapping(mapping)
+  }
+  if (headers !== undefined) {
+    profile.headerSignature = ColumnMappingProfile.buildHeaderSignature(headers)
+  }
+  if (isActive !== undefined) profile.isActive = isActive
+
+  try {
+    await profile.save()
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new BusinessError("该供应商已存在同名的列映射配置")
+    }
+    throw error
+  }
+
+  logOperation("更新列映射配置", req.user, { profileId: profile._id })
+
+  res.json({
+    success: true,
+    message: "列映射配置更新成功",
+    data: { profile },
+  })
+})
+
+/**
+ * 删除列映射配置
+ */
+const deleteColumnMappingProfile = asyncHandler(async (req, res) => {
+  const profile = await ColumnMappingProfile.findByIdAndDelete(req.params.id)
+  if (!profile) {
+    throw new NotFoundError("列映射配置")
+  }
+
+  logOperation("删除列映射配置", req.user, {
+    profileId: profile._id,
+    name: profile.name,
+  })
+
+  res.json({
+    success: true,
+    message: "列映射配置已删除",
+  })
+})
+
+module.exports = {
+  detectColumnMapping,
+  getColumnMappingProfiles,
+  getColumnMappingProfileById,
+  createColumnMappingProfile,
+  updateColumnMappingProfile,
+  deleteColumnMappingProfile,
+}
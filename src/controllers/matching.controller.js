@@ -1,791 +1,196 @@
 /**
- * 智能匹配系统控制器 - 全新设计
- * 专注于高准确率的名称匹配，激进的自动确认策略
+ * 智能匹配系统控制器
+ * 负责请求处理与任务编排，匹配处理逻辑见 services/matching-task.service.js
  */
 const MatchingTask = require("../models/MatchingTask")
 const MatchingRecord = require("../models/MatchingRecord")
-const Product = require("../models/Product")
 const { logger, logOperation } = require("../utils/logger")
 const {
   asyncHandler,
   BusinessError,
   NotFoundError,
 } = require("../middleware/error.middleware")
-const xlsx = require("xlsx")
-const csv = require("csv-parser")
 const fs = require("fs")
 const path = require("path")
-const mongoose = require("mongoose")
 const MatchingMemory = require("../models/MatchingMemory")
+const Supplier = require("../models/Supplier")
+const matchingQueueService = require("../services/matching-queue.service")
+const taskEventsService = require("../services/task-events.service")
+const { generateStreamToken } = require("../middleware/auth.middleware")
+const config = require("../config/env")
+const matchingTaskService = require("../services/matching-task.service")
+const columnMappingService = require("../services/column-mapping.service")
+const priceAnomalyService = require("../services/price-anomaly.service")
+const { getEngines } = require("../utils/matching-algorithm")
+
+// 处理已结束、不会再产生事件的任务状态
+const TERMINAL_TASK_STATUSES = ["review", "completed", "cancelled"]
 
 /**
- * 全新智能匹配引擎 - 专注名称匹配
+ * 确定上传文件所属的供应商
+ * 指定 supplierId 时必须存在；仅填写供应商名称时按名称或别名关联
  */
-class AggressiveMatchingEngine {
-  constructor() {
-    // 完全基于名称的权重配置
-    this.weights = {
-      name: 1.0, // 100% 名称权重
-      price: 0.0, // 价格仅用于过滤，不参与评分
+async function resolveSupplier({ supplierId, supplier = "" }) {
+  if (supplierId) {
+    const found = await Supplier.findById(supplierId)
+    if (!found) {
+      throw new NotFoundError("供应商")
     }
-
-    // 动态品牌库
-    this.brands = new Set()
-
-    // 规格词汇（用于识别但不作为强匹配依据）
-    this.specificationWords = new Set([
-      "硬",
-      "软",
-      "细支",
-      "中支",
-      "大支",
-      "粗支",
-      "短支",
-      "长支",
-      "超细",
-      "硬盒",
-      "软盒",
-      "双中支",
-      "爆珠",
-      "薄荷",
-      "醇香",
-      "淡雅",
-    ])
-
-    // 常见同义词映射（移除规格词）
-    this.synonyms = new Map([
-      ["硬", "硬盒"],
-      ["软", "软盒"],
-      ["薄荷", "爆珠"],
-    ])
-
-    // 常见品牌词汇（会动态更新）
-    this.commonBrands = [
-      "中华",
-      "玉溪",
-      "云烟",
-      "苏烟",
-      "黄鹤楼",
-      "南京",
-      "红塔山",
-      "白沙",
-      "芙蓉王",
-      "利群",
-      "黄山",
-      "长白山",
-      "双喜",
-      "真龙",
-      "金叶",
-      "娇子",
-      "红河",
-      "贵烟",
-      "兰州",
-      "泰山",
-      "好猫",
-      "红梅",
-      "黄金叶",
-      "五叶神",
-      "大重九",
-      "将军",
-      "红云",
-    ]
-  }
-
-  /**
-   * 设置动态品牌列表
-   */
-  setBrands(brandList) {
-    this.brands = new Set([...this.commonBrands, ...(brandList || [])])
+    return found
   }
+  return Supplier.findByName(supplier)
+}
 
-  /**
-   * 核心匹配方法 - 集成记忆功能
-   */
-  async match(originalData, products, config = {}) {
-    const candidates = []
-    const originalName = this.normalize(originalData.name || "")
-
-    if (!originalName) return []
-
-    // 1. 优先查询记忆匹配（包含模板过滤）
-    let memoryMatches = []
-    try {
-      console.log(`🔍 查询记忆匹配:`, {
-        原始名称: originalData.name,
-        标准化名称: originalName,
-        模板ID: config.templateId,
-      })
-
-      memoryMatches = await MatchingMemory.findMatching(originalName, {
-        limit: 3,
-        minConfidence: 60,
-        includeDeprecated: false,
-        templateId: config.templateId,
-      })
-
-      console.log(`🧠 记忆查询结果: 找到 ${memoryMatches.length} 个匹配项`)
-
-      if (memoryMatches.length > 0) {
-        console.log(
-          `🧠 找到 ${memoryMatches.length} 个记忆匹配项:`,
-          originalData.name,
-          memoryMatches.map((m) => ({
-            标准化名称: m.normalizedWholesaleName,
-            确认次数: m.confirmCount,
-            置信度: m.confidence,
-            商品名称: m.confirmedProductId?.name,
-          }))
-        )
-
-        // 将记忆匹配转换为候选项
-        for (const memory of memoryMatches) {
-          const product = products.find(
-            (p) => p._id.toString() === memory.confirmedProductId._id.toString()
-          )
-
-          if (product) {
-            // 确保trustScore是有效数字，设置默认值
-            const baseTrustScore =
-              Number(memory.trustScore) || memory.confidence || 85
-
-            // 根据确认次数提升分数 - 高确认次数应该有更高分数
-            const confirmCountBonus = Math.min(
-              20,
-              (memory.confirmCount || 1) * 3
-            ) // 每次确认+3分，最多+20分
-            const memoryScore = Math.min(
-              100,
-              Math.max(80, baseTrustScore + confirmCountBonus + 15)
-            ) // 记忆匹配基础加分15，最低80分
-
-            console.log(`🧠 记忆匹配分数计算:`, {
-              商品: memory.confirmedProductId?.name,
-              确认次数: memory.confirmCount,
-              基础分数: baseTrustScore,
-              确认次数加分: confirmCountBonus,
-              最终分数: memoryScore,
-            })
-
-            candidates.push({
-              productId: product._id,
-              score: {
-                name: memoryScore,
-                brand: 100, // 记忆匹配品牌满分
-                total: memoryScore,
-                memoryBonus: confirmCountBonus + 15,
-              },
-              confidence: "high",
-              reasons: [
-                {
-                  type: "memory_match",
-                  description: `记忆匹配 (确认${memory.confirmCount || 1}次)`,
-                  weight: 1.0,
-                },
-              ],
-              rank: 0,
-              isMemoryMatch: true,
-              memorySource: memory,
-            })
-          }
-        }
-      }
-    } catch (memoryError) {
-      console.error("记忆查询失败:", memoryError)
-    }
-
-    // 2. 常规算法匹配
-    for (const product of products) {
-      // 跳过已经通过记忆匹配的商品
-      const alreadyMatched = candidates.some(
-        (c) => c.productId.toString() === product._id.toString()
-      )
-      if (alreadyMatched) continue
-
-      const productName = this.normalize(product.name || "")
-      if (!productName) continue
-
-      const score = this.calculateScore(
-        originalName,
-        productName,
-        originalData,
-        product
-      )
-
-      if (score >= 30) {
-        // 更低门槛，确保有候选项
-        const confidenceLevel = this.getConfidenceLevel(score)
-        const candidate = {
-          productId: product._id,
-          score: {
-            name: score,
-            total: score,
-          },
-          confidence: confidenceLevel,
-          reasons: this.generateReasons(score),
-          rank: 0,
-        }
-
-        console.log(`📊 生成候选项:`, {
-          商品名称: product.name,
-          分数: score,
-          置信度: confidenceLevel,
-          候选项: candidate,
-        })
-
-        candidates.push(candidate)
-      }
-    }
-
-    // 按分数排序 (记忆匹配优先)
-    candidates.sort((a, b) => {
-      // 记忆匹配优先
-      if (a.isMemoryMatch && !b.isMemoryMatch) return -1
-      if (!a.isMemoryMatch && b.isMemoryMatch) return 1
-      // 同类型按分数排序
-      return b.score.total - a.score.total
-    })
-
-    candidates.forEach((candidate, index) => {
-      candidate.rank = index + 1
-    })
-
-    return candidates.slice(0, 10)
-  }
-
-  /**
-   * 计算匹配分数 - 核心算法
-   */
-  calculateScore(original, product, originalData, productData) {
-    // 1. 预处理文本
-    const orig = this.deepNormalize(original)
-    const prod = this.deepNormalize(product)
-
-    if (!orig || !prod) return 0
-
-    // 2. 品牌一致性检查（提前进行，避免跨品牌高分）
-    if (this.hasBrandConflict(orig, prod)) {
-      return 15 // 品牌冲突直接返回低分
-    }
-
-    // 3. 完全匹配
-    if (orig === prod) return 100
-
-    // 4. 去品牌后完全匹配
-    const origNoBrand = this.removeBrand(orig)
-    const prodNoBrand = this.removeBrand(prod)
-    if (origNoBrand && prodNoBrand && origNoBrand === prodNoBrand) return 98
-
-    // 5. 检查是否主要依赖规格词匹配（降低跨品牌规格词匹配）
-    const specOnlyMatch = this.isSpecificationOnlyMatch(orig, prod)
-    if (specOnlyMatch) {
-      // 如果主要是规格词匹配且品牌不同，大幅降分
-      const origBrand = this.detectBrand(orig)
-      const prodBrand = this.detectBrand(prod)
-      if (origBrand && prodBrand && origBrand !== prodBrand) {
-        return Math.min(50, this.calculateSimilarity(orig, prod)) // 最高50分
-      }
-    }
-
-    // 6. 容错匹配（括号、顺序、同义词）
-    const tolerance = this.tolerantMatch(orig, prod)
-    if (tolerance >= 95) return tolerance
-
-    // 7. 包含匹配
-    const containment = this.calculateContainment(orig, prod)
-    if (containment >= 85) return containment
-
-    // 8. 编辑距离匹配
-    const similarity = this.calculateSimilarity(orig, prod)
-
-    // 9. 价格合理性检查（仅用于加分或减分）
-    const priceBonus = this.calculatePriceBonus(originalData, productData)
-
-    let finalScore = similarity + priceBonus
-
-    return Math.max(0, Math.min(100, Math.round(finalScore)))
-  }
-
-  /**
-   * 文本标准化
-   */
-  normalize(text) {
-    if (!text) return ""
-    return text
-      .toLowerCase()
-      .replace(/[（()）\[\]【】]/g, "") // 移除所有括号
-      .replace(/[·•\-_\s]/g, "") // 移除分隔符和空格
-      .replace(/[^\u4e00-\u9fa5a-z0-9]/g, "") // 只保留中文英文数字
-  }
-
-  /**
-   * 深度标准化（处理同义词）
-   */
-  deepNormalize(text) {
-    let result = this.normalize(text)
-
-    // 应用同义词替换
-    for (const [key, value] of this.synonyms) {
-      result = result.replace(new RegExp(key, "g"), value)
-    }
-
-    // 数字标准化
-    result = result
-      .replace(/一/g, "1")
-      .replace(/二/g, "2")
-      .replace(/三/g, "3")
-      .replace(/四/g, "4")
-      .replace(/五/g, "5")
-      .replace(/六/g, "6")
-      .replace(/七/g, "7")
-      .replace(/八/g, "8")
-      .replace(/九/g, "9")
-      .replace(/十/g, "10")
-
-    return result
-  }
-
-  /**
-   * 移除品牌词
-   */
-  removeBrand(text) {
-    let result = text
-    for (const brand of this.brands) {
-      const normalizedBrand = this.normalize(brand)
-      if (normalizedBrand && result.includes(normalizedBrand)) {
-        result = result.replace(normalizedBrand, "")
-        break // 只移除第一个匹配的品牌
-      }
-    }
-    return result.trim()
-  }
-
-  /**
-   * 检查是否主要依赖规格词匹配
-   */
-  isSpecificationOnlyMatch(orig, prod) {
-    // 移除品牌和规格词，看剩余内容是否很少
-    const origNoBrand = this.removeBrand(orig)
-    const prodNoBrand = this.removeBrand(prod)
-
-    const origNoSpec = this.removeSpecifications(origNoBrand)
-    const prodNoSpec = this.removeSpecifications(prodNoBrand)
-
-    // 如果去除规格词后，剩余内容很少且不相似，说明主要依赖规格词
-    return (
-      (origNoSpec.length <= 2 || prodNoSpec.length <= 2) &&
-      origNoSpec !== prodNoSpec
-    )
-  }
-
-  /**
-   * 移除规格词
-   */
-  removeSpecifications(text) {
-    let result = text
-    for (const spec of this.specificationWords) {
-      result = result.replace(new RegExp(spec, "g"), "")
-    }
-    return result.trim()
-  }
-
-  /**
-   * 容错匹配（处理括号、顺序等）
-   */
-  tolerantMatch(orig, prod) {
-    // 展开括号内容
-    const expandBrackets = (str) => {
-      return str.replace(/\(([^)]+)\)/g, "$1")
-    }
-
-    const origExpanded = expandBrackets(orig)
-    const prodExpanded = expandBrackets(prod)
-
-    // 字符排序比较（忽略顺序）
-    const sortChars = (str) => str.split("").sort().join("")
-
-    const origSorted = sortChars(this.removeBrand(origExpanded))
-    const prodSorted = sortChars(this.removeBrand(prodExpanded))
-
-    if (origSorted && prodSorted && origSorted === prodSorted) return 97
-
-    // 长度差异容忍
-    const lengthDiff = Math.abs(origExpanded.length - prodExpanded.length)
-    if (lengthDiff <= 2) {
-      if (
-        origExpanded.includes(prodExpanded) ||
-        prodExpanded.includes(origExpanded)
-      ) {
-        return 95
-      }
-    }
-
-    return 0
-  }
-
-  /**
-   * 包含关系匹配
-   */
-  calculateContainment(orig, prod) {
-    const origClean = this.removeBrand(orig)
-    const prodClean = this.removeBrand(prod)
-
-    if (!origClean || !prodClean) return 0
-
-    // 完全包含
-    if (origClean.includes(prodClean) || prodClean.includes(origClean)) {
-      const ratio =
-        Math.min(origClean.length, prodClean.length) /
-        Math.max(origClean.length, prodClean.length)
-      return 80 + ratio * 15 // 80-95分
-    }
-
-    // 部分包含 - 更宽松的匹配
-    const shortStr = origClean.length < prodClean.length ? origClean : prodClean
-    const longStr = origClean.length < prodClean.length ? prodClean : origClean
-
-    if (shortStr.length >= 2 && longStr.includes(shortStr)) {
-      return 75 // 部分包含给75分
-    }
-
-    // 关键词包含
-    const origWords = this.extractKeywords(origClean)
-    const prodWords = this.extractKeywords(prodClean)
-
-    const intersection = origWords.filter((word) => prodWords.includes(word))
-    const union = [...new Set([...origWords, ...prodWords])]
-
-    if (intersection.length > 0 && union.length > 0) {
-      const jaccard = intersection.length / union.length
-      return Math.round(60 + jaccard * 25) // 60-85分
-    }
-
-    return 0
-  }
-
-  /**
-   * 相似度计算
-   */
-  calculateSimilarity(orig, prod) {
-    // Levenshtein距离
-    const levenshtein = this.levenshteinDistance(orig, prod)
-    const maxLen = Math.max(orig.length, prod.length)
-    const similarity = maxLen > 0 ? (maxLen - levenshtein) / maxLen : 0
-
-    // Jaccard相似度
-    const set1 = new Set(orig)
-    const set2 = new Set(prod)
-    const intersection = new Set([...set1].filter((x) => set2.has(x)))
-    const union = new Set([...set1, ...set2])
-    const jaccard = union.size > 0 ? intersection.size / union.size : 0
-
-    // 组合相似度
-    const combined = similarity * 0.7 + jaccard * 0.3
-
-    // 转换为分数
-    let score = combined * 100
-
-    // 高相似度奖励
-    if (similarity >= 0.9) score += 10
-    else if (similarity >= 0.8) score += 5
-
-    return Math.round(score)
-  }
-
-  /**
-   * 价格合理性加分
-   */
-  calculatePriceBonus(originalData, productData) {
-    const origPrice = originalData.price || 0
-    const prodPrice =
-      productData.companyPrice || productData.specifications?.price || 0
-
-    if (!origPrice || !prodPrice) return 0
-
-    const diff = Math.abs(origPrice - prodPrice)
-    const avgPrice = (origPrice + prodPrice) / 2
-    const relDiff = avgPrice > 0 ? diff / avgPrice : 1
-
-    // 价格接近加分
-    if (diff <= 10) return 5 // 差异10元内 +5分
-    if (diff <= 30) return 3 // 差异30元内 +3分
-    if (relDiff <= 0.1) return 5 // 相对差异10%内 +5分
-    if (relDiff <= 0.2) return 2 // 相对差异20%内 +2分
-
-    // 价格差异过大减分
-    if (diff > 200 || relDiff > 0.5) return -10
-
-    return 0
-  }
-
-  /**
-   * 检查品牌冲突
-   */
-  hasBrandConflict(orig, prod) {
-    const origBrand = this.detectBrand(orig)
-    const prodBrand = this.detectBrand(prod)
-
-    if (origBrand && prodBrand && origBrand !== prodBrand) {
-      return true
-    }
-    return false
+/**
+ * 创建匹配任务
+ */
+const createMatchingTask = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new BusinessError("请上传文件")
   }
 
-  /**
-   * 检测品牌
-   */
-  detectBrand(text) {
-    for (const brand of this.brands) {
-      const normalizedBrand = this.normalize(brand)
-      if (normalizedBrand && text.includes(normalizedBrand)) {
-        return normalizedBrand
-      }
-    }
-    return null
-  }
+  let { supplier = "" } = req.body
+  const {
+    templateId,
+    description = "",
+    priority = "normal",
+    engine,
+    weights,
+    strategies,
+    supplierId,
+    columnMapping,
+    mappingProfileId,
+    saveMappingProfile,
+    sheets,
+    allSheets = false,
+    onDuplicate = "warn",
+    diffMode = false,
+    diffBaseTaskId,
+  } = req.body
 
-  /**
-   * 提取关键词
-   */
-  extractKeywords(text) {
-    // 简单分词：2个字符以上的连续片段
-    const matches = text.match(/[\u4e00-\u9fa5]{2,}/g) || []
-    return [...new Set(matches)]
+  if (!templateId) {
+    throw new BusinessError("必须指定商品模板ID")
   }
 
-  /**
-   * 计算编辑距离
-   */
-  levenshteinDistance(str1, str2) {
-    const m = str1.length
-    const n = str2.length
-    const dp = Array(m + 1)
-      .fill(null)
-      .map(() => Array(n + 1).fill(0))
-
-    for (let i = 0; i <= m; i++) dp[i][0] = i
-    for (let j = 0; j <= n; j++) dp[0][j] = j
-
-    for (let i = 1; i <= m; i++) {
-      for (let j = 1; j <= n; j++) {
-        if (str1[i - 1] === str2[j - 1]) {
-          dp[i][j] = dp[i - 1][j - 1]
-        } else {
-          dp[i][j] = Math.min(dp[i - 1][j], dp[i][j - 1], dp[i - 1][j - 1]) + 1
-        }
-      }
-    }
-
-    return dp[m][n]
+  const ProductTemplate = require("../models/ProductTemplate")
+  const template = await ProductTemplate.findById(templateId)
+  if (!template) {
+    throw new NotFoundError("商品模板")
   }
 
-  /**
-   * 获取置信度等级
-   */
-  getConfidenceLevel(score) {
-    if (score >= 80) return "high"
-    if (score >= 60) return "medium"
-    return "low"
-  }
+  // 同一模板下重复上传相同文件：默认提示，可选择复用之前的任务或继续创建
+  const fileHash = await matchingTaskService.computeFileHash(req.file.path)
+  const duplicateTask = await matchingTaskService.findDuplicateTask(
+    templateId,
+    fileHash
+  )
+  if (duplicateTask && onDuplicate !== "create") {
+    matchingTaskService.removeTaskFile({ filePath: req.file.path })
 
-  /**
-   * 生成匹配原因
-   */
-  generateReasons(score) {
-    const reasons = []
-    if (score >= 95) {
-      reasons.push({
-        type: "name_similarity",
-        description: "名称高度匹配",
-        weight: 1.0,
-      })
-    } else if (score >= 85) {
-      reasons.push({
-        type: "name_similarity",
-        description: "名称强相似",
-        weight: 0.9,
+    if (onDuplicate === "reuse") {
+      logOperation("复用重复上传的匹配任务", req.user, {
+        taskId: duplicateTask._id,
+        filename: req.file.originalname,
       })
-    } else if (score >= 70) {
-      reasons.push({
-        type: "name_similarity",
-        description: "名称相似",
-        weight: 0.8,
-      })
-    } else {
-      reasons.push({
-        type: "name_similarity",
-        description: "名称弱相似",
-        weight: 0.6,
+      return res.json({
+        success: true,
+        message: "文件与已有任务相同，已复用之前的匹配结果",
+        data: { task: duplicateTask, reused: true },
       })
     }
-    return reasons
-  }
 
-  /**
-   * 计算两个字符串的相似度 (0-100)
-   */
-  calculateSimilarity(str1, str2) {
-    if (!str1 || !str2) return 0
-    if (str1 === str2) return 100
-
-    // 标准化处理
-    const normalized1 = this.deepNormalize(str1)
-    const normalized2 = this.deepNormalize(str2)
-
-    if (normalized1 === normalized2) return 100
-
-    // 计算Levenshtein距离
-    const distance = this.levenshteinDistance(normalized1, normalized2)
-    const maxLength = Math.max(normalized1.length, normalized2.length)
-
-    if (maxLength === 0) return 100
-
-    // 转换为相似度百分比
-    const similarity = ((maxLength - distance) / maxLength) * 100
-    return Math.max(0, similarity)
-  }
-
-  /**
-   * 计算Levenshtein距离
-   */
-  levenshteinDistance(str1, str2) {
-    const matrix = []
-
-    // 初始化矩阵
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i]
-    }
-
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j
-    }
-
-    // 填充矩阵
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1]
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1, // 替换
-            matrix[i][j - 1] + 1, // 插入
-            matrix[i - 1][j] + 1 // 删除
-          )
-        }
-      }
-    }
-
-    return matrix[str2.length][str1.length]
+    return res.status(409).json({
+      success: false,
+      message:
+        "该文件已上传过，可复用之前的匹配结果（onDuplicate=reuse）或继续创建（onDuplicate=create）",
+      error: { statusCode: 409, code: "DUPLICATE_FILE" },
+      data: { duplicateTask },
+    })
   }
-}
-
-const matchingEngine = new AggressiveMatchingEngine()
 
-/**
- * 检查产品绑定冲突 - 更宽松的检查
- */
-async function hasProductBindingConflict(productId, taskId, originalName) {
+  // 确定列映射：手动指定或复用供应商配置，均无时自动识别
+  let resolvedMapping
+  let supplierDoc
+  let diffBaseTask
   try {
-    const normalizedCurrent = matchingEngine.deepNormalize(originalName || "")
-
-    // 1. 任务内唯一性检查（更严格 - 同一任务内不允许重复）
-    const existingInTask = await MatchingRecord.findOne({
-      taskId,
-      status: "confirmed",
-      "selectedMatch.productId": productId,
-    }).lean()
-
-    if (existingInTask) {
-      const existingName = matchingEngine.deepNormalize(
-        existingInTask.originalData?.name || ""
-      )
-      // 如果是完全相同的名称，允许（可能是重复数据）
-      if (existingName === normalizedCurrent) return false
-      return true
+    supplierDoc = await resolveSupplier({ supplierId, supplier })
+    if (supplierDoc) {
+      supplier = supplierDoc.name
     }
 
-    // 2. 全局冲突检查 - 大幅放宽条件
-    const latestGlobal = await MatchingRecord.findOne({
-      status: "confirmed",
-      "selectedMatch.productId": productId,
-    })
-      .sort({ updatedAt: -1 })
-      .lean()
-
-    if (latestGlobal?.originalData?.name) {
-      const normalizedLatest = matchingEngine.deepNormalize(
-        latestGlobal.originalData.name
-      )
-
-      // 更宽松的冲突判断：只有差异很大且没有包含关系才算冲突
-      if (normalizedLatest && normalizedCurrent) {
-        // 如果两个名称有包含关系或相似度很高，不算冲突
-        if (
-          normalizedLatest.includes(normalizedCurrent) ||
-          normalizedCurrent.includes(normalizedLatest)
-        ) {
-          return false
-        }
-
-        // 计算相似度，如果相似度>60%，不算冲突
-        const similarity = matchingEngine.calculateSimilarity(
-          normalizedLatest,
-          normalizedCurrent
+    if (diffMode) {
+      diffBaseTask = diffBaseTaskId
+        ? await MatchingTask.findOne({ _id: diffBaseTaskId, templateId })
+        : await matchingTaskService.findDiffBaseTask({
+            templateId,
+            supplierId: supplierDoc?._id,
+            supplier,
+            originalFilename: req.file.originalname,
+          })
+      if (!diffBaseTask) {
+        throw new BusinessError(
+          "没有可对比的历史任务",
+          400,
+          "DIFF_BASE_NOT_FOUND"
         )
-        if (similarity > 60) return false
-
-        // 只有完全不同且相似度很低才算真正冲突
-        return similarity < 30
       }
     }
 
-    return false
-  } catch (e) {
-    return false
-  }
-}
-
-/**
- * 创建匹配任务
- */
-const createMatchingTask = asyncHandler(async (req, res) => {
-  if (!req.file) {
-    throw new BusinessError("请上传文件")
+    resolvedMapping = await columnMappingService.resolveForFile({
+      filePath: req.file.path,
+      originalFilename: req.file.originalname,
+      supplier,
+      columnMapping,
+      mappingProfileId,
+      sheets,
+      allSheets,
+    })
+  } catch (error) {
+    matchingTaskService.removeTaskFile({ filePath: req.file.path })
+    throw error
   }
 
-  const {
-    templateId,
-    threshold = 50, // 大幅降低审核阈值，让更多记录进入人工管理
-    autoConfirmThreshold = 95, // 大幅提高自动确认阈值，减少自动确认错误
-    description = "",
-    priority = "normal",
-  } = req.body
-
-  if (!templateId) {
-    throw new BusinessError("必须指定商品模板ID")
+  let mappingProfile = resolvedMapping.profile
+  if (mappingProfile) {
+    await mappingProfile.recordUsage()
   }
-
-  const ProductTemplate = require("../models/ProductTemplate")
-  const template = await ProductTemplate.findById(templateId)
-  if (!template) {
-    throw new NotFoundError("商品模板")
+  if (saveMappingProfile) {
+    mappingProfile = await columnMappingService.saveProfile({
+      name: saveMappingProfile,
+      supplier,
+      mapping: resolvedMapping.mapping,
+      headers: resolvedMapping.headers,
+      userId: req.user._id,
+    })
   }
 
   const task = new MatchingTask({
     templateId,
     templateName: template.name,
+    supplierId: supplierDoc?._id,
     filename: req.file.filename,
     originalFilename: req.file.originalname,
     fileSize: req.file.size,
     filePath: req.file.path,
+    fileHash,
     config: {
-      threshold: Number(threshold),
-      autoConfirmThreshold: Number(autoConfirmThreshold),
+      engine: engine || template.settings?.matchingEngine || "default",
+      autoConfirmPolicy: template.getAutoConfirmPolicy(),
+      columnMapping: resolvedMapping.mapping,
+      mappingProfileId: mappingProfile?._id,
+      sheets,
+      allSheets,
+      diffBaseTaskId: diffBaseTask?._id,
+      ...(weights && { weights }),
+      ...(strategies && { strategies }),
     },
     createdBy: req.user._id,
     metadata: {
       description,
       priority,
       source: "web_upload",
+      supplier,
+      duplicateOf: duplicateTask?._id,
     },
   })
 
@@ -794,6 +199,11 @@ const createMatchingTask = asyncHandler(async (req, res) => {
   logOperation("创建匹配任务", req.user, {
     taskId: task._id,
     filename: task.originalFilename,
+    supplierId: supplierDoc?._id,
+    duplicateOf: duplicateTask?._id,
+    diffBaseTaskId: diffBaseTask?._id,
+    columnMappingSource: resolvedMapping.source,
+    mappingProfileId: mappingProfile?._id,
   })
 
   res.status(201).json({
@@ -819,483 +229,384 @@ const executeMatchingTask = asyncHandler(async (req, res) => {
   }
 
   await task.start()
+  await matchingQueueService.enqueue(task._id)
 
-  processMatchingTask(task._id).catch((error) => {
-    logger.error("匹配任务执行失败", { taskId: task._id, error: error.message })
+  res.json({
+    success: true,
+    message: "匹配任务已加入执行队列",
+    data: { taskId: task._id, status: task.status },
   })
+})
+
+/**
+ * 签发任务事件订阅令牌
+ * EventSource 无法设置请求头，客户端用该短期令牌作为 ?token= 订阅事件
+ */
+const createTaskEventsToken = asyncHandler(async (req, res) => {
+  const { id } = req.params
+
+  const task = await MatchingTask.findById(id).select("_id").lean()
+  if (!task) {
+    throw new NotFoundError("匹配任务")
+  }
 
   res.json({
     success: true,
-    message: "匹配任务已开始执行",
-    data: { taskId: task._id, status: task.status },
+    message: "事件订阅令牌签发成功",
+    data: {
+      token: generateStreamToken(req.user._id, task._id),
+      expiresIn: config.JWT.streamExpiresIn,
+    },
   })
 })
 
 /**
- * 异步处理匹配任务 - 新算法
+ * 预览匹配结果（不保存任何数据）
  */
-async function processMatchingTask(taskId) {
-  const task = await MatchingTask.findById(taskId)
-  if (!task) return
+const previewMatching = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new BusinessError("请上传文件")
+  }
+
+  const {
+    templateId,
+    sampleSize,
+    engine,
+    weights,
+    strategies,
+    supplier,
+    columnMapping,
+    mappingProfileId,
+    sheets,
+    allSheets,
+  } = req.body
 
   try {
-    logger.info("开始处理匹配任务", { taskId })
+    const ProductTemplate = require("../models/ProductTemplate")
+    const template = await ProductTemplate.findById(templateId)
+    if (!template) {
+      throw new NotFoundError("商品模板")
+    }
 
-    // 1. 解析文件
-    const rawData = await parseUploadedFile(
-      task.filePath,
-      task.originalFilename
-    )
-    logger.info("文件解析完成", { taskId, 解析条数: rawData.length })
+    const { mapping } = await columnMappingService.resolveForFile({
+      filePath: req.file.path,
+      originalFilename: req.file.originalname,
+      supplier,
+      columnMapping,
+      mappingProfileId,
+      sheets,
+      allSheets,
+    })
 
-    // 2. 获取商品库
-    const products = await Product.find({
-      templateId: task.templateId,
-      isActive: true,
-    }).lean()
+    const preview = await matchingTaskService.previewFile({
+      filePath: req.file.path,
+      originalFilename: req.file.originalname,
+      templateId,
+      config: {
+        engine: engine || template.settings?.matchingEngine,
+        autoConfirmPolicy: template.getAutoConfirmPolicy(),
+        columnMapping: mapping,
+        sheets,
+        allSheets,
+        weights,
+        strategies,
+      },
+      sampleSize,
+    })
 
-    if (products.length === 0) {
-      throw new Error("商品库为空，请先添加商品数据")
-    }
+    logOperation("预览匹配结果", req.user, {
+      templateId,
+      filename: req.file.originalname,
+      previewedRows: preview.previewedRows,
+    })
 
-    // 3. 设置动态品牌
-    const brands = [...new Set(products.map((p) => p.brand).filter(Boolean))]
-    matchingEngine.setBrands(brands)
-    logger.info("已设置动态品牌", { taskId, brandCount: brands.length })
+    res.json({
+      success: true,
+      message: "匹配预览完成",
+      data: preview,
+    })
+  } finally {
+    // 预览文件不保留
+    matchingTaskService.removeTaskFile({ filePath: req.file.path })
+  }
+})
 
-    // 4. 更新任务进度
-    task.progress.totalItems = rawData.length
-    await task.updateProgress(task.progress)
+/**
+ * 单条批发名称即时匹配
+ */
+const matchOne = asyncHandler(async (req, res) => {
+  const { name, price, unit, templateId, engine, limit } = req.body
 
-    // 5. 执行匹配
-    let processedCount = 0
-    let autoConfirmedCount = 0
+  const ProductTemplate = require("../models/ProductTemplate")
+  const template = await ProductTemplate.findById(templateId)
+  if (!template) {
+    throw new NotFoundError("商品模板")
+  }
 
-    for (const [index, item] of rawData.entries()) {
-      try {
-        // 解析价格
-        const priceValue =
-          item.price ||
-          item.批发价格 ||
-          item["批发价格"] ||
-          item.批发价 ||
-          item["批发价"] ||
-          0
-        const parsedPrice =
-          typeof priceValue === "string"
-            ? parseFloat(priceValue.replace(/[^\d.]/g, ""))
-            : Number(priceValue)
-
-        // 创建匹配记录
-        const record = new MatchingRecord({
-          taskId: task._id,
-          originalData: {
-            name:
-              item.批发名 ||
-              item["批发名"] ||
-              item.name ||
-              item.商品名称 ||
-              item["商品名称"] ||
-              "",
-            price: isNaN(parsedPrice) ? 0 : parsedPrice,
-            quantity: Number(item.quantity || item.数量 || item["数量"]) || 1,
-            unit: item.unit || item.单位 || item["单位"] || "盒",
-            supplier: item.supplier || item.供应商 || item["供应商"] || "",
-            rawData: item,
-          },
-          metadata: {
-            source: {
-              row: index + 2,
-              file: task.originalFilename,
-            },
-          },
-        })
+  const result = await matchingTaskService.matchOne({
+    name,
+    price,
+    unit,
+    templateId,
+    engine: engine || template.settings?.matchingEngine,
+    limit,
+  })
 
-        // 执行匹配 - 包含模板ID
-        const candidates = await matchingEngine.match(
-          record.originalData,
-          products,
-          {
-            ...task.config,
-            templateId: task.templateId,
-          }
-        )
+  res.json({
+    success: true,
+    message: "匹配完成",
+    data: result,
+  })
+})
 
-        // 确保候选商品包含完整的商品信息
-        record.candidates = candidates.map((candidate) => ({
-          ...candidate,
-          name:
-            candidate.name ||
-            products.find(
-              (p) => p._id.toString() === candidate.productId.toString()
-            )?.name,
-          brand:
-            candidate.brand ||
-            products.find(
-              (p) => p._id.toString() === candidate.productId.toString()
-            )?.brand,
-        }))
-        await record.save()
-
-        // 自动确认逻辑 - 更激进
-        if (candidates.length > 0) {
-          const bestScore = candidates[0].score.total
-          const bestCandidate = candidates[0]
-
-          // 检查绑定冲突
-          const hasConflict = await hasProductBindingConflict(
-            bestCandidate.productId,
-            task._id,
-            record.originalData.name
-          )
-
-          // 更智能的自动确认条件 - 记忆匹配优先
-          const isHighTrustMemory =
-            bestCandidate.isMemoryMatch &&
-            bestCandidate.memorySource?.confirmCount >= 3 // 高信任记忆（确认3次以上）
-
-          const shouldAutoConfirm =
-            isHighTrustMemory || // 高信任记忆强制自动确认，忽略冲突
-            (!hasConflict &&
-              (bestCandidate.isMemoryMatch || // 普通记忆匹配直接确认
-                bestScore >= 95 || // 极高分自动确认
-                (bestScore >= 90 && candidates[0].confidence === "high"))) // 高分+高置信度
-
-          console.log(`🤖 自动确认判断:`, {
-            最佳候选: bestCandidate.isMemoryMatch ? "记忆匹配" : "常规匹配",
-            确认次数: bestCandidate.memorySource?.confirmCount || 0,
-            是否高信任记忆: isHighTrustMemory,
-            是否有冲突: hasConflict,
-            最佳分数: bestScore,
-            是否自动确认: shouldAutoConfirm,
-          })
+/**
+ * 获取可用的匹配引擎
+ */
+const getMatchingEngines = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { engines: getEngines() },
+  })
+})
 
-          if (shouldAutoConfirm) {
-            const matchType = bestCandidate.isMemoryMatch ? "memory" : "auto"
-            const note = bestCandidate.isMemoryMatch
-              ? `记忆匹配自动确认 (${
-                  bestCandidate.memorySource?.confirmCount || 0
-                }次历史确认)`
-              : "系统自动确认"
-
-            record.selectedMatch = {
-              productId: bestCandidate.productId,
-              name:
-                bestCandidate.name ||
-                products.find(
-                  (p) => p._id.toString() === bestCandidate.productId.toString()
-                )?.name,
-              brand:
-                bestCandidate.brand ||
-                products.find(
-                  (p) => p._id.toString() === bestCandidate.productId.toString()
-                )?.brand,
-              confidence: bestScore,
-              score: bestScore,
-              confirmedBy: task.createdBy,
-              confirmedAt: new Date(),
-              note: note,
-              matchType: matchType,
-              isMemoryMatch: bestCandidate.isMemoryMatch || false,
-            }
-            record.status = "confirmed"
-            // 注意：不要手动增加 confirmedItems，通过 updateProgress 自动计算
-            autoConfirmedCount++
-
-            await record.save()
-            await updateProductWholesalePrice(record, bestCandidate.productId)
-
-            // 注释：自动确认不再学习到记忆库，改为完全手动学习模式
-            // 用户需要在确认后手动点击"学习到记忆库"按钮
-            logger.info("自动确认完成（未自动学习到记忆库）", {
-              recordId: record._id,
-              originalName: record.originalData.name,
-              productId: bestCandidate.productId,
-              matchType: matchType,
-              score: bestScore,
-              note: "需要手动学习到记忆库",
-            })
-          } else if (bestScore >= 50) {
-            // 降低审核阈值，让更多记录进入人工管理
-            record.status = "pending"
-            // 注意：不要手动增加 pendingItems，它会自动计算
-
-            // 修复：为待审核状态设置预选匹配，让用户能看到系统推荐
-            record.selectedMatch = {
-              productId: bestCandidate.productId,
-              name:
-                bestCandidate.name ||
-                products.find(
-                  (p) => p._id.toString() === bestCandidate.productId.toString()
-                )?.name,
-              brand:
-                bestCandidate.brand ||
-                products.find(
-                  (p) => p._id.toString() === bestCandidate.productId.toString()
-                )?.brand,
-              confidence: bestScore,
-              score: bestScore,
-              matchType: bestCandidate.isMemoryMatch ? "memory" : "auto",
-              isMemoryMatch: bestCandidate.isMemoryMatch || false,
-              source: "system_suggestion", // 标记为系统建议，非用户确认
-            }
-
-            if (hasConflict) {
-              record.exceptions.push({
-                type: "duplicate_name",
-                message: "该商品已关联其他批发名，需人工确认",
-                severity: "low",
-                createdAt: new Date(),
-              })
-            }
-
-            // 注释：高分匹配不再预先学习到记忆库，改为完全手动学习模式
-            // 即使是高分匹配，也需要用户手动学习到记忆库
-            if (bestScore >= 85 && !hasConflict) {
-              logger.info("高分匹配检测到（未自动学习到记忆库）", {
-                recordId: record._id,
-                originalName: record.originalData.name,
-                productId: bestCandidate.productId,
-                score: bestScore,
-                note: "建议用户手动学习到记忆库",
-              })
-            }
-          } else {
-            record.status = "exception"
-            record.exceptions.push({
-              type: "low_confidence",
-              message: `匹配置信度过低 (${bestScore}%)`,
-              severity: "medium",
-              createdAt: new Date(),
-            })
-            // 注意：不要手动增加 exceptionItems，通过 updateProgress 自动计算
-          }
+/**
+ * 通过 SSE 推送任务处理事件
+ * 事件类型：progress、item_error、status、complete
+ */
+const streamTaskEvents = asyncHandler(async (req, res) => {
+  const { id } = req.params
 
-          if (record.status !== "confirmed") {
-            await record.save()
-          }
-        } else {
-          // 无候选项直接标记为异常，不进入审核队列
-          record.status = "exception"
-          record.exceptions.push({
-            type: "no_candidates",
-            message: "未找到匹配候选项",
-            severity: "high",
-            createdAt: new Date(),
-          })
-          // 注意：不要手动增加 exceptionItems，通过 updateProgress 自动计算
-          await record.save()
-        }
+  const task = await MatchingTask.findById(id).lean()
+  if (!task) {
+    throw new NotFoundError("匹配任务")
+  }
 
-        processedCount++
-
-        // 实时更新进度 - 每处理一个记录都更新 processedItems
-        task.progress.processedItems = processedCount
-
-        // 每处理5个记录或达到重要里程碑时保存进度，确保实时性
-        if (
-          processedCount % 5 === 0 ||
-          processedCount === task.progress.totalItems
-        ) {
-          await task.updateProgress(task.progress)
-          logger.info("实时进度更新", {
-            taskId,
-            processedCount,
-            totalItems: task.progress.totalItems,
-            progressPercentage: Math.round(
-              (processedCount / task.progress.totalItems) * 100
-            ),
-          })
-        }
-      } catch (error) {
-        logger.error("处理匹配记录失败", {
-          taskId,
-          index,
-          error: error.message,
-        })
-        // 注意：不要手动增加 exceptionItems，通过 updateProgress 自动计算
-      }
-    }
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // 禁用 Nginx 代理缓冲，保证事件实时送达
+    "X-Accel-Buffering": "no",
+  })
 
-    // 6. 完成任务 - 重新统计所有状态数量，确保数据准确
-    const confirmed = await MatchingRecord.countDocuments({
-      taskId: task._id,
-      status: "confirmed",
-    })
-    const rejected = await MatchingRecord.countDocuments({
-      taskId: task._id,
-      status: "rejected",
-    })
-    const pending = await MatchingRecord.countDocuments({
-      taskId: task._id,
-      status: "pending",
-    })
-    const exception = await MatchingRecord.countDocuments({
-      taskId: task._id,
-      status: "exception",
-    })
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
 
-    // 重新设置进度数据
-    task.progress.confirmedItems = confirmed
-    task.progress.rejectedItems = rejected
-    task.progress.pendingItems = pending
-    task.progress.exceptionItems = exception
-    // processedItems 应该是所有已处理的记录，包括所有状态
-    task.progress.processedItems = confirmed + rejected + pending + exception
-
-    await task.updateProgress(task.progress)
-
-    // 计算统计信息
-    const totalProcessed = task.progress.processedItems
-    const successfulMatches =
-      task.progress.confirmedItems + task.progress.pendingItems
-    task.statistics.matchRate =
-      totalProcessed > 0
-        ? Math.round((successfulMatches / totalProcessed) * 100)
-        : 0
-
-    const autoConfirmRate =
-      totalProcessed > 0
-        ? Math.round((autoConfirmedCount / totalProcessed) * 100)
-        : 0
-
-    await task.updateStatistics(task.statistics)
-
-    // 最终进度计算 - 确保数据一致性
-    await updateTaskStatusAfterReview(taskId)
-    // 重新获取任务数据，因为updateTaskStatusAfterReview可能已经更新了进度
-    const updatedTask = await MatchingTask.findById(taskId)
-
-    // 更新任务状态
-    if (
-      updatedTask.progress.pendingItems > 0 ||
-      updatedTask.progress.exceptionItems > 0
-    ) {
-      updatedTask.status = "review"
-      await updatedTask.save()
-    } else {
-      await updatedTask.complete()
-    }
+  // 连接建立时先推送当前状态
+  send("status", {
+    taskId: id,
+    status: task.status,
+    progress: task.progress,
+    timestamp: new Date().toISOString(),
+  })
 
-    logger.info("匹配任务完成", {
-      taskId,
-      totalItems: updatedTask.progress.totalItems,
-      confirmedItems: updatedTask.progress.confirmedItems,
-      pendingItems: updatedTask.progress.pendingItems,
-      exceptionItems: updatedTask.progress.exceptionItems,
-      processedItems: updatedTask.progress.processedItems, // 添加正确的处理项数量
-      realProgress: Math.round(
-        (updatedTask.progress.processedItems /
-          updatedTask.progress.totalItems) *
-          100
-      ), // 真实进度
-      matchRate: updatedTask.statistics.matchRate,
-      autoConfirmRate,
+  // 失败的任务可能仍在等待队列重试，只在连接建立时视为已结束
+  if ([...TERMINAL_TASK_STATUSES, "failed"].includes(task.status)) {
+    send("complete", {
+      taskId: id,
+      status: task.status,
+      progress: task.progress,
+      statistics: task.statistics,
+      timestamp: new Date().toISOString(),
     })
-  } catch (error) {
-    logger.error("匹配任务执行失败", { taskId, error: error.message })
-    await task.fail(error.message)
-  } finally {
-    // 清理临时文件
-    try {
-      if (task?.filePath && fs.existsSync(task.filePath)) {
-        fs.unlinkSync(task.filePath)
-      }
-    } catch (cleanupError) {
-      logger.warn("清理临时文件失败", { error: cleanupError.message })
+    return res.end()
+  }
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000)
+
+  const cleanup = () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+    offShutdown()
+  }
+
+  const unsubscribe = taskEventsService.subscribe(id, ({ event, data }) => {
+    send(event, { taskId: id, ...data })
+
+    const finished =
+      event === "complete" ||
+      (event === "status" && TERMINAL_TASK_STATUSES.includes(data.status))
+    if (finished) {
+      cleanup()
+      res.end()
     }
+  })
+
+  const offShutdown = taskEventsService.onShutdown(() => {
+    cleanup()
+    res.end()
+  })
+
+  req.on("close", cleanup)
+})
+
+/**
+ * 暂停执行中的匹配任务
+ * 处理循环在下一行开始前响应暂停信号
+ */
+const pauseMatchingTask = asyncHandler(async (req, res) => {
+  const { id } = req.params
+
+  const task = await MatchingTask.findById(id)
+  if (!task) {
+    throw new NotFoundError("匹配任务")
   }
-}
+
+  if (task.status !== "processing") {
+    throw new BusinessError("只有执行中的任务可以暂停")
+  }
+
+  if (await matchingQueueService.isTaskQueued(id)) {
+    await MatchingTask.updateOne(
+      { _id: task._id },
+      { $set: { "execution.controlSignal": "pause" } }
+    )
+  } else {
+    // 任务已不在队列中（如进程中断），直接暂停
+    await task.pause()
+  }
+
+  logOperation("暂停匹配任务", req.user, { taskId: task._id })
+
+  res.json({
+    success: true,
+    message: "已发送暂停指令，任务将在当前行处理完成后暂停",
+    data: { taskId: task._id },
+  })
+})
 
 /**
- * 解析上传的文件
+ * 取消匹配任务
+ * 已生成的匹配记录会保留，任务进度和统计按已处理部分计算
  */
-async function parseUploadedFile(filePath, filename) {
-  const fileExtension = path.extname(filename).toLowerCase()
+const cancelMatchingTask = asyncHandler(async (req, res) => {
+  const { id } = req.params
 
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`文件不存在: ${filePath}`)
+  const task = await MatchingTask.findById(id)
+  if (!task) {
+    throw new NotFoundError("匹配任务")
   }
 
-  try {
-    if (fileExtension === ".xlsx" || fileExtension === ".xls") {
-      return parseExcelFile(filePath)
-    } else if (fileExtension === ".csv") {
-      return parseCSVFile(filePath)
-    } else {
-      throw new Error("不支持的文件格式")
-    }
-  } catch (error) {
-    logger.error("文件解析失败", { filePath, filename, error: error.message })
-    throw error
+  if (!["pending", "processing", "paused", "failed"].includes(task.status)) {
+    throw new BusinessError("当前任务状态不允许取消")
   }
-}
 
-function parseExcelFile(filePath) {
-  const workbook = xlsx.readFile(filePath)
-  const sheetName = workbook.SheetNames[0]
-  const worksheet = workbook.Sheets[sheetName]
-  return xlsx.utils.sheet_to_json(worksheet)
-}
+  const isRunning =
+    task.status === "processing" &&
+    (await matchingQueueService.isTaskQueued(id))
+
+  if (isRunning) {
+    await MatchingTask.updateOne(
+      { _id: task._id },
+      { $set: { "execution.controlSignal": "cancel" } }
+    )
+  } else {
+    await matchingTaskService.recalculateTaskProgress(task)
+    await task.cancel()
+    matchingTaskService.removeTaskFile(task)
+  }
 
-function parseCSVFile(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = []
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on("data", (data) => results.push(data))
-      .on("end", () => resolve(results))
-      .on("error", reject)
+  logOperation("取消匹配任务", req.user, { taskId: task._id })
+
+  res.json({
+    success: true,
+    message: isRunning
+      ? "已发送取消指令，任务将在当前行处理完成后停止"
+      : "匹配任务已取消",
+    data: { taskId: task._id },
   })
-}
+})
 
 /**
- * 更新商品的批发价信息
+ * 从断点继续执行失败、暂停或中断的匹配任务
  */
-async function updateProductWholesalePrice(record, productId) {
-  try {
-    const originalPrice = record.originalData.price
-    const originalName = record.originalData.name
-
-    if (!originalPrice || originalPrice <= 0) return
-
-    const updateData = {
-      "wholesale.name": originalName,
-      "wholesale.price": originalPrice,
-      "wholesale.unit": record.originalData.unit || "元/条",
-      "wholesale.updatedAt": new Date(),
-      "wholesale.source": "matching",
-      "wholesale.lastMatchingRecord": record._id,
-    }
+const resumeMatchingTask = asyncHandler(async (req, res) => {
+  const { id } = req.params
 
-    await Product.findByIdAndUpdate(productId, updateData, { new: true })
+  const task = await MatchingTask.findById(id)
+  if (!task) {
+    throw new NotFoundError("匹配任务")
+  }
 
-    logger.info("商品批发价更新成功", {
-      productId,
-      recordId: record._id,
-      originalName,
-      originalPrice,
-    })
-  } catch (error) {
-    logger.error("更新商品批发价失败", {
-      recordId: record._id,
-      productId,
-      error: error.message,
-    })
+  const isInterrupted =
+    task.status === "processing" &&
+    !(await matchingQueueService.isTaskQueued(id))
+
+  if (!["failed", "paused"].includes(task.status) && !isInterrupted) {
+    throw new BusinessError("只有失败、暂停或中断的任务可以继续执行")
   }
-}
+
+  if (!task.filePath || !fs.existsSync(task.filePath)) {
+    throw new BusinessError("任务原始文件已被清理，无法继续执行")
+  }
+
+  await task.resume()
+  await matchingQueueService.enqueue(task._id)
+
+  logOperation("继续执行匹配任务", req.user, {
+    taskId: task._id,
+    checkpoint: task.execution.checkpoint?.lastRow || 0,
+  })
+
+  res.json({
+    success: true,
+    message: "匹配任务已从断点继续执行",
+    data: {
+      taskId: task._id,
+      status: task.status,
+      checkpoint: task.execution.checkpoint,
+    },
+  })
+})
+
+/**
+ * 按当前商品库和记忆库重新匹配任务中未确认的记录
+ */
+const rematchMatchingTask = asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const { statuses = ["pending", "rejected", "exception"] } = req.body
+
+  const task = await MatchingTask.findById(id)
+  if (!task) {
+    throw new NotFoundError("匹配任务")
+  }
+
+  if (!["review", "completed"].includes(task.status)) {
+    throw new BusinessError("只有已完成匹配的任务可以重新匹配")
+  }
+
+  const summary = await matchingTaskService.rematchTask(task, {
+    statuses,
+    userId: req.user._id,
+  })
+
+  logOperation("重新匹配任务记录", req.user, {
+    taskId: task._id,
+    statuses,
+    ...summary,
+  })
+
+  res.json({
+    success: true,
+    message: `已重新匹配${summary.total}条记录`,
+    data: summary,
+  })
+})
 
 // 其他控制器方法保持不变，只导入必要的方法
 const getMatchingTasks = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, status, priority } = req.query
+  const { page = 1, limit = 20, status, priority, supplierId } = req.query
 
   const query = { createdBy: req.user._id }
   if (status) query.status = status
   if (priority) query["metadata.priority"] = priority
+  if (supplierId) query.supplierId = supplierId
 
   const [tasks, total] = await Promise.all([
     MatchingTask.find(query)
       .populate("createdBy", "name email")
+      .populate("supplierId", "name code")
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit))
@@ -1457,13 +768,20 @@ const reviewMatchingRecord = asyncHandler(async (req, res) => {
   }
 
   let result
+  let priceAnomaly = null
 
   if (action === "confirm" && productId) {
     // 记录旧的匹配商品ID（如果有）
     const oldProductId = record.selectedMatch?.productId
 
+    // 价格异常不阻止人工确认，记录异常供复核
+    priceAnomaly = await priceAnomalyService.flagRecord(record, productId)
     result = await record.confirmMatch(productId, req.user._id, note, "manual")
-    await updateProductWholesalePrice(record, productId)
+    await matchingTaskService.updateProductWholesalePrice(record, productId)
+    await matchingTaskService.trackMemoryOutcome(record, "confirm", {
+      productId,
+      userId: req.user._id,
+    })
 
     // 获取任务信息以获取templateId
     const MatchingTask = require("../models/MatchingTask")
@@ -1481,6 +799,11 @@ const reviewMatchingRecord = asyncHandler(async (req, res) => {
     })
   } else if (action === "reject") {
     result = await record.rejectMatch(req.user._id, note)
+    await matchingTaskService.removeWholesalePriceHistory(record)
+    // 只更新记忆成功率统计，不修改记忆本身
+    await matchingTaskService.trackMemoryOutcome(record, "reject", {
+      userId: req.user._id,
+    })
 
     // 注释：自动更新记忆库功能已移除，拒绝匹配不再自动影响记忆库
     // 记忆库的管理完全由用户手动控制
@@ -1492,6 +815,7 @@ const reviewMatchingRecord = asyncHandler(async (req, res) => {
     })
   } else if (action === "clear") {
     result = await record.clearMatch(req.user._id, note)
+    await matchingTaskService.removeWholesalePriceHistory(record)
   } else {
     throw new BusinessError("无效的审核操作")
   }
@@ -1502,7 +826,7 @@ const reviewMatchingRecord = asyncHandler(async (req, res) => {
     timestamp: new Date(),
   })
 
-  await updateTaskStatusAfterReview(record.taskId)
+  await matchingTaskService.updateTaskStatusAfterReview(record.taskId)
 
   logOperation("审核匹配记录", req.user, {
     recordId: record._id,
@@ -1519,7 +843,7 @@ const reviewMatchingRecord = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: `${actionMessages[action] || action}成功`,
-    data: { record: result },
+    data: { record: result, priceAnomaly },
   })
 })
 
@@ -1817,6 +1141,8 @@ const batchReviewMatchingRecords = asyncHandler(async (req, res) => {
   const results = {
     success: [],
     failed: [],
+    // 确认时检测到价格异常的记录
+    priceAnomalies: [],
     total: recordIds.length,
   }
 
@@ -1847,13 +1173,29 @@ const batchReviewMatchingRecords = asyncHandler(async (req, res) => {
         // 记录旧的匹配商品ID（如果有）
         const oldProductId = record.selectedMatch?.productId
 
+        const priceAnomaly = await priceAnomalyService.flagRecord(
+          record,
+          productId
+        )
+        if (priceAnomaly) {
+          results.priceAnomalies.push({
+            recordId,
+            severity: priceAnomaly.severity,
+            message: priceAnomaly.message,
+          })
+        }
+
         result = await record.confirmMatch(
           productId,
           req.user._id,
           note || "批量确认",
           "manual"
         )
-        await updateProductWholesalePrice(record, productId)
+        await matchingTaskService.updateProductWholesalePrice(record, productId)
+        await matchingTaskService.trackMemoryOutcome(record, "confirm", {
+          productId,
+          userId: req.user._id,
+        })
 
         // 注释：批量确认不再自动学习到记忆库，改为完全手动学习模式
         // 用户需要使用专门的"批量学习到记忆库"功能
@@ -1866,6 +1208,10 @@ const batchReviewMatchingRecords = asyncHandler(async (req, res) => {
         })
       } else {
         result = await record.rejectMatch(req.user._id, note || "批量拒绝")
+        await matchingTaskService.removeWholesalePriceHistory(record)
+        await matchingTaskService.trackMemoryOutcome(record, "reject", {
+          userId: req.user._id,
+        })
 
         // 双向同步：处理记忆库中被拒绝的匹配
         if (record.selectedMatch?.productId) {
@@ -1910,7 +1256,7 @@ const batchReviewMatchingRecords = asyncHandler(async (req, res) => {
     }).distinct("taskId")
 
     for (const taskId of taskIds) {
-      await updateTaskStatusAfterReview(taskId)
+      await matchingTaskService.updateTaskStatusAfterReview(taskId)
     }
   }
 
@@ -1954,64 +1300,6 @@ const deleteMatchingTask = asyncHandler(async (req, res) => {
   })
 })
 
-async function updateTaskStatusAfterReview(taskId) {
-  try {
-    const task = await MatchingTask.findById(taskId)
-    if (!task) return
-
-    const recordStats = await MatchingRecord.aggregate([
-      { $match: { taskId: new mongoose.Types.ObjectId(taskId) } },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          confirmed: {
-            $sum: { $cond: [{ $eq: ["$status", "confirmed"] }, 1, 0] },
-          },
-          rejected: {
-            $sum: { $cond: [{ $eq: ["$status", "rejected"] }, 1, 0] },
-          },
-          pending: {
-            $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] },
-          },
-          exception: {
-            $sum: { $cond: [{ $eq: ["$status", "exception"] }, 1, 0] },
-          },
-        },
-      },
-    ])
-
-    if (recordStats.length === 0) return
-
-    const stats = recordStats[0]
-
-    task.progress.confirmedItems = stats.confirmed
-    task.progress.rejectedItems = stats.rejected
-    task.progress.pendingItems = stats.pending
-    task.progress.exceptionItems = stats.exception
-    task.progress.processedItems = stats.confirmed + stats.rejected // 只计算已处理的记录
-
-    const successfulMatches = stats.confirmed
-    const totalProcessed = stats.total
-    task.statistics.matchRate =
-      totalProcessed > 0
-        ? Math.round((successfulMatches / totalProcessed) * 100)
-        : 0
-
-    const pendingCount = stats.pending
-    if (pendingCount === 0) {
-      task.status = "completed"
-      task.completedAt = new Date()
-    } else {
-      task.status = "review"
-    }
-
-    await task.save()
-  } catch (error) {
-    logger.error("更新任务状态失败", { taskId, error: error.message })
-  }
-}
-
 const updateTaskStatus = asyncHandler(async (req, res) => {
   const { id } = req.params
 
@@ -2020,7 +1308,7 @@ const updateTaskStatus = asyncHandler(async (req, res) => {
     throw new NotFoundError("匹配任务")
   }
 
-  await updateTaskStatusAfterReview(id)
+  await matchingTaskService.updateTaskStatusAfterReview(id)
   const updatedTask = await MatchingTask.findById(id)
 
   res.json({
@@ -2242,6 +1530,15 @@ const getMatchedProducts = asyncHandler(async (req, res) => {
 module.exports = {
   createMatchingTask,
   executeMatchingTask,
+  createTaskEventsToken,
+  previewMatching,
+  matchOne,
+  getMatchingEngines,
+  streamTaskEvents,
+  pauseMatchingTask,
+  cancelMatchingTask,
+  resumeMatchingTask,
+  rematchMatchingTask,
   getMatchingTasks,
   getMatchingTaskById,
   getPendingReviews,
@@ -2255,5 +1552,4 @@ module.exports = {
   getMatchedProducts,
   learnToMemory,
   batchLearnToMemory,
-  hasProductBindingConflict, // 添加冲突检查函数导出
 }
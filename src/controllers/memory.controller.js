@@ -9,6 +9,9 @@ const {
   NotFoundError,
 } = require("../middleware/error.middleware")
 const mongoose = require("mongoose")
+const ProductTemplate = require("../models/ProductTemplate")
+const memoryTransferService = require("../services/memory-transfer.service")
+const matchingTaskService = require("../services/matching-task.service")
 
 /**
  * 获取记忆列表
@@ -501,6 +504,316 @@ const clearAllMemories = asyncHandler(async (req, res) => {
   }
 })
 
+/**
+ * 导出记忆（JSON 或 Excel），商品以条码/盒码标识
+ */
+const exportMemories = asyncHandler(async (req, res) => {
+  const { templateId, status = "active", format = "json" } = req.query
+
+  let template = null
+  if (templateId) {
+    template = await ProductTemplate.findById(templateId).select("name").lean()
+    if (!template) {
+      throw new NotFoundError("商品模板")
+    }
+  }
+
+  const entries = await memoryTransferService.exportMemories({
+    templateId,
+    status,
+  })
+
+  logOperation("导出记忆库", req.user, {
+    templateId: templateId || "all",
+    status,
+    format,
+    count: entries.length,
+  })
+
+  const filename = `匹配记忆_${template?.name || "全部模板"}_${new Date()
+    .toISOString()
+    .slice(0, 10)}`
+
+  if (format === "excel") {
+    const workbook = memoryTransferService.buildExportWorkbook(entries)
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    )
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename*=UTF-8''${encodeURIComponent(filename)}.xlsx`
+    )
+    await workbook.xlsx.write(res)
+    return
+  }
+
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename*=UTF-8''${encodeURIComponent(filename)}.json`
+  )
+  res.json(memoryTransferService.buildExportDocument(entries, { template }))
+})
+
+/**
+ * 导入记忆到指定模板
+ * 支持上传 Excel 文件，或在请求体 entries 中提交 JSON 导出内容
+ */
+const importMemories = asyncHandler(async (req, res) => {
+  const { templateId, mode = "skip" } = req.body
+
+  try {
+    const template = await ProductTemplate.findById(templateId)
+      .select("name")
+      .lean()
+    if (!template) {
+      throw new NotFoundError("商品模板")
+    }
+
+    const entries = req.file
+      ? memoryTransferService.parseImportWorkbook(req.file.path)
+      : req.body.entries
+
+    const report = await memoryTransferService.importMemories(entries, {
+      templateId,
+      mode,
+      userId: req.user._id,
+    })
+
+    logOperation("导入记忆库", req.user, {
+      templateId,
+      mode,
+      total: report.total,
+      created: report.created,
+      updated: report.updated,
+      merged: report.merged,
+      skipped: report.skipped,
+      conflicts: report.conflicts.length,
+      unresolved: report.unresolved.length,
+    })
+
+    res.json({
+      success: true,
+      message: `导入完成：新增${report.created}条，更新${report.updated}条，合并${report.merged}条，跳过${report.skipped}条，${report.unresolved.length}条未找到商品`,
+      data: report,
+    })
+  } finally {
+    if (req.file) {
+      matchingTaskService.removeTaskFile({ filePath: req.file.path })
+    }
+  }
+})
+
+/**
+ * 获取冲突记忆（按标准化批发名分组）
+ */
+const getMemoryConflicts = asyncHandler(async (req, res) => {
+  const { templateId, page = 1, limit = 20 } = req.query
+
+  const { groups, total } = await MatchingMemory.findConflicts({
+    templateId,
+    page: parseInt(page),
+    limit: parseInt(limit),
+  })
+
+  res.json({
+    success: true,
+    data: {
+      groups,
+      pagination: {
+        current: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    },
+  })
+})
+
+/**
+ * 处理记忆冲突：保留选定的记忆，废弃同组其他记忆
+ */
+const resolveMemoryConflict = asyncHandler(async (req, res) => {
+  const { winnerId, note } = req.body
+
+  const memory = await MatchingMemory.findById(winnerId)
+  if (!memory) {
+    throw new NotFoundError("匹配记忆")
+  }
+  if (!MatchingMemory.CONFLICT_WINNER_STATUSES.includes(memory.status)) {
+    throw new BusinessError("只能选择有效或冲突状态的记忆作为胜出记忆")
+  }
+
+  const { winner, deprecated } = await MatchingMemory.resolveConflict(memory, {
+    userId: req.user._id,
+    note,
+  })
+
+  logOperation("处理记忆冲突", req.user, {
+    memoryId: winner._id,
+    originalName: winner.originalWholesaleName,
+    productId: winner.confirmedProductId,
+    deprecatedMemories: deprecated.map((memory) => memory._id),
+    note,
+  })
+
+  await winner.populate("confirmedProductId", "name brand productCode boxCode")
+
+  res.json({
+    success: true,
+    message: `冲突已处理，废弃 ${deprecated.length} 条记忆`,
+    data: {
+      memory: winner,
+      deprecated: deprecated.map((memory) => ({
+        _id: memory._id,
+        originalWholesaleName: memory.originalWholesaleName,
+        confirmedProductId: memory.confirmedProductId,
+      })),
+    },
+  })
+})
+
+/**
+ * 专家审核队列：未验证且常用的记忆
+ */
+const getVerificationQueue = asyncHandler(async (req, res) => {
+  const { templateId, minUsage = 1, page = 1, limit = 20 } = req.query
+
+  const { memories, total } = await MatchingMemory.getVerificationQueue({
+    templateId,
+    minUsage: parseInt(minUsage),
+    page: parseInt(page),
+    limit: parseInt(limit),
+  })
+
+  res.json({
+    success: true,
+    data: {
+      memories,
+      pagination: {
+        current: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    },
+  })
+})
+
+/**
+ * 专家审核记忆：通过、修改后通过或驳回
+ */
+const verifyMemory = asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const { action, qualityScore, note, confirmedProductId, confidence } =
+    req.body
+
+  const memory = await MatchingMemory.findById(id)
+  if (!memory) {
+    throw new NotFoundError("匹配记忆")
+  }
+  if (memory.status !== "active") {
+    throw new BusinessError("只能审核激活状态的记忆", 400)
+  }
+
+  if (action === "edit" && confirmedProductId) {
+    const Product = require("../models/Product")
+    const product = await Product.findById(confirmedProductId).select("_id")
+    if (!product) {
+      throw new BusinessError("指定的商品不存在", 400)
+    }
+  }
+
+  await memory.verify(action, req.user._id, {
+    qualityScore,
+    note,
+    confirmedProductId,
+    confidence,
+  })
+  await memory.populate("confirmedProductId", "name brand productCode boxCode")
+
+  logOperation("专家审核记忆", req.user, {
+    memoryId: memory._id,
+    originalName: memory.originalWholesaleName,
+    action,
+    qualityScore: memory.metadata.qualityControl.qualityScore,
+    productChanged: action === "edit" && !!confirmedProductId,
+    note,
+  })
+
+  const messages = {
+    approve: "记忆审核通过",
+    edit: "记忆已修改并审核通过",
+    reject: "记忆已驳回",
+  }
+
+  res.json({
+    success: true,
+    message: messages[action],
+    data: { memory },
+  })
+})
+
+/**
+ * 记忆使用分析：成功率最低的记忆和整体统计
+ */
+const getMemoryAnalytics = asyncHandler(async (req, res) => {
+  const { templateId, minSamples, limit = 20 } = req.query
+
+  const analytics = await MatchingMemory.getUsageAnalytics({
+    templateId,
+    minSamples: minSamples !== undefined ? parseInt(minSamples) : undefined,
+    limit: parseInt(limit),
+  })
+
+  res.json({
+    success: true,
+    data: analytics,
+  })
+})
+
+/**
+ * 按成功率阈值降权/废弃记忆，阈值未指定时使用配置
+ */
+const demoteMemories = asyncHandler(async (req, res) => {
+  const { templateId, minSamples, demoteBelow, deprecateBelow, dryRun } =
+    req.body
+
+  if (
+    demoteBelow !== undefined &&
+    deprecateBelow !== undefined &&
+    deprecateBelow > demoteBelow
+  ) {
+    throw new BusinessError("废弃阈值不能高于降权阈值")
+  }
+
+  const result = await MatchingMemory.demoteLowPerformers({
+    templateId,
+    minSamples,
+    demoteBelow,
+    deprecateBelow,
+    dryRun,
+    userId: req.user._id,
+  })
+
+  if (!dryRun) {
+    logOperation("低成功率记忆降权", req.user, {
+      templateId: templateId || "all",
+      thresholds: { minSamples, demoteBelow, deprecateBelow },
+      demotedCount: result.demoted.length,
+      deprecatedCount: result.deprecated.length,
+    })
+  }
+
+  res.json({
+    success: true,
+    message: `${dryRun ? "预览：将" : "已"}降权 ${
+      result.demoted.length
+    } 条记忆，废弃 ${result.deprecated.length} 条记忆`,
+    data: { ...result, dryRun },
+  })
+})
+
 module.exports = {
   getMemories,
   getMemoryById,
@@ -510,4 +823,12 @@ module.exports = {
   cleanupDuplicateMemories,
   getMemoryStatistics,
   clearAllMemories,
+  exportMemories,
+  importMemories,
+  getMemoryConflicts,
+  resolveMemoryConflict,
+  getVerificationQueue,
+  verifyMemory,
+  getMemoryAnalytics,
+  demoteMemories,
 }
@@ -4,6 +4,7 @@
 const mongoose = require("mongoose")
 const Product = require("../models/Product")
 const ProductTemplate = require("../models/ProductTemplate")
+const PriceHistory = require("../models/PriceHistory")
 const { logger, logOperation } = require("../utils/logger")
 const {
   asyncHandler,
@@ -205,6 +206,76 @@ const getProductById = asyncHandler(async (req, res) => {
   })
 })
 
+/**
+ * 获取商品批发价格历史
+ */
+const getProductPriceHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const {
+    from,
+    to,
+    supplier,
+    supplierId,
+    interval = "day",
+    page = 1,
+    limit = 50,
+  } = req.query
+
+  const product = await Product.findById(id)
+    .select("name brand pricing wholesale")
+    .lean()
+  if (!product) {
+    throw new NotFoundError("商品")
+  }
+
+  const filters = { from, to, supplier, supplierId }
+  const query = PriceHistory.buildQuery(id, filters)
+
+  const [history, total, suppliers, trend] = await Promise.all([
+    PriceHistory.find(query)
+      .populate("confirmedBy", "name username")
+      .sort({ recordedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PriceHistory.countDocuments(query),
+    PriceHistory.getSupplierStats(id, filters),
+    PriceHistory.getTrend(id, filters, interval),
+  ])
+
+  // 全部供应商汇总
+  const summary = suppliers.length
+    ? {
+        count: total,
+        minPrice: Math.min(...suppliers.map((s) => s.minPrice)),
+        maxPrice: Math.max(...suppliers.map((s) => s.maxPrice)),
+        avgPrice:
+          Math.round(
+            (suppliers.reduce((sum, s) => sum + s.avgPrice * s.count, 0) /
+              total) *
+              100
+          ) / 100,
+      }
+    : { count: 0, minPrice: null, maxPrice: null, avgPrice: null }
+
+  res.json({
+    success: true,
+    data: {
+      product,
+      history,
+      suppliers,
+      trend,
+      summary,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  })
+})
+
 /**
  * 创建商品
  */
@@ -1225,6 +1296,7 @@ const batchOperation = asyncHandler(async (req, res) => {
 module.exports = {
   getProducts,
   getProductById,
+  getProductPriceHistory,
   createProduct,
   updateProduct,
   updateProductStatus,
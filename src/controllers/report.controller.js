@@ -0,0 +1,70 @@
+/**
+ * 报表控制器
+ */
+const ProductTemplate = require("../models/ProductTemplate")
+const { logOperation } = require("../utils/logger")
+const {
+  asyncHandler,
+  NotFoundError,
+} = require("../middleware/error.middleware")
+const priceReportService = require("../services/price-report.service")
+
+/**
+ * 跨供应商比价报表，format=excel 时导出 Excel
+ */
+const getPriceComparison = asyncHandler(async (req, res) => {
+  const { templateId, brand, category, from, to, format = "json" } = req.query
+
+  const template = await ProductTemplate.findById(templateId)
+    .select("name")
+    .lean()
+  if (!template) {
+    throw new NotFoundError("商品模板")
+  }
+
+  const report = await priceReportService.getPriceComparison({
+    templateId,
+    brand,
+    category,
+    from,
+    to,
+  })
+
+  logOperation("查看供应商比价报表", req.user, {
+    templateId,
+    filters: { brand, category, from, to },
+    productCount: report.items.length,
+    format,
+  })
+
+  if (format === "excel") {
+    const workbook = priceReportService.buildPriceComparisonWorkbook(report)
+    const filename = `供应商比价_${template.name}_${new Date()
+      .toISOString()
+      .slice(0, 10)}.xlsx`
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    )
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`
+    )
+
+    await workbook.xlsx.write(res)
+    return
+  }
+
+  res.json({
+    success: true,
+    data: {
+      template: { _id: template._id, name: template.name },
+      ...report,
+    },
+  })
+})
+
+module.exports = {
+  getPriceComparison,
+}
@@ -0,0 +1,191 @@
+/**
+ * 供应商管理控制器
+ */
+const Supplier = require("../models/Supplier")
+const MatchingTask = require("../models/MatchingTask")
+const { logOperation } = require("../utils/logger")
+const {
+  asyncHandler,
+  BusinessError,
+  NotFoundError,
+} = require("../middleware/error.middleware")
+
+// 转义正则特殊字符，搜索关键字按字面匹配
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+/**
+ * 保存供应商，名称或编码重复时转换为业务错误
+ */
+async function saveSupplier(supplier) {
+  try {
+    return await supplier.save()
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new BusinessError("供应商名称或编码已存在")
+    }
+    throw error
+  }
+}
+
+/**
+ * 获取供应商列表
+ */
+const getSuppliers = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, search, isActive } = req.query
+
+  const query = {}
+  if (search) {
+    const pattern = { $regex: escapeRegExp(search), $options: "i" }
+    query.$or = [{ name: pattern }, { code: pattern }, { aliases: pattern }]
+  }
+  if (isActive !== undefined) {
+    query.isActive = isActive === "true"
+  }
+
+  const [suppliers, total] = await Promise.all([
+    Supplier.find(query)
+      .populate("createdBy", "name username")
+      .sort({ name: 1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit))
+      .lean(),
+    Supplier.countDocuments(query),
+  ])
+
+  res.json({
+    success: true,
+    data: {
+      suppliers,
+      pagination: {
+        current: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    },
+  })
+})
+
+/**
+ * 获取供应商详情
+ */
+const getSupplierById = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.findById(req.params.id)
+    .populate("createdBy", "name username")
+    .lean()
+
+  if (!supplier) {
+    throw new NotFoundError("供应商")
+  }
+
+  res.json({
+    success: true,
+    data: { supplier },
+  })
+})
+
+/**
+ * 创建供应商
+ */
+const createSupplier = asyncHandler(async (req, res) => {
+  const supplier = await saveSupplier(
+    new Supplier({ ...req.body, createdBy: req.user._id })
+  )
+
+  logOperation("创建供应商", req.user, {
+    supplierId: supplier._id,
+    name: supplier.name,
+  })
+
+  res.status(201).json({
+    success: true,
+    message: "供应商创建成功",
+    data: { supplier },
+  })
+})
+
+/**
+ * 更新供应商
+ */
+const updateSupplier = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.findById(req.params.id)
+  if (!supplier) {
+    throw new NotFoundError("供应商")
+  }
+
+  supplier.set(req.body)
+  await saveSupplier(supplier)
+
+  logOperation("更新供应商", req.user, {
+    supplierId: supplier._id,
+    fields: Object.keys(req.body),
+  })
+
+  res.json({
+    success: true,
+    message: "供应商更新成功",
+    data: { supplier },
+  })
+})
+
+/**
+ * 删除供应商
+ * 已关联匹配任务的供应商只能停用，以保留统计数据
+ */
+const deleteSupplier = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.findById(req.params.id)
+  if (!supplier) {
+    throw new NotFoundError("供应商")
+  }
+
+  const taskCount = await MatchingTask.countDocuments({
+    supplierId: supplier._id,
+  })
+  if (taskCount > 0) {
+    throw new BusinessError(
+      `该供应商已关联${taskCount}个匹配任务，无法删除，请改为停用`
+    )
+  }
+
+  await supplier.deleteOne()
+
+  logOperation("删除供应商", req.user, {
+    supplierId: supplier._id,
+    name: supplier.name,
+  })
+
+  res.json({
+    success: true,
+    message: "供应商已删除",
+  })
+})
+
+/**
+ * 获取供应商统计
+ */
+const getSupplierStatistics = asyncHandler(async (req, res) => {
+  const { start, end } = req.query
+
+  const supplier = await Supplier.findById(req.params.id)
+    .select("name code isActive")
+    .lean()
+  if (!supplier) {
+    throw new NotFoundError("供应商")
+  }
+
+  const statistics = await Supplier.getStatistics(supplier._id, { start, end })
+
+  res.json({
+    success: true,
+    data: { supplier, statistics },
+  })
+})
+
+module.exports = {
+  getSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getSupplierStatistics,
+}
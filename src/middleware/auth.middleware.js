@@ -6,6 +6,9 @@ const User = require("../models/User")
 const { logger } = require("../utils/logger")
 const config = require("../config/env")
 
+// 任务事件订阅令牌的用途标识
+const STREAM_TOKEN_PURPOSE = "task_events"
+
 /**
  * JWT令牌验证中间件
  */
@@ -55,6 +58,15 @@ const authenticateToken = async (req, res, next) => {
     // 验证令牌
     const decoded = jwt.verify(token, config.JWT.secret)
 
+    // 专用令牌（如任务事件订阅令牌）不能作为访问令牌使用
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: "无效的访问令牌",
+        isAuthError: true,
+      })
+    }
+
     // 获取用户信息
     const user = await User.findById(decoded.userId).select("-password").lean()
 
@@ -199,6 +211,59 @@ const requireRole = (roles) => {
   }
 }
 
+/**
+ * 任务事件订阅认证中间件
+ * EventSource 无法设置请求头，通过 ?token= 传递 generateStreamToken 签发的短期令牌；
+ * 该令牌只能订阅签发时指定的任务，访问令牌不接受通过查询参数传递
+ */
+const authenticateStreamToken = async (req, res, next) => {
+  if (req.headers["authorization"]) {
+    return authenticateToken(req, res, next)
+  }
+
+  const rejectStream = (message) =>
+    res.status(401).json({ success: false, message, isAuthError: true })
+
+  const { token } = req.query
+  if (!token) {
+    return rejectStream("访问令牌缺失")
+  }
+
+  let decoded
+  try {
+    decoded = jwt.verify(token, config.JWT.secret)
+  } catch (error) {
+    return rejectStream(
+      error.name === "TokenExpiredError"
+        ? "事件订阅令牌已过期"
+        : "无效的事件订阅令牌"
+    )
+  }
+
+  if (
+    decoded.purpose !== STREAM_TOKEN_PURPOSE ||
+    decoded.taskId !== req.params.id
+  ) {
+    return rejectStream("无效的事件订阅令牌")
+  }
+
+  try {
+    const user = await User.findById(decoded.userId).select("-password").lean()
+    if (!user || !user.isActive) {
+      return rejectStream("用户不存在或已被禁用")
+    }
+
+    req.user = user
+    next()
+  } catch (error) {
+    logger.error("事件订阅令牌验证失败:", error)
+    return res.status(500).json({
+      success: false,
+      message: "认证服务错误",
+    })
+  }
+}
+
 /**
  * 可选认证中间件（不强制要求认证）
  */
@@ -210,9 +275,9 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, config.JWT.secret)
-        const user = await User.findById(decoded.userId)
-          .select("-password")
-          .lean()
+        const user = decoded.purpose
+          ? null
+          : await User.findById(decoded.userId).select("-password").lean()
 
         if (user && user.isActive) {
           req.user = user
@@ -303,6 +368,16 @@ const generateTokens = (userId) => {
   return { accessToken, refreshToken }
 }
 
+/**
+ * 生成任务事件订阅令牌（短期有效，仅能订阅指定任务）
+ */
+const generateStreamToken = (userId, taskId) =>
+  jwt.sign(
+    { userId, taskId: taskId.toString(), purpose: STREAM_TOKEN_PURPOSE },
+    config.JWT.secret,
+    { expiresIn: config.JWT.streamExpiresIn }
+  )
+
 /**
  * 验证刷新令牌
  */
@@ -406,9 +481,11 @@ module.exports = {
   authenticateToken,
   authorize,
   requireRole,
+  authenticateStreamToken,
   optionalAuth,
   getUserPermissions,
   generateTokens,
+  generateStreamToken,
   verifyRefreshToken,
   logUserActivity,
   checkResourceOwnership,
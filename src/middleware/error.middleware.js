@@ -2,7 +2,7 @@
  * 错误处理中间件
  * 提供统一的错误处理和响应格式
  */
-const { logger } = require("../utils/logger")
+const { logger, redactUrl } = require("../utils/logger")
 
 /**
  * 业务逻辑错误类
@@ -77,7 +77,7 @@ const errorHandler = (err, req, res, next) => {
   logger.error("错误处理中间件捕获到错误:", {
     error: err.message,
     stack: err.stack,
-    url: req.originalUrl,
+    url: redactUrl(req.originalUrl),
     method: req.method,
     ip: req.ip,
     userAgent: req.get("User-Agent"),
@@ -166,7 +166,7 @@ const errorHandler = (err, req, res, next) => {
 const notFoundHandler = (req, res, next) => {
   const message = `路由 ${req.originalUrl} 未找到`
   logger.warn("404错误:", {
-    url: req.originalUrl,
+    url: redactUrl(req.originalUrl),
     method: req.method,
     ip: req.ip,
   })
@@ -198,7 +198,7 @@ const bodyParserErrorHandler = (err, req, res, next) => {
       logger.warn("检测到文件上传请求但Content-Type错误设置:", {
         expectedContentType: "multipart/form-data",
         actualContentType: contentType,
-        url: req.originalUrl,
+        url: redactUrl(req.originalUrl),
         method: req.method,
         ip: req.ip,
       })
@@ -217,7 +217,7 @@ const bodyParserErrorHandler = (err, req, res, next) => {
 
     logger.error("请求体解析错误:", {
       error: err.message,
-      url: req.originalUrl,
+      url: redactUrl(req.originalUrl),
       method: req.method,
       ip: req.ip,
       contentType,
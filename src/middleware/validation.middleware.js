@@ -4,6 +4,34 @@
 const Joi = require("joi")
 const { logger } = require("../utils/logger")
 
+/**
+ * 解析 JSON 字符串字段，无法解析时保留原值交由类型校验报错
+ */
+const parseJsonField = (value) => {
+  try {
+    return { value: JSON.parse(value) }
+  } catch (error) {
+    return { value }
+  }
+}
+
+/**
+ * 支持 JSON 字符串的 Joi 实例
+ * multipart 表单字段均为字符串，对象和数组参数可以 JSON 字符串传递，校验前先解析
+ */
+const JsonJoi = Joi.extend(
+  {
+    type: "object",
+    base: Joi.object(),
+    coerce: { from: "string", method: parseJsonField },
+  },
+  {
+    type: "array",
+    base: Joi.array(),
+    coerce: { from: "string", method: parseJsonField },
+  }
+)
+
 /**
  * 通用验证中间件
  */
@@ -227,8 +255,6 @@ const productUpdateSchema = {
 const matchingTaskCreateSchema = {
   body: Joi.object({
     config: Joi.object({
-      threshold: Joi.number().min(0).max(100).default(65),
-      autoConfirmThreshold: Joi.number().min(0).max(100).default(90),
       strategies: Joi.object({
         brandPriority: Joi.boolean().default(true),
         keywordMatching: Joi.boolean().default(true),
@@ -407,6 +433,7 @@ const priceUpdateSchema = {
 
 module.exports = {
   validateRequest,
+  JsonJoi,
   userRegistrationSchema,
   userLoginSchema,
   productCreateSchema,
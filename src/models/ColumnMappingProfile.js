@@ -0,0 +1,130 @@
+/**
+ * 列映射配置数据模型 - 保存供应商批发文件的表头与标准字段的对应关系
+ */
+const mongoose = require("mongoose")
+
+// 可映射的标准字段
+const MAPPING_FIELDS = ["name", "price", "quantity", "unit", "supplier"]
+
+const ColumnMappingProfileSchema = new mongoose.Schema(
+  {
+    // 配置名称
+    name: {
+      type: String,
+      required: [true, "配置名称不能为空"],
+      trim: true,
+      maxlength: [100, "配置名称不能超过100个字符"],
+    },
+
+    // 供应商名称
+    supplier: {
+      type: String,
+      trim: true,
+      default: "",
+      index: true,
+    },
+
+    // 表头签名（排序后的标准化表头），用于自动识别相同格式的文件
+    headerSignature: {
+      type: String,
+      index: true,
+    },
+
+    // 标准字段 -> 文件中的列名（保留原样，表头可能带空格）
+    mapping: {
+      name: {
+        type: String,
+        required: [true, "必须指定商品名称列"],
+      },
+      price: String,
+      quantity: String,
+      unit: String,
+      supplier: String,
+    },
+
+    // 使用统计
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: Date,
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+)
+
+ColumnMappingProfileSchema.index({ supplier: 1, name: 1 }, { unique: true })
+
+// 生成表头签名
+ColumnMappingProfileSchema.statics.buildHeaderSignature = function (headers) {
+  return [
+    ...new Set(
+      (headers || [])
+        .map((header) => String(header).trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ]
+    .sort()
+    .join("|")
+}
+
+// 为上传文件查找可复用的配置：同供应商同表头 > 同供应商 > 同表头
+ColumnMappingProfileSchema.statics.findForUpload = async function ({
+  supplier,
+  headers,
+}) {
+  const headerSignature = this.buildHeaderSignature(headers)
+  const byRecentUse = { lastUsedAt: -1, updatedAt: -1 }
+
+  const queries = []
+  if (supplier) {
+    queries.push({ supplier, headerSignature }, { supplier })
+  }
+  queries.push({ headerSignature })
+
+  for (const query of queries) {
+    const profile = await this.findOne({ ...query, isActive: true }).sort(
+      byRecentUse
+    )
+    // 仅在配置的列都存在于文件中时复用
+    if (profile && profile.fitsHeaders(headers)) return profile
+  }
+
+  return null
+}
+
+// 检查配置引用的列是否都存在
+ColumnMappingProfileSchema.methods.fitsHeaders = function (headers) {
+  const available = new Set(headers || [])
+  return MAPPING_FIELDS.every(
+    (field) => !this.mapping[field] || available.has(this.mapping[field])
+  )
+}
+
+// 记录一次使用
+ColumnMappingProfileSchema.methods.recordUsage = async function () {
+  this.usageCount += 1
+  this.lastUsedAt = new Date()
+  return this.save()
+}
+
+const ColumnMappingProfile = mongoose.model(
+  "ColumnMappingProfile",
+  ColumnMappingProfileSchema
+)
+
+ColumnMappingProfile.MAPPING_FIELDS = MAPPING_FIELDS
+
+module.exports = ColumnMappingProfile
@@ -2,6 +2,10 @@
  * 匹配记忆数据模型 - 学习用户匹配偏好，避免重复错误
  */
 const mongoose = require("mongoose")
+const config = require("../config/env")
+
+// 转义正则特殊字符，批发名中的括号、星号等按字面匹配
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
 
 const MatchingMemorySchema = new mongoose.Schema(
   {
@@ -180,6 +184,13 @@ const MatchingMemorySchema = new mongoose.Schema(
         totalUsed: { type: Number, default: 0 },
         successRate: { type: Number, default: 100 },
         lastUsedAt: Date,
+        // 记忆建议的审核结果：确认、改为其他商品、拒绝
+        confirmedCount: { type: Number, default: 0 },
+        changedCount: { type: Number, default: 0 },
+        rejectedCount: { type: Number, default: 0 },
+        lastRejectedAt: Date,
+        // 因成功率过低被降权的时间
+        demotedAt: Date,
         recentUsage: [
           {
             usedAt: Date,
@@ -232,6 +243,12 @@ const MatchingMemorySchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: "User",
           },
+          // 冲突处理（审核人选定胜出记忆后标记）
+          resolvedAt: Date,
+          resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
         },
       ],
 
@@ -240,7 +257,14 @@ const MatchingMemorySchema = new mongoose.Schema(
         {
           action: {
             type: String,
-            enum: ["created", "updated", "verified", "deprecated", "restored"],
+            enum: [
+              "created",
+              "updated",
+              "verified",
+              "deprecated",
+              "restored",
+              "conflict_resolved",
+            ],
           },
           performedBy: {
             type: mongoose.Schema.Types.ObjectId,
@@ -285,6 +309,15 @@ MatchingMemorySchema.index({
   confirmCount: -1,
   lastConfirmedAt: -1,
 })
+MatchingMemorySchema.index({
+  status: 1,
+  "metadata.qualityControl.expertVerified": 1,
+  "metadata.usageStats.totalUsed": -1,
+})
+MatchingMemorySchema.index({
+  status: 1,
+  "metadata.usageStats.successRate": 1,
+})
 
 // 虚拟字段：可信度得分
 MatchingMemorySchema.virtual("trustScore").get(function () {
@@ -342,6 +375,119 @@ MatchingMemorySchema.methods.addConfirmation = function (
   return this.save()
 }
 
+// 审核结果对应的计数字段
+const OUTCOME_COUNTERS = {
+  confirmed: "confirmedCount",
+  changed: "changedCount",
+  rejected: "rejectedCount",
+}
+
+// 实例方法：记录记忆建议的审核结果并更新成功率
+// previousOutcome 为同一记录之前记录的结果（重复审核时先撤销旧结果）
+MatchingMemorySchema.methods.recordUsageOutcome = function (
+  outcome,
+  { previousOutcome, userId, recordId, taskId } = {}
+) {
+  const usageStats = this.metadata.usageStats
+
+  if (previousOutcome) {
+    const previousCounter = OUTCOME_COUNTERS[previousOutcome]
+    usageStats[previousCounter] = Math.max(
+      0,
+      (usageStats[previousCounter] || 0) - 1
+    )
+  } else {
+    usageStats.totalUsed += 1
+    usageStats.recentUsage.push({
+      usedAt: new Date(),
+      taskId,
+      userId,
+      matchedRecordId: recordId,
+    })
+    // 只保留最近 20 次使用
+    if (usageStats.recentUsage.length > 20) {
+      usageStats.recentUsage.splice(0, usageStats.recentUsage.length - 20)
+    }
+  }
+
+  usageStats[OUTCOME_COUNTERS[outcome]] =
+    (usageStats[OUTCOME_COUNTERS[outcome]] || 0) + 1
+  usageStats.lastUsedAt = new Date()
+  if (outcome === "rejected") {
+    usageStats.lastRejectedAt = new Date()
+  }
+
+  const reviewed =
+    usageStats.confirmedCount +
+    usageStats.changedCount +
+    usageStats.rejectedCount
+  usageStats.successRate =
+    reviewed > 0
+      ? Math.round((usageStats.confirmedCount / reviewed) * 100)
+      : 100
+
+  if (config.MEMORY_QUALITY.autoDemote) {
+    this.applyQualityThreshold({ userId })
+  }
+
+  return this.save()
+}
+
+// 实例方法：按成功率阈值降权或废弃记忆（不保存）
+// @returns {String|null} deprecated/demoted，未处理时返回 null
+MatchingMemorySchema.methods.applyQualityThreshold = function ({
+  minSamples = config.MEMORY_QUALITY.minSamples,
+  demoteBelow = config.MEMORY_QUALITY.demoteBelow,
+  deprecateBelow = config.MEMORY_QUALITY.deprecateBelow,
+  userId = null,
+} = {}) {
+  const usageStats = this.metadata.usageStats
+  const reviewed =
+    usageStats.confirmedCount +
+    usageStats.changedCount +
+    usageStats.rejectedCount
+
+  if (this.status !== "active" || reviewed < minSamples) return null
+
+  // 成功率恢复后允许再次降权
+  if (usageStats.successRate >= demoteBelow) {
+    usageStats.demotedAt = undefined
+    return null
+  }
+
+  if (usageStats.successRate < deprecateBelow) {
+    this.status = "deprecated"
+    this.metadata.auditTrail.push({
+      action: "deprecated",
+      performedBy: userId,
+      performedAt: new Date(),
+      details: `成功率 ${usageStats.successRate}% 低于 ${deprecateBelow}%，自动废弃`,
+      oldValues: { status: "active" },
+      newValues: { status: "deprecated", reason: "low_success_rate" },
+    })
+    return "deprecated"
+  }
+
+  if (usageStats.demotedAt) return null
+
+  const oldValues = {
+    weight: this.weight,
+    isUserPreference: this.isUserPreference,
+  }
+  this.weight = Math.max(0.1, this.weight * 0.5)
+  this.isUserPreference = false
+  usageStats.demotedAt = new Date()
+  this.metadata.auditTrail.push({
+    action: "updated",
+    performedBy: userId,
+    performedAt: new Date(),
+    details: `成功率 ${usageStats.successRate}% 低于 ${demoteBelow}%，自动降权`,
+    oldValues,
+    newValues: { weight: this.weight, isUserPreference: false },
+  })
+  return "demoted"
+}
+
 // 实例方法：报告冲突
 MatchingMemorySchema.methods.reportConflict = function (
   conflictingProductId,
@@ -355,10 +501,13 @@ MatchingMemorySchema.methods.reportConflict = function (
     reportedBy: userId,
   })
 
-  // 如果冲突较多，降低权重
-  if (this.metadata.conflicts.length >= 2) {
+  // 如果未处理的冲突较多，降低权重
+  const openConflicts = this.metadata.conflicts.filter(
+    (conflict) => !conflict.resolvedAt
+  ).length
+  if (openConflicts >= 2) {
     this.weight = Math.max(0.1, this.weight - 0.3)
-    if (this.metadata.conflicts.length >= 3) {
+    if (openConflicts >= 3) {
       this.status = "conflicted"
     }
   }
@@ -366,7 +515,100 @@ MatchingMemorySchema.methods.reportConflict = function (
   return this.save()
 }
 
-// 静态方法：查找匹配记忆（改进版本）
+// 实例方法：专家审核
+// approve 通过、edit 修改后通过、reject 驳回（废弃记忆）
+MatchingMemorySchema.methods.verify = function (
+  action,
+  userId,
+  { qualityScore, note, confirmedProductId, confidence } = {}
+) {
+  const qualityControl = this.metadata.qualityControl
+  const oldValues = {
+    status: this.status,
+    expertVerified: qualityControl.expertVerified,
+    qualityScore: qualityControl.qualityScore,
+  }
+  const newValues = {}
+
+  if (action === "reject") {
+    this.status = "deprecated"
+    qualityControl.expertVerified = false
+    qualityControl.qualityScore = qualityScore || 1
+    newValues.status = "deprecated"
+  } else {
+    if (action === "edit") {
+      if (confirmedProductId) {
+        oldValues.confirmedProductId = this.confirmedProductId
+        this.confirmedProductId = confirmedProductId
+        newValues.confirmedProductId = confirmedProductId
+      }
+      if (confidence !== undefined) {
+        oldValues.confidence = this.confidence
+        this.confidence = confidence
+        newValues.confidence = confidence
+      }
+    }
+    qualityControl.expertVerified = true
+    qualityControl.qualityScore =
+      qualityScore || Math.max(4, oldValues.qualityScore || 3)
+  }
+
+  qualityControl.verifiedBy = userId
+  qualityControl.verifiedAt = new Date()
+  if (note !== undefined) qualityControl.qualityNotes = note
+  newValues.expertVerified = qualityControl.expertVerified
+  newValues.qualityScore = qualityControl.qualityScore
+
+  const labels = {
+    approve: "审核通过",
+    edit: "修改后审核通过",
+    reject: "审核驳回",
+  }
+  this.metadata.auditTrail.push({
+    action: action === "reject" ? "deprecated" : "verified",
+    performedBy: userId,
+    performedAt: new Date(),
+    details: `专家${labels[action]}${note ? `：${note}` : ""}`,
+    oldValues,
+    newValues,
+  })
+
+  return this.save()
+}
+
+// 静态方法：专家审核队列
+// 未经验证且使用次数较多的激活记忆，按使用次数倒序
+MatchingMemorySchema.statics.getVerificationQueue = async function ({
+  templateId,
+  minUsage = 1,
+  page = 1,
+  limit = 20,
+} = {}) {
+  const query = {
+    status: "active",
+    "metadata.qualityControl.expertVerified": { $ne: true },
+    "metadata.usageStats.totalUsed": { $gte: minUsage },
+  }
+  if (templateId) {
+    query.templateId = templateId
+  }
+
+  const [memories, total] = await Promise.all([
+    this.find(query)
+      .populate("confirmedProductId", "name brand productCode boxCode pricing")
+      .populate("confirmedBy", "name email")
+      .sort({ "metadata.usageStats.totalUsed": -1, confirmCount: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(query),
+  ])
+
+  return { memories, total }
+}
+
+// 静态方法：查找匹配记忆
+// 依次尝试精确、包含（双向）、模糊（n-gram 相似度）三层查询，命中即停止；
+// 每条结果附带 matchType 和 similarity（0-100），供匹配引擎区别加权
 MatchingMemorySchema.statics.findMatching = async function (
   normalizedName,
   options = {}
@@ -376,100 +618,152 @@ MatchingMemorySchema.statics.findMatching = async function (
     minConfidence = 60,
     includeDeprecated = false,
     templateId,
+    fuzzy = true,
+    minSimilarity = 70,
+    fuzzyCandidateLimit = 2000,
   } = options
 
-  console.log(`🔍 记忆库查询: ${normalizedName}, 模板: ${templateId}`)
+  if (!normalizedName) return []
+
+  const { ngramSimilarity } = require("../utils/matching-algorithm")
+  const escapedName = escapeRegExp(normalizedName)
 
   // 基础查询条件
   const baseQuery = {}
   if (templateId) {
     baseQuery.templateId = templateId
   }
+  if (!includeDeprecated) {
+    baseQuery.status = "active"
+  }
 
-  // 构建多种查询条件，从严格到宽松
-  const queries = []
+  // 置信度条件：高确认次数的记忆放宽要求
+  const confidenceQuery =
+    minConfidence > 40
+      ? {
+          $or: [
+            { confidence: { $gte: minConfidence } },
+            { confirmCount: { $gte: 3 }, confidence: { $gte: 40 } },
+          ],
+        }
+      : { confidence: { $gte: minConfidence } }
 
-  // 1. 精确匹配（最高优先级）
-  queries.push({
-    ...baseQuery,
+  const findMemories = (query) =>
+    this.find({ ...baseQuery, ...query })
+      .populate(
+        "confirmedProductId",
+        "name brand company productCode boxCode pricing"
+      )
+      .populate("confirmedBy", "name email")
+      .sort({ confirmCount: -1, weight: -1, lastConfirmedAt: -1 })
+
+  const rank = (memories) =>
+    memories
+      .sort(
+        (a, b) =>
+          b.similarity - a.similarity ||
+          (b.confirmCount || 0) - (a.confirmCount || 0)
+      )
+      .slice(0, limit)
+
+  // 1. 精确匹配
+  const exact = await findMemories({
     normalizedWholesaleName: normalizedName,
     confidence: { $gte: minConfidence },
   })
+    .limit(limit)
+    .lean()
+  if (exact.length > 0) {
+    return exact.map((memory) => ({
+      ...memory,
+      matchType: "exact",
+      similarity: 100,
+    }))
+  }
 
-  // 2. 互相包含匹配
-  queries.push({
-    ...baseQuery,
-    $or: [
-      { normalizedWholesaleName: { $regex: normalizedName, $options: "i" } },
+  // 2. 包含匹配：记忆名包含查询名，或查询名包含记忆名
+  const contained = await findMemories({
+    $and: [
+      confidenceQuery,
       {
-        normalizedWholesaleName: {
-          $regex: `.*${normalizedName}.*`,
-          $options: "i",
-        },
+        $or: [
+          { normalizedWholesaleName: { $regex: escapedName } },
+          {
+            $expr: {
+              $and: [
+                { $gte: [{ $strLenCP: "$normalizedWholesaleName" }, 2] },
+                {
+                  $gte: [
+                    {
+                      $indexOfCP: [normalizedName, "$normalizedWholesaleName"],
+                    },
+                    0,
+                  ],
+                },
+              ],
+            },
+          },
+        ],
       },
     ],
-    confidence: { $gte: minConfidence },
   })
-
-  // 3. 宽松匹配（对于高确认次数的记忆，降低置信度要求）
-  if (minConfidence > 40) {
-    queries.push({
-      ...baseQuery,
-      $or: [
-        { normalizedWholesaleName: { $regex: normalizedName, $options: "i" } },
-        {
-          normalizedWholesaleName: {
-            $regex: `.*${normalizedName}.*`,
-            $options: "i",
-          },
-        },
-      ],
-      confirmCount: { $gte: 3 }, // 高确认次数
-      confidence: { $gte: 40 }, // 降低置信度要求
-    })
-  }
-
-  // 状态过滤
-  if (!includeDeprecated) {
-    queries.forEach((query) => {
-      query.status = { $in: ["active"] }
-    })
+    .limit(limit * 4)
+    .lean()
+  if (contained.length > 0) {
+    return rank(
+      contained.map((memory) => {
+        const length = memory.normalizedWholesaleName.length
+        return {
+          ...memory,
+          matchType: "contained",
+          similarity:
+            (Math.min(length, normalizedName.length) * 100) /
+            Math.max(length, normalizedName.length),
+        }
+      })
+    )
   }
 
-  let results = []
-
-  // 按优先级执行查询
-  for (const query of queries) {
-    console.log(`🔍 执行查询:`, query)
-
-    const matches = await this.find(query)
-      .populate(
-        "confirmedProductId",
-        "name brand company productCode boxCode pricing"
-      )
-      .populate("confirmedBy", "name email")
-      .sort({ confirmCount: -1, weight: -1, lastConfirmedAt: -1 }) // 优先高确认次数
-      .limit(limit)
-      .lean()
+  // 3. 模糊匹配：与模板内至少共享一个二元组的记忆计算 n-gram 相似度
+  if (!fuzzy || normalizedName.length < 2) return []
 
-    console.log(`🔍 查询结果: ${matches.length} 条记录`)
+  const grams = new Set()
+  for (let i = 0; i < normalizedName.length - 1; i++) {
+    grams.add(escapeRegExp(normalizedName.slice(i, i + 2)))
+  }
 
-    if (matches.length > 0) {
-      results = matches
-      break // 找到结果就停止后续查询
+  const pool = await this.find({
+    ...baseQuery,
+    ...confidenceQuery,
+    normalizedWholesaleName: { $regex: [...grams].join("|") },
+  })
+    .select("normalizedWholesaleName")
+    .limit(fuzzyCandidateLimit)
+    .lean()
+
+  const similar = new Map()
+  for (const memory of pool) {
+    const similarity = ngramSimilarity(
+      normalizedName,
+      memory.normalizedWholesaleName
+    )
+    if (similarity >= minSimilarity) {
+      similar.set(memory._id.toString(), similarity)
     }
   }
+  if (similar.size === 0) return []
 
-  console.log(
-    `🧠 最终记忆匹配结果: ${results.length} 条`,
-    results.map((r) => ({
-      标准化名称: r.normalizedWholesaleName,
-      确认次数: r.confirmCount,
-      商品名称: r.confirmedProductId?.name,
+  const fuzzyMatches = await findMemories({
+    _id: { $in: [...similar.keys()] },
+  }).lean()
+
+  return rank(
+    fuzzyMatches.map((memory) => ({
+      ...memory,
+      matchType: "fuzzy",
+      similarity: similar.get(memory._id.toString()),
     }))
   )
-
-  return results
 }
 
 // 静态方法：手动学习新的匹配（增强版本）
@@ -656,7 +950,8 @@ MatchingMemorySchema.statics.handleRejectedMatch = async function (
   recordId,
   taskId
 ) {
-  const normalizedName = this.normalizeWholesaleName(originalName)
+  const { normalizeText } = require("../utils/matching-algorithm")
+  const normalizedName = normalizeText(originalName)
 
   // 查找被拒绝的匹配记忆
   const rejectedMemory = await this.findOne({
@@ -670,34 +965,34 @@ MatchingMemorySchema.statics.handleRejectedMatch = async function (
     rejectedMemory.weight = Math.max(0.1, rejectedMemory.weight * 0.7)
     rejectedMemory.confidence = Math.max(30, rejectedMemory.confidence * 0.8)
 
-    // 增加争议标记
-    if (!rejectedMemory.metadata.conflicts) {
-      rejectedMemory.metadata.conflicts = []
-    }
-
+    // 增加冲突记录
     rejectedMemory.metadata.conflicts.push({
-      type: "user_rejection",
-      userId,
-      recordId,
-      taskId,
-      timestamp: new Date(),
-      reason: "用户拒绝匹配",
+      conflictingProductId: rejectedProductId,
+      conflictReason: "用户拒绝匹配",
+      reportedAt: new Date(),
+      reportedBy: userId,
     })
 
-    // 如果拒绝次数过多，标记为争议状态
+    // 如果未处理的拒绝次数过多，标记为冲突状态
     const rejectionCount = rejectedMemory.metadata.conflicts.filter(
-      (c) => c.type === "user_rejection"
+      (conflict) =>
+        !conflict.resolvedAt && conflict.conflictReason === "用户拒绝匹配"
     ).length
 
     if (rejectionCount >= 3) {
-      rejectedMemory.status = "disputed"
-      rejectedMemory.metadata.disputeReason = "多次被用户拒绝"
+      rejectedMemory.status = "conflicted"
     }
 
-    rejectedMemory.metadata.usageStats.lastRejectedAt = new Date()
-    rejectedMemory.metadata.usageStats.rejectionCount = rejectionCount
-
     await rejectedMemory.save()
+
+    // 更新记忆成功率（同一记录重复调用不会重复计数）
+    if (recordId) {
+      const record = await this.model("MatchingRecord").findById(recordId)
+      if (record) {
+        await this.trackRecordOutcome(record, "reject", { userId })
+      }
+    }
+
     return rejectedMemory
   }
 
@@ -726,7 +1021,18 @@ MatchingMemorySchema.statics.handleMatchChange = async function (
     )
   }
 
-  // 2. 学习新的正确匹配
+  // 2. 记忆建议被改为其他商品，更新成功率
+  if (recordId) {
+    const record = await this.model("MatchingRecord").findById(recordId)
+    if (record) {
+      await this.trackRecordOutcome(record, "confirm", {
+        productId: newProductId,
+        userId,
+      })
+    }
+  }
+
+  // 3. 学习新的正确匹配
   await this.learnFromMatch(
     originalName,
     newProductId,
@@ -745,6 +1051,225 @@ MatchingMemorySchema.statics.handleMatchChange = async function (
   return true
 }
 
+// 静态方法：根据匹配记录的审核操作更新记忆成功率
+// 记录的候选中包含记忆建议时生效；结果保存在记录上，重复调用不会重复计数
+// @param {Object} record 匹配记录（审核操作完成后）
+// @param {String} action confirm/reject
+// @param {Object} options { productId 确认的商品, userId }
+MatchingMemorySchema.statics.trackRecordOutcome = async function (
+  record,
+  action,
+  { productId, userId } = {}
+) {
+  const previous = record.metadata?.memoryUsage
+  const memoryCandidate = record.candidates.find(
+    (candidate) => candidate.isMemoryMatch && candidate.memorySource?._id
+  )
+  if (!memoryCandidate && !previous?.memoryId) return null
+
+  const memoryId = previous?.memoryId || memoryCandidate.memorySource._id
+  const suggestedProductId = memoryCandidate?.productId?.toString()
+
+  let outcome = null
+  if (action === "confirm" && productId) {
+    outcome =
+      !suggestedProductId || productId.toString() === suggestedProductId
+        ? "confirmed"
+        : "changed"
+  } else if (action === "reject") {
+    // 已改为其他商品后再拒绝，记忆建议仍视为被更改
+    const selectedProductId = record.selectedMatch?.productId?.toString()
+    outcome =
+      selectedProductId &&
+      suggestedProductId &&
+      selectedProductId !== suggestedProductId
+        ? "changed"
+        : "rejected"
+  }
+  if (!outcome || outcome === previous?.outcome) return null
+
+  const memory = await this.findById(memoryId)
+  if (!memory) return null
+
+  await memory.recordUsageOutcome(outcome, {
+    previousOutcome: previous?.outcome,
+    userId,
+    recordId: record._id,
+    taskId: record.taskId,
+  })
+
+  const memoryUsage = { memoryId, outcome, recordedAt: new Date() }
+  await this.model("MatchingRecord").updateOne(
+    { _id: record._id },
+    { $set: { "metadata.memoryUsage": memoryUsage } }
+  )
+  record.set("metadata.memoryUsage", memoryUsage)
+
+  return { memory, outcome }
+}
+
+// 静态方法：记忆使用分析
+// 返回成功率最低的记忆（审核样本数达到 minSamples）和整体统计
+MatchingMemorySchema.statics.getUsageAnalytics = async function ({
+  templateId,
+  minSamples = config.MEMORY_QUALITY.minSamples,
+  limit = 20,
+} = {}) {
+  const reviewedExpr = {
+    $add: [
+      { $ifNull: ["$metadata.usageStats.confirmedCount", 0] },
+      { $ifNull: ["$metadata.usageStats.changedCount", 0] },
+      { $ifNull: ["$metadata.usageStats.rejectedCount", 0] },
+    ],
+  }
+  const query = {
+    status: "active",
+    $expr: { $gte: [reviewedExpr, minSamples] },
+  }
+  if (templateId) {
+    query.templateId = templateId
+  }
+
+  const [worst, [summary]] = await Promise.all([
+    this.find(query)
+      .populate("confirmedProductId", "name brand productCode boxCode")
+      .sort({
+        "metadata.usageStats.successRate": 1,
+        "metadata.usageStats.totalUsed": -1,
+      })
+      .limit(limit)
+      .lean(),
+    this.aggregate([
+      {
+        $match: {
+          status: "active",
+          ...(templateId && {
+            templateId: new mongoose.Types.ObjectId(templateId),
+          }),
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          activeCount: { $sum: 1 },
+          reviewedCount: {
+            $sum: { $cond: [{ $gte: [reviewedExpr, minSamples] }, 1, 0] },
+          },
+          averageSuccessRate: {
+            $avg: {
+              $cond: [
+                { $gte: [reviewedExpr, minSamples] },
+                "$metadata.usageStats.successRate",
+                null,
+              ],
+            },
+          },
+          belowDemoteCount: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $gte: [reviewedExpr, minSamples] },
+                    {
+                      $lt: [
+                        "$metadata.usageStats.successRate",
+                        config.MEMORY_QUALITY.demoteBelow,
+                      ],
+                    },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+          confirmedCount: { $sum: "$metadata.usageStats.confirmedCount" },
+          changedCount: { $sum: "$metadata.usageStats.changedCount" },
+          rejectedCount: { $sum: "$metadata.usageStats.rejectedCount" },
+        },
+      },
+    ]),
+  ])
+
+  return {
+    worst: worst.map((memory) => ({
+      _id: memory._id,
+      originalWholesaleName: memory.originalWholesaleName,
+      normalizedWholesaleName: memory.normalizedWholesaleName,
+      product: memory.confirmedProductId,
+      templateId: memory.templateId,
+      confirmCount: memory.confirmCount,
+      weight: memory.weight,
+      totalUsed: memory.metadata.usageStats.totalUsed,
+      successRate: memory.metadata.usageStats.successRate,
+      confirmedCount: memory.metadata.usageStats.confirmedCount || 0,
+      changedCount: memory.metadata.usageStats.changedCount || 0,
+      rejectedCount: memory.metadata.usageStats.rejectedCount || 0,
+      lastRejectedAt: memory.metadata.usageStats.lastRejectedAt,
+      demotedAt: memory.metadata.usageStats.demotedAt,
+    })),
+    summary: {
+      activeCount: summary?.activeCount || 0,
+      reviewedCount: summary?.reviewedCount || 0,
+      averageSuccessRate:
+        summary?.averageSuccessRate !== null &&
+        summary?.averageSuccessRate !== undefined
+          ? Math.round(summary.averageSuccessRate)
+          : null,
+      belowDemoteCount: summary?.belowDemoteCount || 0,
+      outcomes: {
+        confirmed: summary?.confirmedCount || 0,
+        changed: summary?.changedCount || 0,
+        rejected: summary?.rejectedCount || 0,
+      },
+      thresholds: { ...config.MEMORY_QUALITY, minSamples },
+    },
+  }
+}
+
+// 静态方法：批量降权/废弃低成功率记忆
+// dryRun 为 true 时只返回将被处理的记忆
+MatchingMemorySchema.statics.demoteLowPerformers = async function ({
+  templateId,
+  minSamples = config.MEMORY_QUALITY.minSamples,
+  demoteBelow = config.MEMORY_QUALITY.demoteBelow,
+  deprecateBelow = config.MEMORY_QUALITY.deprecateBelow,
+  dryRun = false,
+  userId = null,
+} = {}) {
+  const query = {
+    status: "active",
+    "metadata.usageStats.successRate": { $lt: demoteBelow },
+  }
+  if (templateId) {
+    query.templateId = templateId
+  }
+
+  const memories = await this.find(query)
+  const result = { demoted: [], deprecated: [] }
+
+  for (const memory of memories) {
+    const action = memory.applyQualityThreshold({
+      minSamples,
+      demoteBelow,
+      deprecateBelow,
+      userId,
+    })
+    if (!action) continue
+
+    if (!dryRun) {
+      await memory.save()
+    }
+    result[action].push({
+      _id: memory._id,
+      originalWholesaleName: memory.originalWholesaleName,
+      successRate: memory.metadata.usageStats.successRate,
+    })
+  }
+
+  return result
+}
+
 // 静态方法：清理重复的记忆（确保一个批发名只对应一个商品）
 MatchingMemorySchema.statics.cleanupDuplicateMemories = async function (
   templateId = null
@@ -833,6 +1358,163 @@ MatchingMemorySchema.statics.cleanupDuplicateMemories = async function (
   return { cleanedCount, duplicatesFound: duplicates.length }
 }
 
+// 静态方法：查找冲突记忆
+// 同一模板下同一批发名指向多个商品，或存在未处理的冲突报告，按标准化批发名分组返回
+MatchingMemorySchema.statics.findConflicts = async function ({
+  templateId,
+  page = 1,
+  limit = 20,
+} = {}) {
+  const baseMatch = { status: { $in: ["active", "conflicted"] } }
+  if (templateId) {
+    baseMatch.templateId = new mongoose.Types.ObjectId(templateId)
+  }
+
+  const [result] = await this.aggregate([
+    { $match: baseMatch },
+    {
+      $group: {
+        _id: {
+          normalizedWholesaleName: "$normalizedWholesaleName",
+          templateId: "$templateId",
+        },
+        memoryIds: { $push: "$_id" },
+        productIds: { $addToSet: "$confirmedProductId" },
+        conflictedCount: {
+          $sum: { $cond: [{ $eq: ["$status", "conflicted"] }, 1, 0] },
+        },
+        reportedCount: {
+          $sum: {
+            $size: {
+              $filter: {
+                input: { $ifNull: ["$metadata.conflicts", []] },
+                cond: { $not: ["$$this.resolvedAt"] },
+              },
+            },
+          },
+        },
+      },
+    },
+    {
+      $match: {
+        $or: [
+          { "productIds.1": { $exists: true } },
+          { conflictedCount: { $gt: 0 } },
+          { reportedCount: { $gt: 0 } },
+        ],
+      },
+    },
+    { $sort: { reportedCount: -1, "_id.normalizedWholesaleName": 1 } },
+    {
+      $facet: {
+        groups: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ])
+
+  const groups = result?.groups || []
+  const memories = await this.find({
+    _id: { $in: groups.flatMap((group) => group.memoryIds) },
+  })
+    .populate("confirmedProductId", "name brand productCode boxCode")
+    .populate("confirmedBy", "name email")
+    .populate(
+      "metadata.conflicts.conflictingProductId",
+      "name brand productCode boxCode"
+    )
+    .sort({ confirmCount: -1, lastConfirmedAt: -1 })
+  const memoryMap = new Map(memories.map((memory) => [memory.id, memory]))
+
+  return {
+    groups: groups.map((group) => ({
+      normalizedWholesaleName: group._id.normalizedWholesaleName,
+      templateId: group._id.templateId,
+      productCount: group.productIds.length,
+      reportedCount: group.reportedCount,
+      memories: group.memoryIds
+        .map((id) => memoryMap.get(id.toString()))
+        .filter(Boolean)
+        .map((memory) => ({
+          _id: memory._id,
+          originalWholesaleName: memory.originalWholesaleName,
+          product: memory.confirmedProductId,
+          status: memory.status,
+          confidence: memory.confidence,
+          confirmCount: memory.confirmCount,
+          weight: memory.weight,
+          trustScore: memory.trustScore,
+          lastConfirmedAt: memory.lastConfirmedAt,
+          confirmedBy: memory.confirmedBy,
+          conflicts: memory.metadata.conflicts.filter(
+            (conflict) => !conflict.resolvedAt
+          ),
+        })),
+    })),
+    total: result?.total[0]?.count || 0,
+  }
+}
+
+// 可作为冲突胜出记忆的状态（已废弃的记忆不能被重新激活）
+MatchingMemorySchema.statics.CONFLICT_WINNER_STATUSES = ["active", "conflicted"]
+
+// 静态方法：处理记忆冲突
+// 审核人选定胜出记忆，同组其他记忆废弃，双方都写入审计记录
+MatchingMemorySchema.statics.resolveConflict = async function (
+  winner,
+  { userId, note } = {}
+) {
+  const losers = await this.find({
+    _id: { $ne: winner._id },
+    normalizedWholesaleName: winner.normalizedWholesaleName,
+    templateId: winner.templateId,
+    status: { $in: ["active", "conflicted"] },
+  })
+
+  // 先废弃其他记忆，避免与胜出记忆的激活唯一索引冲突
+  for (const memory of losers) {
+    const oldStatus = memory.status
+    memory.status = "deprecated"
+    memory.metadata.auditTrail.push({
+      action: "deprecated",
+      performedBy: userId,
+      performedAt: new Date(),
+      details: `冲突处理：保留记忆 ${winner._id}${note ? `（${note}）` : ""}`,
+      oldValues: { status: oldStatus },
+      newValues: { status: "deprecated", reason: "conflict_resolution" },
+    })
+    await memory.save()
+  }
+
+  const oldValues = { status: winner.status, weight: winner.weight }
+  const resolvedAt = new Date()
+  winner.metadata.conflicts.forEach((conflict) => {
+    if (!conflict.resolvedAt) {
+      conflict.resolvedAt = resolvedAt
+      conflict.resolvedBy = userId
+    }
+  })
+  winner.status = "active"
+  winner.weight = Math.max(1.0, winner.weight)
+  winner.metadata.auditTrail.push({
+    action: "conflict_resolved",
+    performedBy: userId,
+    performedAt: resolvedAt,
+    details: `冲突处理：选定为胜出记忆，废弃 ${losers.length} 条冲突记忆${
+      note ? `（${note}）` : ""
+    }`,
+    oldValues,
+    newValues: {
+      status: "active",
+      weight: winner.weight,
+      deprecatedMemories: losers.map((memory) => memory._id),
+    },
+  })
+  await winner.save()
+
+  return { winner, deprecated: losers }
+}
+
 // 静态方法：清理过时记忆
 MatchingMemorySchema.statics.cleanupOldMemories = async function () {
   const sixMonthsAgo = new Date()
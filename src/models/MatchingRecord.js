@@ -91,10 +91,13 @@ const MatchingRecordSchema = new mongoose.Schema(
                 "package_type",
                 "manual_selection",
                 "memory_match",
+                "specification_conflict",
               ],
             },
             description: String,
             weight: Number,
+            // 结构化解释（命中/缺失词、规格冲突、相似度、价格加分等）
+            details: mongoose.Schema.Types.Mixed,
           },
         ],
 
@@ -152,6 +155,17 @@ const MatchingRecordSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+
+      // 触发自动确认的策略规则
+      autoConfirmRule: {
+        type: String,
+        enum: [
+          "high_trust_memory",
+          "memory",
+          "min_score",
+          "high_confidence_score",
+        ],
+      },
     },
 
     // 记录状态
@@ -184,6 +198,7 @@ const MatchingRecordSchema = new mongoose.Schema(
             "reassign",
             "comment",
             "clear",
+            "rematch",
           ],
           required: true,
         },
@@ -213,6 +228,8 @@ const MatchingRecordSchema = new mongoose.Schema(
             "no_candidates",
             "low_confidence",
             "price_mismatch",
+            "unit_mismatch",
+            "price_anomaly",
             "duplicate_name",
             "parsing_error",
           ],
@@ -288,6 +305,25 @@ const MatchingRecordSchema = new mongoose.Schema(
         file: String, // 文件名
       },
 
+      // 差异模式下相对对比任务的变化（新增行或报价变化的行）
+      diffStatus: {
+        type: String,
+        enum: ["new", "changed"],
+      },
+
+      // 记忆建议的审核结果（用于记忆成功率统计，重复审核时据此修正计数）
+      memoryUsage: {
+        memoryId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "MatchingMemory",
+        },
+        outcome: {
+          type: String,
+          enum: ["confirmed", "changed", "rejected"],
+        },
+        recordedAt: Date,
+      },
+
       // 标签
       tags: [String],
 
@@ -304,6 +340,11 @@ const MatchingRecordSchema = new mongoose.Schema(
 
 // 复合索引
 MatchingRecordSchema.index({ taskId: 1, status: 1 })
+MatchingRecordSchema.index({
+  taskId: 1,
+  "metadata.source.sheet": 1,
+  "metadata.source.row": 1,
+})
 MatchingRecordSchema.index({ status: 1, priority: -1, createdAt: 1 })
 MatchingRecordSchema.index({
   "selectedMatch.confirmedBy": 1,
@@ -17,6 +17,12 @@ const MatchingTaskSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // 关联供应商
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      index: true,
+    },
 
     // 文件信息
     filename: {
@@ -52,6 +58,7 @@ const MatchingTaskSchema = new mongoose.Schema(
         "review",
         "completed",
         "failed",
+        "paused",
         "cancelled",
       ],
       default: "pending",
@@ -61,18 +68,51 @@ const MatchingTaskSchema = new mongoose.Schema(
 
     // 匹配配置
     config: {
-      // 匹配阈值配置
-      threshold: {
-        type: Number,
-        default: 65,
-        min: [0, "匹配阈值不能小于0"],
-        max: [100, "匹配阈值不能大于100"],
+      // 匹配引擎（评分器流水线），创建时从模板设置复制
+      engine: {
+        type: String,
+        trim: true,
+      },
+
+      // 自动确认策略，创建时从模板设置复制，未设置的项使用默认策略
+      autoConfirmPolicy: {
+        enabled: Boolean,
+        minScore: Number,
+        highConfidenceScore: Number,
+        reviewScore: Number,
+        expertReviewScore: Number,
+        memoryAutoConfirm: Boolean,
+        highTrustConfirmCount: Number,
+        highTrustIgnoresConflict: Boolean,
+        verifiedMemoryHighTrust: Boolean,
+        blockOnConflict: Boolean,
+        maxPriceDeviation: Number,
+      },
+
+      // 要处理的工作表，未指定时只处理第一个工作表
+      sheets: [String],
+      allSheets: {
+        type: Boolean,
+        default: false,
+      },
+
+      // 列映射（标准字段 -> 文件列名），创建时确定
+      columnMapping: {
+        name: String,
+        price: String,
+        quantity: String,
+        unit: String,
+        supplier: String,
       },
-      autoConfirmThreshold: {
-        type: Number,
-        default: 90,
-        min: [0, "自动确认阈值不能小于0"],
-        max: [100, "自动确认阈值不能大于100"],
+      mappingProfileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ColumnMappingProfile",
+      },
+
+      // 差异模式：只匹配相对该任务新增或变化的行
+      diffBaseTaskId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "MatchingTask",
       },
 
       // 匹配策略
@@ -124,6 +164,13 @@ const MatchingTaskSchema = new mongoose.Schema(
         matching: Number, // 匹配耗时(ms)
         total: Number, // 总耗时(ms)
       },
+
+      // 差异模式的对比结果（行数）
+      diff: {
+        newRows: Number,
+        changedRows: Number,
+        unchangedRows: Number,
+      },
     },
 
     // 任务执行信息
@@ -133,6 +180,24 @@ const MatchingTaskSchema = new mongoose.Schema(
       error: String,
       retryCount: { type: Number, default: 0 },
       lastRetryAt: Date,
+      resumeCount: { type: Number, default: 0 },
+      lastResumedAt: Date,
+      pausedAt: Date,
+      cancelledAt: Date,
+
+      // 控制信号：处理循环在每行之间检查并响应
+      controlSignal: {
+        type: String,
+        enum: ["pause", "cancel"],
+      },
+
+      // 断点信息（按 metadata.source.row 记录处理位置）
+      checkpoint: {
+        lastSheet: String, // 最后处理的工作表
+        lastRow: Number, // 最后处理的原始行号
+        processedRows: { type: Number, default: 0 },
+        updatedAt: Date,
+      },
     },
 
     // 创建和分配信息
@@ -213,6 +278,16 @@ const MatchingTaskSchema = new mongoose.Schema(
         default: "normal",
       },
       description: String,
+      // 重复上传时指向内容相同的已有任务
+      duplicateOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "MatchingTask",
+      },
+      // 供应商名称，用于复用列映射配置（关联供应商时与供应商名称一致）
+      supplier: {
+        type: String,
+        trim: true,
+      },
     },
   },
   {
@@ -227,6 +302,7 @@ MatchingTaskSchema.index({ status: 1, createdAt: -1 })
 MatchingTaskSchema.index({ createdBy: 1, status: 1 })
 MatchingTaskSchema.index({ "assignedTo.user": 1, status: 1 })
 MatchingTaskSchema.index({ "metadata.priority": 1, createdAt: -1 })
+MatchingTaskSchema.index({ templateId: 1, fileHash: 1, createdAt: -1 })
 
 // 虚拟字段：完成百分比
 MatchingTaskSchema.virtual("completionPercentage").get(function () {
@@ -320,6 +396,40 @@ MatchingTaskSchema.methods.retry = function () {
   return this.save()
 }
 
+// 实例方法：从断点继续任务
+MatchingTaskSchema.methods.resume = function () {
+  this.execution.resumeCount += 1
+  this.execution.lastResumedAt = new Date()
+  this.execution.error = null
+  this.execution.completedAt = null
+  this.execution.controlSignal = undefined
+  this.status = "processing"
+  return this.save()
+}
+
+// 实例方法：暂停任务
+MatchingTaskSchema.methods.pause = function () {
+  this.status = "paused"
+  this.execution.pausedAt = new Date()
+  this.execution.controlSignal = undefined
+  return this.save()
+}
+
+// 实例方法：取消任务（保留已生成的记录）
+MatchingTaskSchema.methods.cancel = function () {
+  this.status = "cancelled"
+  this.execution.cancelledAt = new Date()
+  this.execution.completedAt = new Date()
+  this.execution.controlSignal = undefined
+
+  if (this.execution.startedAt) {
+    this.statistics.processingTime.total =
+      this.execution.completedAt.getTime() - this.execution.startedAt.getTime()
+  }
+
+  return this.save()
+}
+
 // 实例方法：分配审核员
 MatchingTaskSchema.methods.assignReviewer = function (
   userId,
@@ -0,0 +1,213 @@
+/**
+ * 批发价格历史数据模型 - 记录每次确认匹配时的批发报价
+ */
+const mongoose = require("mongoose")
+
+// 走势按本地日期分组
+const TREND_TIMEZONE = "Asia/Shanghai"
+
+const PriceHistorySchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "商品ID不能为空"],
+    },
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProductTemplate",
+    },
+
+    // 按商品价格单位换算后的价格
+    price: {
+      type: Number,
+      required: [true, "价格不能为空"],
+      min: [0, "价格不能为负数"],
+    },
+    unit: {
+      type: String,
+      trim: true,
+      default: "元/条",
+    },
+
+    // 批发文件中的原始报价
+    originalPrice: Number,
+    originalUnit: {
+      type: String,
+      trim: true,
+    },
+
+    wholesaleName: {
+      type: String,
+      trim: true,
+    },
+    supplier: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+    },
+
+    // 来源
+    source: {
+      type: String,
+      enum: ["matching", "manual", "import"],
+      default: "matching",
+    },
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MatchingTask",
+    },
+    recordId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MatchingRecord",
+    },
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // 报价时间（确认时间）
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+)
+
+PriceHistorySchema.index({ productId: 1, recordedAt: -1 })
+PriceHistorySchema.index({ productId: 1, supplier: 1, recordedAt: -1 })
+PriceHistorySchema.index({ supplierId: 1, recordedAt: -1 })
+// 同一匹配记录只保留最近一次确认的价格
+PriceHistorySchema.index(
+  { recordId: 1 },
+  { unique: true, partialFilterExpression: { recordId: { $exists: true } } }
+)
+
+// 按供应商分组的键：关联了供应商的记录按 supplierId，旧记录按供应商名称
+const SUPPLIER_GROUP_KEY = { $ifNull: ["$supplierId", "$supplier"] }
+
+// 分组键为 ObjectId 时即为 supplierId
+const SUPPLIER_ID_FROM_KEY = {
+  $cond: [{ $eq: [{ $type: "$_id" }, "objectId"] }, "$_id", null],
+}
+
+// 构建查询条件
+PriceHistorySchema.statics.buildQuery = function (
+  productId,
+  { from, to, supplier, supplierId } = {}
+) {
+  const query = { productId: new mongoose.Types.ObjectId(productId) }
+
+  if (from || to) {
+    query.recordedAt = {}
+    if (from) query.recordedAt.$gte = new Date(from)
+    if (to) query.recordedAt.$lte = new Date(to)
+  }
+  if (supplier !== undefined) {
+    query.supplier = supplier
+  }
+  if (supplierId) {
+    query.supplierId = new mongoose.Types.ObjectId(supplierId)
+  }
+
+  return query
+}
+
+// 按供应商统计最低、平均、最高价
+PriceHistorySchema.statics.getSupplierStats = function (productId, filters) {
+  return this.aggregate([
+    { $match: this.buildQuery(productId, filters) },
+    { $sort: { recordedAt: -1 } },
+    {
+      $group: {
+        _id: SUPPLIER_GROUP_KEY,
+        supplier: { $first: "$supplier" },
+        count: { $sum: 1 },
+        minPrice: { $min: "$price" },
+        avgPrice: { $avg: "$price" },
+        maxPrice: { $max: "$price" },
+        latestPrice: { $first: "$price" },
+        latestAt: { $first: "$recordedAt" },
+        firstAt: { $last: "$recordedAt" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        supplierId: SUPPLIER_ID_FROM_KEY,
+        supplier: 1,
+        count: 1,
+        minPrice: 1,
+        avgPrice: { $round: ["$avgPrice", 2] },
+        maxPrice: 1,
+        latestPrice: 1,
+        latestAt: 1,
+        firstAt: 1,
+      },
+    },
+    { $sort: { latestAt: -1 } },
+  ])
+}
+
+// 按时间段统计价格走势
+PriceHistorySchema.statics.getTrend = function (
+  productId,
+  filters,
+  interval = "day"
+) {
+  const formats = { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m" }
+
+  return this.aggregate([
+    { $match: this.buildQuery(productId, filters) },
+    { $sort: { recordedAt: -1 } },
+    {
+      $group: {
+        _id: {
+          period: {
+            $dateToString: {
+              format: formats[interval] || formats.day,
+              date: "$recordedAt",
+              timezone: TREND_TIMEZONE,
+            },
+          },
+          supplier: SUPPLIER_GROUP_KEY,
+        },
+        supplier: { $first: "$supplier" },
+        minPrice: { $min: "$price" },
+        avgPrice: { $avg: "$price" },
+        maxPrice: { $max: "$price" },
+        count: { $sum: 1 },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        period: "$_id.period",
+        supplierId: {
+          $cond: [
+            { $eq: [{ $type: "$_id.supplier" }, "objectId"] },
+            "$_id.supplier",
+            null,
+          ],
+        },
+        supplier: 1,
+        minPrice: 1,
+        avgPrice: { $round: ["$avgPrice", 2] },
+        maxPrice: 1,
+        count: 1,
+      },
+    },
+    { $sort: { period: 1, supplier: 1 } },
+  ])
+}
+
+const PriceHistory = mongoose.model("PriceHistory", PriceHistorySchema)
+
+module.exports = PriceHistory
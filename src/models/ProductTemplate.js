@@ -2,6 +2,7 @@
  * 商品模板数据模型
  */
 const mongoose = require("mongoose")
+const { resolveAutoConfirmPolicy } = require("../utils/matching-algorithm")
 
 const productTemplateSchema = new mongoose.Schema(
   {
@@ -56,6 +57,27 @@ const productTemplateSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // 自动确认策略，默认值与 utils/matching-algorithm.js 中 DEFAULT_AUTO_CONFIRM_POLICY 一致
+      // minScore/reviewScore/expertReviewScore 未设置时取 matchingThresholds 中对应的阈值
+      autoConfirmPolicy: {
+        enabled: { type: Boolean, default: true },
+        minScore: { type: Number, min: 0, max: 100 },
+        highConfidenceScore: { type: Number, default: 90, min: 0, max: 100 },
+        reviewScore: { type: Number, min: 0, max: 100 },
+        expertReviewScore: { type: Number, min: 0, max: 100 },
+        memoryAutoConfirm: { type: Boolean, default: true },
+        highTrustConfirmCount: { type: Number, default: 3, min: 1 },
+        highTrustIgnoresConflict: { type: Boolean, default: true },
+        verifiedMemoryHighTrust: { type: Boolean, default: true },
+        blockOnConflict: { type: Boolean, default: true },
+        maxPriceDeviation: { type: Number, default: null, min: 0 },
+      },
+      // 匹配引擎名称，见 utils/matching-algorithm.js 中注册的引擎
+      matchingEngine: {
+        type: String,
+        default: "default",
+        trim: true,
+      },
     },
 
     // 统计信息
@@ -131,6 +153,20 @@ productTemplateSchema.methods.updateStatistics = async function () {
   return this.save()
 }
 
+// 获取生效的自动确认策略，策略中未设置的分数阈值取 matchingThresholds
+productTemplateSchema.methods.getAutoConfirmPolicy = function () {
+  const { autoConfirmPolicy: policy = {}, matchingThresholds = {} } =
+    this.toObject().settings || {}
+
+  return resolveAutoConfirmPolicy({
+    ...policy,
+    minScore: policy.minScore ?? matchingThresholds.autoConfirm,
+    reviewScore: policy.reviewScore ?? matchingThresholds.manualReview,
+    expertReviewScore:
+      policy.expertReviewScore ?? matchingThresholds.expertReview,
+  })
+}
+
 // 静态方法：获取默认模板
 productTemplateSchema.statics.getDefaultTemplate = async function () {
   let defaultTemplate = await this.findOne({ isDefault: true, isActive: true })
@@ -0,0 +1,191 @@
+/**
+ * 供应商数据模型
+ */
+const mongoose = require("mongoose")
+
+const SupplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "供应商名称不能为空"],
+      unique: true,
+      trim: true,
+      maxlength: [100, "供应商名称不能超过100个字符"],
+    },
+    code: {
+      type: String,
+      trim: true,
+      sparse: true,
+      unique: true,
+    },
+    // 别名，用于关联批发文件中的供应商文本
+    aliases: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+
+    contact: {
+      person: { type: String, trim: true },
+      phone: { type: String, trim: true },
+      email: { type: String, trim: true, lowercase: true },
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "备注不能超过500个字符"],
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+)
+
+SupplierSchema.index({ aliases: 1 })
+SupplierSchema.index({ isActive: 1, name: 1 })
+
+// 按名称或别名查找供应商
+SupplierSchema.statics.findByName = function (name) {
+  const text = (name || "").trim()
+  if (!text) return null
+  return this.findOne({ $or: [{ name: text }, { aliases: text }] })
+}
+
+// 供应商统计：任务数、匹配率、平均置信度、人工审核率、价格竞争力
+SupplierSchema.statics.getStatistics = async function (
+  supplierId,
+  dateRange = {}
+) {
+  const MatchingTask = mongoose.model("MatchingTask")
+  const MatchingRecord = mongoose.model("MatchingRecord")
+  const PriceHistory = mongoose.model("PriceHistory")
+
+  const id = new mongoose.Types.ObjectId(supplierId)
+  const taskQuery = { supplierId: id }
+  const priceQuery = { supplierId: id }
+  if (dateRange.start || dateRange.end) {
+    const range = {}
+    if (dateRange.start) range.$gte = new Date(dateRange.start)
+    if (dateRange.end) range.$lte = new Date(dateRange.end)
+    taskQuery.createdAt = range
+    priceQuery.recordedAt = range
+  }
+
+  const taskIds = await MatchingTask.find(taskQuery).distinct("_id")
+
+  const [records] = await MatchingRecord.aggregate([
+    { $match: { taskId: { $in: taskIds } } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        confirmed: {
+          $sum: { $cond: [{ $eq: ["$status", "confirmed"] }, 1, 0] },
+        },
+        // 系统自动确认（其余记录都需要人工处理）
+        autoConfirmed: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$status", "confirmed"] },
+                  { $in: ["$selectedMatch.matchType", ["auto", "memory"]] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+        exception: {
+          $sum: { $cond: [{ $eq: ["$status", "exception"] }, 1, 0] },
+        },
+        avgConfidence: { $avg: "$selectedMatch.confidence" },
+      },
+    },
+  ])
+
+  const [prices] = await PriceHistory.aggregate([
+    { $match: priceQuery },
+    {
+      $lookup: {
+        from: "products",
+        localField: "productId",
+        foreignField: "_id",
+        as: "product",
+      },
+    },
+    { $unwind: "$product" },
+    { $match: { "product.pricing.companyPrice": { $gt: 0 } } },
+    {
+      $project: {
+        // 相对公司价的偏差百分比，负数表示低于公司价
+        diffPercent: {
+          $multiply: [
+            {
+              $divide: [
+                { $subtract: ["$price", "$product.pricing.companyPrice"] },
+                "$product.pricing.companyPrice",
+              ],
+            },
+            100,
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        compared: { $sum: 1 },
+        avgDiffPercent: { $avg: "$diffPercent" },
+        belowCompanyPrice: {
+          $sum: { $cond: [{ $lt: ["$diffPercent", 0] }, 1, 0] },
+        },
+        aboveCompanyPrice: {
+          $sum: { $cond: [{ $gt: ["$diffPercent", 0] }, 1, 0] },
+        },
+      },
+    },
+  ])
+
+  const total = records?.total || 0
+  const rate = (count) => (total > 0 ? Math.round((count / total) * 100) : 0)
+  const round = (value) =>
+    value === null || value === undefined ? null : Math.round(value * 10) / 10
+
+  return {
+    taskCount: taskIds.length,
+    recordCount: total,
+    matchRate: rate(records?.confirmed || 0),
+    autoConfirmRate: rate(records?.autoConfirmed || 0),
+    manualReviewRate: rate(total - (records?.autoConfirmed || 0)),
+    exceptionRate: rate(records?.exception || 0),
+    avgConfidence: round(records?.avgConfidence),
+    price: {
+      compared: prices?.compared || 0,
+      avgDiffPercent: round(prices?.avgDiffPercent),
+      belowCompanyPrice: prices?.belowCompanyPrice || 0,
+      aboveCompanyPrice: prices?.aboveCompanyPrice || 0,
+    },
+  }
+}
+
+const Supplier = mongoose.model("Supplier", SupplierSchema)
+
+module.exports = Supplier
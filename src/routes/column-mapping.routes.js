@@ -0,0 +1,123 @@
+/**
+ * 列映射配置路由
+ */
+const express = require("express")
+const {
+  detectColumnMapping,
+  getColumnMappingProfiles,
+  getColumnMappingProfileById,
+  createColumnMappingProfile,
+  updateColumnMappingProfile,
+  deleteColumnMappingProfile,
+} = require("../controllers/column-mapping.controller")
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/auth.middleware")
+const { validateRequest } = require("../middleware/validation.middleware")
+const {
+  uploadSingle,
+  handleUploadError,
+} = require("../middleware/upload.middleware")
+
+const router = express.Router()
+
+const idParams = require("joi").object({
+  id: require("joi")
+    .string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required(),
+})
+
+const mappingSchema = require("joi").object({
+  name: require("joi").string().required(),
+  price: require("joi").string().allow(""),
+  quantity: require("joi").string().allow(""),
+  unit: require("joi").string().allow(""),
+  supplier: require("joi").string().allow(""),
+})
+
+// 上传文件识别列映射（不保存文件）
+router.post(
+  "/detect",
+  authenticateToken,
+  authorize("matching.create"),
+  uploadSingle,
+  handleUploadError,
+  validateRequest({
+    body: require("joi").object({
+      supplier: require("joi").string().trim().max(100).allow(""),
+      sheets: require("joi").array().items(require("joi").string()).single(),
+      allSheets: require("joi").boolean(),
+    }),
+  }),
+  detectColumnMapping
+)
+
+// 获取列映射配置列表
+router.get(
+  "/",
+  authenticateToken,
+  authorize("matching.read"),
+  validateRequest({
+    query: require("joi").object({
+      supplier: require("joi").string().trim().allow(""),
+    }),
+  }),
+  getColumnMappingProfiles
+)
+
+// 获取列映射配置详情
+router.get(
+  "/:id",
+  authenticateToken,
+  authorize("matching.read"),
+  validateRequest({ params: idParams }),
+  getColumnMappingProfileById
+)
+
+// 创建列映射配置
+router.post(
+  "/",
+  authenticateToken,
+  authorize("matching.create"),
+  validateRequest({
+    body: require("joi").object({
+      name: require("joi").string().trim().min(1).max(100).required(),
+      supplier: require("joi").string().trim().max(100).allow("").default(""),
+      mapping: mappingSchema.required(),
+      // 文件表头，用于自动识别相同格式的文件
+      headers: require("joi").array().items(require("joi").string()),
+    }),
+  }),
+  createColumnMappingProfile
+)
+
+// 更新列映射配置
+router.put(
+  "/:id",
+  authenticateToken,
+  authorize("matching.create"),
+  validateRequest({
+    params: idParams,
+    body: require("joi").object({
+      name: require("joi").string().trim().min(1).max(100),
+      supplier: require("joi").string().trim().max(100).allow(""),
+      mapping: mappingSchema,
+      headers: require("joi").array().items(require("joi").string()),
+      isActive: require("joi").boolean(),
+    }),
+  }),
+  updateColumnMappingProfile
+)
+
+// 删除列映射配置
+router.delete(
+  "/:id",
+  authenticateToken,
+  authorize("matching.create"),
+  validateRequest({ params: idParams }),
+  deleteColumnMappingProfile
+)
+
+module.exports = router
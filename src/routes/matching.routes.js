@@ -5,6 +5,15 @@ const express = require("express")
 const {
   createMatchingTask,
   executeMatchingTask,
+  createTaskEventsToken,
+  previewMatching,
+  matchOne,
+  getMatchingEngines,
+  streamTaskEvents,
+  pauseMatchingTask,
+  cancelMatchingTask,
+  resumeMatchingTask,
+  rematchMatchingTask,
   getMatchingTasks,
   getMatchingTaskById,
   getPendingReviews,
@@ -23,8 +32,13 @@ const {
 const {
   authenticateToken,
   authorize,
+  authenticateStreamToken,
 } = require("../middleware/auth.middleware")
-const { validateRequest } = require("../middleware/validation.middleware")
+const {
+  validateRequest,
+  JsonJoi,
+} = require("../middleware/validation.middleware")
+const { getEngines } = require("../utils/matching-algorithm")
 const {
   uploadSingle,
   handleUploadError,
@@ -36,6 +50,14 @@ const router = express.Router()
  * 任务管理路由
  */
 
+// 获取可用的匹配引擎
+router.get(
+  "/engines",
+  authenticateToken,
+  authorize("matching.read"),
+  getMatchingEngines
+)
+
 // 获取匹配任务列表
 router.get(
   "/tasks",
@@ -57,18 +79,144 @@ router.post(
         .string()
         .pattern(/^[0-9a-fA-F]{24}$/)
         .required(),
-      threshold: require("joi").number().min(0).max(100).default(40),
-      autoConfirmThreshold: require("joi").number().min(0).max(100).default(65),
       description: require("joi").string().max(500).allow(""),
       priority: require("joi")
         .string()
         .valid("low", "normal", "high", "urgent")
         .default("normal"),
+      engine: require("joi")
+        .string()
+        .valid(...getEngines().map((engine) => engine.name)),
+      // multipart 表单中以 JSON 字符串或 weights[name]=… 形式传递
+      weights: JsonJoi.object({
+        name: require("joi").number().min(0).max(1),
+        brand: require("joi").number().min(0).max(1),
+        keywords: require("joi").number().min(0).max(1),
+        package: require("joi").number().min(0).max(1),
+        price: require("joi").number().min(0).max(1),
+      }),
+      strategies: JsonJoi.object({
+        brandPriority: require("joi").boolean(),
+        keywordMatching: require("joi").boolean(),
+        packageTypeRecognition: require("joi").boolean(),
+        priceValidation: require("joi").boolean(),
+        fuzzyMatching: require("joi").boolean(),
+      }),
+      supplier: require("joi").string().trim().max(100).allow(""),
+      // 关联的供应商，指定后以供应商名称作为 supplier
+      supplierId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/),
+      // 列映射（标准字段 -> 文件列名），不传时复用供应商配置或自动识别
+      // multipart 表单中以 JSON 字符串或 columnMapping[name]=… 形式传递
+      columnMapping: JsonJoi.object({
+        name: require("joi").string().required(),
+        price: require("joi").string(),
+        quantity: require("joi").string(),
+        unit: require("joi").string(),
+        supplier: require("joi").string(),
+      }),
+      mappingProfileId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/),
+      // 要处理的工作表（可重复传递），allSheets 为 true 时处理全部工作表
+      sheets: require("joi").array().items(require("joi").string()).single(),
+      allSheets: require("joi").boolean(),
+      // 以该名称保存本次使用的列映射，供同一供应商后续任务复用
+      saveMappingProfile: require("joi").string().trim().max(100),
+      // 同一模板下重复上传相同文件时：提示（默认）、复用之前的任务或继续创建
+      onDuplicate: require("joi")
+        .string()
+        .valid("warn", "reuse", "create")
+        .default("warn"),
+      // 差异模式：只匹配相对上次上传新增或报价变化的行
+      diffMode: require("joi").boolean(),
+      // 对比的任务，不传时使用同一供应商最近一次完成的任务
+      diffBaseTaskId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/),
     }),
   }),
   createMatchingTask
 )
 
+// 预览匹配结果（上传文件，不保存记录）
+router.post(
+  "/preview",
+  authenticateToken,
+  authorize("matching.create"),
+  uploadSingle,
+  handleUploadError,
+  validateRequest({
+    body: require("joi").object({
+      templateId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required(),
+      // 不传时匹配全部行
+      sampleSize: require("joi").number().integer().min(1).max(10000),
+      engine: require("joi")
+        .string()
+        .valid(...getEngines().map((engine) => engine.name)),
+      weights: JsonJoi.object({
+        name: require("joi").number().min(0).max(1),
+        brand: require("joi").number().min(0).max(1),
+        keywords: require("joi").number().min(0).max(1),
+        package: require("joi").number().min(0).max(1),
+        price: require("joi").number().min(0).max(1),
+      }),
+      strategies: JsonJoi.object({
+        brandPriority: require("joi").boolean(),
+        keywordMatching: require("joi").boolean(),
+        packageTypeRecognition: require("joi").boolean(),
+        priceValidation: require("joi").boolean(),
+        fuzzyMatching: require("joi").boolean(),
+      }),
+      supplier: require("joi").string().trim().max(100).allow(""),
+      // 列映射（标准字段 -> 文件列名），不传时复用供应商配置或自动识别
+      // multipart 表单中以 JSON 字符串或 columnMapping[name]=… 形式传递
+      columnMapping: JsonJoi.object({
+        name: require("joi").string().required(),
+        price: require("joi").string(),
+        quantity: require("joi").string(),
+        unit: require("joi").string(),
+        supplier: require("joi").string(),
+      }),
+      mappingProfileId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/),
+      // 要处理的工作表（可重复传递），allSheets 为 true 时处理全部工作表
+      sheets: require("joi").array().items(require("joi").string()).single(),
+      allSheets: require("joi").boolean(),
+    }),
+  }),
+  previewMatching
+)
+
+// 单条批发名称即时匹配
+router.post(
+  "/match-one",
+  authenticateToken,
+  authorize("matching.read"),
+  validateRequest({
+    body: require("joi").object({
+      name: require("joi").string().trim().min(1).max(200).required(),
+      price: require("joi").number().min(0),
+      // 价格单位（支/包/条/件），不传时使用默认批发单位
+      unit: require("joi").string().trim().max(10),
+      templateId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required(),
+      engine: require("joi")
+        .string()
+        .valid(...getEngines().map((engine) => engine.name)),
+      limit: require("joi").number().integer().min(1).max(10).default(10),
+    }),
+  }),
+  matchOne
+)
+
 // 获取匹配任务详情
 router.get(
   "/tasks/:id",
@@ -85,6 +233,39 @@ router.get(
   getMatchingTaskById
 )
 
+// 签发任务事件订阅令牌
+router.post(
+  "/tasks/:id/events/token",
+  authenticateToken,
+  authorize("matching.read"),
+  validateRequest({
+    params: require("joi").object({
+      id: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required(),
+    }),
+  }),
+  createTaskEventsToken
+)
+
+// 订阅匹配任务处理事件（SSE）
+// EventSource 无法设置请求头，通过 ?token= 传递上面签发的订阅令牌
+router.get(
+  "/tasks/:id/events",
+  authenticateStreamToken,
+  authorize("matching.read"),
+  validateRequest({
+    params: require("joi").object({
+      id: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required(),
+    }),
+  }),
+  streamTaskEvents
+)
+
 // 执行匹配任务
 router.post(
   "/tasks/:id/execute",
@@ -101,6 +282,79 @@ router.post(
   executeMatchingTask
 )
 
+// 暂停匹配任务
+router.post(
+  "/tasks/:id/pause",
+  authenticateToken,
+  authorize("matching.execute"),
+  validateRequest({
+    params: require("joi").object({
+      id: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required(),
+    }),
+  }),
+  pauseMatchingTask
+)
+
+// 取消匹配任务
+router.post(
+  "/tasks/:id/cancel",
+  authenticateToken,
+  authorize("matching.execute"),
+  validateRequest({
+    params: require("joi").object({
+      id: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required(),
+    }),
+  }),
+  cancelMatchingTask
+)
+
+// 从断点继续执行匹配任务
+router.post(
+  "/tasks/:id/resume",
+  authenticateToken,
+  authorize("matching.execute"),
+  validateRequest({
+    params: require("joi").object({
+      id: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required(),
+    }),
+  }),
+  resumeMatchingTask
+)
+
+// 按当前商品库重新匹配未确认的记录（已确认的记录不受影响）
+router.post(
+  "/tasks/:id/rematch",
+  authenticateToken,
+  authorize("matching.review"),
+  validateRequest({
+    params: require("joi").object({
+      id: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required(),
+    }),
+    body: require("joi").object({
+      statuses: require("joi")
+        .array()
+        .items(
+          require("joi").string().valid("pending", "rejected", "exception")
+        )
+        .min(1)
+        .default(["pending", "rejected", "exception"]),
+    }),
+  }),
+  rematchMatchingTask
+)
+
 // 删除匹配任务
 router.delete(
   "/tasks/:id",
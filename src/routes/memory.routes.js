@@ -3,7 +3,19 @@
  */
 const express = require("express")
 const router = express.Router()
-const { authenticateToken: auth } = require("../middleware/auth.middleware")
+const {
+  authenticateToken: auth,
+  authorize,
+  requireRole,
+} = require("../middleware/auth.middleware")
+const {
+  validateRequest,
+  JsonJoi,
+} = require("../middleware/validation.middleware")
+const {
+  uploadSingle,
+  handleUploadError,
+} = require("../middleware/upload.middleware")
 const {
   getMemories,
   getMemoryById,
@@ -13,6 +25,14 @@ const {
   cleanupDuplicateMemories,
   getMemoryStatistics,
   clearAllMemories,
+  exportMemories,
+  importMemories,
+  getMemoryConflicts,
+  resolveMemoryConflict,
+  getVerificationQueue,
+  verifyMemory,
+  getMemoryAnalytics,
+  demoteMemories,
 } = require("../controllers/memory.controller")
 
 // 获取记忆列表
@@ -27,6 +47,139 @@ router.post("/cleanup", auth, cleanupMemories)
 // 清理重复记忆
 router.post("/cleanup-duplicates", auth, cleanupDuplicateMemories)
 
+// 导出记忆（JSON/Excel，商品以条码/盒码标识）
+router.get(
+  "/export",
+  auth,
+  authorize("matching.review"),
+  validateRequest({
+    query: require("joi").object({
+      templateId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/),
+      status: require("joi")
+        .string()
+        .valid("active", "deprecated", "conflicted", "all")
+        .default("active"),
+      format: require("joi").string().valid("json", "excel").default("json"),
+    }),
+  }),
+  exportMemories
+)
+
+// 导入记忆（上传 Excel 或提交 JSON entries）
+router.post(
+  "/import",
+  auth,
+  authorize("matching.review"),
+  uploadSingle,
+  handleUploadError,
+  validateRequest({
+    body: require("joi").object({
+      templateId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required(),
+      // 同名记忆已存在时：跳过、覆盖或合并确认次数
+      mode: require("joi")
+        .string()
+        .valid("skip", "overwrite", "merge")
+        .default("skip"),
+      // JSON 导入：导出文件中的 entries（multipart 表单中以 JSON 字符串传递）
+      entries: JsonJoi.array().items(require("joi").object().unknown()),
+    }),
+  }),
+  importMemories
+)
+
+// 冲突记忆列表（同名指向不同商品或存在冲突报告）
+router.get(
+  "/conflicts",
+  auth,
+  authorize("matching.review"),
+  validateRequest({
+    query: require("joi").object({
+      templateId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/),
+      page: require("joi").number().integer().min(1).default(1),
+      limit: require("joi").number().integer().min(1).max(100).default(20),
+    }),
+  }),
+  getMemoryConflicts
+)
+
+// 处理记忆冲突：选定胜出记忆，废弃同组其他记忆
+router.post(
+  "/conflicts/resolve",
+  auth,
+  authorize("matching.review"),
+  validateRequest({
+    body: require("joi").object({
+      winnerId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required(),
+      note: require("joi").string().trim().max(500).allow(""),
+    }),
+  }),
+  resolveMemoryConflict
+)
+
+// 专家审核队列（未验证的常用记忆，按使用次数排序）
+router.get(
+  "/verification-queue",
+  auth,
+  requireRole(["admin", "reviewer"]),
+  validateRequest({
+    query: require("joi").object({
+      templateId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/),
+      minUsage: require("joi").number().integer().min(0).default(1),
+      page: require("joi").number().integer().min(1).default(1),
+      limit: require("joi").number().integer().min(1).max(100).default(20),
+    }),
+  }),
+  getVerificationQueue
+)
+
+// 记忆使用分析（成功率最低的记忆）
+router.get(
+  "/analytics",
+  auth,
+  requireRole(["admin", "reviewer"]),
+  validateRequest({
+    query: require("joi").object({
+      templateId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/),
+      minSamples: require("joi").number().integer().min(1),
+      limit: require("joi").number().integer().min(1).max(100).default(20),
+    }),
+  }),
+  getMemoryAnalytics
+)
+
+// 按成功率降权/废弃记忆（dryRun 只预览）
+router.post(
+  "/analytics/demote",
+  auth,
+  requireRole(["admin", "reviewer"]),
+  validateRequest({
+    body: require("joi").object({
+      templateId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/),
+      minSamples: require("joi").number().integer().min(1),
+      demoteBelow: require("joi").number().min(0).max(100),
+      deprecateBelow: require("joi").number().min(0).max(100),
+      dryRun: require("joi").boolean().default(false),
+    }),
+  }),
+  demoteMemories
+)
+
 // 清空所有记忆（危险操作，仅用于测试）- 放在动态路由前面
 router.delete("/clear-all", auth, clearAllMemories)
 
@@ -36,6 +189,39 @@ router.get("/:id", auth, getMemoryById)
 // 更新记忆
 router.patch("/:id", auth, updateMemory)
 
+// 专家审核记忆：approve 通过、edit 修改后通过、reject 驳回
+router.post(
+  "/:id/verify",
+  auth,
+  requireRole(["admin", "reviewer"]),
+  validateRequest({
+    params: require("joi").object({
+      id: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required(),
+    }),
+    body: require("joi").object({
+      action: require("joi")
+        .string()
+        .valid("approve", "edit", "reject")
+        .required(),
+      qualityScore: require("joi").number().integer().min(1).max(5),
+      note: require("joi").string().trim().max(500).allow(""),
+      confirmedProductId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .when("action", { is: "edit", otherwise: require("joi").forbidden() }),
+      confidence: require("joi")
+        .number()
+        .min(0)
+        .max(100)
+        .when("action", { is: "edit", otherwise: require("joi").forbidden() }),
+    }),
+  }),
+  verifyMemory
+)
+
 // 删除记忆
 router.delete("/:id", auth, deleteMemory)
 
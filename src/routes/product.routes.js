@@ -5,6 +5,7 @@ const express = require("express")
 const {
   getProducts,
   getProductById,
+  getProductPriceHistory,
   createProduct,
   updateProduct,
   updateProductStatus,
@@ -126,6 +127,29 @@ router.get(
   getProductById
 )
 
+// 获取商品批发价格历史
+router.get(
+  "/:id/price-history",
+  authenticateToken,
+  authorize("price.read"),
+  validateRequest({
+    ...objectIdSchema,
+    query: require("joi").object({
+      from: require("joi").date().iso(),
+      to: require("joi").date().iso(),
+      supplier: require("joi").string().trim().allow(""),
+      supplierId: require("joi").string().hex().length(24),
+      interval: require("joi")
+        .string()
+        .valid("day", "week", "month")
+        .default("day"),
+      page: require("joi").number().integer().min(1).default(1),
+      limit: require("joi").number().integer().min(1).max(200).default(50),
+    }),
+  }),
+  getProductPriceHistory
+)
+
 /**
  * 修改路由
  */
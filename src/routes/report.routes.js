@@ -0,0 +1,35 @@
+/**
+ * 报表路由
+ */
+const express = require("express")
+const { getPriceComparison } = require("../controllers/report.controller")
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/auth.middleware")
+const { validateRequest } = require("../middleware/validation.middleware")
+
+const router = express.Router()
+
+// 跨供应商比价（基于已确认的匹配记录）
+router.get(
+  "/price-comparison",
+  authenticateToken,
+  authorize("report.read"),
+  validateRequest({
+    query: require("joi").object({
+      templateId: require("joi")
+        .string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required(),
+      brand: require("joi").string().trim().max(50),
+      category: require("joi").string().trim().max(50),
+      from: require("joi").date().iso(),
+      to: require("joi").date().iso(),
+      format: require("joi").string().valid("json", "excel").default("json"),
+    }),
+  }),
+  getPriceComparison
+)
+
+module.exports = router
@@ -0,0 +1,122 @@
+/**
+ * 供应商管理路由
+ */
+const express = require("express")
+const {
+  getSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getSupplierStatistics,
+} = require("../controllers/supplier.controller")
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/auth.middleware")
+const { validateRequest } = require("../middleware/validation.middleware")
+
+const router = express.Router()
+
+const idParams = require("joi").object({
+  id: require("joi")
+    .string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required(),
+})
+
+const contactSchema = require("joi").object({
+  person: require("joi").string().trim().max(50).allow(""),
+  phone: require("joi").string().trim().max(30).allow(""),
+  email: require("joi").string().email().allow(""),
+})
+
+// 获取供应商列表
+router.get(
+  "/",
+  authenticateToken,
+  authorize("matching.read"),
+  validateRequest({
+    query: require("joi").object({
+      page: require("joi").number().integer().min(1).default(1),
+      limit: require("joi").number().integer().min(1).max(100).default(20),
+      search: require("joi").string().trim().max(100).allow(""),
+      isActive: require("joi").string().valid("true", "false").allow(""),
+    }),
+  }),
+  getSuppliers
+)
+
+// 获取供应商统计（任务数、匹配率、平均置信度、人工审核率、价格竞争力）
+router.get(
+  "/:id/statistics",
+  authenticateToken,
+  authorize("report.read"),
+  validateRequest({
+    params: idParams,
+    query: require("joi").object({
+      start: require("joi").date().iso(),
+      end: require("joi").date().iso(),
+    }),
+  }),
+  getSupplierStatistics
+)
+
+// 获取供应商详情
+router.get(
+  "/:id",
+  authenticateToken,
+  authorize("matching.read"),
+  validateRequest({ params: idParams }),
+  getSupplierById
+)
+
+// 创建供应商
+router.post(
+  "/",
+  authenticateToken,
+  authorize("matching.create"),
+  validateRequest({
+    body: require("joi").object({
+      name: require("joi").string().trim().min(1).max(100).required(),
+      code: require("joi").string().trim().max(50),
+      aliases: require("joi").array().items(require("joi").string().trim()),
+      contact: contactSchema,
+      address: require("joi").string().trim().max(200).allow(""),
+      notes: require("joi").string().max(500).allow(""),
+      isActive: require("joi").boolean(),
+    }),
+  }),
+  createSupplier
+)
+
+// 更新供应商
+router.put(
+  "/:id",
+  authenticateToken,
+  authorize("matching.create"),
+  validateRequest({
+    params: idParams,
+    body: require("joi").object({
+      name: require("joi").string().trim().min(1).max(100),
+      code: require("joi").string().trim().max(50),
+      aliases: require("joi").array().items(require("joi").string().trim()),
+      contact: contactSchema,
+      address: require("joi").string().trim().max(200).allow(""),
+      notes: require("joi").string().max(500).allow(""),
+      isActive: require("joi").boolean(),
+    }),
+  }),
+  updateSupplier
+)
+
+// 删除供应商（已关联任务的供应商只能停用）
+router.delete(
+  "/:id",
+  authenticateToken,
+  authorize("matching.create"),
+  validateRequest({ params: idParams }),
+  deleteSupplier
+)
+
+module.exports = router
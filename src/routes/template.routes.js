@@ -19,6 +19,7 @@ const {
   authorize,
 } = require("../middleware/auth.middleware")
 const { validateRequest } = require("../middleware/validation.middleware")
+const { getEngines } = require("../utils/matching-algorithm")
 
 const router = express.Router()
 
@@ -82,8 +83,40 @@ router.post(
               expertReview: require("joi").number().min(0).max(100).default(15),
             })
             .default(),
+          autoConfirmPolicy: require("joi")
+            .object({
+              enabled: require("joi").boolean().default(true),
+              // 分数阈值不设置时取 matchingThresholds
+              minScore: require("joi").number().min(0).max(100),
+              highConfidenceScore: require("joi")
+                .number()
+                .min(0)
+                .max(100)
+                .default(90),
+              reviewScore: require("joi").number().min(0).max(100),
+              expertReviewScore: require("joi").number().min(0).max(100),
+              memoryAutoConfirm: require("joi").boolean().default(true),
+              highTrustConfirmCount: require("joi")
+                .number()
+                .integer()
+                .min(1)
+                .default(3),
+              highTrustIgnoresConflict: require("joi").boolean().default(true),
+              verifiedMemoryHighTrust: require("joi").boolean().default(true),
+              blockOnConflict: require("joi").boolean().default(true),
+              maxPriceDeviation: require("joi")
+                .number()
+                .min(0)
+                .allow(null)
+                .default(null),
+            })
+            .default(),
           priceValidation: require("joi").boolean().default(true),
           allowCrossTemplateSearch: require("joi").boolean().default(false),
+          matchingEngine: require("joi")
+            .string()
+            .valid(...getEngines().map((engine) => engine.name))
+            .default("default"),
         })
         .default(),
     }),
@@ -113,8 +146,24 @@ router.put(
           manualReview: require("joi").number().min(0).max(100),
           expertReview: require("joi").number().min(0).max(100),
         }),
+        autoConfirmPolicy: require("joi").object({
+          enabled: require("joi").boolean(),
+          minScore: require("joi").number().min(0).max(100),
+          highConfidenceScore: require("joi").number().min(0).max(100),
+          reviewScore: require("joi").number().min(0).max(100),
+          expertReviewScore: require("joi").number().min(0).max(100),
+          memoryAutoConfirm: require("joi").boolean(),
+          highTrustConfirmCount: require("joi").number().integer().min(1),
+          highTrustIgnoresConflict: require("joi").boolean(),
+          verifiedMemoryHighTrust: require("joi").boolean(),
+          blockOnConflict: require("joi").boolean(),
+          maxPriceDeviation: require("joi").number().min(0).allow(null),
+        }),
         priceValidation: require("joi").boolean(),
         allowCrossTemplateSearch: require("joi").boolean(),
+        matchingEngine: require("joi")
+          .string()
+          .valid(...getEngines().map((engine) => engine.name)),
       }),
       isActive: require("joi").boolean(),
     }),
@@ -0,0 +1,224 @@
+/**
+ * 列映射服务
+ * 识别批发文件的表头与标准字段的对应关系，并按供应商复用已保存的映射配置
+ */
+
+const ColumnMappingProfile = require("../models/ColumnMappingProfile")
+const ExcelParser = require("../utils/excel-parser")
+const { logger } = require("../utils/logger")
+const {
+  BusinessError,
+  NotFoundError,
+} = require("../middleware/error.middleware")
+const matchingTaskService = require("./matching-task.service")
+
+const excelParser = new ExcelParser()
+
+// 预览时返回的样例行数
+const SAMPLE_ROW_COUNT = 5
+
+class ColumnMappingService {
+  /**
+   * 解析上传文件并返回识别的映射和样例行，供用户确认或修改
+   * @param {Object} options
+   * @param {String} options.filePath 上传文件路径
+   * @param {String} options.originalFilename 原始文件名
+   * @param {String} options.supplier 供应商名称，用于查找已保存的配置
+   * @param {Array} options.sheets 要处理的工作表
+   * @param {Boolean} options.allSheets 是否处理全部工作表
+   */
+  async inspectFile({
+    filePath,
+    originalFilename,
+    supplier,
+    sheets,
+    allSheets,
+  }) {
+    const rows = await matchingTaskService.parseUploadedFile(
+      filePath,
+      originalFilename,
+      { sheets, allSheets }
+    )
+    if (rows.length === 0) {
+      throw new BusinessError("文件内容为空")
+    }
+
+    const headers = this.getHeaders(rows)
+    const detectedMapping = this.detectMapping(headers)
+    const { mapping, profile, source } = await this.resolveMapping({
+      headers,
+      supplier,
+    })
+
+    return {
+      sheets: matchingTaskService.listSheets(filePath, originalFilename),
+      headers,
+      totalRows: rows.length,
+      detectedMapping,
+      mapping,
+      source,
+      profile: profile && {
+        id: profile._id,
+        name: profile.name,
+        supplier: profile.supplier,
+      },
+      sampleRows: rows
+        .slice(0, SAMPLE_ROW_COUNT)
+        .map(({ sheet, row, data }) => {
+          const { rawData, ...originalData } =
+            matchingTaskService.buildOriginalData(data, mapping)
+          return { sheet, row, rawData, originalData }
+        }),
+    }
+  }
+
+  /**
+   * 为上传文件确定列映射
+   * @param {Object} options 文件信息、工作表选项 { sheets, allSheets } 及 resolveMapping 的参数
+   * @returns {Object} { mapping, profile, source, headers }
+   */
+  async resolveForFile({
+    filePath,
+    originalFilename,
+    sheets,
+    allSheets,
+    ...options
+  }) {
+    const rows = await matchingTaskService.parseUploadedFile(
+      filePath,
+      originalFilename,
+      { sheets, allSheets }
+    )
+    const headers = this.getHeaders(rows)
+    const resolved = await this.resolveMapping({ headers, ...options })
+
+    return { ...resolved, headers }
+  }
+
+  /**
+   * 确定任务使用的列映射：手动指定 > 指定配置 > 自动复用的配置 > 自动识别
+   * @returns {Object} { mapping, profile, source: manual/profile/detected }
+   */
+  async resolveMapping({ headers, supplier, columnMapping, mappingProfileId }) {
+    if (columnMapping) {
+      this.validateMapping(columnMapping, headers)
+      return { mapping: columnMapping, profile: null, source: "manual" }
+    }
+
+    let profile = null
+    if (mappingProfileId) {
+      profile = await ColumnMappingProfile.findById(mappingProfileId)
+      if (!profile) {
+        throw new NotFoundError("列映射配置")
+      }
+      this.validateMapping(profile.mapping, headers)
+    } else {
+      profile = await ColumnMappingProfile.findForUpload({ supplier, headers })
+    }
+
+    if (profile) {
+      return {
+        mapping: this.pickMapping(profile.mapping),
+        profile,
+        source: "profile",
+      }
+    }
+
+    const mapping = this.detectMapping(headers)
+    if (!mapping.name) {
+      throw new BusinessError(
+        "无法识别商品名称列，请手动指定列映射",
+        400,
+        "COLUMN_MAPPING_REQUIRED"
+      )
+    }
+
+    return { mapping, profile: null, source: "detected" }
+  }
+
+  /**
+   * 按列名自动识别映射
+   */
+  detectMapping(headers) {
+    const sampleRow = Object.fromEntries(headers.map((header) => [header, ""]))
+    return this.pickMapping(excelParser.detectColumnMapping(sampleRow))
+  }
+
+  /**
+   * 检查映射的列是否存在于文件中
+   */
+  validateMapping(mapping, headers) {
+    if (!mapping?.name) {
+      throw new BusinessError("必须指定商品名称列")
+    }
+
+    const available = new Set(headers)
+    const missing = ColumnMappingProfile.MAPPING_FIELDS.filter(
+      (field) => mapping[field] && !available.has(mapping[field])
+    ).map((field) => mapping[field])
+
+    if (missing.length > 0) {
+      throw new BusinessError(`文件中不存在列: ${missing.join("、")}`)
+    }
+  }
+
+  /**
+   * 保存或更新供应商的映射配置（同供应商同名称视为同一配置）
+   */
+  async saveProfile({ name, supplier = "", mapping, headers, userId }) {
+    const profile = await ColumnMappingProfile.findOneAndUpdate(
+      { supplier, name },
+      {
+        $set: {
+          mapping: this.pickMapping(mapping),
+          headerSignature: ColumnMappingProfile.buildHeaderSignature(headers),
+          isActive: true,
+        },
+        $setOnInsert: { createdBy: userId },
+      },
+      { new: true, upsert: true, runValidators: true }
+    )
+
+    logger.info("列映射配置已保存", {
+      profileId: profile._id,
+      name,
+      supplier,
+    })
+
+    return profile
+  }
+
+  /**
+   * 获取文件的全部列名（部分行可能缺少空单元格对应的键）
+   * @param {Array<{sheet, data}>} rows parseUploadedFile 的解析结果
+   */
+  getHeaders(rows) {
+    const headers = new Set()
+    const seenSheets = new Map()
+
+    // 每个工作表取前20行
+    for (const { sheet, data } of rows) {
+      const count = seenSheets.get(sheet) || 0
+      if (count >= 20) continue
+      seenSheets.set(sheet, count + 1)
+      Object.keys(data).forEach((key) => headers.add(key))
+    }
+    return [...headers]
+  }
+
+  /**
+   * 仅保留支持的标准字段
+   */
+  pickMapping(mapping = {}) {
+    const picked = {}
+    for (const field of ColumnMappingProfile.MAPPING_FIELDS) {
+      if (mapping[field]) picked[field] = mapping[field]
+    }
+    return picked
+  }
+}
+
+// 导出单例
+const columnMappingService = new ColumnMappingService()
+
+module.exports = columnMappingService
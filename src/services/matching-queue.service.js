@@ -0,0 +1,338 @@
+/**
+ * 匹配任务队列服务
+ * 基于 Bull 的持久化任务队列；Redis 不可用时退化为进程内执行
+ */
+
+const Queue = require("bull")
+const config = require("../config/env")
+const { logger } = require("../utils/logger")
+const MatchingTask = require("../models/MatchingTask")
+const matchingTaskService = require("./matching-task.service")
+
+const QUEUE_NAME = "matching-tasks"
+
+class MatchingQueueService {
+  constructor() {
+    this.queue = null
+    this.isInitialized = false
+    this.useBull = false
+    // 进程内模式下已接收（执行中或等待中）的任务
+    this.localJobs = new Set()
+    this.localWaiting = []
+    this.localRunning = 0
+  }
+
+  /**
+   * 初始化队列
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      logger.warn("匹配任务队列已初始化，跳过重复初始化")
+      return
+    }
+
+    if (config.REDIS_ENABLED) {
+      try {
+        this.queue = new Queue(QUEUE_NAME, {
+          redis: {
+            host: config.REDIS_HOST,
+            port: config.REDIS_PORT,
+            password: config.REDIS_PASSWORD,
+            db: config.REDIS_DB,
+          },
+          defaultJobOptions: {
+            attempts: config.MATCHING_QUEUE.maxRetries + 1,
+            backoff: {
+              type: "fixed",
+              delay: config.MATCHING_QUEUE.backoffDelay,
+            },
+            removeOnComplete: 100,
+            removeOnFail: 500,
+          },
+        })
+
+        await this.waitUntilReady()
+
+        this.queue.process(config.MATCHING_QUEUE.concurrency, (job) =>
+          this.runJob(job.data.taskId, job.attemptsMade)
+        )
+        this.setupEventListeners()
+        this.useBull = true
+
+        logger.info("匹配任务队列初始化完成", {
+          queue: QUEUE_NAME,
+          concurrency: config.MATCHING_QUEUE.concurrency,
+          maxRetries: config.MATCHING_QUEUE.maxRetries,
+        })
+      } catch (error) {
+        logger.warn(
+          `匹配任务队列连接失败，将在进程内执行任务: ${error.message}`
+        )
+        await this.closeQueue()
+      }
+    } else {
+      logger.info("Redis已禁用，匹配任务将在进程内执行")
+    }
+
+    this.isInitialized = true
+  }
+
+  /**
+   * 等待队列连接就绪（带超时）
+   */
+  waitUntilReady(timeout = 5000) {
+    let timer
+    return Promise.race([
+      this.queue.isReady(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error("连接Redis超时")), timeout)
+      }),
+    ]).finally(() => clearTimeout(timer))
+  }
+
+  /**
+   * 设置事件监听器
+   */
+  setupEventListeners() {
+    this.queue.on("failed", (job, error) => {
+      const willRetry = job.attemptsMade < job.opts.attempts
+      logger.error("匹配任务执行失败", {
+        taskId: job.data.taskId,
+        attemptsMade: job.attemptsMade,
+        willRetry,
+        error: error.message,
+      })
+    })
+
+    this.queue.on("stalled", (job) => {
+      logger.warn("匹配任务处理中断，将由队列重新调度", {
+        taskId: job.data.taskId,
+      })
+    })
+
+    this.queue.on("error", (error) => {
+      logger.error("匹配任务队列错误:", { error: error.message })
+    })
+  }
+
+  /**
+   * 将任务加入队列
+   * 任务需已调用 start() 处于 processing 状态
+   */
+  async enqueue(taskId) {
+    const id = taskId.toString()
+
+    if (this.useBull) {
+      if (await this.isTaskQueued(id)) return
+
+      // 以任务ID作为jobId，避免同一任务被重复入队
+      await this.queue.add({ taskId: id }, { jobId: id })
+      logger.info("匹配任务已加入队列", { taskId: id })
+      return
+    }
+
+    this.runLocally(id)
+  }
+
+  /**
+   * 进程内执行任务（带并发限制和重试）
+   */
+  runLocally(taskId, attemptsMade = 0) {
+    if (attemptsMade === 0 && this.localJobs.has(taskId)) return
+
+    this.localJobs.add(taskId)
+
+    if (this.localRunning >= config.MATCHING_QUEUE.concurrency) {
+      this.localWaiting.push({ taskId, attemptsMade })
+      return
+    }
+
+    this.localRunning++
+
+    this.runJob(taskId, attemptsMade)
+      .then(() => this.localJobs.delete(taskId))
+      .catch((error) => {
+        if (attemptsMade < config.MATCHING_QUEUE.maxRetries) {
+          logger.warn("匹配任务执行失败，稍后重试", {
+            taskId,
+            attemptsMade: attemptsMade + 1,
+            error: error.message,
+          })
+          setTimeout(
+            () => this.runLocally(taskId, attemptsMade + 1),
+            config.MATCHING_QUEUE.backoffDelay
+          )
+        } else {
+          this.localJobs.delete(taskId)
+          logger.error("匹配任务执行失败，已达最大重试次数", {
+            taskId,
+            error: error.message,
+          })
+        }
+      })
+      .finally(() => {
+        this.localRunning--
+        const next = this.localWaiting.shift()
+        if (next) {
+          this.localJobs.delete(next.taskId)
+          this.runLocally(next.taskId, next.attemptsMade)
+        }
+      })
+  }
+
+  /**
+   * 执行单次任务
+   * @param {String} taskId 任务ID
+   * @param {Number} attemptsMade 已失败的执行次数
+   */
+  async runJob(taskId, attemptsMade = 0) {
+    const task = await MatchingTask.findById(taskId)
+    if (!task) {
+      logger.warn("匹配任务不存在，跳过执行", { taskId })
+      return
+    }
+
+    if (["paused", "cancelled"].includes(task.status)) {
+      logger.info("匹配任务已暂停或取消，跳过执行", {
+        taskId,
+        status: task.status,
+      })
+      return
+    }
+
+    if (attemptsMade > 0) {
+      // 重试前重置任务状态，并记录重试次数
+      await task.retry()
+      await task.start()
+      logger.info("匹配任务重试", {
+        taskId,
+        retryCount: task.execution.retryCount,
+      })
+    }
+
+    await matchingTaskService.processTask(taskId)
+  }
+
+  /**
+   * 恢复因进程崩溃或重启而中断的任务
+   */
+  async recoverOrphanedTasks() {
+    if (!this.shouldRunOnCurrentInstance()) return
+
+    const orphanedTasks = await MatchingTask.find({ status: "processing" })
+    if (orphanedTasks.length === 0) return
+
+    let recovered = 0
+
+    for (const task of orphanedTasks) {
+      const taskId = task._id.toString()
+
+      try {
+        if (await this.isTaskQueued(taskId)) continue
+
+        if (task.execution.retryCount >= config.MATCHING_QUEUE.maxRetries) {
+          await task.fail("任务执行中断，已达最大重试次数")
+          logger.warn("中断的匹配任务已标记为失败", { taskId })
+          continue
+        }
+
+        await task.retry()
+        await task.start()
+        await this.enqueue(taskId)
+        recovered++
+      } catch (error) {
+        logger.error("恢复匹配任务失败", { taskId, error: error.message })
+      }
+    }
+
+    logger.info("中断的匹配任务恢复完成", {
+      found: orphanedTasks.length,
+      recovered,
+    })
+  }
+
+  /**
+   * 检查任务是否仍在队列中等待或执行
+   */
+  async isTaskQueued(taskId) {
+    if (!this.useBull) return this.localJobs.has(taskId)
+
+    const job = await this.queue.getJob(taskId)
+    if (!job) return false
+
+    const state = await job.getState()
+    if (["waiting", "active", "delayed", "paused"].includes(state)) {
+      return true
+    }
+
+    // 已完成或失败的job需要移除，才能以相同jobId重新入队
+    await job.remove()
+    return false
+  }
+
+  /**
+   * 判断当前进程是否负责恢复中断任务
+   */
+  shouldRunOnCurrentInstance() {
+    const instanceId = process.env.INSTANCE_ID
+    const pmId = process.env.pm_id
+
+    return (
+      (instanceId === undefined || instanceId === "0") &&
+      (pmId === undefined || pmId === "0")
+    )
+  }
+
+  /**
+   * 关闭队列连接
+   */
+  async closeQueue() {
+    if (!this.queue) return
+
+    try {
+      await this.queue.close()
+    } catch (error) {
+      logger.error("关闭匹配任务队列失败:", { error: error.message })
+    } finally {
+      this.queue = null
+      this.useBull = false
+    }
+  }
+
+  /**
+   * 停止队列
+   */
+  async close() {
+    await this.closeQueue()
+    this.isInitialized = false
+    logger.info("匹配任务队列已关闭")
+  }
+
+  /**
+   * 获取队列状态
+   */
+  async getStatus() {
+    const status = {
+      initialized: this.isInitialized,
+      mode: this.useBull ? "bull" : "in_process",
+      concurrency: config.MATCHING_QUEUE.concurrency,
+      maxRetries: config.MATCHING_QUEUE.maxRetries,
+    }
+
+    if (this.useBull) {
+      status.jobs = await this.queue.getJobCounts()
+    } else {
+      status.jobs = {
+        active: this.localRunning,
+        waiting: this.localWaiting.length,
+      }
+    }
+
+    return status
+  }
+}
+
+// 导出单例
+const matchingQueueService = new MatchingQueueService()
+
+module.exports = matchingQueueService
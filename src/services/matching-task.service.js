@@ -0,0 +1,1568 @@
+/**
+ * 匹配任务处理服务
+ * 负责解析上传文件、逐行匹配、自动确认以及任务进度统计，由匹配任务队列调用
+ */
+
+const xlsx = require("xlsx")
+const csv = require("csv-parser")
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const config = require("../config/env")
+const MatchingTask = require("../models/MatchingTask")
+const MatchingRecord = require("../models/MatchingRecord")
+const MatchingMemory = require("../models/MatchingMemory")
+const Product = require("../models/Product")
+const ProductTemplate = require("../models/ProductTemplate")
+const PriceHistory = require("../models/PriceHistory")
+const { logger } = require("../utils/logger")
+const { BusinessError } = require("../middleware/error.middleware")
+const {
+  createEngine,
+  resolveAutoConfirmPolicy,
+} = require("../utils/matching-algorithm")
+const { readWorksheet } = require("../utils/worksheet-reader")
+const {
+  toProductUnit,
+  normalizeUnit,
+  normalizeWholesaleUnit,
+  resolveWholesaleUnit,
+} = require("../utils/unit-converter")
+const taskEventsService = require("./task-events.service")
+const priceAnomalyService = require("./price-anomaly.service")
+
+// 仅用于文本标准化和相似度计算的引擎实例
+const textEngine = createEngine("default", { unitFactors: config.PRICE_UNITS })
+
+class MatchingTaskService {
+  /**
+   * 加载模板商品，创建匹配引擎并构建候选索引
+   * @param {Object} options
+   * @param {String} options.templateId 商品模板ID
+   * @param {String} options.engine 引擎名称，未指定时使用模板设置
+   */
+  async prepareMatching({ templateId, engine }) {
+    const products = await Product.find({ templateId, isActive: true }).lean()
+
+    if (products.length === 0) {
+      throw new BusinessError("商品库为空，请先添加商品数据")
+    }
+
+    const matchingEngine = await this.createEngine(
+      { templateId, engine },
+      products
+    )
+    const candidateIndex = matchingEngine.buildIndex(products)
+
+    return { matchingEngine, candidateIndex }
+  }
+
+  /**
+   * 更新记忆成功率，失败时只记录日志，不影响匹配和审核流程
+   * @param {Object} record 匹配记录
+   * @param {String} action confirm/reject
+   * @param {Object} options { productId, userId }
+   */
+  async trackMemoryOutcome(record, action, options = {}) {
+    try {
+      return await MatchingMemory.trackRecordOutcome(record, action, options)
+    } catch (error) {
+      logger.error("记忆成功率更新失败", {
+        recordId: record._id,
+        action,
+        error: error.message,
+      })
+      return null
+    }
+  }
+
+  /**
+   * 创建匹配引擎
+   * 指定的引擎优先，其次使用模板设置，均未指定时使用默认引擎
+   */
+  async createEngine({ templateId, engine }, products) {
+    let engineName = engine
+
+    if (!engineName) {
+      const template = await ProductTemplate.findById(templateId)
+        .select("settings.matchingEngine")
+        .lean()
+      engineName = template?.settings?.matchingEngine
+    }
+
+    return createEngine(engineName, {
+      unitFactors: config.PRICE_UNITS,
+      brands: [...new Set(products.map((p) => p.brand).filter(Boolean))],
+      memoryLookup: (normalizedName, { templateId }) =>
+        MatchingMemory.findMatching(normalizedName, {
+          limit: 3,
+          minConfidence: 60,
+          includeDeprecated: false,
+          templateId,
+        }),
+    })
+  }
+
+  /**
+   * 异步处理匹配任务 - 新算法
+   * 由匹配任务队列调用，失败时抛出错误以便队列重试
+   */
+  async processTask(taskId) {
+    const task = await MatchingTask.findById(taskId)
+    if (!task) return
+
+    try {
+      logger.info("开始处理匹配任务", {
+        taskId,
+        retryCount: task.execution.retryCount,
+        checkpoint: task.execution.checkpoint?.lastRow || 0,
+      })
+
+      // 断点续跑：已生成记录的行（工作表 + 行号）直接跳过，避免重复创建
+      const processedRows = new Set(
+        (
+          await MatchingRecord.find(
+            { taskId: task._id },
+            { "metadata.source.sheet": 1, "metadata.source.row": 1 }
+          ).lean()
+        ).map(({ metadata }) =>
+          this.getSourceKey(metadata?.source?.sheet, metadata?.source?.row)
+        )
+      )
+      if (processedRows.size > 0) {
+        logger.info("从断点继续处理匹配任务", {
+          taskId,
+          skippedRows: processedRows.size,
+        })
+      }
+
+      // 1. 解析文件
+      let rawData = await this.parseUploadedFile(
+        task.filePath,
+        task.originalFilename,
+        { sheets: task.config?.sheets, allSheets: task.config?.allSheets }
+      )
+      logger.info("文件解析完成", { taskId, 解析条数: rawData.length })
+
+      // 差异模式：跳过与对比任务相同的行
+      if (task.config?.diffBaseTaskId) {
+        const diff = await this.diffAgainstTask(
+          rawData,
+          task.config.diffBaseTaskId,
+          task.config.columnMapping
+        )
+        rawData = diff.rows
+        task.statistics.diff = diff.summary
+        await task.save()
+        logger.info("差异模式对比完成", {
+          taskId,
+          baseTaskId: task.config.diffBaseTaskId,
+          ...diff.summary,
+        })
+      }
+
+      // 2-3. 获取商品库，按任务/模板配置创建引擎并构建候选索引
+      const { matchingEngine, candidateIndex } = await this.prepareMatching({
+        templateId: task.templateId,
+        engine: task.config?.engine,
+      })
+      logger.info("已创建匹配引擎并构建候选索引", {
+        taskId,
+        engine: matchingEngine.name,
+        brandCount: matchingEngine.brands.size,
+        productCount: candidateIndex.size,
+      })
+
+      // 评分使用任务配置中的权重和策略
+      const taskConfig = task.toObject().config || {}
+      const autoConfirmPolicy = resolveAutoConfirmPolicy(
+        taskConfig.autoConfirmPolicy
+      )
+
+      // 4. 更新任务进度
+      task.progress.totalItems = rawData.length
+      await task.updateProgress(task.progress)
+      await taskEventsService.publish(task._id, "status", {
+        status: task.status,
+        progress: task.progress,
+      })
+
+      // 5. 执行匹配
+      let processedCount = processedRows.size
+      let autoConfirmedCount =
+        processedRows.size > 0
+          ? await MatchingRecord.countDocuments({
+              taskId: task._id,
+              status: "confirmed",
+              "selectedMatch.matchType": { $in: ["auto", "memory"] },
+            })
+          : 0
+
+      for (const [
+        index,
+        { sheet, row, data: item, diffStatus },
+      ] of rawData.entries()) {
+        if (processedRows.has(this.getSourceKey(sheet, row))) continue
+
+        // 每行处理前检查暂停/取消信号
+        const signal = await this.getTaskControlSignal(task._id)
+        if (signal === "pause") {
+          await task.updateProgress(task.progress)
+          await task.pause()
+          await taskEventsService.publish(task._id, "status", {
+            status: task.status,
+            progress: task.progress,
+          })
+          logger.info("匹配任务已暂停", {
+            taskId,
+            processedCount,
+            checkpoint: task.execution.checkpoint?.lastRow || 0,
+          })
+          return
+        }
+        if (signal === "cancel") {
+          await this.recalculateTaskProgress(task)
+          await task.cancel()
+          this.removeTaskFile(task)
+          await taskEventsService.publish(task._id, "status", {
+            status: task.status,
+            progress: task.progress,
+            statistics: task.statistics,
+          })
+          logger.info("匹配任务已取消", {
+            taskId,
+            processedItems: task.progress.processedItems,
+            totalItems: task.progress.totalItems,
+          })
+          return
+        }
+
+        try {
+          // 创建匹配记录
+          const record = new MatchingRecord({
+            taskId: task._id,
+            originalData: this.buildOriginalData(
+              item,
+              taskConfig.columnMapping
+            ),
+            metadata: {
+              source: {
+                row,
+                sheet,
+                file: task.originalFilename,
+              },
+              diffStatus,
+            },
+          })
+
+          // 执行匹配 - 包含模板ID
+          const candidates = await matchingEngine.match(
+            record.originalData,
+            candidateIndex,
+            {
+              ...taskConfig,
+              templateId: task.templateId,
+            }
+          )
+
+          // 确保候选商品包含完整的商品信息
+          record.candidates = candidates.map((candidate) => ({
+            ...candidate,
+            name:
+              candidate.name || candidateIndex.get(candidate.productId)?.name,
+            brand:
+              candidate.brand || candidateIndex.get(candidate.productId)?.brand,
+          }))
+          await record.save()
+
+          // 自动确认逻辑 - 更激进
+          if (candidates.length > 0) {
+            const {
+              outcome,
+              rule,
+              blockedBy,
+              expertReview,
+              priceDeviation,
+              priceAnomaly,
+              bestCandidate,
+              bestScore,
+              hasConflict,
+            } = await this.decideMatch(candidates, {
+              matchingEngine,
+              policy: autoConfirmPolicy,
+              originalData: record.originalData,
+              productData: candidateIndex.get(candidates[0].productId),
+              taskId: task._id,
+            })
+
+            if (outcome === "auto_confirm") {
+              const matchType = bestCandidate.isMemoryMatch ? "memory" : "auto"
+              const note = bestCandidate.isMemoryMatch
+                ? `记忆匹配自动确认 (${
+                    bestCandidate.memorySource?.confirmCount || 0
+                  }次历史确认)`
+                : "系统自动确认"
+
+              record.selectedMatch = {
+                productId: bestCandidate.productId,
+                name:
+                  bestCandidate.name ||
+                  candidateIndex.get(bestCandidate.productId)?.name,
+                brand:
+                  bestCandidate.brand ||
+                  candidateIndex.get(bestCandidate.productId)?.brand,
+                confidence: bestScore,
+                score: bestScore,
+                confirmedBy: task.createdBy,
+                confirmedAt: new Date(),
+                note: note,
+                matchType: matchType,
+                isMemoryMatch: bestCandidate.isMemoryMatch || false,
+                autoConfirmRule: rule,
+              }
+              record.status = "confirmed"
+              // 注意：不要手动增加 confirmedItems，通过 updateProgress 自动计算
+              autoConfirmedCount++
+
+              await record.save()
+              await this.updateProductWholesalePrice(
+                record,
+                bestCandidate.productId,
+                {
+                  supplier: task.metadata?.supplier || "",
+                  supplierId: task.supplierId || null,
+                }
+              )
+
+              // 记忆建议被自动确认，计入记忆成功率（之后人工更改时会修正）
+              if (bestCandidate.isMemoryMatch) {
+                await this.trackMemoryOutcome(record, "confirm", {
+                  productId: bestCandidate.productId,
+                  userId: task.createdBy,
+                })
+              }
+
+              // 注释：自动确认不再学习到记忆库，改为完全手动学习模式
+              // 用户需要在确认后手动点击"学习到记忆库"按钮
+              logger.info("自动确认完成（未自动学习到记忆库）", {
+                recordId: record._id,
+                originalName: record.originalData.name,
+                productId: bestCandidate.productId,
+                matchType: matchType,
+                score: bestScore,
+                rule,
+                policy: autoConfirmPolicy,
+                note: "需要手动学习到记忆库",
+              })
+            } else if (outcome === "pending") {
+              // 降低审核阈值，让更多记录进入人工管理
+              record.status = "pending"
+              // 注意：不要手动增加 pendingItems，它会自动计算
+
+              // 修复：为待审核状态设置预选匹配，让用户能看到系统推荐
+              record.selectedMatch = {
+                productId: bestCandidate.productId,
+                name:
+                  bestCandidate.name ||
+                  candidateIndex.get(bestCandidate.productId)?.name,
+                brand:
+                  bestCandidate.brand ||
+                  candidateIndex.get(bestCandidate.productId)?.brand,
+                confidence: bestScore,
+                score: bestScore,
+                matchType: bestCandidate.isMemoryMatch ? "memory" : "auto",
+                isMemoryMatch: bestCandidate.isMemoryMatch || false,
+                source: "system_suggestion", // 标记为系统建议，非用户确认
+              }
+
+              if (hasConflict) {
+                record.exceptions.push({
+                  type: "duplicate_name",
+                  message: "该商品已关联其他批发名，需人工确认",
+                  severity: "low",
+                  createdAt: new Date(),
+                })
+              }
+
+              if (expertReview) {
+                record.priority = "high"
+                record.exceptions.push({
+                  type: "low_confidence",
+                  message: `匹配分数 (${bestScore}%) 低于人工审核阈值，需专家审核`,
+                  severity: "high",
+                  createdAt: new Date(),
+                })
+              }
+
+              if (blockedBy === "price_deviation") {
+                record.exceptions.push({
+                  type: "price_mismatch",
+                  message: `批发价与商品价格偏差 ${priceDeviation}%，超过策略上限 ${autoConfirmPolicy.maxPriceDeviation}%`,
+                  severity: "medium",
+                  createdAt: new Date(),
+                })
+              }
+
+              if (priceAnomaly) {
+                if (priceAnomaly.severity === "high") {
+                  record.priority = "high"
+                }
+                record.exceptions.push({
+                  type: "price_anomaly",
+                  message: priceAnomaly.message,
+                  severity: priceAnomaly.severity,
+                  createdAt: new Date(),
+                })
+              }
+
+              // 注释：高分匹配不再预先学习到记忆库，改为完全手动学习模式
+              // 即使是高分匹配，也需要用户手动学习到记忆库
+              if (bestScore >= 85 && !hasConflict) {
+                logger.info("高分匹配检测到（未自动学习到记忆库）", {
+                  recordId: record._id,
+                  originalName: record.originalData.name,
+                  productId: bestCandidate.productId,
+                  score: bestScore,
+                  note: "建议用户手动学习到记忆库",
+                })
+              }
+            } else {
+              record.status = "exception"
+              record.exceptions.push({
+                type: "low_confidence",
+                message: `匹配置信度过低 (${bestScore}%)`,
+                severity: "medium",
+                createdAt: new Date(),
+              })
+              // 注意：不要手动增加 exceptionItems，通过 updateProgress 自动计算
+            }
+
+            if (record.status !== "confirmed") {
+              await record.save()
+            }
+          } else {
+            // 无候选项直接标记为异常，不进入审核队列
+            record.status = "exception"
+            record.exceptions.push({
+              type: "no_candidates",
+              message: "未找到匹配候选项",
+              severity: "high",
+              createdAt: new Date(),
+            })
+            // 注意：不要手动增加 exceptionItems，通过 updateProgress 自动计算
+            await record.save()
+          }
+
+          processedCount++
+
+          // 实时更新进度 - 每处理一个记录都更新 processedItems
+          task.progress.processedItems = processedCount
+          task.execution.checkpoint = {
+            lastSheet: sheet,
+            lastRow: row,
+            processedRows: processedCount,
+            updatedAt: new Date(),
+          }
+
+          // 每处理5个记录或达到重要里程碑时保存进度，确保实时性
+          if (
+            processedCount % 5 === 0 ||
+            processedCount === task.progress.totalItems
+          ) {
+            await task.updateProgress(task.progress)
+            await taskEventsService.publish(task._id, "progress", {
+              progress: task.progress,
+              autoConfirmedCount,
+              checkpoint: task.execution.checkpoint,
+            })
+            logger.info("实时进度更新", {
+              taskId,
+              processedCount,
+              totalItems: task.progress.totalItems,
+              progressPercentage: Math.round(
+                (processedCount / task.progress.totalItems) * 100
+              ),
+            })
+          }
+        } catch (error) {
+          logger.error("处理匹配记录失败", {
+            taskId,
+            index,
+            error: error.message,
+          })
+          await taskEventsService.publish(task._id, "item_error", {
+            sheet,
+            row,
+            error: error.message,
+          })
+          // 注意：不要手动增加 exceptionItems，通过 updateProgress 自动计算
+        }
+      }
+
+      // 6. 完成任务 - 重新统计所有状态数量，确保数据准确
+      await this.recalculateTaskProgress(task)
+
+      const totalProcessed = task.progress.processedItems
+      const autoConfirmRate =
+        totalProcessed > 0
+          ? Math.round((autoConfirmedCount / totalProcessed) * 100)
+          : 0
+
+      // 最终进度计算 - 确保数据一致性
+      await this.updateTaskStatusAfterReview(taskId)
+      // 重新获取任务数据，因为updateTaskStatusAfterReview可能已经更新了进度
+      const updatedTask = await MatchingTask.findById(taskId)
+      // 所有行已处理完，未响应的控制信号不再有效
+      updatedTask.execution.controlSignal = undefined
+
+      // 更新任务状态
+      if (
+        updatedTask.progress.pendingItems > 0 ||
+        updatedTask.progress.exceptionItems > 0
+      ) {
+        updatedTask.status = "review"
+        await updatedTask.save()
+      } else {
+        await updatedTask.complete()
+      }
+
+      logger.info("匹配任务完成", {
+        taskId,
+        totalItems: updatedTask.progress.totalItems,
+        confirmedItems: updatedTask.progress.confirmedItems,
+        pendingItems: updatedTask.progress.pendingItems,
+        exceptionItems: updatedTask.progress.exceptionItems,
+        processedItems: updatedTask.progress.processedItems, // 添加正确的处理项数量
+        realProgress: Math.round(
+          (updatedTask.progress.processedItems /
+            updatedTask.progress.totalItems) *
+            100
+        ), // 真实进度
+        matchRate: updatedTask.statistics.matchRate,
+        autoConfirmRate,
+      })
+      await taskEventsService.publish(task._id, "complete", {
+        status: updatedTask.status,
+        progress: updatedTask.progress,
+        statistics: updatedTask.statistics,
+        autoConfirmedCount,
+        autoConfirmRate,
+      })
+      // 任务成功后清理临时文件；失败时保留文件以便重试
+      this.removeTaskFile(task)
+    } catch (error) {
+      logger.error("匹配任务执行失败", { taskId, error: error.message })
+      await task.fail(error.message)
+      await taskEventsService.publish(task._id, "status", {
+        status: task.status,
+        error: error.message,
+        retryCount: task.execution.retryCount,
+      })
+      throw error
+    }
+  }
+
+  /**
+   * 预览匹配结果，不写入匹配记录、商品批发价和记忆库
+   * @param {Object} options
+   * @param {String} options.filePath 上传文件路径
+   * @param {String} options.originalFilename 原始文件名
+   * @param {String} options.templateId 商品模板ID
+   * @param {Object} options.config 匹配配置（engine、weights、strategies、columnMapping、sheets、allSheets）
+   * @param {Number} options.sampleSize 抽样行数，不传时匹配全部行
+   */
+  async previewFile({
+    filePath,
+    originalFilename,
+    templateId,
+    config = {},
+    sampleSize,
+  }) {
+    const rawData = await this.parseUploadedFile(filePath, originalFilename, {
+      sheets: config.sheets,
+      allSheets: config.allSheets,
+    })
+    const { matchingEngine, candidateIndex } = await this.prepareMatching({
+      templateId,
+      engine: config.engine,
+    })
+
+    const rows = this.sampleRows(rawData, sampleSize)
+    const confirmedInRun = new Map()
+    const counts = {
+      auto_confirm: 0,
+      pending: 0,
+      exception: 0,
+      priceAnomaly: 0,
+    }
+    const histogram = Array.from({ length: 10 }, (_, i) => ({
+      range: `${i * 10}-${i === 9 ? 100 : i * 10 + 9}`,
+      count: 0,
+    }))
+    const items = []
+
+    for (const { sheet, row, data: item } of rows) {
+      const { rawData: _raw, ...originalData } = this.buildOriginalData(
+        item,
+        config.columnMapping
+      )
+      const candidates = await matchingEngine.match(
+        originalData,
+        candidateIndex,
+        { ...config, templateId }
+      )
+
+      let outcome = "exception"
+      let rule = null
+      let bestScore = 0
+      let priceAnomaly = null
+      if (candidates.length > 0) {
+        const decision = await this.decideMatch(candidates, {
+          matchingEngine,
+          policy: config.autoConfirmPolicy,
+          originalData,
+          productData: candidateIndex.get(candidates[0].productId),
+          confirmedInRun,
+        })
+        outcome = decision.outcome
+        rule = decision.rule
+        bestScore = decision.bestScore
+        priceAnomaly = decision.priceAnomaly
+
+        if (outcome === "auto_confirm") {
+          confirmedInRun.set(
+            decision.bestCandidate.productId.toString(),
+            originalData.name
+          )
+        }
+      }
+
+      counts[outcome]++
+      if (priceAnomaly) counts.priceAnomaly++
+      histogram[Math.min(9, Math.floor(bestScore / 10))].count++
+      items.push({
+        sheet,
+        row,
+        originalData,
+        outcome,
+        rule,
+        bestScore,
+        priceAnomaly,
+        candidates: candidates.slice(0, 3).map((candidate) => ({
+          productId: candidate.productId,
+          name: candidateIndex.get(candidate.productId)?.name,
+          brand: candidateIndex.get(candidate.productId)?.brand,
+          score: candidate.score,
+          confidence: candidate.confidence,
+          reasons: candidate.reasons,
+          isMemoryMatch: candidate.isMemoryMatch || false,
+        })),
+      })
+    }
+
+    const autoConfirmRate =
+      rows.length > 0 ? counts.auto_confirm / rows.length : 0
+
+    return {
+      engine: matchingEngine.name,
+      totalRows: rawData.length,
+      previewedRows: rows.length,
+      summary: {
+        autoConfirm: counts.auto_confirm,
+        pending: counts.pending,
+        exception: counts.exception,
+        priceAnomaly: counts.priceAnomaly,
+        autoConfirmRate: Math.round(autoConfirmRate * 100),
+        // 按抽样比例推算全部行的自动确认数量
+        expectedAutoConfirm: Math.round(autoConfirmRate * rawData.length),
+      },
+      histogram,
+      items,
+    }
+  }
+
+  /**
+   * 单条批发名称即时匹配，不创建任务也不保存记录
+   * @param {Object} options
+   * @param {String} options.name 批发名称
+   * @param {Number} options.price 批发价格（可选，用于价格评分）
+   * @param {String} options.unit 价格单位，不传时使用默认批发单位
+   * @param {String} options.templateId 商品模板ID
+   * @param {String} options.engine 匹配引擎，不传时使用模板设置
+   * @param {Number} options.limit 返回的候选数量
+   */
+  async matchOne({ name, price, unit, templateId, engine, limit = 10 }) {
+    const { matchingEngine, candidateIndex } = await this.prepareMatching({
+      templateId,
+      engine,
+    })
+
+    const originalData = {
+      name,
+      price: Number(price) || 0,
+      unit:
+        normalizeWholesaleUnit(unit) || config.PRICE_UNITS.defaultWholesaleUnit,
+    }
+    const normalizedName = matchingEngine.normalize(name)
+    const matchConfig = { templateId }
+
+    const [candidates, memoryHits] = await Promise.all([
+      matchingEngine.match(originalData, candidateIndex, matchConfig),
+      MatchingMemory.findMatching(normalizedName, {
+        limit: 5,
+        includeDeprecated: false,
+        templateId,
+      }),
+    ])
+
+    return {
+      query: { name, normalizedName, price: originalData.price },
+      engine: matchingEngine.name,
+      candidates: candidates.slice(0, limit).map((candidate) => {
+        const product = candidateIndex.get(candidate.productId)
+        let { score } = candidate
+
+        // 记忆候选只有记忆分，补充各项算法评分（原因已包含算法解释）
+        if (candidate.isMemoryMatch) {
+          score = {
+            ...matchingEngine.scoreComponents(
+              normalizedName,
+              matchingEngine.normalize(product.name),
+              originalData,
+              product,
+              matchConfig
+            ),
+            total: candidate.score.total,
+            memoryBonus: candidate.score.memoryBonus,
+          }
+        }
+
+        return {
+          rank: candidate.rank,
+          productId: candidate.productId,
+          product: {
+            name: product.name,
+            brand: product.brand,
+            productCode: product.productCode,
+            boxCode: product.boxCode,
+            pricing: product.pricing,
+          },
+          score,
+          confidence: candidate.confidence,
+          reasons: candidate.reasons,
+          isMemoryMatch: candidate.isMemoryMatch || false,
+        }
+      }),
+      memoryHits: memoryHits.map((memory) => ({
+        id: memory._id,
+        originalWholesaleName: memory.originalWholesaleName,
+        normalizedWholesaleName: memory.normalizedWholesaleName,
+        matchType: memory.matchType,
+        similarity: Math.round(memory.similarity),
+        product: memory.confirmedProductId,
+        confidence: memory.confidence,
+        confirmCount: memory.confirmCount,
+        trustScore: memory.trustScore,
+        lastConfirmedAt: memory.lastConfirmedAt,
+      })),
+    }
+  }
+
+  /**
+   * 从全部行中均匀抽样
+   * @param {Array<{sheet, row, data}>} rawData parseUploadedFile 的解析结果
+   */
+  sampleRows(rawData, sampleSize) {
+    if (!sampleSize || sampleSize >= rawData.length) return rawData
+
+    const step = rawData.length / sampleSize
+    return Array.from(
+      { length: sampleSize },
+      (_, i) => rawData[Math.floor(i * step)]
+    )
+  }
+
+  /**
+   * 按当前商品库和记忆库重新匹配任务中的未确认记录
+   * 已确认的记录不受影响；重新匹配的结果只作为系统建议，不自动确认
+   * @param {Object} task 匹配任务
+   * @param {Object} options
+   * @param {Array<String>} options.statuses 要重新匹配的记录状态（pending/rejected/exception）
+   * @param {String} options.userId 操作人
+   * @returns {Object} { total, suggested, exception, changed }
+   */
+  async rematchTask(task, { statuses, userId }) {
+    const records = await MatchingRecord.find({
+      taskId: task._id,
+      status: { $in: statuses.filter((status) => status !== "confirmed") },
+    })
+
+    const summary = {
+      total: records.length,
+      suggested: 0,
+      exception: 0,
+      changed: 0,
+    }
+    if (records.length === 0) return summary
+
+    const { matchingEngine, candidateIndex } = await this.prepareMatching({
+      templateId: task.templateId,
+      engine: task.config?.engine,
+    })
+    const taskConfig = task.toObject().config || {}
+    const autoConfirmPolicy = resolveAutoConfirmPolicy(
+      taskConfig.autoConfirmPolicy
+    )
+
+    for (const record of records) {
+      const previousStatus = record.status
+      const previousProductId = record.selectedMatch?.productId
+      const previousScore = record.selectedMatch?.score
+
+      let candidates = await matchingEngine.match(
+        record.originalData,
+        candidateIndex,
+        { ...taskConfig, templateId: task.templateId }
+      )
+      // 已被拒绝的商品不再作为建议
+      if (previousStatus === "rejected" && previousProductId) {
+        candidates = candidates.filter(
+          (candidate) =>
+            candidate.productId.toString() !== previousProductId.toString()
+        )
+      }
+
+      record.candidates = candidates.map((candidate) => ({
+        ...candidate,
+        name: candidate.name || candidateIndex.get(candidate.productId)?.name,
+        brand:
+          candidate.brand || candidateIndex.get(candidate.productId)?.brand,
+      }))
+
+      // 之前的异常随重新匹配失效
+      record.exceptions.forEach((exception) => {
+        if (!exception.resolvedAt) {
+          exception.resolvedAt = new Date()
+          exception.resolvedBy = userId
+        }
+      })
+
+      let decision = null
+      if (candidates.length > 0) {
+        decision = await this.decideMatch(candidates, {
+          matchingEngine,
+          policy: autoConfirmPolicy,
+          originalData: record.originalData,
+          productData: candidateIndex.get(candidates[0].productId),
+          taskId: task._id,
+        })
+      }
+
+      if (decision && decision.outcome !== "exception") {
+        const { bestCandidate, bestScore } = decision
+        record.status = "pending"
+        record.selectedMatch = {
+          productId: bestCandidate.productId,
+          name:
+            bestCandidate.name ||
+            candidateIndex.get(bestCandidate.productId)?.name,
+          brand:
+            bestCandidate.brand ||
+            candidateIndex.get(bestCandidate.productId)?.brand,
+          confidence: bestScore,
+          score: bestScore,
+          matchType: bestCandidate.isMemoryMatch ? "memory" : "auto",
+          isMemoryMatch: bestCandidate.isMemoryMatch || false,
+          source: "system_suggestion",
+        }
+        if (decision.hasConflict) {
+          record.exceptions.push({
+            type: "duplicate_name",
+            message: "该商品已关联其他批发名，需人工确认",
+            severity: "low",
+            createdAt: new Date(),
+          })
+        }
+        if (decision.expertReview) {
+          record.priority = "high"
+          record.exceptions.push({
+            type: "low_confidence",
+            message: `匹配分数 (${bestScore}%) 低于人工审核阈值，需专家审核`,
+            severity: "high",
+            createdAt: new Date(),
+          })
+        }
+        if (decision.blockedBy === "price_deviation") {
+          record.exceptions.push({
+            type: "price_mismatch",
+            message: `批发价与商品价格偏差 ${decision.priceDeviation}%，超过策略上限 ${autoConfirmPolicy.maxPriceDeviation}%`,
+            severity: "medium",
+            createdAt: new Date(),
+          })
+        }
+        if (decision.priceAnomaly) {
+          if (decision.priceAnomaly.severity === "high") {
+            record.priority = "high"
+          }
+          record.exceptions.push({
+            type: "price_anomaly",
+            message: decision.priceAnomaly.message,
+            severity: decision.priceAnomaly.severity,
+            createdAt: new Date(),
+          })
+        }
+        summary.suggested++
+      } else {
+        record.status = "exception"
+        record.selectedMatch = undefined
+        record.exceptions.push(
+          decision
+            ? {
+                type: "low_confidence",
+                message: `匹配置信度过低 (${decision.bestScore}%)`,
+                severity: "medium",
+                createdAt: new Date(),
+              }
+            : {
+                type: "no_candidates",
+                message: "未找到匹配候选项",
+                severity: "high",
+                createdAt: new Date(),
+              }
+        )
+        summary.exception++
+      }
+
+      const newProductId = record.selectedMatch?.productId
+      if (String(newProductId || "") !== String(previousProductId || "")) {
+        summary.changed++
+      }
+
+      record.addReviewHistory(
+        "rematch",
+        userId,
+        "按当前商品库重新匹配",
+        previousStatus,
+        record.status,
+        {
+          previousProductId,
+          previousScore,
+          newProductId,
+          newScore: record.selectedMatch?.score,
+          candidateCount: candidates.length,
+          engine: matchingEngine.name,
+        }
+      )
+      await record.save()
+    }
+
+    await this.updateTaskStatusAfterReview(task._id)
+
+    return summary
+  }
+
+  /**
+   * 计算上传文件的 SHA-256 哈希，用于检测重复上传
+   */
+  computeFileHash(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash("sha256")
+      fs.createReadStream(filePath)
+        .on("error", reject)
+        .on("data", (chunk) => hash.update(chunk))
+        .on("end", () => resolve(hash.digest("hex")))
+    })
+  }
+
+  /**
+   * 查找同一模板下内容相同的最近一个任务（忽略失败和已取消的任务）
+   */
+  findDuplicateTask(templateId, fileHash) {
+    return MatchingTask.findOne({
+      templateId,
+      fileHash,
+      status: { $nin: ["failed", "cancelled"] },
+    })
+      .sort({ createdAt: -1 })
+      .select("templateId originalFilename status progress createdAt createdBy")
+      .lean()
+  }
+
+  /**
+   * 查找差异模式的默认对比任务：同一模板、同一供应商最近一次已完成匹配的任务
+   * 未指定供应商时按原始文件名查找
+   */
+  findDiffBaseTask({ templateId, supplierId, supplier, originalFilename }) {
+    const query = { templateId, status: { $in: ["review", "completed"] } }
+    if (supplierId) query.supplierId = supplierId
+    else if (supplier) query["metadata.supplier"] = supplier
+    else query.originalFilename = originalFilename
+
+    return MatchingTask.findOne(query).sort({ createdAt: -1 }).lean()
+  }
+
+  /**
+   * 与对比任务的记录比较，只保留新增或报价变化的行
+   * 按批发名识别同一商品，价格或单位不同视为变化
+   * 对比任务中缺少单位或旧版本默认的"盒"按默认批发单位比较
+   * @param {Array<{sheet, row, data}>} rawData parseUploadedFile 的解析结果
+   * @param {String} baseTaskId 对比任务ID
+   * @param {Object} columnMapping 当前任务的列映射
+   * @returns {Object} { rows, summary: { newRows, changedRows, unchangedRows } }
+   */
+  async diffAgainstTask(rawData, baseTaskId, columnMapping) {
+    const normalizeName = (name) =>
+      String(name || "")
+        .trim()
+        .replace(/\s+/g, " ")
+    const getQuoteKey = ({ price, unit }) => {
+      const resolved = resolveWholesaleUnit(unit, config.PRICE_UNITS)
+      return `${Number(price) || 0}|${normalizeUnit(resolved) || resolved}`
+    }
+
+    const baseRecords = await MatchingRecord.find({ taskId: baseTaskId })
+      .select("originalData.name originalData.price originalData.unit")
+      .lean()
+    const baseQuotes = new Map()
+    for (const { originalData } of baseRecords) {
+      const name = normalizeName(originalData?.name)
+      if (!baseQuotes.has(name)) baseQuotes.set(name, new Set())
+      baseQuotes.get(name).add(getQuoteKey(originalData))
+    }
+
+    const summary = { newRows: 0, changedRows: 0, unchangedRows: 0 }
+    const rows = []
+    for (const entry of rawData) {
+      const originalData = this.buildOriginalData(entry.data, columnMapping)
+      const quotes = baseQuotes.get(normalizeName(originalData.name))
+
+      if (!quotes) {
+        summary.newRows++
+        rows.push({ ...entry, diffStatus: "new" })
+      } else if (!quotes.has(getQuoteKey(originalData))) {
+        summary.changedRows++
+        rows.push({ ...entry, diffStatus: "changed" })
+      } else {
+        summary.unchangedRows++
+      }
+    }
+
+    return { rows, summary }
+  }
+
+  /**
+   * 断点续跑时标识一行数据的键
+   */
+  getSourceKey(sheet, row) {
+    return `${sheet || ""}:${row}`
+  }
+
+  /**
+   * 从表格行中提取批发数据
+   * @param {Object} item 表格行
+   * @param {Object} columnMapping 标准字段 -> 列名，未映射的字段按常用列名查找
+   */
+  buildOriginalData(item, columnMapping = {}) {
+    const pick = (field, fallbacks) =>
+      columnMapping[field]
+        ? item[columnMapping[field]]
+        : fallbacks.map((key) => item[key]).find(Boolean)
+
+    // 解析价格
+    const priceValue = pick("price", ["price", "批发价格", "批发价"]) || 0
+    const parsedPrice =
+      typeof priceValue === "string"
+        ? parseFloat(priceValue.replace(/[^\d.]/g, ""))
+        : Number(priceValue)
+
+    return {
+      name: String(pick("name", ["批发名", "name", "商品名称"]) || "").trim(),
+      price: isNaN(parsedPrice) ? 0 : parsedPrice,
+      quantity: Number(pick("quantity", ["quantity", "数量"])) || 1,
+      unit:
+        normalizeWholesaleUnit(pick("unit", ["unit", "单位"])) ||
+        config.PRICE_UNITS.defaultWholesaleUnit,
+      supplier: pick("supplier", ["supplier", "供应商"]) || "",
+      rawData: item,
+    }
+  }
+
+  /**
+   * 根据候选项和自动确认策略判断处理结果：自动确认、待审核或异常
+   * @param {Array} candidates 排序后的候选项（非空）
+   * @param {Object} options
+   * @param {MatchingEngine} options.matchingEngine 执行策略判断的匹配引擎
+   * @param {Object} options.policy 自动确认策略
+   * @param {Object} options.originalData 批发数据
+   * @param {Object} options.productData 最佳候选商品，用于价格偏差检查
+   * @param {String} options.taskId 任务ID，用于任务内绑定冲突检查
+   * @param {Map} options.confirmedInRun 预览时本次已确认的商品（商品ID -> 批发名称），替代任务内检查
+   * @returns {Object} { outcome, rule, blockedBy, expertReview, priceDeviation, bestCandidate, bestScore, hasConflict }
+   */
+  async decideMatch(
+    candidates,
+    {
+      matchingEngine = textEngine,
+      policy,
+      originalData,
+      productData,
+      taskId,
+      confirmedInRun,
+    }
+  ) {
+    const bestCandidate = candidates[0]
+    const bestScore = bestCandidate.score.total
+
+    // 检查绑定冲突
+    const hasConflict = await this.hasProductBindingConflict(
+      bestCandidate.productId,
+      taskId,
+      originalData.name,
+      confirmedInRun
+    )
+
+    const decision = matchingEngine.evaluateAutoConfirm(
+      bestCandidate,
+      { hasConflict, originalData, productData },
+      policy
+    )
+
+    // 报价明显偏离商品价格时多为错误匹配，不允许自动确认
+    let priceAnomaly = null
+    if (decision.outcome !== "exception") {
+      priceAnomaly = await priceAnomalyService.check({
+        originalData,
+        productId: bestCandidate.productId,
+        product: productData,
+      })
+      if (priceAnomaly && decision.outcome === "auto_confirm") {
+        decision.outcome = "pending"
+        decision.rule = null
+        decision.blockedBy = "price_anomaly"
+      }
+    }
+
+    logger.debug("自动确认判断", {
+      originalName: originalData.name,
+      isMemoryMatch: bestCandidate.isMemoryMatch || false,
+      confirmCount: bestCandidate.memorySource?.confirmCount || 0,
+      hasConflict,
+      bestScore,
+      ...decision,
+      priceAnomaly: priceAnomaly?.severity,
+    })
+
+    return { ...decision, priceAnomaly, bestCandidate, bestScore, hasConflict }
+  }
+
+  /**
+   * 根据已生成的记录重新统计任务进度和匹配率
+   */
+  async recalculateTaskProgress(task) {
+    const [confirmed, rejected, pending, exception] = await Promise.all(
+      ["confirmed", "rejected", "pending", "exception"].map((status) =>
+        MatchingRecord.countDocuments({ taskId: task._id, status })
+      )
+    )
+
+    // 重新设置进度数据
+    task.progress.confirmedItems = confirmed
+    task.progress.rejectedItems = rejected
+    task.progress.pendingItems = pending
+    task.progress.exceptionItems = exception
+    // processedItems 应该是所有已处理的记录，包括所有状态
+    task.progress.processedItems = confirmed + rejected + pending + exception
+
+    await task.updateProgress(task.progress)
+
+    // 计算统计信息
+    const totalProcessed = task.progress.processedItems
+    const successfulMatches =
+      task.progress.confirmedItems + task.progress.pendingItems
+    task.statistics.matchRate =
+      totalProcessed > 0
+        ? Math.round((successfulMatches / totalProcessed) * 100)
+        : 0
+
+    await task.updateStatistics(task.statistics)
+  }
+
+  /**
+   * 读取任务当前的控制信号（暂停/取消）
+   */
+  async getTaskControlSignal(taskId) {
+    const current = await MatchingTask.findById(taskId)
+      .select("execution.controlSignal")
+      .lean()
+    return current?.execution?.controlSignal
+  }
+
+  /**
+   * 清理任务上传的临时文件
+   */
+  removeTaskFile(task) {
+    try {
+      if (task?.filePath && fs.existsSync(task.filePath)) {
+        fs.unlinkSync(task.filePath)
+      }
+    } catch (cleanupError) {
+      logger.warn("清理临时文件失败", { error: cleanupError.message })
+    }
+  }
+
+  /**
+   * 解析上传的文件
+   * @param {String} filePath 文件路径
+   * @param {String} filename 原始文件名
+   * @param {Object} options 工作表选项 { sheets, allSheets }，默认只读取第一个工作表
+   * @returns {Array<{sheet, row, data}>} sheet 为工作表名（CSV 为 null），row 为文件中的真实行号
+   */
+  async parseUploadedFile(filePath, filename, options = {}) {
+    const fileExtension = path.extname(filename).toLowerCase()
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`文件不存在: ${filePath}`)
+    }
+
+    try {
+      if (fileExtension === ".xlsx" || fileExtension === ".xls") {
+        return this.parseExcelFile(filePath, options)
+      } else if (fileExtension === ".csv") {
+        return this.parseCSVFile(filePath)
+      } else {
+        throw new Error("不支持的文件格式")
+      }
+    } catch (error) {
+      logger.error("文件解析失败", { filePath, filename, error: error.message })
+      throw error
+    }
+  }
+
+  parseExcelFile(filePath, { sheets, allSheets = false } = {}) {
+    const workbook = xlsx.readFile(filePath)
+
+    let sheetNames = [workbook.SheetNames[0]]
+    if (allSheets) {
+      sheetNames = workbook.SheetNames
+    } else if (sheets?.length) {
+      const missing = sheets.filter((name) => !workbook.Sheets[name])
+      if (missing.length > 0) {
+        throw new BusinessError(`工作表不存在: ${missing.join("、")}`)
+      }
+      sheetNames = sheets
+    }
+
+    return sheetNames.flatMap((sheet) =>
+      readWorksheet(workbook.Sheets[sheet]).rows.map(({ row, data }) => ({
+        sheet,
+        row,
+        data,
+      }))
+    )
+  }
+
+  parseCSVFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const results = []
+      fs.createReadStream(filePath)
+        .pipe(csv())
+        .on("data", (data) =>
+          // 第1行为表头
+          results.push({ sheet: null, row: results.length + 2, data })
+        )
+        .on("end", () => resolve(results))
+        .on("error", reject)
+    })
+  }
+
+  /**
+   * 获取Excel文件的工作表概况，供选择要处理的工作表
+   * @returns {Array<{name, headerRow, headers, rowCount}>} CSV 文件返回空数组
+   */
+  listSheets(filePath, filename) {
+    const fileExtension = path.extname(filename).toLowerCase()
+    if (fileExtension !== ".xlsx" && fileExtension !== ".xls") return []
+
+    const workbook = xlsx.readFile(filePath)
+    return workbook.SheetNames.map((name) => {
+      const { headerRow, headers, rows } = readWorksheet(workbook.Sheets[name])
+      return {
+        name,
+        headerRow,
+        headers: headers.filter(Boolean),
+        rowCount: rows.length,
+      }
+    })
+  }
+
+  /**
+   * 更新商品的批发价信息，并记录到价格历史
+   * @param {Object} record 已确认的匹配记录
+   * @param {String} productId 商品ID
+   * @param {Object} options
+   * @param {String} options.supplier 任务的供应商，行数据未提供供应商时使用
+   * @param {String} options.supplierId 任务关联的供应商ID
+   */
+  async updateProductWholesalePrice(
+    record,
+    productId,
+    { supplier, supplierId } = {}
+  ) {
+    try {
+      const originalPrice = record.originalData.price
+      const originalName = record.originalData.name
+
+      if (!originalPrice || originalPrice <= 0) return
+
+      // 按商品价格单位保存批发价
+      const product = await Product.findById(productId)
+        .select("templateId pricing.unit specifications.packageQuantity")
+        .lean()
+      const wholesale = toProductUnit(
+        originalPrice,
+        record.originalData.unit,
+        product,
+        config.PRICE_UNITS
+      )
+      const confirmedAt = record.selectedMatch?.confirmedAt || new Date()
+
+      // 单位无法换算时不写入批发价，避免商品批发价混用不同单位
+      if (!wholesale) {
+        const productUnit = product?.pricing?.unit || "元/条"
+        logger.warn("批发价单位无法换算，未更新商品批发价", {
+          productId,
+          recordId: record._id,
+          originalUnit: record.originalData.unit,
+          productUnit,
+        })
+        await record.addException(
+          "unit_mismatch",
+          `批发单位"${record.originalData.unit}"无法换算为商品价格单位"${productUnit}"，未更新商品批发价`
+        )
+        return
+      }
+
+      const updateData = {
+        "wholesale.name": originalName,
+        "wholesale.price": wholesale.price,
+        "wholesale.unit": wholesale.unit,
+        "wholesale.updatedAt": new Date(),
+        "wholesale.source": "matching",
+        "wholesale.lastMatchingRecord": record._id,
+      }
+
+      await Product.findByIdAndUpdate(productId, updateData, { new: true })
+
+      if (supplier === undefined || supplierId === undefined) {
+        const task = await MatchingTask.findById(record.taskId)
+          .select("supplierId metadata.supplier")
+          .lean()
+        supplier = supplier ?? task?.metadata?.supplier
+        supplierId = supplierId ?? task?.supplierId
+      }
+
+      // 同一记录重复确认时覆盖之前的价格
+      await PriceHistory.findOneAndUpdate(
+        { recordId: record._id },
+        {
+          productId,
+          templateId: product?.templateId,
+          price: wholesale.price,
+          unit: wholesale.unit || "元/条",
+          originalPrice,
+          originalUnit: record.originalData.unit,
+          wholesaleName: originalName,
+          supplier: record.originalData.supplier || supplier || "",
+          // 行数据自带供应商时不关联任务的供应商
+          supplierId: record.originalData.supplier
+            ? undefined
+            : supplierId || undefined,
+          source: "matching",
+          taskId: record.taskId,
+          confirmedBy: record.selectedMatch?.confirmedBy,
+          recordedAt: confirmedAt,
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+      )
+
+      logger.info("商品批发价更新成功", {
+        productId,
+        recordId: record._id,
+        originalName,
+        originalPrice,
+        originalUnit: record.originalData.unit,
+        wholesalePrice: wholesale.price,
+        wholesaleUnit: wholesale.unit,
+      })
+    } catch (error) {
+      logger.error("更新商品批发价失败", {
+        recordId: record._id,
+        productId,
+        error: error.message,
+      })
+    }
+  }
+
+  /**
+   * 删除匹配记录确认时写入的价格历史，用于拒绝或清空匹配
+   */
+  async removeWholesalePriceHistory(record) {
+    try {
+      const { deletedCount } = await PriceHistory.deleteMany({
+        recordId: record._id,
+      })
+      if (deletedCount > 0) {
+        logger.info("已删除匹配记录的价格历史", {
+          recordId: record._id,
+          deletedCount,
+        })
+      }
+    } catch (error) {
+      logger.error("删除价格历史失败", {
+        recordId: record._id,
+        error: error.message,
+      })
+    }
+  }
+
+  /**
+   * 检查产品绑定冲突 - 更宽松的检查
+   */
+  async hasProductBindingConflict(
+    productId,
+    taskId,
+    originalName,
+    confirmedInRun = null
+  ) {
+    try {
+      const normalizedCurrent = textEngine.deepNormalize(originalName || "")
+
+      // 1. 任务内唯一性检查（更严格 - 同一任务内不允许重复）
+      // 预览时没有已保存的记录，改用本次运行中已确认的商品
+      const existingInTask = confirmedInRun
+        ? confirmedInRun.has(productId.toString())
+          ? { originalData: { name: confirmedInRun.get(productId.toString()) } }
+          : null
+        : await MatchingRecord.findOne({
+            taskId,
+            status: "confirmed",
+            "selectedMatch.productId": productId,
+          }).lean()
+
+      if (existingInTask) {
+        const existingName = textEngine.deepNormalize(
+          existingInTask.originalData?.name || ""
+        )
+        // 如果是完全相同的名称，允许（可能是重复数据）
+        if (existingName === normalizedCurrent) return false
+        return true
+      }
+
+      // 2. 全局冲突检查 - 大幅放宽条件
+      const latestGlobal = await MatchingRecord.findOne({
+        status: "confirmed",
+        "selectedMatch.productId": productId,
+      })
+        .sort({ updatedAt: -1 })
+        .lean()
+
+      if (latestGlobal?.originalData?.name) {
+        const normalizedLatest = textEngine.deepNormalize(
+          latestGlobal.originalData.name
+        )
+
+        // 更宽松的冲突判断：只有差异很大且没有包含关系才算冲突
+        if (normalizedLatest && normalizedCurrent) {
+          // 如果两个名称有包含关系或相似度很高，不算冲突
+          if (
+            normalizedLatest.includes(normalizedCurrent) ||
+            normalizedCurrent.includes(normalizedLatest)
+          ) {
+            return false
+          }
+
+          // 计算相似度，如果相似度>60%，不算冲突
+          const similarity = textEngine.calculateSimilarity(
+            normalizedLatest,
+            normalizedCurrent
+          )
+          if (similarity > 60) return false
+
+          // 只有完全不同且相似度很低才算真正冲突
+          return similarity < 30
+        }
+      }
+
+      return false
+    } catch (e) {
+      return false
+    }
+  }
+
+  /**
+   * 根据记录状态更新任务进度和状态（审核后调用）
+   */
+  async updateTaskStatusAfterReview(taskId) {
+    try {
+      const task = await MatchingTask.findById(taskId)
+      if (!task) return
+
+      const recordStats = await MatchingRecord.aggregate([
+        { $match: { taskId: new mongoose.Types.ObjectId(taskId) } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            confirmed: {
+              $sum: { $cond: [{ $eq: ["$status", "confirmed"] }, 1, 0] },
+            },
+            rejected: {
+              $sum: { $cond: [{ $eq: ["$status", "rejected"] }, 1, 0] },
+            },
+            pending: {
+              $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] },
+            },
+            exception: {
+              $sum: { $cond: [{ $eq: ["$status", "exception"] }, 1, 0] },
+            },
+          },
+        },
+      ])
+
+      if (recordStats.length === 0) return
+
+      const stats = recordStats[0]
+
+      task.progress.confirmedItems = stats.confirmed
+      task.progress.rejectedItems = stats.rejected
+      task.progress.pendingItems = stats.pending
+      task.progress.exceptionItems = stats.exception
+      task.progress.processedItems = stats.confirmed + stats.rejected // 只计算已处理的记录
+
+      const successfulMatches = stats.confirmed
+      const totalProcessed = stats.total
+      task.statistics.matchRate =
+        totalProcessed > 0
+          ? Math.round((successfulMatches / totalProcessed) * 100)
+          : 0
+
+      const pendingCount = stats.pending
+      if (pendingCount === 0) {
+        task.status = "completed"
+        task.completedAt = new Date()
+      } else {
+        task.status = "review"
+      }
+
+      await task.save()
+    } catch (error) {
+      logger.error("更新任务状态失败", { taskId, error: error.message })
+    }
+  }
+}
+
+// 导出单例
+const matchingTaskService = new MatchingTaskService()
+
+module.exports = matchingTaskService
@@ -0,0 +1,369 @@
+/**
+ * 匹配记忆导入导出服务
+ * 导出时商品以条码/盒码标识，导入时在目标模板中按条码/盒码重新关联商品，
+ * 用于在不同环境之间迁移记忆，或用旧模板的记忆初始化新模板
+ */
+const Excel = require("exceljs")
+const xlsx = require("xlsx")
+const MatchingMemory = require("../models/MatchingMemory")
+const Product = require("../models/Product")
+const { normalizeText } = require("../utils/matching-algorithm")
+const { BusinessError } = require("../middleware/error.middleware")
+
+// 导出文件格式版本
+const EXPORT_VERSION = 1
+
+// Excel 列定义（导出与导入共用）
+const EXCEL_COLUMNS = [
+  { header: "批发名", key: "originalWholesaleName", width: 30 },
+  { header: "商品条码", key: "productCode", width: 18 },
+  { header: "盒码", key: "boxCode", width: 18 },
+  { header: "商品名称", key: "productName", width: 25 },
+  { header: "品牌", key: "brand", width: 15 },
+  { header: "置信度", key: "confidence", width: 10 },
+  { header: "确认次数", key: "confirmCount", width: 10 },
+  { header: "权重", key: "weight", width: 10 },
+  { header: "状态", key: "status", width: 12 },
+  { header: "最后确认时间", key: "lastConfirmedAt", width: 20 },
+]
+
+class MemoryTransferService {
+  /**
+   * 导出记忆
+   * @param {Object} filters
+   * @param {String} filters.templateId 模板ID，不传时导出全部模板
+   * @param {String} filters.status 记忆状态，all 表示全部
+   * @returns {Array} 导出条目
+   */
+  async exportMemories({ templateId, status = "active" } = {}) {
+    const query = {}
+    if (templateId) query.templateId = templateId
+    if (status !== "all") query.status = status
+
+    const memories = await MatchingMemory.find(query)
+      .populate("confirmedProductId", "name brand productCode boxCode")
+      .sort({ normalizedWholesaleName: 1 })
+      .lean()
+
+    return memories
+      .filter((memory) => memory.confirmedProductId)
+      .map((memory) => ({
+        originalWholesaleName: memory.originalWholesaleName,
+        normalizedWholesaleName: memory.normalizedWholesaleName,
+        product: {
+          productCode: memory.confirmedProductId.productCode || "",
+          boxCode: memory.confirmedProductId.boxCode || "",
+          name: memory.confirmedProductId.name,
+          brand: memory.confirmedProductId.brand,
+        },
+        confidence: memory.confidence,
+        confirmCount: memory.confirmCount,
+        weight: memory.weight,
+        status: memory.status,
+        isUserPreference: memory.isUserPreference,
+        lastConfirmedAt: memory.lastConfirmedAt,
+        qualityScore: memory.metadata?.qualityControl?.qualityScore,
+        expertVerified: memory.metadata?.qualityControl?.expertVerified,
+      }))
+  }
+
+  /**
+   * 生成 JSON 导出内容
+   */
+  buildExportDocument(entries, { template } = {}) {
+    return {
+      version: EXPORT_VERSION,
+      exportedAt: new Date(),
+      template: template ? { name: template.name } : null,
+      count: entries.length,
+      entries,
+    }
+  }
+
+  /**
+   * 生成 Excel 导出工作簿
+   */
+  buildExportWorkbook(entries) {
+    const workbook = new Excel.Workbook()
+    const worksheet = workbook.addWorksheet("匹配记忆")
+    worksheet.columns = EXCEL_COLUMNS
+
+    const headerRow = worksheet.getRow(1)
+    headerRow.font = { bold: true, color: { argb: "FFFFFF" } }
+    headerRow.fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "366EF7" },
+    }
+    headerRow.alignment = { horizontal: "center" }
+
+    entries.forEach((entry) => {
+      worksheet.addRow({
+        originalWholesaleName: entry.originalWholesaleName,
+        productCode: entry.product.productCode,
+        boxCode: entry.product.boxCode,
+        productName: entry.product.name || "",
+        brand: entry.product.brand || "",
+        confidence: entry.confidence,
+        confirmCount: entry.confirmCount,
+        weight: entry.weight,
+        status: entry.status,
+        lastConfirmedAt: entry.lastConfirmedAt,
+      })
+    })
+
+    return workbook
+  }
+
+  /**
+   * 读取 Excel 导入文件，表头与导出格式一致
+   */
+  parseImportWorkbook(filePath) {
+    const workbook = xlsx.readFile(filePath, { cellDates: true })
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]]
+    const rows = xlsx.utils.sheet_to_json(worksheet, { defval: "" })
+
+    const value = (row, key) =>
+      row[EXCEL_COLUMNS.find((column) => column.key === key).header]
+
+    return rows.map((row) => ({
+      originalWholesaleName: String(value(row, "originalWholesaleName") || ""),
+      product: {
+        productCode: String(value(row, "productCode") || "").trim(),
+        boxCode: String(value(row, "boxCode") || "").trim(),
+        name: value(row, "productName"),
+      },
+      confidence: Number(value(row, "confidence")) || undefined,
+      confirmCount: Number(value(row, "confirmCount")) || undefined,
+      weight: Number(value(row, "weight")) || undefined,
+      status: value(row, "status") || "active",
+      lastConfirmedAt: value(row, "lastConfirmedAt") || undefined,
+    }))
+  }
+
+  /**
+   * 导入记忆
+   * @param {Array} entries 导入条目（exportMemories 的格式）
+   * @param {Object} options
+   * @param {String} options.templateId 目标模板
+   * @param {String} options.mode 已有记忆的处理方式：skip 跳过、overwrite 覆盖、merge 合并确认次数
+   * @param {String} options.userId 操作人
+   * @returns {Object} 导入报告
+   */
+  async importMemories(entries, { templateId, mode = "skip", userId }) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new BusinessError("没有可导入的记忆")
+    }
+
+    // 目标模板商品按条码、盒码建立索引
+    const products = await Product.find({ templateId })
+      .select("productCode boxCode")
+      .lean()
+    const byProductCode = new Map()
+    const byBoxCode = new Map()
+    for (const product of products) {
+      if (product.productCode) byProductCode.set(product.productCode, product)
+      if (product.boxCode) byBoxCode.set(product.boxCode, product)
+    }
+
+    const report = {
+      total: entries.length,
+      created: 0,
+      updated: 0,
+      merged: 0,
+      skipped: 0,
+      conflicts: [],
+      unresolved: [],
+      errors: [],
+    }
+
+    for (const [index, entry] of entries.entries()) {
+      const row = index + 1
+      const originalName = String(entry.originalWholesaleName || "").trim()
+      const productCode = entry.product?.productCode
+      const boxCode = entry.product?.boxCode
+
+      if (!originalName || (entry.status && entry.status !== "active")) {
+        report.skipped++
+        continue
+      }
+
+      const product =
+        (productCode && byProductCode.get(productCode)) ||
+        (boxCode && byBoxCode.get(boxCode))
+      if (!product) {
+        report.unresolved.push({
+          row,
+          originalWholesaleName: originalName,
+          productCode,
+          boxCode,
+          productName: entry.product?.name,
+          reason:
+            productCode || boxCode ? "目标模板中未找到商品" : "缺少条码和盒码",
+        })
+        continue
+      }
+
+      try {
+        const result = await this.importEntry(entry, {
+          originalName,
+          product,
+          templateId,
+          mode,
+          userId,
+        })
+        if (result === "conflict") {
+          report.conflicts.push({
+            row,
+            originalWholesaleName: originalName,
+            productCode,
+            boxCode,
+          })
+        } else {
+          report[result]++
+        }
+      } catch (error) {
+        report.errors.push({
+          row,
+          originalWholesaleName: originalName,
+          error: error.message,
+        })
+      }
+    }
+
+    return report
+  }
+
+  /**
+   * 导入单条记忆
+   * @returns {String} created/updated/merged/skipped/conflict
+   */
+  async importEntry(
+    entry,
+    { originalName, product, templateId, mode, userId }
+  ) {
+    const normalizedName = normalizeText(originalName)
+    const confirmCount = Math.max(1, Number(entry.confirmCount) || 1)
+    const confidence = Math.min(
+      100,
+      Math.max(0, Number(entry.confidence) || 90)
+    )
+    const lastConfirmedAt = entry.lastConfirmedAt
+      ? new Date(entry.lastConfirmedAt)
+      : new Date()
+
+    const existing = await MatchingMemory.findOne({
+      normalizedWholesaleName: normalizedName,
+      templateId,
+      status: "active",
+    })
+
+    if (!existing) {
+      await MatchingMemory.create({
+        normalizedWholesaleName: normalizedName,
+        originalWholesaleName: originalName,
+        confirmedProductId: product._id,
+        templateId,
+        confidence,
+        source: "imported",
+        confirmCount,
+        lastConfirmedAt,
+        confirmedBy: userId,
+        weight: entry.weight || 1.0,
+        isUserPreference: entry.isUserPreference || false,
+        metadata: {
+          learningSource: {
+            learnedAt: new Date(),
+            learnedBy: userId,
+            learningMethod: "bulk_import",
+            learningNote: "从导出文件导入",
+          },
+          // 导入文件中的专家验证状态不可信，需由本地专家重新审核
+          qualityControl: {
+            ...(entry.qualityScore && { qualityScore: entry.qualityScore }),
+            expertVerified: false,
+          },
+          auditTrail: [
+            {
+              action: "created",
+              performedBy: userId,
+              performedAt: new Date(),
+              details: "从导出文件导入",
+            },
+          ],
+        },
+      })
+      return "created"
+    }
+
+    const sameProduct =
+      existing.confirmedProductId.toString() === product._id.toString()
+
+    if (mode === "skip") return "skipped"
+
+    if (mode === "merge") {
+      // 合并只适用于指向同一商品的记忆，指向不同商品时报告冲突
+      if (!sameProduct) return "conflict"
+
+      const oldValues = {
+        confirmCount: existing.confirmCount,
+        confidence: existing.confidence,
+      }
+      existing.confirmCount += confirmCount
+      existing.confidence = Math.max(existing.confidence, confidence)
+      if (lastConfirmedAt > existing.lastConfirmedAt) {
+        existing.lastConfirmedAt = lastConfirmedAt
+      }
+      existing.metadata.auditTrail.push({
+        action: "updated",
+        performedBy: userId,
+        performedAt: new Date(),
+        details: "导入合并确认次数",
+        oldValues,
+        newValues: {
+          confirmCount: existing.confirmCount,
+          confidence: existing.confidence,
+        },
+      })
+      await existing.save()
+      return "merged"
+    }
+
+    // overwrite
+    const oldValues = {
+      confirmedProductId: existing.confirmedProductId,
+      confidence: existing.confidence,
+      confirmCount: existing.confirmCount,
+      expertVerified: existing.metadata.qualityControl.expertVerified,
+    }
+    existing.originalWholesaleName = originalName
+    existing.confirmedProductId = product._id
+    existing.confidence = confidence
+    existing.confirmCount = confirmCount
+    existing.lastConfirmedAt = lastConfirmedAt
+    existing.weight = entry.weight || existing.weight
+    existing.source = "imported"
+    // 覆盖后的商品未经本地专家审核
+    existing.metadata.qualityControl.expertVerified = false
+    existing.metadata.qualityControl.verifiedBy = undefined
+    existing.metadata.qualityControl.verifiedAt = undefined
+    existing.metadata.auditTrail.push({
+      action: "updated",
+      performedBy: userId,
+      performedAt: new Date(),
+      details: "导入覆盖",
+      oldValues,
+      newValues: {
+        confirmedProductId: product._id,
+        confidence,
+        confirmCount,
+        expertVerified: false,
+      },
+    })
+    await existing.save()
+    return "updated"
+  }
+}
+
+// 导出单例
+module.exports = new MemoryTransferService()
@@ -0,0 +1,212 @@
+/**
+ * 价格异常检测服务
+ * 批发报价换算为商品价格单位后，与零售价、公司价和近期批发价比较，
+ * 偏离倍数超过阈值的报价视为异常（通常意味着匹配错误）
+ */
+const config = require("../config/env")
+const Product = require("../models/Product")
+const PriceHistory = require("../models/PriceHistory")
+const { toProductUnit } = require("../utils/unit-converter")
+const { logger } = require("../utils/logger")
+
+// 参考价名称
+const REFERENCE_LABELS = {
+  retailPrice: "零售价",
+  companyPrice: "公司价",
+  recentWholesale: "近期批发价",
+}
+
+const SEVERITY_LEVELS = ["low", "medium", "high"]
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+class PriceAnomalyService {
+  /**
+   * 根据偏离倍数确定严重程度，未超过阈值时返回 null
+   */
+  getSeverity(ratio) {
+    const { lowRatio, mediumRatio, highRatio } = config.PRICE_ANOMALY
+    if (ratio >= highRatio) return "high"
+    if (ratio >= mediumRatio) return "medium"
+    if (ratio >= lowRatio) return "low"
+    return null
+  }
+
+  /**
+   * 获取商品近期批发价中位数，样本不足时返回 null
+   * @param {String} productId 商品ID
+   * @param {Object} options
+   * @param {String} options.excludeRecordId 排除的匹配记录（重新审核时排除自身）
+   */
+  async getRecentWholesalePrice(productId, { excludeRecordId } = {}) {
+    const { historyDays, historySize, minHistorySamples } = config.PRICE_ANOMALY
+
+    const query = {
+      productId,
+      recordedAt: { $gte: new Date(Date.now() - historyDays * 86400000) },
+    }
+    if (excludeRecordId) {
+      query.recordId = { $ne: excludeRecordId }
+    }
+
+    const history = await PriceHistory.find(query)
+      .sort({ recordedAt: -1 })
+      .limit(historySize)
+      .select("price")
+      .lean()
+
+    if (history.length < minHistorySamples) return null
+    return median(history.map((item) => item.price))
+  }
+
+  /**
+   * 检测报价是否异常
+   * @param {Number} price 批发报价
+   * @param {String} unit 报价单位
+   * @param {Object} product 商品（需要 pricing 和 specifications.packageQuantity）
+   * @param {Number} recentWholesalePrice 近期批发价（可选）
+   * @returns {Object|null} { severity, price, unit, deviations, message }，正常时返回 null
+   */
+  detect(price, unit, product, recentWholesalePrice = null) {
+    if (!price || price <= 0 || !product) return null
+
+    // 单位无法换算时不做比较，避免误报
+    const quote = toProductUnit(price, unit, product, config.PRICE_UNITS)
+    if (!quote) return null
+
+    const references = {
+      retailPrice: product.pricing?.retailPrice,
+      companyPrice: product.pricing?.companyPrice,
+      recentWholesale: recentWholesalePrice,
+    }
+
+    const deviations = []
+    for (const [reference, referencePrice] of Object.entries(references)) {
+      if (!referencePrice || referencePrice <= 0) continue
+
+      const ratio = Math.max(
+        quote.price / referencePrice,
+        referencePrice / quote.price
+      )
+      const severity = this.getSeverity(ratio)
+      if (severity) {
+        deviations.push({
+          reference,
+          referencePrice: Math.round(referencePrice * 100) / 100,
+          ratio: Math.round(ratio * 10) / 10,
+          severity,
+        })
+      }
+    }
+
+    if (deviations.length === 0) return null
+
+    const severity = deviations.reduce(
+      (worst, deviation) =>
+        SEVERITY_LEVELS.indexOf(deviation.severity) >
+        SEVERITY_LEVELS.indexOf(worst)
+          ? deviation.severity
+          : worst,
+      "low"
+    )
+    const details = deviations
+      .map(
+        (deviation) =>
+          `${REFERENCE_LABELS[deviation.reference]}${
+            deviation.referencePrice
+          }（相差${deviation.ratio}倍）`
+      )
+      .join("，")
+
+    return {
+      severity,
+      price: quote.price,
+      unit: quote.unit,
+      deviations,
+      message: `批发价${quote.price}${quote.unit}异常：${details}`,
+    }
+  }
+
+  /**
+   * 检查匹配记录的报价与指定商品是否存在价格异常
+   * 检测失败时只记录日志，不影响匹配流程
+   * @param {Object} options
+   * @param {Object} options.originalData 批发数据（price、unit）
+   * @param {String} options.productId 商品ID
+   * @param {Object} options.product 已加载的商品数据（可选）
+   * @param {String} options.excludeRecordId 计算近期批发价时排除的记录
+   */
+  async check({ originalData, productId, product, excludeRecordId }) {
+    if (!config.PRICE_ANOMALY.enabled || !(originalData?.price > 0)) {
+      return null
+    }
+
+    try {
+      const productData =
+        product ||
+        (await Product.findById(productId)
+          .select("pricing specifications.packageQuantity")
+          .lean())
+      const recentWholesalePrice = await this.getRecentWholesalePrice(
+        productId,
+        { excludeRecordId }
+      )
+
+      return this.detect(
+        originalData.price,
+        originalData.unit,
+        productData,
+        recentWholesalePrice
+      )
+    } catch (error) {
+      logger.warn("价格异常检测失败", {
+        productId,
+        error: error.message,
+      })
+      return null
+    }
+  }
+
+  /**
+   * 审核确认时检查价格异常，异常时记录到匹配记录（不阻止人工确认）
+   * 只修改记录不保存，由调用方在确认匹配时一并保存
+   * @returns {Object|null} 检测结果
+   */
+  async flagRecord(record, productId) {
+    const anomaly = await this.check({
+      originalData: record.originalData,
+      productId,
+      excludeRecordId: record._id,
+    })
+    if (!anomaly) return null
+
+    const flagged = record.exceptions.some(
+      (exception) =>
+        exception.type === "price_anomaly" &&
+        !exception.resolvedAt &&
+        exception.message === anomaly.message
+    )
+    if (!flagged) {
+      record.exceptions.push({
+        type: "price_anomaly",
+        message: anomaly.message,
+        severity: anomaly.severity,
+        createdAt: new Date(),
+      })
+      if (anomaly.severity === "high") {
+        record.priority = "high"
+      }
+    }
+
+    return anomaly
+  }
+}
+
+// 导出单例
+module.exports = new PriceAnomalyService()
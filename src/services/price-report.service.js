@@ -0,0 +1,312 @@
+/**
+ * 价格报表服务
+ * 汇总同一模板下多个供应商已确认的批发报价，比较各商品的最低价供应商和价差
+ */
+const Excel = require("exceljs")
+const config = require("../config/env")
+const MatchingTask = require("../models/MatchingTask")
+const MatchingRecord = require("../models/MatchingRecord")
+const Product = require("../models/Product")
+const { toProductUnit } = require("../utils/unit-converter")
+
+// 未标注供应商的报价
+const UNKNOWN_SUPPLIER = "未指定供应商"
+
+const round = (value) => Math.round(value * 100) / 100
+
+// 供应商分组键：优先使用供应商ID，未关联供应商时使用名称
+const supplierKey = ({ supplierId, supplier }) =>
+  supplierId ? supplierId.toString() : supplier
+
+// 非空字符串
+const nonEmpty = (expression) => ({
+  $gt: [{ $strLenCP: { $ifNull: [expression, ""] } }, 0],
+})
+
+class PriceReportService {
+  /**
+   * 跨供应商比价
+   * 每个供应商取最近一次确认的报价，价格统一换算为商品价格单位
+   * 按任务关联的供应商ID区分供应商，未关联时按供应商名称
+   * @param {Object} filters
+   * @param {String} filters.templateId 商品模板ID
+   * @param {String} filters.brand 品牌
+   * @param {String} filters.category 分类
+   * @param {Date} filters.from 确认时间起
+   * @param {Date} filters.to 确认时间止
+   * @returns {Object} { items, suppliers, summary }
+   */
+  async getPriceComparison({ templateId, brand, category, from, to }) {
+    const tasks = await MatchingTask.find({ templateId })
+      .select("supplierId metadata.supplier")
+      .populate("supplierId", "name")
+      .lean()
+    const supplierNames = new Map(
+      tasks
+        .filter((task) => task.supplierId)
+        .map((task) => [task.supplierId._id.toString(), task.supplierId.name])
+    )
+
+    const recordQuery = {
+      taskId: { $in: tasks.map((task) => task._id) },
+      status: "confirmed",
+      "selectedMatch.productId": { $exists: true },
+      "originalData.price": { $gt: 0 },
+    }
+    if (from || to) {
+      recordQuery["selectedMatch.confirmedAt"] = {}
+      if (from) recordQuery["selectedMatch.confirmedAt"].$gte = new Date(from)
+      if (to) recordQuery["selectedMatch.confirmedAt"].$lte = new Date(to)
+    }
+
+    // 在数据库中按 商品 + 供应商 分组，只取最近一次确认的报价
+    const latestQuotes = await MatchingRecord.aggregate([
+      { $match: recordQuery },
+      { $sort: { "selectedMatch.confirmedAt": -1 } },
+      {
+        $lookup: {
+          from: "matchingtasks",
+          localField: "taskId",
+          foreignField: "_id",
+          pipeline: [{ $project: { supplierId: 1, "metadata.supplier": 1 } }],
+          as: "task",
+        },
+      },
+      { $unwind: "$task" },
+      {
+        $project: {
+          taskId: 1,
+          productId: "$selectedMatch.productId",
+          confirmedAt: "$selectedMatch.confirmedAt",
+          originalData: {
+            name: 1,
+            price: 1,
+            unit: 1,
+          },
+          supplierId: "$task.supplierId",
+          // 未关联供应商时，行数据中的供应商优先于任务填写的供应商
+          supplier: {
+            $cond: [
+              nonEmpty("$originalData.supplier"),
+              "$originalData.supplier",
+              {
+                $cond: [
+                  nonEmpty("$task.metadata.supplier"),
+                  "$task.metadata.supplier",
+                  UNKNOWN_SUPPLIER,
+                ],
+              },
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            productId: "$productId",
+            supplier: { $ifNull: ["$supplierId", "$supplier"] },
+          },
+          quote: { $first: "$$ROOT" },
+        },
+      },
+      { $replaceRoot: { newRoot: "$quote" } },
+    ])
+
+    const productQuery = {
+      _id: {
+        $in: [
+          ...new Set(latestQuotes.map((quote) => quote.productId.toString())),
+        ],
+      },
+    }
+    if (brand) productQuery.brand = brand
+    if (category) productQuery.category = category
+
+    const products = await Product.find(productQuery)
+      .select(
+        "name brand category productCode boxCode pricing specifications.packageQuantity"
+      )
+      .lean()
+    const productMap = new Map(products.map((p) => [p._id.toString(), p]))
+
+    // 商品 -> 供应商 -> 最近一次报价
+    const quotes = new Map()
+    let unconvertibleCount = 0
+    for (const latest of latestQuotes) {
+      const productId = latest.productId.toString()
+      const product = productMap.get(productId)
+      if (!product) continue
+
+      // 单位无法换算的报价不参与比价
+      const converted = toProductUnit(
+        latest.originalData.price,
+        latest.originalData.unit,
+        product,
+        config.PRICE_UNITS
+      )
+      if (!converted) {
+        unconvertibleCount++
+        continue
+      }
+
+      const { supplierId } = latest
+      const supplier =
+        (supplierId && supplierNames.get(supplierId.toString())) ||
+        latest.supplier
+
+      if (!quotes.has(productId)) quotes.set(productId, new Map())
+      quotes.get(productId).set(supplierKey({ supplierId, supplier }), {
+        supplier,
+        supplierId,
+        price: converted.price,
+        unit: converted.unit,
+        originalPrice: latest.originalData.price,
+        originalUnit: latest.originalData.unit,
+        wholesaleName: latest.originalData.name,
+        confirmedAt: latest.confirmedAt,
+        taskId: latest.taskId,
+        recordId: latest._id,
+      })
+    }
+
+    const cheapestCounts = {}
+    const items = []
+    for (const [productId, productQuotes] of quotes) {
+      const product = productMap.get(productId)
+      const supplierQuotes = [...productQuotes.values()].sort(
+        (a, b) => a.price - b.price
+      )
+      const lowest = supplierQuotes[0]
+      const highest = supplierQuotes[supplierQuotes.length - 1]
+      const spread = round(highest.price - lowest.price)
+
+      const cheapestKey = supplierKey(lowest)
+      cheapestCounts[cheapestKey] = (cheapestCounts[cheapestKey] || 0) + 1
+
+      items.push({
+        productId: product._id,
+        name: product.name,
+        brand: product.brand,
+        category: product.category,
+        productCode: product.productCode,
+        boxCode: product.boxCode,
+        companyPrice: product.pricing?.companyPrice,
+        unit: product.pricing?.unit || "元/条",
+        supplierCount: supplierQuotes.length,
+        lowest: {
+          supplier: lowest.supplier,
+          supplierId: lowest.supplierId,
+          price: lowest.price,
+        },
+        highest: {
+          supplier: highest.supplier,
+          supplierId: highest.supplierId,
+          price: highest.price,
+        },
+        spread,
+        spreadPercent:
+          lowest.price > 0 ? round((spread / lowest.price) * 100) : 0,
+        quotes: supplierQuotes,
+      })
+    }
+
+    // 价差大的商品排在前面
+    items.sort((a, b) => b.spreadPercent - a.spreadPercent)
+
+    // key 与 cheapestCounts 的键一致
+    const supplierMap = new Map()
+    for (const quote of items.flatMap((item) => item.quotes)) {
+      const key = supplierKey(quote)
+      supplierMap.set(key, {
+        key,
+        supplierId: quote.supplierId,
+        name: quote.supplier,
+      })
+    }
+    const suppliers = [...supplierMap.values()].sort((a, b) =>
+      a.name.localeCompare(b.name)
+    )
+
+    return {
+      items,
+      suppliers,
+      summary: {
+        productCount: items.length,
+        comparableCount: items.filter((item) => item.supplierCount > 1).length,
+        supplierCount: suppliers.length,
+        // 供应商 key -> 报价最低的商品数
+        cheapestCounts,
+        unconvertibleCount,
+      },
+    }
+  }
+
+  /**
+   * 生成比价报表工作簿，每个供应商一列报价
+   */
+  buildPriceComparisonWorkbook({ items, suppliers }) {
+    const workbook = new Excel.Workbook()
+    const worksheet = workbook.addWorksheet("供应商比价")
+
+    worksheet.columns = [
+      { header: "商品名称", key: "name", width: 25 },
+      { header: "品牌", key: "brand", width: 15 },
+      { header: "分类", key: "category", width: 12 },
+      { header: "条码", key: "productCode", width: 15 },
+      { header: "公司价", key: "companyPrice", width: 12 },
+      { header: "单位", key: "unit", width: 10 },
+      { header: "供应商数", key: "supplierCount", width: 10 },
+      { header: "最低价", key: "lowestPrice", width: 12 },
+      { header: "最低价供应商", key: "lowestSupplier", width: 18 },
+      { header: "最高价", key: "highestPrice", width: 12 },
+      { header: "最高价供应商", key: "highestSupplier", width: 18 },
+      { header: "价差", key: "spread", width: 10 },
+      { header: "价差率(%)", key: "spreadPercent", width: 12 },
+      ...suppliers.map((supplier, index) => ({
+        header: supplier.name,
+        key: `supplier_${index}`,
+        width: 15,
+      })),
+    ]
+
+    const headerRow = worksheet.getRow(1)
+    headerRow.font = { bold: true, color: { argb: "FFFFFF" } }
+    headerRow.fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "366EF7" },
+    }
+    headerRow.alignment = { horizontal: "center" }
+
+    const supplierColumns = new Map(
+      suppliers.map((supplier, index) => [supplier.key, `supplier_${index}`])
+    )
+
+    items.forEach((item) => {
+      const row = {
+        name: item.name || "",
+        brand: item.brand || "",
+        category: item.category || "",
+        productCode: item.productCode || "",
+        companyPrice: item.companyPrice || 0,
+        unit: item.unit,
+        supplierCount: item.supplierCount,
+        lowestPrice: item.lowest.price,
+        lowestSupplier: item.lowest.supplier,
+        highestPrice: item.highest.price,
+        highestSupplier: item.highest.supplier,
+        spread: item.spread,
+        spreadPercent: item.spreadPercent,
+      }
+      item.quotes.forEach((quote) => {
+        row[supplierColumns.get(supplierKey(quote))] = quote.price
+      })
+      worksheet.addRow(row)
+    })
+
+    return workbook
+  }
+}
+
+// 导出单例
+module.exports = new PriceReportService()
@@ -0,0 +1,135 @@
+/**
+ * 匹配任务事件服务
+ * 处理进度等事件通过 Redis 发布订阅在多实例间广播；Redis 不可用时仅在进程内分发
+ */
+
+const { EventEmitter } = require("events")
+const { redisManager } = require("../config/redis")
+const { logger } = require("../utils/logger")
+
+const CHANNEL = "matching-task-events"
+
+class TaskEventsService {
+  constructor() {
+    this.emitter = new EventEmitter()
+    // 每个SSE连接都会注册监听器，不限制数量
+    this.emitter.setMaxListeners(0)
+    this.subscriber = null
+    this.useRedis = false
+  }
+
+  /**
+   * 初始化 Redis 订阅
+   */
+  async initialize() {
+    if (!redisManager.isConnected || !redisManager.client) {
+      logger.info("Redis未连接，任务事件仅在进程内分发")
+      return
+    }
+
+    try {
+      this.subscriber = redisManager.client.duplicate()
+      this.subscriber.on("error", (error) => {
+        logger.error("任务事件订阅连接错误:", { error: error.message })
+      })
+      await this.subscriber.connect()
+      await this.subscriber.subscribe(CHANNEL, (message) =>
+        this.dispatch(message)
+      )
+      this.useRedis = true
+      logger.info("任务事件订阅初始化完成", { channel: CHANNEL })
+    } catch (error) {
+      logger.warn(`任务事件订阅失败，将仅在进程内分发: ${error.message}`)
+      await this.closeSubscriber()
+    }
+  }
+
+  /**
+   * 发布任务事件
+   * @param {String} taskId 任务ID
+   * @param {String} event 事件类型：progress/item_error/status/complete
+   * @param {Object} data 事件数据
+   */
+  async publish(taskId, event, data = {}) {
+    const payload = {
+      taskId: taskId.toString(),
+      event,
+      data: { ...data, timestamp: new Date().toISOString() },
+    }
+
+    if (this.useRedis && redisManager.isConnected) {
+      try {
+        await redisManager.client.publish(CHANNEL, JSON.stringify(payload))
+        return
+      } catch (error) {
+        logger.warn("任务事件发布失败，改为进程内分发", {
+          taskId: payload.taskId,
+          error: error.message,
+        })
+      }
+    }
+
+    this.emitter.emit(payload.taskId, payload)
+  }
+
+  /**
+   * 分发从 Redis 收到的事件
+   */
+  dispatch(message) {
+    try {
+      const payload = JSON.parse(message)
+      this.emitter.emit(payload.taskId, payload)
+    } catch (error) {
+      logger.warn("任务事件解析失败", { error: error.message })
+    }
+  }
+
+  /**
+   * 订阅指定任务的事件
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe(taskId, listener) {
+    const id = taskId.toString()
+    this.emitter.on(id, listener)
+    return () => this.emitter.off(id, listener)
+  }
+
+  /**
+   * 订阅服务关闭通知，用于结束长连接
+   * @returns {Function} 取消订阅函数
+   */
+  onShutdown(listener) {
+    this.emitter.once("shutdown", listener)
+    return () => this.emitter.off("shutdown", listener)
+  }
+
+  /**
+   * 关闭订阅连接
+   */
+  async closeSubscriber() {
+    if (!this.subscriber) return
+
+    try {
+      await this.subscriber.quit()
+    } catch (error) {
+      logger.error("关闭任务事件订阅失败:", { error: error.message })
+    } finally {
+      this.subscriber = null
+      this.useRedis = false
+    }
+  }
+
+  /**
+   * 停止服务并通知所有连接断开
+   */
+  async close() {
+    this.emitter.emit("shutdown")
+    await this.closeSubscriber()
+    logger.info("任务事件服务已关闭")
+  }
+}
+
+// 导出单例
+const taskEventsService = new TaskEventsService()
+
+module.exports = taskEventsService
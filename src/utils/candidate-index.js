@@ -0,0 +1,157 @@
+/**
+ * 候选商品索引
+ * 每个匹配任务构建一次，通过品牌分桶和字符 n-gram 倒排表为每一行快速筛选候选商品，
+ * 避免对整个商品库逐一计算编辑距离
+ */
+
+const DEFAULT_SHORTLIST_SIZE = 100
+
+class CandidateIndex {
+  /**
+   * @param {Array} products 商品列表（lean 对象）
+   * @param {Object} options
+   * @param {Function} options.normalize 名称标准化函数，需与评分时一致
+   * @param {Function} options.detectBrand 品牌识别函数，返回标准化品牌或 null
+   * @param {Number} options.shortlistSize 每行最多保留的候选数量
+   */
+  constructor(products, options = {}) {
+    this.normalize = options.normalize || ((text) => text || "")
+    this.detectBrand = options.detectBrand || (() => null)
+    this.shortlistSize = options.shortlistSize || DEFAULT_SHORTLIST_SIZE
+
+    this.entries = []
+    this.byId = new Map()
+    this.brandBuckets = new Map() // 品牌 -> 条目下标列表，无品牌记为 ""
+    this.bigrams = new Map() // 二元字符 -> 条目下标列表
+    this.unigrams = new Map() // 单字符 -> 条目下标列表
+
+    for (const product of products || []) {
+      this.add(product)
+    }
+  }
+
+  /**
+   * 添加商品到索引
+   */
+  add(product) {
+    const name = this.normalize(product.name || "")
+    const position = this.entries.length
+    const entry = {
+      product,
+      name,
+      brand: name ? this.detectBrand(name) || "" : "",
+      bigramCount: 0,
+    }
+
+    this.entries.push(entry)
+    this.byId.set(product._id.toString(), product)
+
+    if (!name) return
+
+    appendPosting(this.brandBuckets, entry.brand, position)
+
+    const grams = toBigrams(name)
+    entry.bigramCount = grams.size
+    for (const gram of grams) appendPosting(this.bigrams, gram, position)
+    for (const char of new Set(name))
+      appendPosting(this.unigrams, char, position)
+  }
+
+  /**
+   * 按ID获取商品
+   */
+  get(productId) {
+    return productId ? this.byId.get(productId.toString()) : undefined
+  }
+
+  get size() {
+    return this.entries.length
+  }
+
+  /**
+   * 为标准化后的批发名称筛选候选商品
+   * 品牌冲突的商品评分必然很低，直接排除；候选池不超过 shortlistSize 时原样返回
+   * @returns {Array<{product, name}>}
+   */
+  shortlist(normalizedName) {
+    if (!normalizedName) return []
+
+    const pool = this.getBrandPool(this.detectBrand(normalizedName))
+    const poolSize = pool ? pool.size : this.entries.length
+
+    if (poolSize <= this.shortlistSize) {
+      const positions = pool
+        ? [...pool]
+        : this.entries.map((_, position) => position)
+      return positions
+        .map((position) => this.entries[position])
+        .filter((entry) => entry.name)
+    }
+
+    const queryGrams = toBigrams(normalizedName)
+    let overlaps = this.countOverlaps(queryGrams, this.bigrams, pool)
+
+    // 单字名称或无共同二元组时，退化为单字重叠
+    if (overlaps.size === 0) {
+      overlaps = this.countOverlaps(
+        new Set(normalizedName),
+        this.unigrams,
+        pool
+      )
+    }
+
+    return [...overlaps]
+      .map(([position, shared]) => {
+        const entry = this.entries[position]
+        const total = queryGrams.size + entry.bigramCount
+        return { entry, rank: total > 0 ? (2 * shared) / total : shared }
+      })
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, this.shortlistSize)
+      .map(({ entry }) => entry)
+  }
+
+  /**
+   * 获取可参与匹配的品牌候选池（同品牌 + 无品牌），未识别品牌时返回 null 表示全部
+   */
+  getBrandPool(brand) {
+    if (!brand) return null
+
+    return new Set([
+      ...(this.brandBuckets.get(brand) || []),
+      ...(this.brandBuckets.get("") || []),
+    ])
+  }
+
+  /**
+   * 统计倒排表中与查询共享的 gram 数量
+   */
+  countOverlaps(grams, postings, pool) {
+    const counts = new Map()
+
+    for (const gram of grams) {
+      for (const position of postings.get(gram) || []) {
+        if (pool && !pool.has(position)) continue
+        counts.set(position, (counts.get(position) || 0) + 1)
+      }
+    }
+
+    return counts
+  }
+}
+
+function appendPosting(postings, key, position) {
+  const list = postings.get(key)
+  if (list) list.push(position)
+  else postings.set(key, [position])
+}
+
+function toBigrams(text) {
+  const grams = new Set()
+  for (let i = 0; i < text.length - 1; i++) {
+    grams.add(text.slice(i, i + 2))
+  }
+  return grams
+}
+
+module.exports = CandidateIndex
@@ -13,6 +13,8 @@ class ExcelParser {
     this.columnMapping = {
       // 商品名称的可能列名
       name: [
+        "批发名",
+        "批发名称",
         "商品名称",
         "名称",
         "商品",
@@ -22,14 +24,13 @@ class ExcelParser {
         "product",
         "item",
       ],
-      // 价格的可能列名
+      // 价格的可能列名（按优先级排列，零售价、售价不是批发价，不作为价格列）
       price: [
-        "价格",
-        "单价",
-        "售价",
-        "零售价",
+        "批发价格",
         "批发价",
         "price",
+        "价格",
+        "单价",
         "cost",
         "amount",
       ],
@@ -269,21 +270,24 @@ class ExcelParser {
     Object.keys(this.columnMapping).forEach((standardField) => {
       const possibleNames = this.columnMapping[standardField]
 
+      // 按候选列名的优先级查找，而不是按列的先后顺序
+      const findByPriority = (matches) => {
+        for (const name of possibleNames) {
+          const column = columns.find((col) =>
+            matches(col.toLowerCase().trim(), name.toLowerCase())
+          )
+          if (column) return column
+        }
+        return undefined
+      }
+
       // 查找完全匹配
-      let matchedColumn = columns.find((col) =>
-        possibleNames.some(
-          (name) => col.toLowerCase().trim() === name.toLowerCase()
-        )
-      )
+      let matchedColumn = findByPriority((col, name) => col === name)
 
       // 如果没有完全匹配，查找包含关系
       if (!matchedColumn) {
-        matchedColumn = columns.find((col) =>
-          possibleNames.some(
-            (name) =>
-              col.toLowerCase().includes(name.toLowerCase()) ||
-              name.toLowerCase().includes(col.toLowerCase())
-          )
+        matchedColumn = findByPriority(
+          (col, name) => col.includes(name) || name.includes(col)
         )
       }
 
@@ -595,5 +599,3 @@ class ExcelParser {
 }
 
 module.exports = ExcelParser
-
-
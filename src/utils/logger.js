@@ -144,6 +144,13 @@ function logMatching(query, results, performance = {}) {
 /**
  * HTTP日志流 (用于Express中间件)
  */
+/**
+ * 隐藏URL查询参数中的令牌，避免写入访问日志
+ */
+function redactUrl(url = "") {
+  return url.replace(/([?&](?:access_)?token=)[^&#]*/gi, "$1[REDACTED]")
+}
+
 const httpLogStream = {
   write: (message) => {
     // 移除换行符并记录HTTP请求
@@ -156,4 +163,5 @@ module.exports = {
   logOperation,
   logMatching,
   httpLogStream,
+  redactUrl,
 }
@@ -1,773 +1,1352 @@
 /**
- * 智能匹配算法核心引擎 - 集成记忆功能
+ * 匹配引擎
+ * 统一的文本标准化、评分器注册表和候选匹配逻辑
+ * 不依赖数据库，记忆查询通过 memoryLookup 注入，便于脱离 MongoDB 单独运行
  */
-const fuzzy = require("fuzzy")
-const { logger, logMatching } = require("./logger")
-const Product = require("../models/Product")
-const MatchingMemory = require("../models/MatchingMemory")
-const config = require("../config/env")
+const CandidateIndex = require("./candidate-index")
+const { toProductUnit } = require("./unit-converter")
+const { logger } = require("./logger")
+
+// 默认权重（与 MatchingTask.config.weights 默认值一致）
+const DEFAULT_WEIGHTS = {
+  name: 0.35,
+  brand: 0.25,
+  keywords: 0.2,
+  package: 0.1,
+  price: 0.1,
+}
 
-class SmartMatchingEngine {
-  constructor(options = {}) {
-    // 匹配权重配置 - 移除价格权重
-    this.weights = {
-      name: options.nameWeight || config.MATCHING.weights.name,
-      brand: options.brandWeight || config.MATCHING.weights.brand,
-      keywords: options.keywordsWeight || config.MATCHING.weights.keywords,
-      package: options.packageWeight || config.MATCHING.weights.package,
-    }
+// 默认策略（与 MatchingTask.config.strategies 默认值一致）
+const DEFAULT_STRATEGIES = {
+  brandPriority: true, // 品牌冲突直接降为低分
+  keywordMatching: true, // 关键词维度评分
+  packageTypeRecognition: true, // 包装/规格维度评分
+  priceValidation: true, // 价格维度评分
+  fuzzyMatching: true, // 容错匹配与编辑距离
+}
 
-    // 阈值配置
-    this.thresholds = {
-      default: options.defaultThreshold || config.MATCHING.defaultThreshold,
-      autoConfirm:
-        options.autoConfirmThreshold || config.MATCHING.autoConfirmThreshold,
-    }
+// 默认自动确认策略（模板中未设置的分数阈值取 ProductTemplate.settings.matchingThresholds）
+const DEFAULT_AUTO_CONFIRM_POLICY = {
+  enabled: true, // 关闭后所有记录进入人工审核
+  minScore: 95, // 达到即自动确认
+  highConfidenceScore: 90, // 置信度为 high 时的自动确认分数
+  reviewScore: 50, // 达到即进入人工审核
+  expertReviewScore: null, // 低于 reviewScore 但达到此分数时进入专家审核，null 表示直接记为异常
+  memoryAutoConfirm: true, // 无冲突的记忆匹配自动确认
+  highTrustConfirmCount: 3, // 确认次数达到后视为高信任记忆
+  highTrustIgnoresConflict: true, // 高信任记忆忽略绑定冲突
+  verifiedMemoryHighTrust: true, // 专家验证过的记忆视为高信任记忆
+  blockOnConflict: true, // 存在绑定冲突时不自动确认
+  maxPriceDeviation: null, // 批发价与商品价的最大偏差（%），null 表示不限制
+}
 
-    // 学习率
-    this.learningRate = options.learningRate || config.MATCHING.learningRate
+// 记忆命中类型的分数系数：精确命中保持记忆分，包含和模糊命中按相似度折算
+const MEMORY_MATCH_WEIGHTS = {
+  exact: 1,
+  contained: 0.9,
+  fuzzy: 0.8,
+}
 
-    // 品牌关键词映射
-    this.brandKeywords = {
-      中华: ["中华", "zhonghua", "zh"],
-      玉溪: ["玉溪", "yuxi", "yx"],
-      云烟: ["云烟", "yunyan", "yy"],
-      黄金叶: ["黄金叶", "huangjinye", "hjy"],
-      白沙: ["白沙", "baisha", "bs"],
-      芙蓉王: ["芙蓉王", "furongwang", "frw"],
-      利群: ["利群", "liqun", "lq"],
-      苏烟: ["苏烟", "suyan", "sy"],
-    }
+/**
+ * 是否为精确命中的记忆候选（只有精确命中享有记忆优先和记忆自动确认）
+ */
+function isExactMemoryMatch(candidate) {
+  return (
+    Boolean(candidate.isMemoryMatch) &&
+    (candidate.memorySource?.matchType || "exact") === "exact"
+  )
+}
 
-    // 包装类型关键词
-    this.packageKeywords = {
-      硬盒: ["硬", "硬盒", "硬包", "hard"],
-      软盒: ["软", "软盒", "软包", "soft"],
-      条装: ["条", "条装", "整条"],
-      盒装: ["盒", "盒装", "单盒"],
-      细支: ["细", "细支", "细烟"],
-      中支: ["中支", "中号"],
-      粗支: ["粗", "粗支"],
-      双中支: ["双中支", "双中"],
-    }
+/**
+ * 合并自动确认策略，未设置的项使用默认值
+ */
+function resolveAutoConfirmPolicy(policy = {}) {
+  const resolved = { ...DEFAULT_AUTO_CONFIRM_POLICY }
+  for (const [key, value] of Object.entries(policy || {})) {
+    if (key in resolved && value !== undefined) resolved[key] = value
+  }
+  return resolved
+}
+
+// 评分器注册表：名称 -> (context) => 0-100 分，返回 null 表示该维度不参与加权
+const scorers = new Map()
+
+// 引擎注册表：名称 -> { description, scorers, weights, strategies }
+const engines = new Map()
+
+/**
+ * 注册评分器
+ * @param {String} name 评分器名称，同时作为分数字段名和权重键
+ * @param {Function} scorer (context) => Number|null，context 包含 engine、orig、prod、originalData、productData、strategies
+ */
+function registerScorer(name, scorer) {
+  scorers.set(name, scorer)
+}
+
+/**
+ * 注册引擎（评分器流水线）
+ */
+function registerEngine(name, definition) {
+  engines.set(name, { scorers: [...scorers.keys()], ...definition })
+}
+
+/**
+ * 按名称创建引擎实例，未注册的名称回退到默认引擎
+ * @param {String} name 引擎名称
+ * @param {Object} options 额外选项（memoryLookup、brands 等）
+ */
+function createEngine(name = "default", options = {}) {
+  const engineName = engines.has(name) ? name : "default"
+  return new MatchingEngine({
+    ...engines.get(engineName),
+    ...options,
+    name: engineName,
+  })
+}
+
+/**
+ * 获取已注册的引擎列表
+ */
+function getEngines() {
+  return [...engines.entries()].map(([name, definition]) => ({
+    name,
+    description: definition.description,
+    scorers: definition.scorers,
+  }))
+}
+
+/**
+ * 文本标准化：小写、去除括号分隔符空格，只保留中文英文数字
+ */
+function normalizeText(text) {
+  if (!text) return ""
+  return text
+    .toLowerCase()
+    .replace(/[（()）\[\]【】]/g, "") // 移除所有括号
+    .replace(/[·•\-_\s]/g, "") // 移除分隔符和空格
+    .replace(/[^\u4e00-\u9fa5a-z0-9]/g, "") // 只保留中文英文数字
+}
 
-    // 规格关键词
-    this.sizeKeywords = {
-      "20支": ["20", "20支", "标准装"],
-      "10支": ["10", "10支", "半包"],
-      "16支": ["16", "16支"],
-      "12支": ["12", "12支"],
+/**
+ * n-gram 相似度（Dice 系数，0-100）
+ * 商品名较短且以中文为主，默认使用二元组
+ */
+function ngramSimilarity(str1, str2, n = 2) {
+  if (!str1 || !str2) return 0
+  if (str1 === str2) return 100
+
+  const grams = (text) => {
+    if (text.length < n) return [text]
+    const result = []
+    for (let i = 0; i <= text.length - n; i++) {
+      result.push(text.slice(i, i + n))
     }
+    return result
   }
 
-  /**
-   * 执行智能匹配
-   * @param {Array} wholesaleItems 批发商品数据
-   * @param {Object} options 匹配选项
-   * @returns {Array} 匹配结果
-   */
-  async match(wholesaleItems, options = {}) {
-    try {
-      logMatching(options.taskId, "match_start", {
-        itemCount: wholesaleItems.length,
-      })
+  const grams1 = grams(str1)
+  const remaining = grams(str2)
+  const total = grams1.length + remaining.length
 
-      const startTime = Date.now()
-      const results = []
+  let shared = 0
+  for (const gram of grams1) {
+    const index = remaining.indexOf(gram)
+    if (index !== -1) {
+      shared++
+      remaining.splice(index, 1)
+    }
+  }
 
-      // 获取所有活跃商品档案
-      const productArchive = await Product.find({ isActive: true })
-        .lean()
-        .exec()
+  return (2 * shared * 100) / total
+}
 
-      logger.info(
-        `开始匹配，批发商品: ${wholesaleItems.length}，档案商品: ${productArchive.length}`
-      )
+/**
+ * 计算编辑距离
+ */
+function levenshteinDistance(str1, str2) {
+  const matrix = []
 
-      for (let i = 0; i < wholesaleItems.length; i++) {
-        const item = wholesaleItems[i]
-
-        try {
-          // 查找候选匹配项
-          const candidates = await this.findCandidates(
-            item,
-            productArchive,
-            options
-          )
-
-          // 计算匹配分数
-          const scoredCandidates = candidates
-            .map((candidate) => ({
-              product: candidate,
-              score: this.calculateSimilarity(item, candidate),
-              reasons: this.generateMatchReasons(item, candidate),
-            }))
-            .sort((a, b) => b.score.total - a.score.total)
-            .slice(0, 5) // 取前5个候选
-
-          // 确定置信度和推荐动作
-          const bestScore = scoredCandidates[0]?.score.total || 0
-          const confidence = this.determineConfidence(bestScore)
-          const recommendedAction = this.getRecommendedAction(bestScore)
-
-          results.push({
-            originalData: item,
-            candidates: scoredCandidates,
-            confidence,
-            recommendedAction,
-            metadata: {
-              processingIndex: i + 1,
-              totalItems: wholesaleItems.length,
-            },
-          })
+  // 初始化矩阵
+  for (let i = 0; i <= str2.length; i++) {
+    matrix[i] = [i]
+  }
 
-          // 记录进度
-          if ((i + 1) % 50 === 0) {
-            logger.info(`匹配进度: ${i + 1}/${wholesaleItems.length}`)
-          }
-        } catch (itemError) {
-          logger.error(`处理商品失败: ${item.name}`, itemError)
-
-          results.push({
-            originalData: item,
-            candidates: [],
-            confidence: "low",
-            recommendedAction: "manual_review",
-            error: itemError.message,
-            metadata: {
-              processingIndex: i + 1,
-              totalItems: wholesaleItems.length,
-            },
-          })
-        }
+  for (let j = 0; j <= str1.length; j++) {
+    matrix[0][j] = j
+  }
+
+  // 填充矩阵
+  for (let i = 1; i <= str2.length; i++) {
+    for (let j = 1; j <= str1.length; j++) {
+      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1]
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1, // 替换
+          matrix[i][j - 1] + 1, // 插入
+          matrix[i - 1][j] + 1 // 删除
+        )
       }
+    }
+  }
 
-      const processingTime = Date.now() - startTime
+  return matrix[str2.length][str1.length]
+}
 
-      logMatching(options.taskId, "match_complete", {
-        itemCount: wholesaleItems.length,
-        processingTime,
-        successCount: results.filter((r) => !r.error).length,
-      })
+/**
+ * 匹配引擎 - 按评分器流水线计算候选分数
+ */
+class MatchingEngine {
+  /**
+   * @param {Object} options
+   * @param {String} options.name 引擎名称
+   * @param {Array<String>} options.scorers 参与评分的评分器名称
+   * @param {Object} options.weights 默认权重，任务配置优先
+   * @param {Object} options.strategies 默认策略开关，任务配置优先
+   * @param {Function} options.memoryLookup 记忆查询函数 (normalizedName, { templateId }) => memories
+   * @param {Array<String>} options.brands 动态品牌列表
+   * @param {Object} options.unitFactors 价格单位换算系数，见 utils/unit-converter.js
+   */
+  constructor(options = {}) {
+    this.name = options.name || "default"
+    this.scorers = options.scorers || [...scorers.keys()]
+    this.memoryLookup = options.memoryLookup || null
+    this.unitFactors = options.unitFactors || {}
+
+    // 默认权重与策略（与 MatchingTask.config 默认值一致），任务配置优先
+    this.weights = { ...DEFAULT_WEIGHTS, ...(options.weights || {}) }
+    this.strategies = { ...DEFAULT_STRATEGIES, ...(options.strategies || {}) }
+
+    // 包装规格特征（按深度标准化后的文本识别）
+    this.packageFeatures = {
+      box: [
+        ["硬盒", "硬盒"],
+        ["软盒", "软盒"],
+      ],
+      stick: [
+        ["中支", "中支"],
+        ["细支", "细支"],
+        ["超细", "细支"],
+        ["粗支", "粗支"],
+        ["大支", "粗支"],
+        ["短支", "短支"],
+      ],
+      pop: [["爆珠", "爆珠"]],
+    }
 
-      logger.info(`匹配完成，耗时: ${processingTime}ms`)
+    // 动态品牌库
+    this.brands = new Set()
+
+    // 规格词汇（用于识别但不作为强匹配依据）
+    this.specificationWords = new Set([
+      "硬",
+      "软",
+      "细支",
+      "中支",
+      "大支",
+      "粗支",
+      "短支",
+      "长支",
+      "超细",
+      "硬盒",
+      "软盒",
+      "双中支",
+      "爆珠",
+      "薄荷",
+      "醇香",
+      "淡雅",
+    ])
+
+    // 常见同义词映射（移除规格词）
+    this.synonyms = new Map([
+      ["硬", "硬盒"],
+      ["软", "软盒"],
+      ["薄荷", "爆珠"],
+    ])
+
+    // 常见品牌词汇（会动态更新）
+    this.commonBrands = [
+      "中华",
+      "玉溪",
+      "云烟",
+      "苏烟",
+      "黄鹤楼",
+      "南京",
+      "红塔山",
+      "白沙",
+      "芙蓉王",
+      "利群",
+      "黄山",
+      "长白山",
+      "双喜",
+      "真龙",
+      "金叶",
+      "娇子",
+      "红河",
+      "贵烟",
+      "兰州",
+      "泰山",
+      "好猫",
+      "红梅",
+      "黄金叶",
+      "五叶神",
+      "大重九",
+      "将军",
+      "红云",
+    ]
+
+    this.setBrands(options.brands)
+  }
 
-      return results
-    } catch (error) {
-      logMatching(options.taskId, "match_error", { error: error.message })
-      logger.error("匹配引擎执行失败:", error)
-      throw error
-    }
+  /**
+   * 设置动态品牌列表
+   */
+  setBrands(brandList) {
+    this.brands = new Set([...this.commonBrands, ...(brandList || [])])
+  }
+
+  /**
+   * 为一批商品构建候选索引，每个任务构建一次
+   */
+  buildIndex(products, options = {}) {
+    return new CandidateIndex(products, {
+      normalize: (text) => normalizeText(text),
+      detectBrand: (text) => this.detectBrand(text),
+      ...options,
+    })
   }
 
   /**
-   * 查找候选匹配项
-   * @param {Object} wholesaleItem 批发商品
-   * @param {Array} productArchive 商品档案
-   * @param {Object} options 选项
-   * @returns {Array} 候选商品列表
+   * 核心匹配方法 - 集成记忆功能
+   * @param {Object} originalData 批发数据
+   * @param {CandidateIndex} candidateIndex 由 buildIndex 构建的商品索引
+   * @param {Object} config 任务配置（weights、strategies、templateId）
    */
-  async findCandidates(wholesaleItem, productArchive, options = {}) {
-    const { name } = wholesaleItem
+  async match(originalData, candidateIndex, config = {}) {
     const candidates = []
-    const normalizedName = this.normalizeText(name)
+    const originalName = this.normalize(originalData.name || "")
+
+    if (!originalName) return []
+
+    // 1. 优先查询记忆匹配（包含模板过滤）
+    let memoryMatches = []
+    try {
+      if (this.memoryLookup && config.useMemory !== false) {
+        memoryMatches = await this.memoryLookup(originalName, {
+          templateId: config.templateId,
+        })
+      }
 
-    // 0. 匹配记忆优先策略 - 新增
-    if (options.useMemory !== false) {
-      const memoryMatches = await this.findMemoryMatches(normalizedName)
       if (memoryMatches.length > 0) {
-        logger.info(
-          `找到 ${memoryMatches.length} 个记忆匹配项，原始名称: ${name}`
-        )
+        logger.debug("找到记忆匹配项", {
+          originalName: originalData.name,
+          memories: memoryMatches.map((m) => ({
+            normalizedName: m.normalizedWholesaleName,
+            confirmCount: m.confirmCount,
+            confidence: m.confidence,
+          })),
+        })
+
+        // 将记忆匹配转换为候选项
+        for (const memory of memoryMatches) {
+          const product = candidateIndex.get(memory.confirmedProductId._id)
+
+          if (product) {
+            // 未标注命中类型的记忆视为精确命中
+            const matchType = memory.matchType || "exact"
+            const similarity = memory.similarity ?? 100
+
+            // 确保trustScore是有效数字，设置默认值
+            const baseTrustScore =
+              Number(memory.trustScore) || memory.confidence || 85
+
+            // 根据确认次数提升分数 - 高确认次数应该有更高分数
+            const confirmCountBonus = Math.min(
+              20,
+              (memory.confirmCount || 1) * 3
+            ) // 每次确认+3分，最多+20分
+            let memoryScore = Math.min(
+              100,
+              Math.max(80, baseTrustScore + confirmCountBonus + 15)
+            ) // 记忆匹配基础加分15，最低80分
+
+            // 包含、模糊命中按类型系数和相似度折算，与算法候选按分数竞争
+            if (matchType !== "exact") {
+              memoryScore = Math.round(
+                memoryScore *
+                  (MEMORY_MATCH_WEIGHTS[matchType] ??
+                    MEMORY_MATCH_WEIGHTS.fuzzy) *
+                  (0.5 + similarity / 200)
+              )
+            }
 
-        // 从记忆中获取推荐产品
-        const memoryProducts = memoryMatches
-          .map((memory) => {
-            const product = productArchive.find(
-              (p) =>
-                p._id.toString() === memory.confirmedProductId._id.toString()
+            // 记忆候选同样附带算法评分的解释，便于审核时核对
+            const productName = this.normalize(product.name)
+            const algorithmScore = this.scoreComponents(
+              originalName,
+              productName,
+              originalData,
+              product,
+              config
             )
-            if (product) {
-              // 给记忆匹配的产品添加额外标记和分数加成
-              product._memoryScore = memory.trustScore
-              product._memorySource = memory
-              product._isMemoryMatch = true
-            }
-            return product
-          })
-          .filter(Boolean)
 
-        candidates.push(...memoryProducts)
+            candidates.push({
+              productId: product._id,
+              score: {
+                name: memoryScore,
+                brand: 100, // 记忆匹配品牌满分
+                total: memoryScore,
+                memoryBonus: confirmCountBonus + 15,
+              },
+              confidence:
+                matchType === "exact"
+                  ? "high"
+                  : this.getConfidenceLevel(memoryScore),
+              reasons: [
+                {
+                  type: "memory_match",
+                  description:
+                    matchType === "exact"
+                      ? `记忆匹配 (确认${memory.confirmCount || 1}次)`
+                      : `记忆${
+                          matchType === "contained" ? "包含" : "模糊"
+                        }匹配 (相似度${Math.round(similarity)}%，确认${
+                          memory.confirmCount || 1
+                        }次)`,
+                  weight:
+                    matchType === "exact"
+                      ? 1.0
+                      : Math.round(
+                          (MEMORY_MATCH_WEIGHTS[matchType] ??
+                            MEMORY_MATCH_WEIGHTS.fuzzy) * similarity
+                        ) / 100,
+                  details: {
+                    memoryId: memory._id,
+                    matchType,
+                    similarity: Math.round(similarity),
+                    memoryName: memory.normalizedWholesaleName,
+                  },
+                },
+                ...this.generateReasons(
+                  algorithmScore,
+                  this.explainMatch(
+                    originalName,
+                    productName,
+                    originalData,
+                    product,
+                    algorithmScore,
+                    config
+                  )
+                ),
+              ],
+              rank: 0,
+              isMemoryMatch: true,
+              memorySource: memory,
+            })
+          }
+        }
       }
+    } catch (memoryError) {
+      logger.error("记忆查询失败", { error: memoryError.message })
     }
 
-    // 1. 品牌匹配优先策略
-    if (options.brandPriority !== false) {
-      const detectedBrand = this.extractBrand(name)
-      if (detectedBrand) {
-        const brandMatches = productArchive.filter((product) =>
-          this.isBrandMatch(product.brand, detectedBrand)
-        )
-        candidates.push(...brandMatches)
+    // 2. 常规算法匹配（仅对索引筛选出的候选商品评分）
+    const shortlist = candidateIndex.shortlist(originalName)
+    for (const { product, name: productName } of shortlist) {
+      // 跳过已经通过记忆匹配的商品
+      const alreadyMatched = candidates.some(
+        (c) => c.productId.toString() === product._id.toString()
+      )
+      if (alreadyMatched) continue
+
+      const score = this.scoreComponents(
+        originalName,
+        productName,
+        originalData,
+        product,
+        config
+      )
+
+      if (score.total >= 30) {
+        // 更低门槛，确保有候选项
+        const confidenceLevel = this.getConfidenceLevel(score.total)
+        const candidate = {
+          productId: product._id,
+          score,
+          confidence: confidenceLevel,
+          reasons: this.generateReasons(
+            score,
+            this.explainMatch(
+              originalName,
+              productName,
+              originalData,
+              product,
+              score,
+              config
+            )
+          ),
+          rank: 0,
+        }
+
+        candidates.push(candidate)
       }
     }
 
-    // 2. 关键词匹配
-    if (options.keywordMatching !== false) {
-      const extractedKeywords = this.extractKeywords(name)
-      const keywordMatches = productArchive.filter((product) =>
-        this.hasKeywordMatch(product, extractedKeywords)
-      )
-      candidates.push(...keywordMatches)
-    }
+    // 按分数排序 (精确记忆匹配优先)
+    candidates.sort((a, b) => {
+      // 精确记忆匹配优先，包含、模糊命中按分数参与排序
+      const aExact = isExactMemoryMatch(a)
+      const bExact = isExactMemoryMatch(b)
+      if (aExact && !bExact) return -1
+      if (!aExact && bExact) return 1
+      // 同类型按分数排序
+      return b.score.total - a.score.total
+    })
 
-    // 3. 模糊名称匹配
-    if (options.fuzzyMatching !== false) {
-      const fuzzyOptions = {
-        extract: (product) => product.name,
-        limit: 20,
-      }
+    candidates.forEach((candidate, index) => {
+      candidate.rank = index + 1
+    })
 
-      const fuzzyResults = fuzzy.filter(name, productArchive, fuzzyOptions)
-      const fuzzyMatches = fuzzyResults
-        .filter((result) => result.score > 0.3) // 模糊匹配阈值
-        .map((result) => result.original)
+    return candidates.slice(0, 10)
+  }
 
-      candidates.push(...fuzzyMatches)
+  /**
+   * 按自动确认策略判断最佳候选的处理结果
+   * @param {Object} candidate 最佳候选项
+   * @param {Object} context { hasConflict, originalData, productData }
+   * @param {Object} policy 自动确认策略，缺省项使用默认值
+   * @returns {Object} { outcome: auto_confirm/pending/exception, rule, blockedBy, expertReview, priceDeviation }
+   */
+  evaluateAutoConfirm(candidate, context = {}, policy = {}) {
+    const rules = resolveAutoConfirmPolicy(policy)
+    const { hasConflict = false, originalData = {}, productData = {} } = context
+    const score = candidate.score?.total || 0
+
+    const priceDeviation = this.calculatePriceDeviation(
+      originalData,
+      productData
+    )
+    const conflictBlocks = hasConflict && rules.blockOnConflict
+    const isExactMemory = isExactMemoryMatch(candidate)
+    const isVerifiedMemory =
+      rules.verifiedMemoryHighTrust &&
+      Boolean(candidate.memorySource?.metadata?.qualityControl?.expertVerified)
+    const isHighTrustMemory =
+      isExactMemory &&
+      ((candidate.memorySource?.confirmCount || 0) >=
+        rules.highTrustConfirmCount ||
+        isVerifiedMemory)
+
+    let rule = null
+    let blockedBy = null
+
+    if (!rules.enabled) {
+      blockedBy = "disabled"
+    } else if (
+      rules.maxPriceDeviation !== null &&
+      priceDeviation !== null &&
+      priceDeviation > rules.maxPriceDeviation
+    ) {
+      blockedBy = "price_deviation"
+    } else if (
+      isHighTrustMemory &&
+      (!conflictBlocks || rules.highTrustIgnoresConflict)
+    ) {
+      rule = "high_trust_memory"
+    } else if (conflictBlocks) {
+      blockedBy = "conflict"
+    } else if (isExactMemory && rules.memoryAutoConfirm) {
+      rule = "memory"
+    } else if (score >= rules.minScore) {
+      rule = "min_score"
+    } else if (
+      score >= rules.highConfidenceScore &&
+      candidate.confidence === "high"
+    ) {
+      rule = "high_confidence_score"
     }
 
-    // 4. 去重和排序
-    const uniqueCandidates = this.removeDuplicates(candidates)
+    let outcome = "exception"
+    let expertReview = false
+    if (rule) outcome = "auto_confirm"
+    else if (score >= rules.reviewScore) outcome = "pending"
+    else if (
+      rules.expertReviewScore !== null &&
+      score >= rules.expertReviewScore
+    ) {
+      outcome = "pending"
+      expertReview = true
+    }
 
-    // 5. 应用过滤条件
-    return this.applyFilters(uniqueCandidates, wholesaleItem, options)
+    return { outcome, rule, blockedBy, expertReview, priceDeviation }
   }
 
   /**
-   * 计算相似度分数
-   * @param {Object} wholesale 批发商品
-   * @param {Object} product 档案商品
-   * @returns {Object} 相似度分数对象
+   * 将批发价换算为商品价格单位，便于与商品价格比较
+   * 无法换算时返回 0，价格不参与评分和偏差检查
    */
-  calculateSimilarity(wholesale, product) {
-    // 名称相似度
-    const nameScore = this.calculateNameSimilarity(wholesale.name, product.name)
-
-    // 品牌匹配度
-    const brandScore = this.calculateBrandSimilarity(
-      wholesale.name,
-      product.brand
+  getComparablePrice(originalData, productData) {
+    if (!originalData?.price) return 0
+    return (
+      toProductUnit(
+        originalData.price,
+        originalData.unit,
+        productData,
+        this.unitFactors
+      )?.price || 0
     )
+  }
 
-    // 关键词匹配度
-    const keywordScore = this.calculateKeywordSimilarity(
-      wholesale.name,
-      product.keywords || []
-    )
+  /**
+   * 计算批发价相对商品价的偏差百分比，任一价格缺失时返回 null
+   */
+  calculatePriceDeviation(originalData, productData) {
+    const origPrice = this.getComparablePrice(originalData, productData)
+    const prodPrice =
+      productData?.pricing?.companyPrice ||
+      productData?.pricing?.retailPrice ||
+      0
+
+    if (!origPrice || !prodPrice) return null
+    return Math.round((Math.abs(origPrice - prodPrice) / prodPrice) * 1000) / 10
+  }
 
-    // 包装类型匹配度
-    const packageScore = this.calculatePackageSimilarity(
-      wholesale.name,
-      product.specifications?.packageType
-    )
+  /**
+   * 计算匹配分数 - 核心算法，返回加权总分
+   */
+  calculateScore(original, product, originalData, productData, config = {}) {
+    return this.scoreComponents(
+      original,
+      product,
+      originalData,
+      productData,
+      config
+    ).total
+  }
 
-    // 计算基础总分
-    let total =
-      nameScore * this.weights.name +
-      brandScore * this.weights.brand +
-      keywordScore * this.weights.keywords +
-      packageScore * this.weights.package
-
-    // 记忆加成 - 新增
-    let memoryBonus = 0
-    if (product._isMemoryMatch && product._memoryScore) {
-      // 根据记忆可信度给予加成，最高20分
-      memoryBonus = Math.min(20, (product._memoryScore / 100) * 20)
-      total += memoryBonus
-
-      logger.debug(
-        `记忆匹配加成: ${memoryBonus}, 记忆分数: ${product._memoryScore}`
-      )
+  /**
+   * 计算各维度分数，并按任务权重加权得到总分
+   * 缺失的维度（如一方没有品牌或价格）和关闭的策略不参与加权
+   */
+  scoreComponents(original, product, originalData, productData, config = {}) {
+    const weights = { ...this.weights, ...(config.weights || {}) }
+    const strategies = { ...this.strategies, ...(config.strategies || {}) }
+
+    // 1. 预处理文本
+    const orig = this.deepNormalize(original)
+    const prod = this.deepNormalize(product)
+
+    if (!orig || !prod) return { total: 0 }
+
+    // 2. 按引擎的评分器流水线计算各维度分数
+    const context = {
+      engine: this,
+      orig,
+      prod,
+      originalData,
+      productData,
+      strategies,
+    }
+    const components = {}
+    for (const scorerName of this.scorers) {
+      const scorer = scorers.get(scorerName)
+      if (scorer) components[scorerName] = scorer(context)
     }
 
-    // 确保总分不超过100
-    total = Math.min(100, total)
+    // 3. 按权重加权
+    const score = {}
+    let weightedSum = 0
+    let weightTotal = 0
 
-    return {
-      name: Math.round(nameScore * 100) / 100,
-      brand: Math.round(brandScore * 100) / 100,
-      keywords: Math.round(keywordScore * 100) / 100,
-      package: Math.round(packageScore * 100) / 100,
-      memoryBonus: Math.round(memoryBonus * 100) / 100,
-      total: Math.round(total * 100) / 100,
-      isMemoryMatch: product._isMemoryMatch || false,
+    for (const [key, value] of Object.entries(components)) {
+      if (value === null || value === undefined) continue
+      score[key] = Math.round(value)
+
+      if (weights[key] > 0) {
+        weightedSum += value * weights[key]
+        weightTotal += weights[key]
+      }
     }
+
+    let total =
+      weightTotal > 0 ? weightedSum / weightTotal : components.name || 0
+
+    // 4. 品牌优先：跨品牌直接返回低分，避免规格词相同导致跨品牌高分
+    if (strategies.brandPriority && this.hasBrandConflict(orig, prod)) {
+      total = Math.min(total, 15)
+    }
+
+    score.total = Math.max(0, Math.min(100, Math.round(total)))
+    return score
   }
 
   /**
-   * 计算名称相似度
+   * 生成评分解释：品牌、词语命中情况、规格冲突、包含度、编辑距离相似度和价格加分
+   * @param {String} original 标准化后的批发名称
+   * @param {String} product 标准化后的商品名称
+   * @param {Object} score scoreComponents 的结果
+   * @returns {Object} 结构化解释，存入候选项 reasons 的 details
    */
-  calculateNameSimilarity(wholesaleName, productName) {
-    if (!wholesaleName || !productName) return 0
+  explainMatch(
+    original,
+    product,
+    originalData,
+    productData,
+    score,
+    config = {}
+  ) {
+    const orig = this.deepNormalize(original)
+    const prod = this.deepNormalize(product)
 
-    const name1 = this.normalizeText(wholesaleName)
-    const name2 = this.normalizeText(productName)
+    const origTokens = this.tokenize(orig)
+    const prodTokens = this.tokenize(prod)
 
-    // 完全匹配
-    if (name1 === name2) return 100
+    const origFeatures = this.extractPackageFeatures(orig)
+    const prodFeatures = this.extractPackageFeatures(
+      prod + this.deepNormalize(productData?.packageType || "")
+    )
+    if (productData?.features?.hasPop) prodFeatures.pop = "爆珠"
 
-    // 包含关系
-    if (name1.includes(name2) || name2.includes(name1)) {
-      const shorter = Math.min(name1.length, name2.length)
-      const longer = Math.max(name1.length, name2.length)
-      return (shorter / longer) * 85
+    return {
+      brand: {
+        original: this.detectBrand(orig),
+        product: this.detectBrand(prod),
+        matched: score.brand === undefined ? null : score.brand === 100,
+      },
+      tokens: {
+        matched: origTokens.filter((token) => prod.includes(token)),
+        missing: origTokens.filter((token) => !prod.includes(token)),
+        extra: prodTokens.filter((token) => !orig.includes(token)),
+      },
+      specificationOnly: this.isSpecificationOnlyMatch(orig, prod),
+      specificationConflicts: Object.keys(origFeatures)
+        .filter(
+          (feature) =>
+            prodFeatures[feature] &&
+            prodFeatures[feature] !== origFeatures[feature]
+        )
+        .map((feature) => ({
+          feature,
+          original: origFeatures[feature],
+          product: prodFeatures[feature],
+        })),
+      containment: Math.round(this.calculateContainment(orig, prod)),
+      similarity: Math.round(this.calculateSimilarity(orig, prod)),
+      price:
+        score.price === undefined
+          ? null
+          : {
+              wholesalePrice: this.getComparablePrice(
+                originalData,
+                productData
+              ),
+              productPrice:
+                productData.pricing?.companyPrice ||
+                productData.pricing?.retailPrice,
+              score: score.price,
+              bonus: this.calculatePriceBonus(score, config),
+            },
     }
+  }
 
-    // 编辑距离算法
-    const distance = this.levenshteinDistance(name1, name2)
-    const maxLength = Math.max(name1.length, name2.length)
-    const similarity = (maxLength - distance) / maxLength
+  /**
+   * 价格维度对总分的影响：含价格与不含价格的加权分之差
+   */
+  calculatePriceBonus(score, config = {}) {
+    const weights = { ...this.weights, ...(config.weights || {}) }
+
+    let weightedSum = 0
+    let weightTotal = 0
+    let withoutPriceSum = 0
+    let withoutPriceTotal = 0
+    for (const [key, weight] of Object.entries(weights)) {
+      if (score[key] === undefined || !(weight > 0)) continue
+      weightedSum += score[key] * weight
+      weightTotal += weight
+      if (key !== "price") {
+        withoutPriceSum += score[key] * weight
+        withoutPriceTotal += weight
+      }
+    }
 
-    return Math.max(0, similarity * 80)
+    if (!weightTotal || !withoutPriceTotal) return 0
+    return Math.round(
+      weightedSum / weightTotal - withoutPriceSum / withoutPriceTotal
+    )
   }
 
   /**
-   * 计算品牌相似度
+   * 将标准化后的名称拆分为品牌、规格词和其余片段，用于逐词比对
    */
-  calculateBrandSimilarity(wholesaleName, productBrand) {
-    if (!wholesaleName || !productBrand) return 0
+  tokenize(text) {
+    const tokens = []
 
-    const normalizedName = this.normalizeText(wholesaleName)
-    const normalizedBrand = this.normalizeText(productBrand)
+    const brand = this.detectBrand(text)
+    if (brand) tokens.push(brand)
 
-    // 直接品牌匹配
-    if (normalizedName.includes(normalizedBrand)) return 100
+    let rest = this.removeBrand(text)
+    const specs = [...this.specificationWords].sort(
+      (a, b) => b.length - a.length
+    )
+    for (const spec of specs) {
+      if (rest.includes(spec)) {
+        tokens.push(spec)
+        rest = rest.split(spec).join(" ")
+      }
+    }
 
-    // 品牌关键词匹配
-    const brandKeywords = this.brandKeywords[productBrand] || []
-    for (const keyword of brandKeywords) {
-      if (normalizedName.includes(this.normalizeText(keyword))) {
-        return 95
+    tokens.push(...(rest.match(/[\u4e00-\u9fa5]+|[a-z0-9.]+/gi) || []))
+    return [...new Set(tokens)]
+  }
+
+  /**
+   * 名称维度评分
+   */
+  calculateNameScore(orig, prod, strategies = this.strategies) {
+    // 1. 完全匹配
+    if (orig === prod) return 100
+
+    // 2. 去品牌后完全匹配
+    const origNoBrand = this.removeBrand(orig)
+    const prodNoBrand = this.removeBrand(prod)
+    if (origNoBrand && prodNoBrand && origNoBrand === prodNoBrand) return 98
+
+    // 3. 检查是否主要依赖规格词匹配（降低跨品牌规格词匹配）
+    const specOnlyMatch = this.isSpecificationOnlyMatch(orig, prod)
+    if (specOnlyMatch) {
+      // 如果主要是规格词匹配且品牌不同，大幅降分
+      const origBrand = this.detectBrand(orig)
+      const prodBrand = this.detectBrand(prod)
+      if (origBrand && prodBrand && origBrand !== prodBrand) {
+        return Math.min(50, this.calculateSimilarity(orig, prod)) // 最高50分
       }
     }
 
-    return 0
+    // 4. 容错匹配（括号、顺序、同义词）
+    if (strategies.fuzzyMatching) {
+      const tolerance = this.tolerantMatch(orig, prod)
+      if (tolerance >= 95) return tolerance
+    }
+
+    // 5. 包含匹配
+    const containment = this.calculateContainment(orig, prod)
+    if (containment >= 85 || !strategies.fuzzyMatching) return containment
+
+    // 6. 编辑距离匹配
+    return this.calculateSimilarity(orig, prod)
   }
 
   /**
-   * 计算关键词匹配度
+   * 品牌维度评分，任一方未识别出品牌时不参与评分
    */
-  calculateKeywordSimilarity(wholesaleName, productKeywords) {
-    if (!wholesaleName || !productKeywords || productKeywords.length === 0)
-      return 0
+  calculateBrandScore(orig, prod) {
+    const origBrand = this.detectBrand(orig)
+    const prodBrand = this.detectBrand(prod)
 
-    const normalizedName = this.normalizeText(wholesaleName)
-    let matchCount = 0
+    if (!origBrand || !prodBrand) return null
+    return origBrand === prodBrand ? 100 : 0
+  }
 
-    for (const keyword of productKeywords) {
-      if (normalizedName.includes(this.normalizeText(keyword))) {
-        matchCount++
-      }
-    }
+  /**
+   * 关键词维度评分
+   * 去除品牌和规格词后的关键词在对方名称中出现的比例，商品关键词命中时额外计入
+   */
+  calculateKeywordScore(orig, prod, productData = {}) {
+    const origCore = this.extractCoreName(orig)
+    const prodCore = this.extractCoreName(prod)
+
+    const origWords = this.extractKeywords(origCore)
+    const prodWords = this.extractKeywords(prodCore)
+
+    // 商品库维护的关键词（排除已包含在名称中的）
+    const extraWords = (productData.keywords || [])
+      .map((keyword) => this.extractCoreName(this.deepNormalize(keyword)))
+      .filter(
+        (keyword) =>
+          keyword.length >= 2 &&
+          keyword !== prodCore &&
+          !prodWords.includes(keyword)
+      )
+    const extraHits = extraWords.filter((keyword) => origCore.includes(keyword))
+
+    const total = origWords.length + prodWords.length + extraHits.length
+    if (total === 0) return null
+
+    const hits =
+      origWords.filter((word) => prodCore.includes(word)).length +
+      prodWords.filter((word) => origCore.includes(word)).length +
+      extraHits.length
 
-    return (matchCount / productKeywords.length) * 100
+    return (hits / total) * 100
   }
 
   /**
-   * 计算包装类型相似度
+   * 去除品牌和规格词后的核心名称
    */
-  calculatePackageSimilarity(wholesaleName, packageType) {
-    if (!wholesaleName || !packageType) return 50 // 默认中性分数
+  extractCoreName(text) {
+    // 同义词替换（硬 -> 硬盒）后移除规格词可能残留"盒"字
+    return this.removeSpecifications(this.removeBrand(text)).replace(/盒/g, "")
+  }
 
-    const normalizedName = this.normalizeText(wholesaleName)
-    const normalizedPackage = this.normalizeText(packageType)
+  /**
+   * 包装规格维度评分（硬盒/软盒、细支/中支、爆珠）
+   * 仅比较双方都能识别的特征，无共同特征时不参与评分
+   */
+  calculatePackageScore(orig, prod, productData = {}) {
+    const origFeatures = this.extractPackageFeatures(orig)
+    const prodFeatures = this.extractPackageFeatures(
+      prod + this.deepNormalize(productData.packageType || "")
+    )
+    if (productData.features?.hasPop) prodFeatures.pop = "爆珠"
 
-    // 直接匹配
-    if (normalizedName.includes(normalizedPackage)) return 100
+    const common = Object.keys(origFeatures).filter(
+      (feature) => prodFeatures[feature]
+    )
+    if (common.length === 0) return null
 
-    // 包装关键词匹配
-    const packageKeywords = this.packageKeywords[packageType] || []
-    for (const keyword of packageKeywords) {
-      if (normalizedName.includes(this.normalizeText(keyword))) {
-        return 90
-      }
+    const matched = common.filter(
+      (feature) => origFeatures[feature] === prodFeatures[feature]
+    )
+    return (matched.length / common.length) * 100
+  }
+
+  /**
+   * 识别文本中的包装规格特征
+   */
+  extractPackageFeatures(text) {
+    const features = {}
+
+    for (const [feature, patterns] of Object.entries(this.packageFeatures)) {
+      const found = patterns.find(([word]) => text.includes(word))
+      if (found) features[feature] = found[1]
     }
 
-    return 30
+    return features
   }
 
   /**
-   * 提取品牌信息
+   * 价格维度评分，任一方没有价格时不参与评分
    */
-  extractBrand(name) {
-    const normalizedName = this.normalizeText(name)
+  calculatePriceScore(originalData, productData) {
+    const origPrice = this.getComparablePrice(originalData, productData)
+    const prodPrice =
+      productData.pricing?.companyPrice || productData.pricing?.retailPrice || 0
 
-    for (const [brand, keywords] of Object.entries(this.brandKeywords)) {
-      for (const keyword of keywords) {
-        if (normalizedName.includes(this.normalizeText(keyword))) {
-          return brand
-        }
-      }
-    }
+    if (!origPrice || !prodPrice) return null
 
-    return null
+    const diff = Math.abs(origPrice - prodPrice)
+    const avgPrice = (origPrice + prodPrice) / 2
+    const relDiff = avgPrice > 0 ? diff / avgPrice : 1
+
+    // 差异10元内视为一致，相对差异达到50%时为0分
+    if (diff <= 10) return 100
+    return Math.max(0, 100 - relDiff * 200)
   }
 
   /**
-   * 提取关键词
+   * 文本标准化
    */
-  extractKeywords(name) {
-    const keywords = []
-    const normalizedName = this.normalizeText(name)
-
-    // 提取包装类型关键词
-    for (const [packageType, packageKeywords] of Object.entries(
-      this.packageKeywords
-    )) {
-      for (const keyword of packageKeywords) {
-        if (normalizedName.includes(this.normalizeText(keyword))) {
-          keywords.push(packageType)
-          break
-        }
-      }
+  normalize(text) {
+    return normalizeText(text)
+  }
+
+  /**
+   * 深度标准化（处理同义词）
+   */
+  deepNormalize(text) {
+    let result = this.normalize(text)
+
+    // 应用同义词替换
+    for (const [key, value] of this.synonyms) {
+      result = result.replace(new RegExp(key, "g"), value)
     }
 
-    // 提取规格关键词
-    for (const [size, sizeKeywords] of Object.entries(this.sizeKeywords)) {
-      for (const keyword of sizeKeywords) {
-        if (normalizedName.includes(this.normalizeText(keyword))) {
-          keywords.push(size)
-          break
-        }
+    // 数字标准化
+    result = result
+      .replace(/一/g, "1")
+      .replace(/二/g, "2")
+      .replace(/三/g, "3")
+      .replace(/四/g, "4")
+      .replace(/五/g, "5")
+      .replace(/六/g, "6")
+      .replace(/七/g, "7")
+      .replace(/八/g, "8")
+      .replace(/九/g, "9")
+      .replace(/十/g, "10")
+
+    return result
+  }
+
+  /**
+   * 移除品牌词
+   */
+  removeBrand(text) {
+    let result = text
+    for (const brand of this.brands) {
+      const normalizedBrand = this.normalize(brand)
+      if (normalizedBrand && result.includes(normalizedBrand)) {
+        result = result.replace(normalizedBrand, "")
+        break // 只移除第一个匹配的品牌
       }
     }
+    return result.trim()
+  }
 
-    return keywords
+  /**
+   * 检查是否主要依赖规格词匹配
+   */
+  isSpecificationOnlyMatch(orig, prod) {
+    // 移除品牌和规格词，看剩余内容是否很少
+    const origNoBrand = this.removeBrand(orig)
+    const prodNoBrand = this.removeBrand(prod)
+
+    const origNoSpec = this.removeSpecifications(origNoBrand)
+    const prodNoSpec = this.removeSpecifications(prodNoBrand)
+
+    // 如果去除规格词后，剩余内容很少且不相似，说明主要依赖规格词
+    return (
+      (origNoSpec.length <= 2 || prodNoSpec.length <= 2) &&
+      origNoSpec !== prodNoSpec
+    )
   }
 
   /**
-   * 判断品牌匹配
+   * 移除规格词
    */
-  isBrandMatch(productBrand, detectedBrand) {
-    return productBrand === detectedBrand
+  removeSpecifications(text) {
+    let result = text
+    for (const spec of this.specificationWords) {
+      result = result.replace(new RegExp(spec, "g"), "")
+    }
+    return result.trim()
   }
 
   /**
-   * 判断关键词匹配
+   * 容错匹配（处理括号、顺序等）
    */
-  hasKeywordMatch(product, extractedKeywords) {
-    if (!extractedKeywords || extractedKeywords.length === 0) return false
+  tolerantMatch(orig, prod) {
+    // 展开括号内容
+    const expandBrackets = (str) => {
+      return str.replace(/\(([^)]+)\)/g, "$1")
+    }
 
-    const productKeywords = [
-      ...(product.keywords || []),
-      product.specifications?.packageType,
-      product.specifications?.size,
-    ].filter(Boolean)
+    const origExpanded = expandBrackets(orig)
+    const prodExpanded = expandBrackets(prod)
 
-    return extractedKeywords.some((keyword) =>
-      productKeywords.some((pk) =>
-        this.normalizeText(pk).includes(this.normalizeText(keyword))
-      )
-    )
+    // 字符排序比较（忽略顺序）
+    const sortChars = (str) => str.split("").sort().join("")
+
+    const origSorted = sortChars(this.removeBrand(origExpanded))
+    const prodSorted = sortChars(this.removeBrand(prodExpanded))
+
+    if (origSorted && prodSorted && origSorted === prodSorted) return 97
+
+    // 长度差异容忍
+    const lengthDiff = Math.abs(origExpanded.length - prodExpanded.length)
+    if (lengthDiff <= 2) {
+      if (
+        origExpanded.includes(prodExpanded) ||
+        prodExpanded.includes(origExpanded)
+      ) {
+        return 95
+      }
+    }
+
+    return 0
   }
 
   /**
-   * 去除重复候选项
+   * 包含关系匹配
    */
-  removeDuplicates(candidates) {
-    const seen = new Set()
-    return candidates.filter((candidate) => {
-      const id = candidate._id.toString()
-      if (seen.has(id)) {
-        return false
-      }
-      seen.add(id)
-      return true
-    })
+  calculateContainment(orig, prod) {
+    const origClean = this.removeBrand(orig)
+    const prodClean = this.removeBrand(prod)
+
+    if (!origClean || !prodClean) return 0
+
+    // 完全包含
+    if (origClean.includes(prodClean) || prodClean.includes(origClean)) {
+      const ratio =
+        Math.min(origClean.length, prodClean.length) /
+        Math.max(origClean.length, prodClean.length)
+      return 80 + ratio * 15 // 80-95分
+    }
+
+    // 部分包含 - 更宽松的匹配
+    const shortStr = origClean.length < prodClean.length ? origClean : prodClean
+    const longStr = origClean.length < prodClean.length ? prodClean : origClean
+
+    if (shortStr.length >= 2 && longStr.includes(shortStr)) {
+      return 75 // 部分包含给75分
+    }
+
+    // 关键词包含
+    const origWords = this.extractKeywords(origClean)
+    const prodWords = this.extractKeywords(prodClean)
+
+    const intersection = origWords.filter((word) => prodWords.includes(word))
+    const union = [...new Set([...origWords, ...prodWords])]
+
+    if (intersection.length > 0 && union.length > 0) {
+      const jaccard = intersection.length / union.length
+      return Math.round(60 + jaccard * 25) // 60-85分
+    }
+
+    return 0
   }
 
   /**
-   * 应用过滤条件
+   * 检查品牌冲突
    */
-  applyFilters(candidates, wholesaleItem, options) {
-    let filtered = candidates
-
-    // 价格范围过滤
-    if (options.priceValidation !== false && wholesaleItem.price) {
-      const priceRange = wholesaleItem.price * 0.3 // 30%的价格容差
-      filtered = filtered.filter((product) => {
-        const productPrice = product.specifications?.price
-        if (!productPrice) return true // 没有价格信息的保留
+  hasBrandConflict(orig, prod) {
+    const origBrand = this.detectBrand(orig)
+    const prodBrand = this.detectBrand(prod)
 
-        return Math.abs(productPrice - wholesaleItem.price) <= priceRange
-      })
+    if (origBrand && prodBrand && origBrand !== prodBrand) {
+      return true
     }
+    return false
+  }
 
-    return filtered
+  /**
+   * 检测品牌
+   */
+  detectBrand(text) {
+    for (const brand of this.brands) {
+      const normalizedBrand = this.normalize(brand)
+      if (normalizedBrand && text.includes(normalizedBrand)) {
+        return normalizedBrand
+      }
+    }
+    return null
   }
 
   /**
-   * 确定置信度等级
+   * 提取关键词
    */
-  determineConfidence(score) {
-    if (score >= this.thresholds.autoConfirm) return "high"
-    if (score >= this.thresholds.default) return "medium"
-    return "low"
+  extractKeywords(text) {
+    // 简单分词：2个字符以上的连续片段
+    const matches = text.match(/[\u4e00-\u9fa5]{2,}/g) || []
+    return [...new Set(matches)]
   }
 
   /**
-   * 获取推荐操作
+   * 获取置信度等级
    */
-  getRecommendedAction(score) {
-    if (score >= this.thresholds.autoConfirm) return "auto_confirm"
-    if (score >= this.thresholds.default) return "manual_review"
-    return "expert_review"
+  getConfidenceLevel(score) {
+    if (score >= 80) return "high"
+    if (score >= 60) return "medium"
+    return "low"
   }
 
   /**
    * 生成匹配原因
+   * @param {Object} score 各维度分数
+   * @param {Object} explanation explainMatch 的结果（可选），提供时附加到原因的 details
    */
-  generateMatchReasons(wholesaleItem, product) {
+  generateReasons(score, explanation = null) {
     const reasons = []
-    const score = this.calculateSimilarity(wholesaleItem, product)
+    const nameScore = score.name ?? score.total
 
-    if (score.brand > 80) {
+    if (nameScore >= 95) {
       reasons.push({
-        type: "brand_match",
-        description: "品牌匹配",
-        weight: score.brand,
+        type: "name_similarity",
+        description: "名称高度匹配",
+        weight: 1.0,
       })
-    }
-
-    if (score.name > 70) {
+    } else if (nameScore >= 85) {
+      reasons.push({
+        type: "name_similarity",
+        description: "名称强相似",
+        weight: 0.9,
+      })
+    } else if (nameScore >= 70) {
       reasons.push({
         type: "name_similarity",
         description: "名称相似",
-        weight: score.name,
+        weight: 0.8,
+      })
+    } else {
+      reasons.push({
+        type: "name_similarity",
+        description: "名称弱相似",
+        weight: 0.6,
       })
     }
 
-    if (score.keywords > 60) {
+    if (score.brand === 100) {
+      reasons.push({
+        type: "brand_match",
+        description: "品牌一致",
+        weight: 1.0,
+      })
+    }
+    if (score.keywords >= 80) {
       reasons.push({
         type: "keyword_match",
         description: "关键词匹配",
-        weight: score.keywords,
+        weight: score.keywords / 100,
       })
     }
-
-    if (score.price > 80) {
+    if (score.package === 100) {
+      reasons.push({
+        type: "package_type",
+        description: "包装规格一致",
+        weight: 1.0,
+      })
+    }
+    if (score.price >= 80) {
       reasons.push({
         type: "price_range",
-        description: "价格合理",
-        weight: score.price,
+        description: "价格接近",
+        weight: score.price / 100,
       })
     }
 
+    if (explanation) {
+      this.attachExplanation(reasons, score, explanation)
+    }
+
     return reasons
   }
 
   /**
-   * 学习用户选择偏好
+   * 将结构化解释附加到匹配原因，未命中的维度也补充说明
    */
-  async learnFromUserChoice(
-    wholesaleItem,
-    selectedProduct,
-    rejectedProducts,
-    userId
-  ) {
-    try {
-      // 更新选中商品的匹配历史
-      const confidence = this.calculateSimilarity(
-        wholesaleItem,
-        selectedProduct
-      ).total
-      await selectedProduct.addMatchingHistory(
-        wholesaleItem.name,
-        confidence,
-        userId
-      )
-
-      // 调整权重（简单的学习算法）
-      const selectedScore = this.calculateSimilarity(
-        wholesaleItem,
-        selectedProduct
-      )
-
-      // 根据用户选择调整权重
-      if (selectedScore.brand > 80) {
-        this.weights.brand = Math.min(
-          1,
-          this.weights.brand + this.learningRate * 0.1
-        )
-      }
-
-      if (selectedScore.name > 80) {
-        this.weights.name = Math.min(
-          1,
-          this.weights.name + this.learningRate * 0.1
-        )
-      }
-
-      logger.info("学习完成，权重已更新", {
-        userId,
-        wholesaleItem: wholesaleItem.name,
-        selectedProduct: selectedProduct.name,
-        newWeights: this.weights,
-      })
-    } catch (error) {
-      logger.error("学习过程失败:", error)
+  attachExplanation(reasons, score, explanation) {
+    const findReason = (type) => reasons.find((reason) => reason.type === type)
+
+    const { brand, tokens, price } = explanation
+    findReason("name_similarity").details = {
+      containment: explanation.containment,
+      similarity: explanation.similarity,
+      specificationOnly: explanation.specificationOnly,
     }
-  }
 
-  /**
-   * 查找匹配记忆
-   * @param {String} normalizedName 标准化的批发名
-   * @returns {Array} 匹配的记忆列表
-   */
-  async findMemoryMatches(normalizedName) {
-    try {
-      // 精确匹配
-      const exactMatches = await MatchingMemory.findMatching(normalizedName, {
-        limit: 3,
-        minConfidence: 80,
+    if (brand.matched === false) {
+      reasons.push({
+        type: "brand_match",
+        description: `品牌不一致（${brand.original} / ${brand.product}）`,
+        weight: 0,
       })
+    }
+    if (findReason("brand_match")) {
+      findReason("brand_match").details = brand
+    }
 
-      if (exactMatches.length > 0) {
-        return exactMatches
+    const tokenCount = tokens.matched.length + tokens.missing.length
+    if (tokenCount > 0) {
+      if (!findReason("keyword_match")) {
+        reasons.push({
+          type: "keyword_match",
+          description: `命中${tokens.matched.length}/${tokenCount}个词`,
+          weight: tokens.matched.length / tokenCount,
+        })
       }
+      findReason("keyword_match").details = tokens
+    }
 
-      // 模糊匹配 - 查找相似的批发名
-      const similarMatches = await MatchingMemory.find({
-        status: "active",
-        normalizedWholesaleName: {
-          $regex: normalizedName.slice(0, -2),
-          $options: "i",
-        },
-      })
-        .populate(
-          "confirmedProductId",
-          "name brand company productCode boxCode pricing"
-        )
-        .sort({ weight: -1, confirmCount: -1 })
-        .limit(5)
-        .lean()
-
-      // 过滤相似度较高的记忆
-      const filteredMatches = similarMatches.filter((memory) => {
-        const similarity = this.calculateStringSimilarity(
-          normalizedName,
-          memory.normalizedWholesaleName
-        )
-        return similarity >= 0.7 // 70%以上相似度
+    if (explanation.specificationConflicts.length > 0) {
+      reasons.push({
+        type: "specification_conflict",
+        description: `规格不一致：${explanation.specificationConflicts
+          .map((conflict) => `${conflict.original}/${conflict.product}`)
+          .join("，")}`,
+        weight: 0,
+        details: explanation.specificationConflicts,
       })
+    }
 
-      return filteredMatches
-    } catch (error) {
-      logger.error("查找匹配记忆失败:", error)
-      return []
+    if (price) {
+      if (!findReason("price_range")) {
+        reasons.push({
+          type: "price_range",
+          description: "价格差异较大",
+          weight: price.score / 100,
+        })
+      }
+      findReason("price_range").details = price
     }
   }
 
   /**
-   * 从匹配结果中学习并保存记忆
-   * @param {String} originalName 原始批发名
-   * @param {String} productId 确认的商品ID
-   * @param {Number} confidence 置信度
-   * @param {String} userId 用户ID
-   * @param {String} recordId 匹配记录ID
-   * @param {String} taskId 任务ID
+   * 计算两个字符串的相似度 (0-100)
    */
-  async learnFromMatch(
-    originalName,
-    productId,
-    confidence,
-    userId,
-    recordId,
-    taskId
-  ) {
-    // 完全禁用自动学习功能 - 现在只有手动学习模式
-    logger.info("自动学习已禁用，需要手动学习到记忆库", {
-      originalName,
-      productId,
-      confidence,
-      userId,
-      recordId,
-      taskId,
-      note: "自动学习功能已被完全禁用",
-    })
+  calculateSimilarity(str1, str2) {
+    if (!str1 || !str2) return 0
+    if (str1 === str2) return 100
 
-    // 不执行任何学习操作，直接返回
-    return Promise.resolve()
-  }
+    // 标准化处理
+    const normalized1 = this.deepNormalize(str1)
+    const normalized2 = this.deepNormalize(str2)
 
-  /**
-   * 计算字符串相似度
-   * @param {String} str1 字符串1
-   * @param {String} str2 字符串2
-   * @returns {Number} 相似度 0-1
-   */
-  calculateStringSimilarity(str1, str2) {
-    if (!str1 || !str2) return 0
-    if (str1 === str2) return 1
+    if (normalized1 === normalized2) return 100
 
-    const distance = this.levenshteinDistance(str1, str2)
-    const maxLength = Math.max(str1.length, str2.length)
-    return (maxLength - distance) / maxLength
-  }
+    // 计算Levenshtein距离
+    const distance = this.levenshteinDistance(normalized1, normalized2)
+    const maxLength = Math.max(normalized1.length, normalized2.length)
 
-  /**
-   * 文本标准化
-   */
-  normalizeText(text) {
-    if (!text) return ""
+    if (maxLength === 0) return 100
 
-    return text
-      .toLowerCase()
-      .trim()
-      .replace(/\s+/g, "") // 移除空格
-      .replace(/[^\u4e00-\u9fa5a-z0-9]/g, "") // 只保留中文、英文、数字
+    // 转换为相似度百分比
+    const similarity = ((maxLength - distance) / maxLength) * 100
+    return Math.max(0, similarity)
   }
 
   /**
-   * 计算编辑距离
+   * 计算Levenshtein距离
    */
   levenshteinDistance(str1, str2) {
-    const matrix = []
-
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i]
-    }
-
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j
-    }
-
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1]
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          )
-        }
-      }
-    }
-
-    return matrix[str2.length][str1.length]
+    return levenshteinDistance(str1, str2)
   }
 }
 
-// 导出文本标准化函数，供其他模块使用
-SmartMatchingEngine.normalizeText = function (text) {
-  if (!text) return ""
-  return text
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, "")
-    .replace(/[^\u4e00-\u9fa5a-z0-9]/g, "")
+// === 内置评分器 ===
+registerScorer("name", ({ engine, orig, prod, strategies }) =>
+  engine.calculateNameScore(orig, prod, strategies)
+)
+registerScorer("brand", ({ engine, orig, prod }) =>
+  engine.calculateBrandScore(orig, prod)
+)
+registerScorer("keywords", ({ engine, orig, prod, productData, strategies }) =>
+  strategies.keywordMatching
+    ? engine.calculateKeywordScore(orig, prod, productData)
+    : null
+)
+registerScorer("package", ({ engine, orig, prod, productData, strategies }) =>
+  strategies.packageTypeRecognition
+    ? engine.calculatePackageScore(orig, prod, productData)
+    : null
+)
+registerScorer("price", ({ engine, originalData, productData, strategies }) =>
+  strategies.priceValidation
+    ? engine.calculatePriceScore(originalData, productData)
+    : null
+)
+
+// === 内置引擎 ===
+registerEngine("default", {
+  description: "多维度加权评分（名称、品牌、关键词、包装、价格）",
+  scorers: ["name", "brand", "keywords", "package", "price"],
+})
+registerEngine("name_only", {
+  description: "仅按名称相似度评分",
+  scorers: ["name"],
+  weights: { name: 1 },
+})
+
+module.exports = {
+  MatchingEngine,
+  createEngine,
+  registerScorer,
+  registerEngine,
+  getEngines,
+  normalizeText,
+  levenshteinDistance,
+  ngramSimilarity,
+  resolveAutoConfirmPolicy,
+  DEFAULT_WEIGHTS,
+  DEFAULT_STRATEGIES,
+  DEFAULT_AUTO_CONFIRM_POLICY,
+  MEMORY_MATCH_WEIGHTS,
 }
-
-module.exports = SmartMatchingEngine
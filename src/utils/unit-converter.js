@@ -0,0 +1,135 @@
+/**
+ * 价格单位换算
+ * 统一以"包"为基准单位在 支、包、条、件 之间换算价格：
+ * 每包支数取商品的 specifications.packageQuantity，每条包数、每件条数可配置
+ */
+
+// 默认换算系数
+const DEFAULT_FACTORS = {
+  defaultWholesaleUnit: "条", // 批发数据缺少单位时使用
+  packsPerCarton: 10, // 每条10包
+  cartonsPerCase: 50, // 每件50条
+}
+
+// 旧版本在文件没有单位列时将单位记为"盒"，价格实际按条计
+// 新数据入库时已将"盒"标准化为"包"，已保存数据中的"盒"只可能来自旧版本
+const LEGACY_DEFAULT_UNIT = "盒"
+
+// 单位别名 -> 标准单位
+const UNIT_ALIASES = {
+  支: ["支", "根"],
+  包: ["包", "盒", "小盒"],
+  条: ["条"],
+  件: ["件", "箱"],
+}
+
+/**
+ * 标准化单位，支持 "元/条"、"盒" 等写法
+ * @returns {String|null} 支/包/条/件，无法识别时返回 null
+ */
+function normalizeUnit(unit) {
+  if (!unit) return null
+
+  const text = String(unit).trim().split("/").pop().trim()
+  for (const [standard, aliases] of Object.entries(UNIT_ALIASES)) {
+    if (aliases.includes(text)) return standard
+  }
+  return null
+}
+
+/**
+ * 入库前标准化批发单位：可识别的写法统一为标准单位，无法识别时保留原文
+ * @returns {String|null} 没有单位时返回 null
+ */
+function normalizeWholesaleUnit(unit) {
+  const text = unit === null || unit === undefined ? "" : String(unit).trim()
+  if (!text) return null
+  return normalizeUnit(text) || text
+}
+
+/**
+ * 解析已保存的批发单位：缺少单位或为旧版本默认的"盒"时按默认批发单位处理
+ */
+function resolveWholesaleUnit(unit, factors = {}) {
+  const text = unit === null || unit === undefined ? "" : String(unit).trim()
+  if (!text || text === LEGACY_DEFAULT_UNIT) {
+    return factors.defaultWholesaleUnit || DEFAULT_FACTORS.defaultWholesaleUnit
+  }
+  return text
+}
+
+/**
+ * 获取每个单位包含的包数
+ * @param {String} unit 单位
+ * @param {Object} product 商品（支装换算需要 specifications.packageQuantity）
+ * @param {Object} factors 换算系数
+ * @returns {Number|null} 无法换算时返回 null
+ */
+function getPacksPerUnit(unit, product, factors = {}) {
+  const { packsPerCarton, cartonsPerCase } = { ...DEFAULT_FACTORS, ...factors }
+
+  switch (normalizeUnit(unit)) {
+    case "支": {
+      const sticksPerPack = product?.specifications?.packageQuantity
+      return sticksPerPack > 0 ? 1 / sticksPerPack : null
+    }
+    case "包":
+      return 1
+    case "条":
+      return packsPerCarton
+    case "件":
+      return packsPerCarton * cartonsPerCase
+    default:
+      return null
+  }
+}
+
+/**
+ * 换算价格
+ * @param {Number} price 以 fromUnit 计的价格
+ * @returns {Number|null} 以 toUnit 计的价格，无法换算时返回 null
+ */
+function convertPrice(price, fromUnit, toUnit, { product, factors } = {}) {
+  if (!price) return null
+
+  // 同单位无需换算（不依赖每包支数）
+  const from = normalizeUnit(fromUnit)
+  if (from && from === normalizeUnit(toUnit)) return price
+
+  const fromPacks = getPacksPerUnit(fromUnit, product, factors)
+  const toPacks = getPacksPerUnit(toUnit, product, factors)
+  if (!fromPacks || !toPacks) return null
+
+  return Math.round((price / fromPacks) * toPacks * 100) / 100
+}
+
+/**
+ * 将已保存的批发价换算为商品价格单位（Product.pricing.unit，默认元/条）
+ * 批发单位按 resolveWholesaleUnit 解析
+ * @returns {Object|null} { price, unit, converted }，单位无法识别或缺少换算信息时返回 null
+ */
+function toProductUnit(price, unit, product, factors) {
+  const productUnit = product?.pricing?.unit || "元/条"
+  const wholesaleUnit = resolveWholesaleUnit(unit, factors)
+  const converted = convertPrice(price, wholesaleUnit, productUnit, {
+    product,
+    factors,
+  })
+
+  if (converted === null) return null
+  return {
+    price: converted,
+    unit: productUnit,
+    converted: normalizeUnit(wholesaleUnit) !== normalizeUnit(productUnit),
+  }
+}
+
+module.exports = {
+  DEFAULT_FACTORS,
+  normalizeUnit,
+  normalizeWholesaleUnit,
+  resolveWholesaleUnit,
+  getPacksPerUnit,
+  convertPrice,
+  toProductUnit,
+}
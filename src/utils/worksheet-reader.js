@@ -0,0 +1,133 @@
+/**
+ * 工作表读取工具
+ * 处理供应商报价单常见的标题行、合并单元格，自动定位表头行并保留真实行号
+ */
+const xlsx = require("xlsx")
+const ExcelParser = require("./excel-parser")
+
+// 只在前若干行中查找表头
+const HEADER_SCAN_ROWS = 20
+
+// 已知的表头别名（小写），命中越多越可能是表头行
+const HEADER_ALIASES = [
+  ...new Set(
+    Object.values(new ExcelParser().columnMapping)
+      .flat()
+      .map((alias) => alias.toLowerCase())
+  ),
+]
+
+/**
+ * 将合并区域左上角单元格的值填充到区域内所有单元格
+ */
+function fillMergedCells(worksheet) {
+  for (const merge of worksheet["!merges"] || []) {
+    const origin = worksheet[xlsx.utils.encode_cell(merge.s)]
+    if (!origin) continue
+
+    for (let r = merge.s.r; r <= merge.e.r; r++) {
+      for (let c = merge.s.c; c <= merge.e.c; c++) {
+        if (r === merge.s.r && c === merge.s.c) continue
+        worksheet[xlsx.utils.encode_cell({ r, c })] = { ...origin }
+      }
+    }
+  }
+}
+
+/**
+ * 查找表头行：命中已知列名最多、且非空文本列最多的行
+ * 标题行经合并填充后各列值相同，按去重后的值计数，不会被误判为表头
+ * @param {Array<Array>} rows 二维数组形式的行数据
+ * @returns {Number} 表头行在 rows 中的下标
+ */
+function detectHeaderRow(rows) {
+  let best = { index: 0, score: -1 }
+
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((cells, index) => {
+    const texts = [
+      ...new Set(
+        cells
+          .filter((cell) => typeof cell === "string" && cell.trim())
+          .map((cell) => cell.trim().toLowerCase())
+      ),
+    ]
+    if (texts.length < 2) return
+
+    const aliasHits = texts.filter((text) =>
+      HEADER_ALIASES.some((alias) => text === alias || text.includes(alias))
+    ).length
+    const score = aliasHits * 10 + texts.length
+
+    if (score > best.score) best = { index, score }
+  })
+
+  return best.index
+}
+
+/**
+ * 读取工作表为对象数组
+ * @param {Object} worksheet xlsx 工作表
+ * @returns {Object} { headerRow, headers, rows: [{ row, data }] }，行号从1开始，与Excel一致
+ */
+function readWorksheet(worksheet) {
+  if (!worksheet || !worksheet["!ref"]) {
+    return { headerRow: null, headers: [], rows: [] }
+  }
+
+  fillMergedCells(worksheet)
+
+  const firstRow = xlsx.utils.decode_range(worksheet["!ref"]).s.r
+  const cells = xlsx.utils.sheet_to_json(worksheet, {
+    header: 1,
+    defval: null,
+    blankrows: true,
+  })
+
+  const headerIndex = detectHeaderRow(cells)
+  const headers = buildHeaders(cells[headerIndex] || [])
+  const headerKey = headers.filter(Boolean).join("|")
+  const rows = []
+
+  for (let index = headerIndex + 1; index < cells.length; index++) {
+    const data = {}
+    cells[index].forEach((value, column) => {
+      if (value === null || value === "" || !headers[column]) return
+      data[headers[column]] = value
+    })
+
+    if (Object.keys(data).length === 0) continue
+    // 跳过分页重复出现的表头行
+    if (
+      Object.values(data)
+        .map((value) => String(value).trim())
+        .join("|") === headerKey
+    )
+      continue
+
+    rows.push({ row: firstRow + index + 1, data })
+  }
+
+  return { headerRow: firstRow + headerIndex + 1, headers, rows }
+}
+
+/**
+ * 生成列名：空列名跳过，重复列名（如合并的表头）追加序号
+ */
+function buildHeaders(cells) {
+  const seen = new Map()
+
+  return cells.map((cell) => {
+    const name = cell === null ? "" : String(cell).trim()
+    if (!name) return null
+
+    const count = (seen.get(name) || 0) + 1
+    seen.set(name, count)
+    return count > 1 ? `${name}_${count}` : name
+  })
+}
+
+module.exports = {
+  fillMergedCells,
+  detectHeaderRow,
+  readWorksheet,
+}
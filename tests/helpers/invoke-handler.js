@@ -0,0 +1,36 @@
+/**
+ * 测试用请求调用：直接执行 asyncHandler 包装的控制器，等待响应或错误
+ */
+
+/**
+ * @param {Function} handler 控制器函数
+ * @param {Object} req 请求对象（params、query、body、user 等）
+ * @returns {Promise<Object>} { statusCode, body } 或 { error }
+ */
+function invokeHandler(handler, req = {}) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value
+      },
+      json(body) {
+        resolve({ statusCode: this.statusCode, body })
+        return this
+      },
+    }
+
+    handler(
+      { params: {}, query: {}, body: {}, headers: {}, ...req },
+      res,
+      (error) => resolve({ error })
+    )
+  })
+}
+
+module.exports = { invokeHandler }
@@ -0,0 +1,74 @@
+/**
+ * 测试用数据库桩：不连接 MongoDB，按模型和操作返回预设结果
+ */
+const mongoose = require("mongoose")
+
+// 未配置时各操作的默认返回值
+const DEFAULT_RESULTS = {
+  find: () => [],
+  distinct: () => [],
+  countDocuments: () => 0,
+  estimatedDocumentCount: () => 0,
+}
+
+/**
+ * 拦截查询、聚合和保存（save、Model.create）
+ * @param {Object} handlers { 模型名: { 操作名: 返回值或 (filter, query) => 返回值 } }
+ *   操作名为 Mongoose 查询的 op（find、findOne、countDocuments 等），聚合为 aggregate
+ * @returns {Object} { saved, queries } 保存过的文档（去重）和执行过的查询
+ */
+function mockDatabase(handlers = {}) {
+  const saved = new Set()
+  const queries = []
+
+  const resolve = async (modelName, op, args) => {
+    const handler = handlers[modelName]?.[op]
+    const result =
+      typeof handler === "function" ? await handler(...args) : handler
+    if (result !== undefined) return result
+    return DEFAULT_RESULTS[op] ? DEFAULT_RESULTS[op]() : null
+  }
+
+  jest
+    .spyOn(mongoose.Query.prototype, "exec")
+    .mockImplementation(async function () {
+      const query = {
+        model: this.model.modelName,
+        op: this.op,
+        filter: this.getFilter(),
+        projection: this.projection(),
+        update: this.getUpdate(),
+        options: this.getOptions(),
+      }
+      queries.push(query)
+      return resolve(query.model, query.op, [query.filter, query])
+    })
+
+  jest
+    .spyOn(mongoose.Aggregate.prototype, "exec")
+    .mockImplementation(async function () {
+      const query = {
+        model: this._model.modelName,
+        op: "aggregate",
+        pipeline: this.pipeline(),
+      }
+      queries.push(query)
+      return resolve(query.model, "aggregate", [query.pipeline, query])
+    })
+
+  const save = async function () {
+    saved.add(this)
+    return this
+  }
+  jest.spyOn(mongoose.Model.prototype, "save").mockImplementation(save)
+  // Model.create 通过 $save 保存
+  jest.spyOn(mongoose.Model.prototype, "$save").mockImplementation(save)
+
+  return {
+    saved,
+    queries,
+    savedOf: (Model) => [...saved].filter((doc) => doc instanceof Model),
+  }
+}
+
+module.exports = { mockDatabase }
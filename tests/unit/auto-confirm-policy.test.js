@@ -0,0 +1,195 @@
+/**
+ * 自动确认策略测试
+ */
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const MatchingTask = require("../../src/models/MatchingTask")
+const MatchingRecord = require("../../src/models/MatchingRecord")
+const ProductTemplate = require("../../src/models/ProductTemplate")
+const matchingTaskService = require("../../src/services/matching-task.service")
+const {
+  createEngine,
+  DEFAULT_AUTO_CONFIRM_POLICY,
+} = require("../../src/utils/matching-algorithm")
+const { mockDatabase } = require("../helpers/mock-database")
+
+const engine = createEngine()
+
+const candidate = (total, overrides = {}) => ({
+  productId: "p1",
+  score: { total },
+  confidence: "medium",
+  ...overrides,
+})
+
+describe("evaluateAutoConfirm", () => {
+  test("按分数阈值判断自动确认、待审核和异常", () => {
+    expect(engine.evaluateAutoConfirm(candidate(96))).toMatchObject({
+      outcome: "auto_confirm",
+      rule: "min_score",
+    })
+    expect(
+      engine.evaluateAutoConfirm(candidate(91, { confidence: "high" }))
+    ).toMatchObject({ outcome: "auto_confirm", rule: "high_confidence_score" })
+    expect(engine.evaluateAutoConfirm(candidate(91)).outcome).toBe("pending")
+    expect(engine.evaluateAutoConfirm(candidate(40)).outcome).toBe("exception")
+  })
+
+  test("低于审核分数但达到专家审核分数时进入专家审核", () => {
+    const policy = { reviewScore: 40, expertReviewScore: 15 }
+
+    expect(engine.evaluateAutoConfirm(candidate(45), {}, policy)).toMatchObject(
+      { outcome: "pending", expertReview: false }
+    )
+    expect(engine.evaluateAutoConfirm(candidate(20), {}, policy)).toMatchObject(
+      { outcome: "pending", expertReview: true }
+    )
+    expect(engine.evaluateAutoConfirm(candidate(10), {}, policy)).toMatchObject(
+      { outcome: "exception", expertReview: false }
+    )
+  })
+
+  test("绑定冲突阻止自动确认，高信任记忆可忽略冲突", () => {
+    const memory = (confirmCount) =>
+      candidate(80, { isMemoryMatch: true, memorySource: { confirmCount } })
+
+    expect(
+      engine.evaluateAutoConfirm(memory(1), { hasConflict: true })
+    ).toMatchObject({ outcome: "pending", blockedBy: "conflict" })
+    expect(engine.evaluateAutoConfirm(memory(1)).rule).toBe("memory")
+    expect(
+      engine.evaluateAutoConfirm(memory(3), { hasConflict: true }).rule
+    ).toBe("high_trust_memory")
+    expect(
+      engine.evaluateAutoConfirm(
+        memory(3),
+        { hasConflict: true },
+        { highTrustIgnoresConflict: false }
+      ).blockedBy
+    ).toBe("conflict")
+  })
+
+  test("价格偏差超过上限或策略关闭时不自动确认", () => {
+    const context = {
+      originalData: { price: 600 },
+      productData: { pricing: { companyPrice: 450 } },
+    }
+
+    const deviated = engine.evaluateAutoConfirm(candidate(98), context, {
+      maxPriceDeviation: 20,
+    })
+    expect(deviated).toMatchObject({
+      outcome: "pending",
+      blockedBy: "price_deviation",
+      priceDeviation: 33.3,
+    })
+
+    expect(
+      engine.evaluateAutoConfirm(candidate(98), {}, { enabled: false })
+    ).toMatchObject({ outcome: "pending", blockedBy: "disabled" })
+  })
+})
+
+describe("模板自动确认策略", () => {
+  test("未设置分数阈值时使用模板的匹配阈值", () => {
+    const template = new ProductTemplate({
+      name: "测试模板",
+      settings: {
+        matchingThresholds: {
+          autoConfirm: 80,
+          manualReview: 45,
+          expertReview: 20,
+        },
+      },
+    })
+
+    expect(template.getAutoConfirmPolicy()).toEqual({
+      ...DEFAULT_AUTO_CONFIRM_POLICY,
+      minScore: 80,
+      reviewScore: 45,
+      expertReviewScore: 20,
+    })
+  })
+
+  test("策略中设置的分数阈值优先于匹配阈值", () => {
+    const template = new ProductTemplate({
+      name: "测试模板",
+      settings: {
+        matchingThresholds: { autoConfirm: 80 },
+        autoConfirmPolicy: { minScore: 97, maxPriceDeviation: 15 },
+      },
+    })
+
+    expect(template.getAutoConfirmPolicy()).toMatchObject({
+      minScore: 97,
+      reviewScore: 40,
+      expertReviewScore: 15,
+      maxPriceDeviation: 15,
+    })
+  })
+})
+
+describe("任务执行时应用自动确认策略", () => {
+  let tmpDir
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "auto-confirm-"))
+  })
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+    jest.spyOn(console, "log").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("记录按任务策略确认，专家审核的记录提高优先级", async () => {
+    const filePath = path.join(tmpDir, "报价单.csv")
+    fs.writeFileSync(filePath, "批发名,批发价格\n中华硬,450\n中华细支,450\n")
+    const task = new MatchingTask({
+      templateId: new mongoose.Types.ObjectId(),
+      templateName: "测试模板",
+      originalFilename: "报价单.csv",
+      filePath,
+      status: "processing",
+      config: {
+        autoConfirmPolicy: {
+          minScore: 90,
+          reviewScore: 99,
+          expertReviewScore: 1,
+        },
+      },
+    })
+    const products = [
+      { _id: new mongoose.Types.ObjectId(), name: "中华(硬)", brand: "中华" },
+      { _id: new mongoose.Types.ObjectId(), name: "玉溪(软)", brand: "玉溪" },
+    ]
+    const db = mockDatabase({
+      MatchingTask: { findOne: task },
+      Product: { find: products },
+    })
+
+    await matchingTaskService.processTask(task._id)
+
+    const [confirmed, expert] = db.savedOf(MatchingRecord)
+    expect(confirmed.status).toBe("confirmed")
+    expect(confirmed.selectedMatch.autoConfirmRule).toBe("min_score")
+    expect(expert.status).toBe("pending")
+    expect(expert.priority).toBe("high")
+    expect(expert.exceptions[0]).toMatchObject({
+      type: "low_confidence",
+      severity: "high",
+    })
+  })
+})
@@ -0,0 +1,127 @@
+/**
+ * 候选索引测试：筛选后的最佳候选必须与全量扫描一致
+ */
+const CandidateIndex = require("../../src/utils/candidate-index")
+const { createEngine } = require("../../src/utils/matching-algorithm")
+
+const engine = createEngine()
+
+const BRANDS = [
+  "中华",
+  "玉溪",
+  "云烟",
+  "苏烟",
+  "黄鹤楼",
+  "利群",
+  "芙蓉王",
+  "南京",
+]
+const EDITIONS = ["红", "金", "蓝", "特制", "1916", "天叶", "和天下", "新版"]
+const SERIES = ["硬", "软", "细支", "中支", "爆珠", "精品", "经典", "典藏"]
+
+// 固定商品库：品牌 × 版本 × 系列，另加少量无品牌商品
+const catalog = []
+for (const brand of BRANDS) {
+  for (const edition of EDITIONS) {
+    for (const series of SERIES) {
+      catalog.push({
+        _id: `p${catalog.length}`,
+        name: `${brand}(${edition}${series})`,
+        brand,
+      })
+    }
+  }
+}
+for (const name of ["金桥(硬)", "长城(雪茄)", "白将(细支)", "红金龙(软)"]) {
+  catalog.push({ _id: `p${catalog.length}`, name })
+}
+
+const QUERIES = [
+  "中华(红硬)",
+  "中华 红 硬盒",
+  "玉溪和天下细支",
+  "云烟-1916-中支",
+  "苏烟金爆珠",
+  "黄鹤楼天叶典藏",
+  "利群新版软",
+  "芙蓉王蓝硬",
+  "南京特制精品",
+  "红金龙软",
+  "长城雪茄",
+  "和天下细支",
+  "1916中支",
+]
+
+/**
+ * 对候选商品评分，同分时按商品库顺序，得到确定的最佳候选
+ */
+function bestMatch(query, entries) {
+  const normalizedName = engine.normalize(query)
+  let best = null
+
+  for (const { product, name } of entries) {
+    const score = engine.calculateScore(
+      normalizedName,
+      name,
+      { name: query },
+      product
+    )
+    const order = Number(product._id.slice(1))
+    if (
+      !best ||
+      score > best.score ||
+      (score === best.score && order < best.order)
+    ) {
+      best = { productId: product._id, score, order }
+    }
+  }
+
+  return best
+}
+
+describe("CandidateIndex.shortlist", () => {
+  const fullEntries = catalog.map((product) => ({
+    product,
+    name: engine.normalize(product.name),
+  }))
+
+  test.each([
+    ["默认候选数量", {}],
+    ["较小的候选数量（走 n-gram 筛选）", { shortlistSize: 20 }],
+  ])("%s：最佳候选与全量扫描一致", (_, options) => {
+    const candidateIndex = engine.buildIndex(catalog, options)
+    expect(candidateIndex.size).toBe(catalog.length)
+
+    for (const query of QUERIES) {
+      const shortlist = candidateIndex.shortlist(engine.normalize(query))
+
+      expect(shortlist.length).toBeGreaterThan(0)
+      expect(shortlist.length).toBeLessThan(catalog.length)
+      expect({ query, ...bestMatch(query, shortlist) }).toEqual({
+        query,
+        ...bestMatch(query, fullEntries),
+      })
+    }
+  })
+
+  test("识别出品牌时排除其他品牌的商品", () => {
+    const candidateIndex = engine.buildIndex(catalog)
+    const shortlist = candidateIndex.shortlist(engine.normalize("中华红硬"))
+
+    expect(
+      shortlist.every(
+        ({ product }) => !product.brand || product.brand === "中华"
+      )
+    ).toBe(true)
+  })
+
+  test("候选数量不超过 shortlistSize", () => {
+    const candidateIndex = new CandidateIndex(catalog, {
+      normalize: (text) => engine.normalize(text),
+      shortlistSize: 10,
+    })
+
+    expect(candidateIndex.shortlist("红硬").length).toBeLessThanOrEqual(10)
+    expect(candidateIndex.shortlist("")).toEqual([])
+  })
+})
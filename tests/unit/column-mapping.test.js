@@ -0,0 +1,206 @@
+/**
+ * 列映射识别和供应商映射配置复用测试
+ */
+const fs = require("fs")
+const path = require("path")
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const ColumnMappingProfile = require("../../src/models/ColumnMappingProfile")
+const ProductTemplate = require("../../src/models/ProductTemplate")
+const columnMappingService = require("../../src/services/column-mapping.service")
+const matchingTaskService = require("../../src/services/matching-task.service")
+const matchingRoutes = require("../../src/routes/matching.routes")
+const { errorHandler } = require("../../src/middleware/error.middleware")
+const { generateTokens } = require("../../src/middleware/auth.middleware")
+const { mockDatabase } = require("../helpers/mock-database")
+
+const headers = ["品名", "供货价", "规格"]
+
+const createProfile = (mapping, overrides = {}) =>
+  new ColumnMappingProfile({
+    name: "默认格式",
+    supplier: "华南烟草",
+    mapping,
+    ...overrides,
+  })
+
+describe("确定列映射", () => {
+  beforeEach(() => {
+    jest.spyOn(logger, "info").mockImplementation(() => {})
+    jest.spyOn(console, "log").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("手动指定的映射优先，引用不存在的列时报错", async () => {
+    const db = mockDatabase()
+
+    const resolved = await columnMappingService.resolveMapping({
+      headers,
+      supplier: "华南烟草",
+      columnMapping: { name: "品名", price: "供货价" },
+    })
+    expect(resolved).toMatchObject({
+      mapping: { name: "品名", price: "供货价" },
+      source: "manual",
+    })
+    expect(db.queries).toEqual([])
+
+    await expect(
+      columnMappingService.resolveMapping({
+        headers,
+        columnMapping: { name: "品名", price: "批发价" },
+      })
+    ).rejects.toThrow("文件中不存在列: 批发价")
+  })
+
+  test("复用同供应商的配置，配置引用的列不在文件中时不复用", async () => {
+    const fitting = createProfile({ name: "品名", price: "供货价" })
+    const stale = createProfile({ name: "品名", price: "批发价" })
+
+    mockDatabase({ ColumnMappingProfile: { findOne: fitting } })
+    const reused = await columnMappingService.resolveMapping({
+      headers,
+      supplier: "华南烟草",
+    })
+    expect(reused).toMatchObject({
+      mapping: { name: "品名", price: "供货价" },
+      profile: fitting,
+      source: "profile",
+    })
+
+    mockDatabase({ ColumnMappingProfile: { findOne: stale } })
+    const detected = await columnMappingService.resolveMapping({
+      headers,
+      supplier: "华南烟草",
+    })
+    expect(detected.source).toBe("detected")
+    expect(detected.mapping.name).toBe("品名")
+  })
+
+  test("按供应商和表头签名依次查找配置", async () => {
+    const db = mockDatabase()
+
+    await columnMappingService.resolveMapping({ headers, supplier: "华南烟草" })
+
+    const signature = ColumnMappingProfile.buildHeaderSignature(headers)
+    expect(db.queries.map((query) => query.filter)).toEqual([
+      { supplier: "华南烟草", headerSignature: signature, isActive: true },
+      { supplier: "华南烟草", isActive: true },
+      { headerSignature: signature, isActive: true },
+    ])
+  })
+
+  test("无法识别商品名称列时要求手动指定", async () => {
+    mockDatabase()
+
+    await expect(
+      columnMappingService.resolveMapping({ headers: ["数量", "单位"] })
+    ).rejects.toMatchObject({ code: "COLUMN_MAPPING_REQUIRED" })
+  })
+
+  test("按映射从表格行中提取批发数据", () => {
+    const originalData = matchingTaskService.buildOriginalData(
+      { 品名: "中华(硬)", 供货价: "450元", 规格: "条" },
+      { name: "品名", price: "供货价", unit: "规格" }
+    )
+
+    expect(originalData).toMatchObject({
+      name: "中华(硬)",
+      price: 450,
+      unit: "条",
+    })
+  })
+})
+
+describe("上传任务时的列映射参数", () => {
+  const admin = {
+    _id: new mongoose.Types.ObjectId(),
+    username: "admin",
+    role: "admin",
+    isActive: true,
+  }
+  const template = new ProductTemplate({ name: "测试模板" })
+  const app = express().use("/api/matching", matchingRoutes).use(errorHandler)
+  const uploadDir = path.join(__dirname, "../../uploads")
+  let existingFiles
+
+  const upload = (fields) => {
+    const { accessToken } = generateTokens(admin._id)
+    const req = request(app)
+      .post("/api/matching/tasks")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .field("templateId", template._id.toString())
+    for (const [name, value] of Object.entries(fields)) {
+      req.field(name, value)
+    }
+    return req.attach(
+      "file",
+      Buffer.from("品名,供货价,规格\n中华(硬),450,条\n"),
+      "报价单.csv"
+    )
+  }
+
+  beforeAll(() => {
+    existingFiles = new Set(fs.readdirSync(uploadDir))
+  })
+
+  // 校验失败时上传的文件同样会留在上传目录
+  afterAll(() => {
+    for (const file of fs.readdirSync(uploadDir)) {
+      if (!existingFiles.has(file)) fs.rmSync(path.join(uploadDir, file))
+    }
+  })
+
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+    jest.spyOn(console, "log").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("JSON 字符串形式的列映射保存到任务，并可另存为供应商配置", async () => {
+    const saved = createProfile({ name: "品名", price: "供货价" })
+    const db = mockDatabase({
+      User: { findOne: admin },
+      ProductTemplate: { findOne: template },
+      ColumnMappingProfile: { findOneAndUpdate: saved },
+    })
+
+    const res = await upload({
+      supplier: "华南烟草",
+      columnMapping: JSON.stringify({ name: "品名", price: "供货价" }),
+      saveMappingProfile: "默认格式",
+    })
+
+    expect(res.status).toBe(201)
+    expect(res.body.data.task.config).toMatchObject({
+      columnMapping: { name: "品名", price: "供货价" },
+      mappingProfileId: saved._id.toString(),
+    })
+    const upsert = db.queries.find((query) => query.op === "findOneAndUpdate")
+    expect(upsert.filter).toEqual({ supplier: "华南烟草", name: "默认格式" })
+  })
+
+  test("列映射中的列不存在时返回400", async () => {
+    mockDatabase({
+      User: { findOne: admin },
+      ProductTemplate: { findOne: template },
+    })
+
+    const res = await upload({
+      columnMapping: JSON.stringify({ name: "商品名称" }),
+    })
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe("文件中不存在列: 商品名称")
+  })
+})
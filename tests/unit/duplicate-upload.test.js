@@ -0,0 +1,188 @@
+/**
+ * 重复上传检测和差异模式测试
+ */
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const ProductTemplate = require("../../src/models/ProductTemplate")
+const matchingTaskService = require("../../src/services/matching-task.service")
+const matchingRoutes = require("../../src/routes/matching.routes")
+const { errorHandler } = require("../../src/middleware/error.middleware")
+const { generateTokens } = require("../../src/middleware/auth.middleware")
+const { mockDatabase } = require("../helpers/mock-database")
+
+const templateId = new mongoose.Types.ObjectId()
+
+describe("文件哈希和差异对比", () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("内容相同的文件哈希相同", async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "file-hash-"))
+    const write = (name, content) => {
+      const filePath = path.join(tmpDir, name)
+      fs.writeFileSync(filePath, content)
+      return matchingTaskService.computeFileHash(filePath)
+    }
+
+    try {
+      const first = await write("a.csv", "批发名,批发价格\n中华硬,450\n")
+      expect(await write("b.csv", "批发名,批发价格\n中华硬,450\n")).toBe(first)
+      expect(await write("c.csv", "批发名,批发价格\n中华硬,460\n")).not.toBe(
+        first
+      )
+      expect(first).toMatch(/^[0-9a-f]{64}$/)
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+    }
+  })
+
+  test("查找重复任务时忽略失败和已取消的任务", async () => {
+    const db = mockDatabase()
+
+    await matchingTaskService.findDuplicateTask(templateId, "abc")
+
+    expect(db.queries[0].filter).toEqual({
+      templateId,
+      fileHash: "abc",
+      status: { $nin: ["failed", "cancelled"] },
+    })
+  })
+
+  test("按供应商查找对比任务，未指定供应商时按文件名", async () => {
+    const supplierId = new mongoose.Types.ObjectId()
+    const db = mockDatabase()
+
+    await matchingTaskService.findDiffBaseTask({ templateId, supplierId })
+    await matchingTaskService.findDiffBaseTask({
+      templateId,
+      originalFilename: "报价单.xlsx",
+    })
+
+    const status = { $in: ["review", "completed"] }
+    expect(db.queries.map((query) => query.filter)).toEqual([
+      { templateId, status, supplierId },
+      { templateId, status, originalFilename: "报价单.xlsx" },
+    ])
+  })
+
+  test("只保留新增和报价变化的行，单位按标准单位比较", async () => {
+    mockDatabase({
+      MatchingRecord: {
+        find: [
+          { originalData: { name: "中华(硬)", price: 450, unit: "条" } },
+          // 旧版本缺少单位时保存为"盒"，价格按条计
+          { originalData: { name: "玉溪(软)", price: 230, unit: "盒" } },
+          { originalData: { name: "利群 新版", price: 18, unit: "包" } },
+        ],
+      },
+    })
+    const rawData = [
+      { row: 2, data: { 批发名: "中华(硬)", 批发价格: 450 } },
+      { row: 3, data: { 批发名: "玉溪(软)", 批发价格: 230 } },
+      { row: 4, data: { 批发名: "利群  新版", 批发价格: 18, 单位: "盒" } },
+      { row: 5, data: { 批发名: "中华(硬)", 批发价格: 45, 单位: "包" } },
+      { row: 6, data: { 批发名: "芙蓉王(硬)", 批发价格: 250 } },
+    ]
+
+    const { rows, summary } = await matchingTaskService.diffAgainstTask(
+      rawData,
+      new mongoose.Types.ObjectId()
+    )
+
+    expect(rows.map(({ row, diffStatus }) => [row, diffStatus])).toEqual([
+      [5, "changed"],
+      [6, "new"],
+    ])
+    expect(summary).toEqual({ newRows: 1, changedRows: 1, unchangedRows: 3 })
+  })
+})
+
+describe("上传重复文件", () => {
+  const admin = {
+    _id: new mongoose.Types.ObjectId(),
+    username: "admin",
+    role: "admin",
+    isActive: true,
+  }
+  const template = new ProductTemplate({ _id: templateId, name: "测试模板" })
+  const duplicateTask = {
+    _id: new mongoose.Types.ObjectId(),
+    templateId,
+    originalFilename: "报价单.csv",
+    status: "completed",
+  }
+  const app = express().use("/api/matching", matchingRoutes).use(errorHandler)
+  const uploadDir = path.join(__dirname, "../../uploads")
+  let existingFiles
+
+  const upload = (fields = {}) => {
+    const { accessToken } = generateTokens(admin._id)
+    const req = request(app)
+      .post("/api/matching/tasks")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .field("templateId", templateId.toString())
+    for (const [name, value] of Object.entries(fields)) {
+      req.field(name, value)
+    }
+    return req.attach(
+      "file",
+      Buffer.from("批发名,批发价格\n中华(硬),450\n"),
+      "报价单.csv"
+    )
+  }
+
+  beforeAll(() => {
+    existingFiles = new Set(fs.readdirSync(uploadDir))
+  })
+
+  afterAll(() => {
+    for (const file of fs.readdirSync(uploadDir)) {
+      if (!existingFiles.has(file)) fs.rmSync(path.join(uploadDir, file))
+    }
+  })
+
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+    jest.spyOn(console, "log").mockImplementation(() => {})
+    mockDatabase({
+      User: { findOne: admin },
+      ProductTemplate: { findOne: template },
+      MatchingTask: { findOne: duplicateTask },
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  const newFiles = () =>
+    fs.readdirSync(uploadDir).filter((file) => !existingFiles.has(file))
+
+  test("默认返回409并删除上传的文件", async () => {
+    const res = await upload()
+
+    expect(res.status).toBe(409)
+    expect(res.body.error.code).toBe("DUPLICATE_FILE")
+    expect(res.body.data.duplicateTask._id).toBe(duplicateTask._id.toString())
+    expect(newFiles()).toEqual([])
+  })
+
+  test("onDuplicate=reuse 时返回之前的任务", async () => {
+    const res = await upload({ onDuplicate: "reuse" })
+
+    expect(res.status).toBe(200)
+    expect(res.body.data).toMatchObject({
+      reused: true,
+      task: { _id: duplicateTask._id.toString() },
+    })
+    expect(newFiles()).toEqual([])
+  })
+})
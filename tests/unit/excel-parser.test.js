@@ -0,0 +1,37 @@
+/**
+ * Excel 列映射识别测试
+ */
+const ExcelParser = require("../../src/utils/excel-parser")
+
+const parser = new ExcelParser()
+const detect = (headers) =>
+  parser.detectColumnMapping(
+    Object.fromEntries(headers.map((header) => [header, ""]))
+  )
+
+describe("ExcelParser.detectColumnMapping", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {})
+  })
+
+  afterAll(() => {
+    console.log.mockRestore()
+  })
+
+  test("同时存在零售价和批发价时使用批发价", () => {
+    expect(detect(["商品名称", "零售价", "批发价", "单位"])).toMatchObject({
+      name: "商品名称",
+      price: "批发价",
+      unit: "单位",
+    })
+  })
+
+  test("按别名优先级而不是列顺序选择价格列", () => {
+    expect(detect(["名称", "单价", "price", "批发价格"]).price).toBe("批发价格")
+    expect(detect(["名称", "单价", "price"]).price).toBe("price")
+  })
+
+  test("零售价、售价不作为价格列", () => {
+    expect(detect(["品名", "零售价", "售价"]).price).toBeUndefined()
+  })
+})
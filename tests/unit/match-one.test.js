@@ -0,0 +1,104 @@
+/**
+ * 单条批发名称即时匹配测试
+ */
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const ProductTemplate = require("../../src/models/ProductTemplate")
+const { matchOne } = require("../../src/controllers/matching.controller")
+const { mockDatabase } = require("../helpers/mock-database")
+const { invokeHandler } = require("../helpers/invoke-handler")
+
+const templateId = new mongoose.Types.ObjectId().toString()
+const products = [
+  {
+    _id: new mongoose.Types.ObjectId(),
+    name: "中华(硬)",
+    brand: "中华",
+    productCode: "6901028001",
+  },
+  { _id: new mongoose.Types.ObjectId(), name: "中华(软)", brand: "中华" },
+  { _id: new mongoose.Types.ObjectId(), name: "玉溪(软)", brand: "玉溪" },
+]
+const template = new ProductTemplate({ _id: templateId, name: "测试模板" })
+
+describe("单条即时匹配", () => {
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+    jest.spyOn(console, "log").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("返回按排名排列的候选及商品信息，不保存任何数据", async () => {
+    const db = mockDatabase({
+      ProductTemplate: { findOne: template },
+      Product: { find: products },
+    })
+
+    const { body } = await invokeHandler(matchOne, {
+      body: { name: "中华 硬盒", templateId, limit: 2 },
+    })
+
+    const { query, candidates, memoryHits } = body.data
+    expect(query.normalizedName).toBe("中华硬盒")
+    expect(candidates).toHaveLength(2)
+    expect(candidates.map((c) => c.rank)).toEqual([1, 2])
+    expect(candidates[0]).toMatchObject({
+      productId: products[0]._id,
+      product: { name: "中华(硬)", productCode: "6901028001" },
+      isMemoryMatch: false,
+    })
+    expect(candidates[0].score.name).toBeDefined()
+    expect(memoryHits).toEqual([])
+    expect(db.saved.size).toBe(0)
+  })
+
+  test("记忆候选保留记忆分，并补充各项算法评分和原因", async () => {
+    const memory = {
+      _id: new mongoose.Types.ObjectId(),
+      originalWholesaleName: "中华软盒",
+      normalizedWholesaleName: "中华软盒",
+      confirmedProductId: products[1],
+      confidence: 90,
+      confirmCount: 4,
+    }
+    mockDatabase({
+      ProductTemplate: { findOne: template },
+      Product: { find: products },
+      MatchingMemory: { find: [memory] },
+    })
+
+    const { body } = await invokeHandler(matchOne, {
+      body: { name: "中华软盒", templateId },
+    })
+
+    const [best] = body.data.candidates
+    expect(best).toMatchObject({
+      productId: products[1]._id,
+      isMemoryMatch: true,
+    })
+    expect(best.score.name).toBeDefined()
+    expect(best.score.memoryBonus).toBeGreaterThan(0)
+    expect(best.reasons[0].type).toBe("memory_match")
+    expect(best.reasons.length).toBeGreaterThan(1)
+    expect(body.data.memoryHits[0]).toMatchObject({
+      id: memory._id,
+      confirmCount: 4,
+      product: { name: "中华(软)" },
+    })
+  })
+
+  test("模板不存在时返回404", async () => {
+    mockDatabase({ Product: { find: products } })
+
+    const { error } = await invokeHandler(matchOne, {
+      body: { name: "中华硬盒", templateId },
+    })
+
+    expect(error.statusCode).toBe(404)
+  })
+})
@@ -0,0 +1,265 @@
+/**
+ * 匹配引擎单元测试（不依赖 MongoDB）
+ */
+const {
+  MatchingEngine,
+  createEngine,
+  registerScorer,
+  registerEngine,
+  getEngines,
+  DEFAULT_WEIGHTS,
+} = require("../../src/utils/matching-algorithm")
+
+const unitFactors = { packsPerCarton: 10, cartonsPerCase: 50 }
+
+const products = [
+  {
+    _id: "p1",
+    name: "中华(硬)",
+    brand: "中华",
+    pricing: { companyPrice: 450, unit: "元/条" },
+  },
+  {
+    _id: "p2",
+    name: "中华(软)",
+    brand: "中华",
+    pricing: { companyPrice: 650, unit: "元/条" },
+  },
+  {
+    _id: "p3",
+    name: "玉溪(软)",
+    brand: "玉溪",
+    pricing: { companyPrice: 230, unit: "元/条" },
+  },
+  {
+    _id: "p4",
+    name: "芙蓉王(硬蓝)",
+    brand: "芙蓉王",
+    pricing: { companyPrice: 250, unit: "元/条" },
+  },
+]
+
+describe("内置评分器", () => {
+  const engine = createEngine("default", { unitFactors })
+
+  test("name：完全一致为100，规格不同时降低", () => {
+    expect(engine.calculateNameScore("中华硬盒", "中华硬盒")).toBe(100)
+    expect(engine.calculateNameScore("中华软盒", "中华硬盒")).toBeLessThan(100)
+  })
+
+  test("brand：同品牌100，不同品牌0，无法识别时不参与", () => {
+    expect(engine.calculateBrandScore("中华硬盒", "中华软盒")).toBe(100)
+    expect(engine.calculateBrandScore("玉溪软盒", "中华软盒")).toBe(0)
+    expect(engine.calculateBrandScore("无名烟", "中华软盒")).toBeNull()
+  })
+
+  test("keywords：核心词命中比例，无核心词时不参与", () => {
+    expect(engine.calculateKeywordScore("玉溪和谐", "玉溪和谐")).toBe(100)
+    expect(engine.calculateKeywordScore("中华硬盒", "中华硬盒")).toBeNull()
+    expect(
+      engine.calculateKeywordScore("芙蓉王蓝", "芙蓉王", { keywords: ["蓝"] })
+    ).toBeNull()
+  })
+
+  test("package：共同规格特征一致的比例，无共同特征时不参与", () => {
+    expect(engine.calculatePackageScore("中华硬盒", "中华硬盒")).toBe(100)
+    expect(engine.calculatePackageScore("中华硬盒", "中华软盒")).toBe(0)
+    expect(engine.calculatePackageScore("中华", "中华软盒")).toBeNull()
+  })
+
+  test("price：按商品单位换算后比较，缺少价格时不参与", () => {
+    const product = products[0]
+    expect(
+      engine.calculatePriceScore({ price: 450, unit: "条" }, product)
+    ).toBe(100)
+    // 45元/包 = 450元/条
+    expect(engine.calculatePriceScore({ price: 45, unit: "包" }, product)).toBe(
+      100
+    )
+    expect(
+      engine.calculatePriceScore({ price: 900, unit: "条" }, product)
+    ).toBe(0)
+    expect(engine.calculatePriceScore({}, product)).toBeNull()
+    expect(
+      engine.calculatePriceScore({ price: 450, unit: "克" }, product)
+    ).toBeNull()
+  })
+
+  test("总分按 DEFAULT_WEIGHTS 对参与的维度加权平均", () => {
+    const product = products[0]
+    const score = engine.scoreComponents(
+      "中华软",
+      engine.normalize(product.name),
+      { price: 450, unit: "条" },
+      product
+    )
+
+    const keys = Object.keys(DEFAULT_WEIGHTS).filter(
+      (key) => score[key] !== undefined
+    )
+    expect(keys).toEqual(["name", "brand", "package", "price"])
+
+    const weightTotal = keys.reduce((sum, key) => sum + DEFAULT_WEIGHTS[key], 0)
+    const expected =
+      keys.reduce((sum, key) => sum + score[key] * DEFAULT_WEIGHTS[key], 0) /
+      weightTotal
+    expect(Math.abs(score.total - expected)).toBeLessThanOrEqual(1)
+  })
+})
+
+describe("评分器与引擎注册表", () => {
+  test("registerScorer 注册的评分器按权重参与总分", () => {
+    registerScorer("test_constant", () => 40)
+    const engine = new MatchingEngine({
+      scorers: ["name", "test_constant"],
+      weights: { name: 1, test_constant: 1 },
+    })
+
+    const score = engine.scoreComponents("中华硬盒", "中华硬盒", {}, {})
+    expect(score.test_constant).toBe(40)
+    expect(score.total).toBe(70)
+  })
+
+  test("评分器返回 null 时该维度不参与加权", () => {
+    registerScorer("test_null", () => null)
+    const engine = new MatchingEngine({
+      scorers: ["name", "test_null"],
+      weights: { name: 1, test_null: 1 },
+    })
+
+    const score = engine.scoreComponents("中华硬盒", "中华硬盒", {}, {})
+    expect(score.test_null).toBeUndefined()
+    expect(score.total).toBe(100)
+  })
+
+  test("registerEngine 注册的引擎可按名称创建并出现在引擎列表中", () => {
+    registerEngine("test_brand_only", {
+      description: "仅按品牌评分",
+      scorers: ["brand"],
+      weights: { brand: 1 },
+    })
+
+    const engine = createEngine("test_brand_only")
+    expect(engine.name).toBe("test_brand_only")
+    expect(engine.scorers).toEqual(["brand"])
+    expect(engine.scoreComponents("中华软盒", "中华硬盒", {}, {}).total).toBe(
+      100
+    )
+    expect(getEngines().map((item) => item.name)).toContain("test_brand_only")
+  })
+
+  test("未注册的引擎名称回退到默认引擎", () => {
+    const engine = createEngine("not_registered")
+    expect(engine.name).toBe("default")
+    expect(engine.scorers).toEqual([
+      "name",
+      "brand",
+      "keywords",
+      "package",
+      "price",
+    ])
+    expect(engine.weights).toEqual(DEFAULT_WEIGHTS)
+  })
+})
+
+describe("MatchingEngine.match", () => {
+  const memoryFor = (productId, overrides = {}) => ({
+    _id: `memory-${productId}`,
+    normalizedWholesaleName: "中华硬",
+    confirmedProductId: { _id: productId },
+    confidence: 90,
+    confirmCount: 3,
+    ...overrides,
+  })
+
+  test("无记忆时按算法评分排序", async () => {
+    const engine = createEngine("default", { unitFactors })
+    const candidateIndex = engine.buildIndex(products)
+
+    const candidates = await engine.match(
+      { name: "中华硬", price: 450, unit: "条" },
+      candidateIndex
+    )
+
+    expect(candidates[0].productId).toBe("p1")
+    expect(candidates[0].isMemoryMatch).toBeUndefined()
+    expect(candidates.map((c) => c.rank)).toEqual(
+      candidates.map((_, index) => index + 1)
+    )
+    expect(candidates.some((c) => c.productId === "p3")).toBe(false)
+  })
+
+  test("精确命中的记忆排在算法候选之前", async () => {
+    const memoryLookup = jest.fn().mockResolvedValue([memoryFor("p2")])
+    const engine = createEngine("default", { unitFactors, memoryLookup })
+    const candidateIndex = engine.buildIndex(products)
+
+    const candidates = await engine.match(
+      { name: "中华硬", price: 450, unit: "条" },
+      candidateIndex,
+      { templateId: "t1" }
+    )
+
+    expect(memoryLookup).toHaveBeenCalledWith("中华硬", { templateId: "t1" })
+    expect(candidates[0]).toMatchObject({
+      productId: "p2",
+      isMemoryMatch: true,
+      confidence: "high",
+    })
+    expect(candidates[0].reasons[0].type).toBe("memory_match")
+    // 记忆商品不会重复出现在算法候选中
+    expect(candidates.filter((c) => c.productId === "p2")).toHaveLength(1)
+  })
+
+  test("模糊命中的记忆按相似度折算分数，与算法候选竞争", async () => {
+    const memoryLookup = jest
+      .fn()
+      .mockResolvedValue([
+        memoryFor("p2", { matchType: "fuzzy", similarity: 70 }),
+      ])
+    const engine = createEngine("default", { unitFactors, memoryLookup })
+
+    const candidates = await engine.match(
+      { name: "中华硬", price: 450, unit: "条" },
+      engine.buildIndex(products)
+    )
+
+    const memoryCandidate = candidates.find((c) => c.isMemoryMatch)
+    expect(memoryCandidate.score.total).toBeLessThan(100)
+    expect(candidates[0].productId).toBe("p1")
+  })
+
+  test("useMemory 为 false 时不查询记忆，查询失败时不影响算法匹配", async () => {
+    const memoryLookup = jest.fn().mockRejectedValue(new Error("db down"))
+    jest.spyOn(console, "error").mockImplementation(() => {})
+    const engine = createEngine("default", { unitFactors, memoryLookup })
+    const candidateIndex = engine.buildIndex(products)
+    const row = { name: "中华硬", price: 450, unit: "条" }
+
+    await engine.match(row, candidateIndex, { useMemory: false })
+    expect(memoryLookup).not.toHaveBeenCalled()
+
+    const candidates = await engine.match(row, candidateIndex)
+    expect(memoryLookup).toHaveBeenCalledTimes(1)
+    expect(candidates[0].productId).toBe("p1")
+    console.error.mockRestore()
+  })
+
+  test("记忆指向的商品不在候选索引中时忽略", async () => {
+    const memoryLookup = jest.fn().mockResolvedValue([memoryFor("missing")])
+    const engine = createEngine("default", { unitFactors, memoryLookup })
+
+    const candidates = await engine.match(
+      { name: "中华硬" },
+      engine.buildIndex(products)
+    )
+    expect(candidates.some((c) => c.isMemoryMatch)).toBe(false)
+  })
+
+  test("空名称返回空列表", async () => {
+    const engine = createEngine()
+    expect(
+      await engine.match({ name: "" }, engine.buildIndex(products))
+    ).toEqual([])
+  })
+})
@@ -0,0 +1,185 @@
+/**
+ * 匹配任务暂停、取消测试
+ */
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const MatchingTask = require("../../src/models/MatchingTask")
+const MatchingRecord = require("../../src/models/MatchingRecord")
+const matchingQueueService = require("../../src/services/matching-queue.service")
+const matchingTaskService = require("../../src/services/matching-task.service")
+const {
+  pauseMatchingTask,
+  cancelMatchingTask,
+  resumeMatchingTask,
+} = require("../../src/controllers/matching.controller")
+const { mockDatabase } = require("../helpers/mock-database")
+const { invokeHandler } = require("../helpers/invoke-handler")
+
+const products = [
+  { _id: new mongoose.Types.ObjectId(), name: "中华(硬)", brand: "中华" },
+  { _id: new mongoose.Types.ObjectId(), name: "玉溪(软)", brand: "玉溪" },
+]
+
+let tmpDir
+
+function createTask(overrides = {}) {
+  const filePath = path.join(tmpDir, `${new mongoose.Types.ObjectId()}.csv`)
+  fs.writeFileSync(filePath, "批发名,批发价格\n中华硬,450\n玉溪软,230\n")
+  return new MatchingTask({
+    templateId: new mongoose.Types.ObjectId(),
+    templateName: "测试模板",
+    originalFilename: "报价单.csv",
+    filePath,
+    status: "processing",
+    ...overrides,
+  })
+}
+
+/**
+ * 任务查询桩：读取控制信号时按 signals 依次返回，其余查询返回任务本身
+ */
+function taskLookup(task, signals = []) {
+  return (filter, query) =>
+    query.projection?.["execution.controlSignal"]
+      ? { execution: { controlSignal: signals.shift() } }
+      : task
+}
+
+describe("暂停和取消", () => {
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "matching-control-"))
+  })
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+    jest.spyOn(console, "log").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("处理中收到暂停信号时保存断点并暂停", async () => {
+    const task = createTask()
+    const db = mockDatabase({
+      MatchingTask: { findOne: taskLookup(task, [undefined, "pause"]) },
+      Product: { find: products },
+    })
+
+    await matchingTaskService.processTask(task._id)
+
+    expect(
+      db.savedOf(MatchingRecord).map((record) => record.metadata.source.row)
+    ).toEqual([2])
+    expect(task.status).toBe("paused")
+    expect(task.execution.checkpoint.lastRow).toBe(2)
+    expect(fs.existsSync(task.filePath)).toBe(true)
+  })
+
+  test("处理中收到取消信号时保留已生成记录并清理文件", async () => {
+    const task = createTask()
+    const db = mockDatabase({
+      MatchingTask: { findOne: taskLookup(task, [undefined, "cancel"]) },
+      MatchingRecord: {
+        countDocuments: ({ status }) => (status === "pending" ? 1 : 0),
+      },
+      Product: { find: products },
+    })
+
+    await matchingTaskService.processTask(task._id)
+
+    expect(db.savedOf(MatchingRecord)).toHaveLength(1)
+    expect(task.status).toBe("cancelled")
+    expect(task.progress.processedItems).toBe(1)
+    expect(fs.existsSync(task.filePath)).toBe(false)
+  })
+
+  test("队列中的任务暂停时只发送信号，不在队列中时直接暂停", async () => {
+    const queued = createTask()
+    const orphaned = createTask()
+    const db = mockDatabase({
+      MatchingTask: {
+        findOne: ({ _id }) =>
+          [queued, orphaned].find(
+            (task) => task._id.toString() === _id.toString()
+          ),
+      },
+    })
+    jest
+      .spyOn(matchingQueueService, "isTaskQueued")
+      .mockImplementation(async (id) => id === queued._id.toString())
+
+    await invokeHandler(pauseMatchingTask, {
+      params: { id: queued._id.toString() },
+    })
+    expect(queued.status).toBe("processing")
+    expect(db.queries.find((query) => query.op === "updateOne").update).toEqual(
+      { $set: { "execution.controlSignal": "pause" } }
+    )
+
+    await invokeHandler(pauseMatchingTask, {
+      params: { id: orphaned._id.toString() },
+    })
+    expect(orphaned.status).toBe("paused")
+  })
+
+  test("已完成的任务不能暂停或取消，暂停的任务可以取消和继续", async () => {
+    const completed = createTask({ status: "completed" })
+    const paused = createTask({ status: "paused" })
+    mockDatabase({
+      MatchingTask: {
+        findOne: ({ _id }) =>
+          [completed, paused].find(
+            (task) => task._id.toString() === _id.toString()
+          ),
+      },
+    })
+    jest.spyOn(matchingQueueService, "isTaskQueued").mockResolvedValue(false)
+    const enqueue = jest
+      .spyOn(matchingQueueService, "enqueue")
+      .mockResolvedValue()
+
+    const pauseCompleted = await invokeHandler(pauseMatchingTask, {
+      params: { id: completed._id.toString() },
+    })
+    expect(pauseCompleted.error.message).toBe("只有执行中的任务可以暂停")
+
+    const cancelCompleted = await invokeHandler(cancelMatchingTask, {
+      params: { id: completed._id.toString() },
+    })
+    expect(cancelCompleted.error.message).toBe("当前任务状态不允许取消")
+
+    const resumed = await invokeHandler(resumeMatchingTask, {
+      params: { id: paused._id.toString() },
+    })
+    expect(resumed.body.success).toBe(true)
+    expect(paused.status).toBe("processing")
+    expect(enqueue).toHaveBeenCalledWith(paused._id)
+
+    paused.status = "paused"
+    const cancelled = await invokeHandler(cancelMatchingTask, {
+      params: { id: paused._id.toString() },
+    })
+    expect(cancelled.body.message).toBe("匹配任务已取消")
+    expect(paused.status).toBe("cancelled")
+  })
+
+  test("已暂停或取消的任务出队后不再执行", async () => {
+    const task = createTask({ status: "paused" })
+    mockDatabase({ MatchingTask: { findOne: task } })
+
+    await matchingQueueService.runJob(task._id.toString())
+
+    expect(task.status).toBe("paused")
+    expect(task.progress.totalItems).toBe(0)
+  })
+})
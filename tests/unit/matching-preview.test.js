@@ -0,0 +1,108 @@
+/**
+ * 匹配预览测试：只计算结果，不保存记录和文件
+ */
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const ProductTemplate = require("../../src/models/ProductTemplate")
+const { previewMatching } = require("../../src/controllers/matching.controller")
+const { mockDatabase } = require("../helpers/mock-database")
+const { invokeHandler } = require("../helpers/invoke-handler")
+
+const templateId = new mongoose.Types.ObjectId().toString()
+const template = new ProductTemplate({ _id: templateId, name: "测试模板" })
+const products = [
+  { _id: new mongoose.Types.ObjectId(), name: "中华(硬)", brand: "中华" },
+  { _id: new mongoose.Types.ObjectId(), name: "玉溪(软)", brand: "玉溪" },
+]
+
+let tmpDir
+
+/**
+ * 写入临时报价单，返回 multer 风格的文件对象
+ */
+function createUpload(lines) {
+  const filePath = path.join(tmpDir, `${new mongoose.Types.ObjectId()}.csv`)
+  fs.writeFileSync(filePath, ["批发名,批发价格", ...lines].join("\n"))
+  return { path: filePath, originalname: "报价单.csv" }
+}
+
+describe("匹配预览", () => {
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "matching-preview-"))
+  })
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+    jest.spyOn(console, "log").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("返回分布统计和候选，不保存任何数据并删除上传文件", async () => {
+    const db = mockDatabase({
+      ProductTemplate: { findOne: template },
+      Product: { find: products },
+    })
+    const file = createUpload(["中华硬,450", "玉溪软,230", "未知品牌,10"])
+
+    const { body } = await invokeHandler(previewMatching, {
+      file,
+      body: { templateId },
+    })
+
+    const { summary, histogram, items } = body.data
+    expect(body.data).toMatchObject({ totalRows: 3, previewedRows: 3 })
+    expect(summary.autoConfirm + summary.pending + summary.exception).toBe(3)
+    expect(histogram.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(3)
+    expect(items[0]).toMatchObject({ row: 2, originalData: { name: "中华硬" } })
+    expect(items[0].candidates[0].name).toBe("中华(硬)")
+    expect(db.saved.size).toBe(0)
+    expect(
+      db.queries.filter((query) => !["find", "findOne"].includes(query.op))
+    ).toEqual([])
+    expect(fs.existsSync(file.path)).toBe(false)
+  })
+
+  test("按 sampleSize 均匀抽样，并按比例推算自动确认数量", async () => {
+    mockDatabase({
+      ProductTemplate: { findOne: template },
+      Product: { find: products },
+    })
+    const file = createUpload(
+      Array.from({ length: 10 }, (_, i) => `中华硬,${400 + i}`)
+    )
+
+    const { body } = await invokeHandler(previewMatching, {
+      file,
+      body: { templateId, sampleSize: 4 },
+    })
+
+    expect(body.data.items.map((item) => item.row)).toEqual([2, 4, 7, 9])
+    const { autoConfirmRate, expectedAutoConfirm } = body.data.summary
+    expect(expectedAutoConfirm).toBe(Math.round((autoConfirmRate / 100) * 10))
+  })
+
+  test("模板不存在时返回错误，上传文件同样被删除", async () => {
+    mockDatabase({ Product: { find: products } })
+    const file = createUpload(["中华硬,450"])
+
+    const { error } = await invokeHandler(previewMatching, {
+      file,
+      body: { templateId },
+    })
+
+    expect(error.statusCode).toBe(404)
+    expect(fs.existsSync(file.path)).toBe(false)
+  })
+})
@@ -0,0 +1,192 @@
+/**
+ * 匹配任务队列测试（进程内模式，不依赖 Redis 和 MongoDB）
+ */
+const mongoose = require("mongoose")
+const config = require("../../src/config/env")
+const { logger } = require("../../src/utils/logger")
+const MatchingTask = require("../../src/models/MatchingTask")
+const matchingQueueService = require("../../src/services/matching-queue.service")
+
+const originalQueueConfig = { ...config.MATCHING_QUEUE }
+
+/**
+ * 等待条件成立（进程内任务通过 Promise 和定时器异步执行）
+ */
+async function waitFor(condition, timeout = 1000) {
+  const startedAt = Date.now()
+  while (!condition()) {
+    if (Date.now() - startedAt > timeout) throw new Error("等待超时")
+    await new Promise((resolve) => setTimeout(resolve, 5))
+  }
+}
+
+const createTask = (overrides = {}) =>
+  new MatchingTask({
+    templateId: new mongoose.Types.ObjectId(),
+    templateName: "测试模板",
+    originalFilename: "报价单.xlsx",
+    status: "processing",
+    ...overrides,
+  })
+
+describe("匹配任务队列（进程内模式）", () => {
+  beforeAll(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+  })
+
+  afterAll(() => {
+    jest.restoreAllMocks()
+  })
+
+  beforeEach(() => {
+    Object.assign(config.MATCHING_QUEUE, {
+      concurrency: 2,
+      maxRetries: 2,
+      backoffDelay: 0,
+    })
+    matchingQueueService.useBull = false
+    matchingQueueService.localJobs.clear()
+    matchingQueueService.localWaiting = []
+    matchingQueueService.localRunning = 0
+  })
+
+  afterEach(() => {
+    Object.assign(config.MATCHING_QUEUE, originalQueueConfig)
+  })
+
+  test("执行失败时按最大重试次数重试，并传入已失败次数", async () => {
+    const runJob = jest
+      .spyOn(matchingQueueService, "runJob")
+      .mockRejectedValue(new Error("处理失败"))
+
+    await matchingQueueService.enqueue("task-1")
+    await waitFor(() => !matchingQueueService.localJobs.has("task-1"))
+
+    expect(runJob.mock.calls).toEqual([
+      ["task-1", 0],
+      ["task-1", 1],
+      ["task-1", 2],
+    ])
+    runJob.mockRestore()
+  })
+
+  test("重试成功后不再继续执行", async () => {
+    const runJob = jest
+      .spyOn(matchingQueueService, "runJob")
+      .mockRejectedValueOnce(new Error("处理失败"))
+      .mockResolvedValue()
+
+    await matchingQueueService.enqueue("task-1")
+    await waitFor(() => !matchingQueueService.localJobs.has("task-1"))
+
+    expect(runJob).toHaveBeenCalledTimes(2)
+    runJob.mockRestore()
+  })
+
+  test("同一任务重复入队只执行一次", async () => {
+    let finish
+    const runJob = jest
+      .spyOn(matchingQueueService, "runJob")
+      .mockImplementation(() => new Promise((resolve) => (finish = resolve)))
+
+    await matchingQueueService.enqueue("task-1")
+    await matchingQueueService.enqueue("task-1")
+    expect(await matchingQueueService.isTaskQueued("task-1")).toBe(true)
+
+    finish()
+    await waitFor(() => !matchingQueueService.localJobs.has("task-1"))
+    expect(runJob).toHaveBeenCalledTimes(1)
+    expect(await matchingQueueService.isTaskQueued("task-1")).toBe(false)
+    runJob.mockRestore()
+  })
+
+  test("超过并发上限的任务排队等待", async () => {
+    config.MATCHING_QUEUE.concurrency = 1
+    const finishers = {}
+    const runJob = jest
+      .spyOn(matchingQueueService, "runJob")
+      .mockImplementation(
+        (taskId) => new Promise((resolve) => (finishers[taskId] = resolve))
+      )
+
+    await matchingQueueService.enqueue("task-1")
+    await matchingQueueService.enqueue("task-2")
+
+    expect(runJob.mock.calls.map(([taskId]) => taskId)).toEqual(["task-1"])
+    expect((await matchingQueueService.getStatus()).jobs).toEqual({
+      active: 1,
+      waiting: 1,
+    })
+
+    finishers["task-1"]()
+    await waitFor(() => runJob.mock.calls.length === 2)
+    expect(runJob.mock.calls[1]).toEqual(["task-2", 0])
+
+    finishers["task-2"]()
+    await waitFor(() => matchingQueueService.localJobs.size === 0)
+    runJob.mockRestore()
+  })
+})
+
+describe("恢复中断的任务", () => {
+  let save
+
+  beforeAll(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+    save = jest
+      .spyOn(MatchingTask.prototype, "save")
+      .mockImplementation(function () {
+        return Promise.resolve(this)
+      })
+  })
+
+  afterAll(() => {
+    jest.restoreAllMocks()
+  })
+
+  beforeEach(() => {
+    config.MATCHING_QUEUE.maxRetries = 2
+    matchingQueueService.useBull = false
+    matchingQueueService.localJobs.clear()
+    save.mockClear()
+  })
+
+  afterEach(() => {
+    Object.assign(config.MATCHING_QUEUE, originalQueueConfig)
+  })
+
+  test("处理中的任务重新入队，达到最大重试次数的任务标记为失败", async () => {
+    const interrupted = createTask()
+    const exhausted = createTask({ execution: { retryCount: 2 } })
+    jest.spyOn(MatchingTask, "find").mockResolvedValue([interrupted, exhausted])
+    const enqueue = jest
+      .spyOn(matchingQueueService, "enqueue")
+      .mockResolvedValue()
+
+    await matchingQueueService.recoverOrphanedTasks()
+
+    expect(enqueue).toHaveBeenCalledWith(interrupted._id.toString())
+    expect(enqueue).toHaveBeenCalledTimes(1)
+    expect(interrupted.status).toBe("processing")
+    expect(interrupted.execution.retryCount).toBe(1)
+    expect(exhausted.status).toBe("failed")
+    enqueue.mockRestore()
+  })
+
+  test("仍在队列中的任务不重复恢复", async () => {
+    const task = createTask()
+    matchingQueueService.localJobs.add(task._id.toString())
+    jest.spyOn(MatchingTask, "find").mockResolvedValue([task])
+    const enqueue = jest.spyOn(matchingQueueService, "enqueue")
+
+    await matchingQueueService.recoverOrphanedTasks()
+
+    expect(enqueue).not.toHaveBeenCalled()
+    expect(task.execution.retryCount).toBe(0)
+    enqueue.mockRestore()
+  })
+})
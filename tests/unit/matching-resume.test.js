@@ -0,0 +1,131 @@
+/**
+ * 匹配任务断点续跑测试
+ */
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const MatchingTask = require("../../src/models/MatchingTask")
+const MatchingRecord = require("../../src/models/MatchingRecord")
+const matchingQueueService = require("../../src/services/matching-queue.service")
+const matchingTaskService = require("../../src/services/matching-task.service")
+const {
+  resumeMatchingTask,
+} = require("../../src/controllers/matching.controller")
+const { mockDatabase } = require("../helpers/mock-database")
+const { invokeHandler } = require("../helpers/invoke-handler")
+
+const templateId = new mongoose.Types.ObjectId()
+const products = [
+  { _id: new mongoose.Types.ObjectId(), name: "中华(硬)", brand: "中华" },
+  { _id: new mongoose.Types.ObjectId(), name: "玉溪(软)", brand: "玉溪" },
+]
+
+let tmpDir
+
+function createTask(overrides = {}) {
+  const filePath = path.join(tmpDir, `${new mongoose.Types.ObjectId()}.csv`)
+  fs.writeFileSync(
+    filePath,
+    "批发名,批发价格\n中华硬,450\n玉溪软,230\n中华硬盒,455\n玉溪软盒,235\n"
+  )
+  return new MatchingTask({
+    templateId,
+    templateName: "测试模板",
+    originalFilename: "报价单.csv",
+    filePath,
+    status: "processing",
+    ...overrides,
+  })
+}
+
+describe("断点续跑", () => {
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "matching-resume-"))
+  })
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+    jest.spyOn(console, "log").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("跳过已生成记录的行，只处理剩余行并更新断点", async () => {
+    const task = createTask()
+    const db = mockDatabase({
+      MatchingTask: { findOne: task },
+      MatchingRecord: {
+        find: [2, 3].map((row) => ({ metadata: { source: { row } } })),
+      },
+      Product: { find: products },
+    })
+
+    await matchingTaskService.processTask(task._id)
+
+    const rows = db
+      .savedOf(MatchingRecord)
+      .map((record) => record.metadata.source.row)
+    expect(rows).toEqual([4, 5])
+    expect(task.execution.checkpoint).toMatchObject({
+      lastRow: 5,
+      processedRows: 4,
+    })
+    expect(task.status).not.toBe("failed")
+  })
+
+  test("没有已处理记录时从头处理", async () => {
+    const task = createTask()
+    const db = mockDatabase({
+      MatchingTask: { findOne: task },
+      Product: { find: products },
+    })
+
+    await matchingTaskService.processTask(task._id)
+
+    expect(
+      db.savedOf(MatchingRecord).map((record) => record.metadata.source.row)
+    ).toEqual([2, 3, 4, 5])
+  })
+
+  test("失败的任务可以从断点继续，已完成的任务不可以", async () => {
+    const failedTask = createTask({ status: "failed" })
+    const completedTask = createTask({ status: "completed" })
+    mockDatabase({
+      MatchingTask: {
+        findOne: ({ _id }) =>
+          [failedTask, completedTask].find(
+            (task) => task._id.toString() === _id.toString()
+          ),
+      },
+    })
+    const enqueue = jest
+      .spyOn(matchingQueueService, "enqueue")
+      .mockResolvedValue()
+
+    const resumed = await invokeHandler(resumeMatchingTask, {
+      params: { id: failedTask._id.toString() },
+    })
+    expect(resumed.body.success).toBe(true)
+    expect(failedTask.status).toBe("processing")
+    expect(failedTask.execution.resumeCount).toBe(1)
+    expect(enqueue).toHaveBeenCalledWith(failedTask._id)
+
+    const rejected = await invokeHandler(resumeMatchingTask, {
+      params: { id: completedTask._id.toString() },
+    })
+    expect(rejected.error.message).toBe(
+      "只有失败、暂停或中断的任务可以继续执行"
+    )
+    expect(enqueue).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,176 @@
+/**
+ * 分维度评分和任务权重、策略配置测试
+ */
+const fs = require("fs")
+const path = require("path")
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const ProductTemplate = require("../../src/models/ProductTemplate")
+const MatchingTask = require("../../src/models/MatchingTask")
+const matchingRoutes = require("../../src/routes/matching.routes")
+const { errorHandler } = require("../../src/middleware/error.middleware")
+const { generateTokens } = require("../../src/middleware/auth.middleware")
+const { createEngine } = require("../../src/utils/matching-algorithm")
+const { mockDatabase } = require("../helpers/mock-database")
+
+const product = {
+  _id: "p1",
+  name: "中华(硬)",
+  brand: "中华",
+  pricing: { companyPrice: 450 },
+}
+
+describe("分维度评分", () => {
+  const engine = createEngine()
+
+  test("各维度分数按权重加权平均得到总分", () => {
+    const score = engine.scoreComponents(
+      "中华软",
+      engine.normalize(product.name),
+      { price: 450 },
+      product
+    )
+
+    const weights = engine.weights
+    const keys = Object.keys(weights).filter((key) => score[key] !== undefined)
+    const expected =
+      keys.reduce((sum, key) => sum + score[key] * weights[key], 0) /
+      keys.reduce((sum, key) => sum + weights[key], 0)
+    expect(Math.abs(score.total - expected)).toBeLessThanOrEqual(1)
+    expect(engine.calculateScore("中华软", product.name, {}, product)).toBe(
+      engine.scoreComponents("中华软", product.name, {}, product).total
+    )
+  })
+
+  test("品牌冲突时总分不超过15，关闭品牌优先后不再限制", () => {
+    const args = ["玉溪硬", engine.normalize(product.name), {}, product]
+
+    const score = engine.scoreComponents(...args)
+    expect(score.brand).toBe(0)
+    expect(score.total).toBeLessThanOrEqual(15)
+
+    const withoutPriority = engine.scoreComponents(...args, {
+      strategies: { brandPriority: false },
+      weights: { name: 1, brand: 0, keywords: 0, package: 1, price: 0 },
+    })
+    expect(withoutPriority.total).toBeGreaterThan(15)
+  })
+
+  test("任务配置的权重和策略覆盖默认值", () => {
+    const args = ["中华软", engine.normalize(product.name), {}, product]
+
+    const nameOnly = engine.scoreComponents(...args, {
+      weights: { name: 1, brand: 0, keywords: 0, package: 0, price: 0 },
+    })
+    expect(nameOnly.total).toBe(nameOnly.name)
+
+    const noPackage = engine.scoreComponents(...args, {
+      strategies: { packageTypeRecognition: false },
+    })
+    expect(noPackage.package).toBeUndefined()
+  })
+})
+
+describe("上传任务时的权重和策略参数", () => {
+  const admin = {
+    _id: new mongoose.Types.ObjectId(),
+    username: "admin",
+    role: "admin",
+    isActive: true,
+  }
+  const templateId = new mongoose.Types.ObjectId().toString()
+  const template = new ProductTemplate({ _id: templateId, name: "测试模板" })
+  const app = express().use("/api/matching", matchingRoutes).use(errorHandler)
+  const uploadDir = path.join(__dirname, "../../uploads")
+  let existingFiles
+
+  /**
+   * 以 multipart 表单上传文件，fields 为额外的表单字段
+   */
+  const upload = (fields, url = "/api/matching/tasks") => {
+    const { accessToken } = generateTokens(admin._id)
+    const req = request(app)
+      .post(url)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .field("templateId", templateId)
+    for (const [name, value] of Object.entries(fields)) {
+      req.field(name, value)
+    }
+    return req.attach(
+      "file",
+      Buffer.from("批发名,批发价格\n中华硬,450\n"),
+      "报价单.csv"
+    )
+  }
+
+  beforeAll(() => {
+    existingFiles = new Set(fs.readdirSync(uploadDir))
+  })
+
+  // 校验失败时上传的文件同样会留在上传目录
+  afterAll(() => {
+    for (const file of fs.readdirSync(uploadDir)) {
+      if (!existingFiles.has(file)) fs.rmSync(path.join(uploadDir, file))
+    }
+  })
+
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+    jest.spyOn(console, "log").mockImplementation(() => {})
+    mockDatabase({
+      User: { findOne: admin },
+      ProductTemplate: { findOne: template },
+      Product: { find: [product] },
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("JSON 字符串形式的权重和策略解析后保存到任务配置", async () => {
+    const res = await upload({
+      weights: JSON.stringify({ name: 0.6, brand: 0.4 }),
+      strategies: JSON.stringify({ priceValidation: false }),
+    })
+
+    expect(res.status).toBe(201)
+    const task = new MatchingTask(res.body.data.task)
+    expect(task.config.weights).toMatchObject({ name: 0.6, brand: 0.4 })
+    expect(task.config.strategies.priceValidation).toBe(false)
+  })
+
+  test("weights[name]=… 形式的字段同样可以通过校验", async () => {
+    const res = await upload({ "weights[name]": "0.7" })
+
+    expect(res.status).toBe(201)
+    expect(res.body.data.task.config.weights.name).toBe(0.7)
+  })
+
+  test("无法解析的 JSON 和超出范围的权重返回400", async () => {
+    const invalidJson = await upload({ weights: "{name: 0.6" })
+    expect(invalidJson.status).toBe(400)
+    expect(invalidJson.body.message).toBe("请求数据格式错误")
+
+    const outOfRange = await upload({ weights: JSON.stringify({ name: 2 }) })
+    expect(outOfRange.status).toBe(400)
+    expect(outOfRange.body.errors[0].field).toBe("body.weights.name")
+  })
+
+  test("预览接口同样接受 JSON 字符串形式的权重和策略", async () => {
+    const res = await upload(
+      {
+        weights: JSON.stringify({ name: 1 }),
+        strategies: JSON.stringify({ brandPriority: false }),
+      },
+      "/api/matching/preview"
+    )
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.previewedRows).toBe(1)
+  })
+})
@@ -0,0 +1,158 @@
+/**
+ * 记忆冲突列表和处理测试
+ */
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const MatchingMemory = require("../../src/models/MatchingMemory")
+const {
+  resolveMemoryConflict,
+} = require("../../src/controllers/memory.controller")
+const memoryRoutes = require("../../src/routes/memory.routes")
+const { errorHandler } = require("../../src/middleware/error.middleware")
+const { generateTokens } = require("../../src/middleware/auth.middleware")
+const { mockDatabase } = require("../helpers/mock-database")
+const { invokeHandler } = require("../helpers/invoke-handler")
+
+const templateId = new mongoose.Types.ObjectId()
+const userId = new mongoose.Types.ObjectId()
+
+const createMemory = (status = "active", overrides = {}) =>
+  new MatchingMemory({
+    normalizedWholesaleName: "中华硬",
+    originalWholesaleName: "中华硬",
+    confirmedProductId: new mongoose.Types.ObjectId(),
+    templateId,
+    confidence: 90,
+    confirmedBy: userId,
+    status,
+    ...overrides,
+  })
+
+describe("冲突记忆", () => {
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("按批发名分组返回冲突记忆，只列出未处理的冲突报告", async () => {
+    const first = createMemory("active", {
+      metadata: {
+        conflicts: [
+          { reportedAt: new Date(), resolvedAt: new Date() },
+          { reportedAt: new Date() },
+        ],
+      },
+    })
+    const second = createMemory("conflicted")
+    const db = mockDatabase({
+      MatchingMemory: {
+        aggregate: [
+          {
+            groups: [
+              {
+                _id: { normalizedWholesaleName: "中华硬", templateId },
+                memoryIds: [first._id, second._id],
+                productIds: [
+                  first.confirmedProductId,
+                  second.confirmedProductId,
+                ],
+                reportedCount: 1,
+              },
+            ],
+            total: [{ count: 1 }],
+          },
+        ],
+        find: [second, first],
+      },
+    })
+
+    const { groups, total } = await MatchingMemory.findConflicts({
+      templateId: templateId.toString(),
+    })
+
+    expect(total).toBe(1)
+    expect(groups[0]).toMatchObject({
+      normalizedWholesaleName: "中华硬",
+      productCount: 2,
+      reportedCount: 1,
+    })
+    expect(groups[0].memories.map((memory) => memory._id)).toEqual([
+      first._id,
+      second._id,
+    ])
+    expect(groups[0].memories[0].conflicts).toHaveLength(1)
+    expect(db.queries[0].pipeline[0].$match).toEqual({
+      status: { $in: ["active", "conflicted"] },
+      templateId,
+    })
+  })
+
+  test("保留胜出记忆，废弃同组其他记忆并写入审计记录", async () => {
+    const winner = createMemory("conflicted", {
+      weight: 0.4,
+      metadata: { conflicts: [{ reportedAt: new Date() }] },
+    })
+    const loser = createMemory("active")
+    const db = mockDatabase({ MatchingMemory: { find: [loser] } })
+
+    const { deprecated } = await MatchingMemory.resolveConflict(winner, {
+      userId,
+      note: "以条码为准",
+    })
+
+    expect(deprecated).toEqual([loser])
+    expect(loser.status).toBe("deprecated")
+    expect(loser.metadata.auditTrail.at(-1).details).toBe(
+      `冲突处理：保留记忆 ${winner._id}（以条码为准）`
+    )
+    expect(winner).toMatchObject({ status: "active", weight: 1 })
+    expect(winner.metadata.conflicts[0].resolvedBy).toEqual(userId)
+    expect(winner.metadata.auditTrail.at(-1).action).toBe("conflict_resolved")
+    // 先保存被废弃的记忆，避免与胜出记忆的激活唯一索引冲突
+    expect([...db.saved]).toEqual([loser, winner])
+  })
+
+  test("已废弃的记忆不能作为胜出记忆", async () => {
+    const db = mockDatabase({
+      MatchingMemory: { findOne: createMemory("deprecated") },
+    })
+
+    const { error } = await invokeHandler(resolveMemoryConflict, {
+      body: { winnerId: new mongoose.Types.ObjectId().toString() },
+      user: { _id: userId },
+    })
+
+    expect(error.statusCode).toBe(400)
+    expect(error.message).toBe("只能选择有效或冲突状态的记忆作为胜出记忆")
+    expect(db.saved.size).toBe(0)
+  })
+
+  test("查看冲突列表需要审核权限", async () => {
+    mockDatabase({
+      User: {
+        findOne: {
+          _id: userId,
+          username: "viewer",
+          role: "viewer",
+          isActive: true,
+        },
+      },
+    })
+    const app = express()
+      .use("/api/matching/memories", memoryRoutes)
+      .use(errorHandler)
+
+    const res = await request(app)
+      .get("/api/matching/memories/conflicts")
+      .set("Authorization", `Bearer ${generateTokens(userId).accessToken}`)
+
+    expect(res.status).toBe(403)
+  })
+})
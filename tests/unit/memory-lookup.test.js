@@ -0,0 +1,134 @@
+/**
+ * 记忆查询测试：输入转义和分层命中
+ */
+const mongoose = require("mongoose")
+const MatchingMemory = require("../../src/models/MatchingMemory")
+const {
+  createEngine,
+  ngramSimilarity,
+} = require("../../src/utils/matching-algorithm")
+const { mockDatabase } = require("../helpers/mock-database")
+
+const templateId = new mongoose.Types.ObjectId()
+
+const memory = (name, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  normalizedWholesaleName: name,
+  confirmedProductId: { _id: "p1", name: "中华(硬)" },
+  confidence: 90,
+  confirmCount: 1,
+  ...overrides,
+})
+
+describe("ngramSimilarity", () => {
+  test("按二元组计算 Dice 系数", () => {
+    expect(ngramSimilarity("中华硬", "中华硬盒")).toBe(80)
+    expect(ngramSimilarity("中华硬盒", "中华软盒")).toBeCloseTo(33.3, 1)
+    expect(ngramSimilarity("中华", "玉溪")).toBe(0)
+    expect(ngramSimilarity("", "中华")).toBe(0)
+    expect(ngramSimilarity("a", "a")).toBe(100)
+  })
+})
+
+describe("MatchingMemory.findMatching", () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("精确命中时不再执行包含和模糊查询", async () => {
+    const db = mockDatabase({
+      MatchingMemory: { find: [memory("中华硬")] },
+    })
+
+    const results = await MatchingMemory.findMatching("中华硬", { templateId })
+
+    expect(results).toMatchObject([{ matchType: "exact", similarity: 100 }])
+    expect(db.queries).toHaveLength(1)
+    expect(db.queries[0].filter).toMatchObject({
+      templateId,
+      status: "active",
+      normalizedWholesaleName: "中华硬",
+    })
+  })
+
+  test("包含查询按字面匹配，正则特殊字符被转义", async () => {
+    const db = mockDatabase({
+      MatchingMemory: {
+        find: (filter) =>
+          filter.$and ? [memory("中华硬(a+b)盒"), memory("中华硬(a+b)")] : [],
+      },
+    })
+
+    const results = await MatchingMemory.findMatching("中华硬(a+b)")
+
+    const contained = db.queries[1].filter.$and[1].$or[0]
+    expect(contained).toEqual({
+      normalizedWholesaleName: { $regex: "中华硬\\(a\\+b\\)" },
+    })
+    expect(
+      new RegExp(contained.normalizedWholesaleName.$regex).test("中华硬(a+b)盒")
+    ).toBe(true)
+    expect(results.map((result) => result.normalizedWholesaleName)).toEqual([
+      "中华硬(a+b)",
+      "中华硬(a+b)盒",
+    ])
+    expect(results[1]).toMatchObject({ matchType: "contained" })
+  })
+
+  test("模糊查询按 n-gram 相似度筛选，低于阈值的记忆不返回", async () => {
+    const similar = memory("中华硬盒子")
+    const dissimilar = memory("中华软盒")
+    const db = mockDatabase({
+      MatchingMemory: {
+        find: (filter) => {
+          if (filter._id) return [similar]
+          if (filter.normalizedWholesaleName?.$regex?.includes("|")) {
+            return [similar, dissimilar]
+          }
+          return []
+        },
+      },
+    })
+
+    const results = await MatchingMemory.findMatching("中华硬盒", {
+      minSimilarity: 70,
+    })
+
+    expect(db.queries[2].filter.normalizedWholesaleName).toEqual({
+      $regex: "中华|华硬|硬盒",
+    })
+    expect(db.queries[3].filter._id).toEqual({ $in: [similar._id.toString()] })
+    expect(results).toEqual([
+      expect.objectContaining({
+        matchType: "fuzzy",
+        similarity: ngramSimilarity("中华硬盒", "中华硬盒子"),
+      }),
+    ])
+  })
+})
+
+describe("非精确命中的记忆", () => {
+  test("不享有记忆优先排序和记忆自动确认", async () => {
+    const engine = createEngine("default", {
+      memoryLookup: async () => [
+        memory("中华硬盒子", { matchType: "fuzzy", similarity: 86 }),
+      ],
+    })
+    const [candidate] = await engine.match(
+      { name: "中华硬盒" },
+      engine.buildIndex([{ _id: "p1", name: "中华(硬)", brand: "中华" }])
+    )
+
+    expect(candidate.reasons[0]).toMatchObject({
+      type: "memory_match",
+      description: "记忆模糊匹配 (相似度86%，确认1次)",
+      details: { matchType: "fuzzy", similarity: 86 },
+    })
+    expect(
+      engine.evaluateAutoConfirm({
+        ...candidate,
+        score: { total: 60 },
+      }).rule
+    ).toBeNull()
+  })
+})
@@ -0,0 +1,148 @@
+/**
+ * 记忆成功率测试：审核结果计数、阈值降权和使用分析权限
+ */
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const MatchingMemory = require("../../src/models/MatchingMemory")
+const MatchingRecord = require("../../src/models/MatchingRecord")
+const memoryRoutes = require("../../src/routes/memory.routes")
+const { errorHandler } = require("../../src/middleware/error.middleware")
+const { generateTokens } = require("../../src/middleware/auth.middleware")
+const { mockDatabase } = require("../helpers/mock-database")
+
+const userId = new mongoose.Types.ObjectId()
+const suggestedProductId = new mongoose.Types.ObjectId()
+
+const createMemory = (usageStats = {}) =>
+  new MatchingMemory({
+    normalizedWholesaleName: "中华硬",
+    originalWholesaleName: "中华硬",
+    confirmedProductId: suggestedProductId,
+    templateId: new mongoose.Types.ObjectId(),
+    confidence: 90,
+    confirmedBy: userId,
+    weight: 1,
+    metadata: { usageStats },
+  })
+
+const createRecord = (memory) =>
+  new MatchingRecord({
+    taskId: new mongoose.Types.ObjectId(),
+    originalData: { name: "中华硬" },
+    candidates: [
+      {
+        productId: suggestedProductId,
+        isMemoryMatch: true,
+        memorySource: { _id: memory._id },
+      },
+    ],
+  })
+
+describe("记忆成功率", () => {
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("同一记录重复审核不重复计数，结果改变时修正计数", async () => {
+    const memory = createMemory()
+    const record = createRecord(memory)
+    const db = mockDatabase({ MatchingMemory: { findOne: memory } })
+
+    const first = await MatchingMemory.trackRecordOutcome(record, "confirm", {
+      productId: suggestedProductId,
+      userId,
+    })
+    expect(first.outcome).toBe("confirmed")
+    expect(record.metadata.memoryUsage.outcome).toBe("confirmed")
+
+    expect(
+      await MatchingMemory.trackRecordOutcome(record, "confirm", {
+        productId: suggestedProductId,
+        userId,
+      })
+    ).toBeNull()
+
+    const changed = await MatchingMemory.trackRecordOutcome(record, "confirm", {
+      productId: new mongoose.Types.ObjectId(),
+      userId,
+    })
+    expect(changed.outcome).toBe("changed")
+    expect(memory.metadata.usageStats).toMatchObject({
+      totalUsed: 1,
+      confirmedCount: 0,
+      changedCount: 1,
+      successRate: 0,
+    })
+    expect(db.queries.filter((query) => query.op === "updateOne")).toHaveLength(
+      2
+    )
+  })
+
+  test("没有记忆建议的记录不更新成功率", async () => {
+    const db = mockDatabase()
+    const record = new MatchingRecord({
+      taskId: new mongoose.Types.ObjectId(),
+      originalData: { name: "中华硬" },
+      candidates: [{ productId: suggestedProductId }],
+    })
+
+    expect(
+      await MatchingMemory.trackRecordOutcome(record, "reject", { userId })
+    ).toBeNull()
+    expect(db.queries).toEqual([])
+  })
+
+  test("成功率低于阈值时降权一次，低于废弃阈值时废弃", () => {
+    const thresholds = { minSamples: 5, demoteBelow: 60, deprecateBelow: 30 }
+
+    const weak = createMemory({
+      confirmedCount: 5,
+      rejectedCount: 5,
+      successRate: 50,
+    })
+    expect(weak.applyQualityThreshold(thresholds)).toBe("demoted")
+    expect(weak.weight).toBe(0.5)
+    expect(weak.applyQualityThreshold(thresholds)).toBeNull()
+
+    const failing = createMemory({
+      confirmedCount: 1,
+      rejectedCount: 9,
+      successRate: 10,
+    })
+    expect(failing.applyQualityThreshold(thresholds)).toBe("deprecated")
+    expect(failing.status).toBe("deprecated")
+
+    const unsampled = createMemory({ rejectedCount: 2, successRate: 0 })
+    expect(unsampled.applyQualityThreshold(thresholds)).toBeNull()
+  })
+
+  test("查看使用分析需要审核权限", async () => {
+    mockDatabase({
+      User: {
+        findOne: {
+          _id: userId,
+          username: "viewer",
+          role: "viewer",
+          isActive: true,
+        },
+      },
+    })
+    const app = express()
+      .use("/api/matching/memories", memoryRoutes)
+      .use(errorHandler)
+
+    const res = await request(app)
+      .get("/api/matching/memories/analytics")
+      .set("Authorization", `Bearer ${generateTokens(userId).accessToken}`)
+
+    expect(res.status).toBe(403)
+  })
+})
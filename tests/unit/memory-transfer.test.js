@@ -0,0 +1,248 @@
+/**
+ * 记忆导入导出测试
+ */
+const fs = require("fs")
+const path = require("path")
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const MatchingMemory = require("../../src/models/MatchingMemory")
+const ProductTemplate = require("../../src/models/ProductTemplate")
+const memoryTransferService = require("../../src/services/memory-transfer.service")
+const memoryRoutes = require("../../src/routes/memory.routes")
+const { errorHandler } = require("../../src/middleware/error.middleware")
+const { generateTokens } = require("../../src/middleware/auth.middleware")
+const { mockDatabase } = require("../helpers/mock-database")
+
+const templateId = new mongoose.Types.ObjectId()
+const userId = new mongoose.Types.ObjectId()
+const products = [
+  { _id: new mongoose.Types.ObjectId(), productCode: "6901028001" },
+  { _id: new mongoose.Types.ObjectId(), boxCode: "6901028002" },
+]
+
+const entry = (name, product, overrides = {}) => ({
+  originalWholesaleName: name,
+  product,
+  confidence: 95,
+  confirmCount: 3,
+  ...overrides,
+})
+
+const createMemory = (name, productId) =>
+  new MatchingMemory({
+    normalizedWholesaleName: name,
+    originalWholesaleName: name,
+    confirmedProductId: productId,
+    templateId,
+    confidence: 90,
+    confirmCount: 2,
+    confirmedBy: userId,
+  })
+
+describe("导出记忆", () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("商品以条码和盒码标识，商品已删除的记忆不导出", async () => {
+    mockDatabase({
+      MatchingMemory: {
+        find: [
+          {
+            originalWholesaleName: "中华硬",
+            normalizedWholesaleName: "中华硬",
+            confirmedProductId: {
+              productCode: "6901028001",
+              name: "中华(硬)",
+              brand: "中华",
+            },
+            confidence: 95,
+            confirmCount: 3,
+          },
+          { originalWholesaleName: "已删除", confirmedProductId: null },
+        ],
+      },
+    })
+
+    const entries = await memoryTransferService.exportMemories({ templateId })
+
+    expect(entries).toHaveLength(1)
+    expect(entries[0]).toMatchObject({
+      originalWholesaleName: "中华硬",
+      product: {
+        productCode: "6901028001",
+        boxCode: "",
+        name: "中华(硬)",
+      },
+      confirmCount: 3,
+    })
+  })
+})
+
+describe("导入记忆", () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  const importEntries = (entries, mode, existing = null) => {
+    const db = mockDatabase({
+      Product: { find: products },
+      MatchingMemory: { findOne: existing },
+    })
+    const report = memoryTransferService.importMemories(entries, {
+      templateId,
+      mode,
+      userId,
+    })
+    return { db, report }
+  }
+
+  test("按条码或盒码关联目标模板商品，导入的记忆需重新专家审核", async () => {
+    const { db, report } = importEntries([
+      entry("中华硬", { productCode: "6901028001" }, { expertVerified: true }),
+      entry("中华软", { boxCode: "6901028002" }),
+      entry("玉溪软", { productCode: "0000" }),
+      entry("利群", {}),
+      entry("芙蓉王", { productCode: "6901028001" }, { status: "deprecated" }),
+    ])
+
+    expect(await report).toMatchObject({
+      total: 5,
+      created: 2,
+      skipped: 1,
+      unresolved: [
+        { row: 3, reason: "目标模板中未找到商品" },
+        { row: 4, reason: "缺少条码和盒码" },
+      ],
+    })
+    const [created] = db.savedOf(MatchingMemory)
+    expect(created).toMatchObject({
+      confirmedProductId: products[0]._id,
+      source: "imported",
+      confirmCount: 3,
+    })
+    expect(created.metadata.qualityControl.expertVerified).toBe(false)
+  })
+
+  test("合并时累加确认次数，指向不同商品时报告冲突", async () => {
+    const existing = createMemory("中华硬", products[0]._id)
+    const merged = await importEntries(
+      [entry("中华硬", { productCode: "6901028001" })],
+      "merge",
+      existing
+    ).report
+    expect(merged.merged).toBe(1)
+    expect(existing.confirmCount).toBe(5)
+
+    const conflicted = await importEntries(
+      [entry("中华硬", { boxCode: "6901028002" })],
+      "merge",
+      createMemory("中华硬", products[0]._id)
+    ).report
+    expect(conflicted.conflicts).toEqual([
+      {
+        row: 1,
+        originalWholesaleName: "中华硬",
+        productCode: undefined,
+        boxCode: "6901028002",
+      },
+    ])
+  })
+
+  test("覆盖时替换商品并清除专家审核状态", async () => {
+    const existing = createMemory("中华硬", products[0]._id)
+    existing.metadata.qualityControl.expertVerified = true
+
+    const { report } = importEntries(
+      [entry("中华硬", { boxCode: "6901028002" })],
+      "overwrite",
+      existing
+    )
+
+    expect((await report).updated).toBe(1)
+    expect(existing.confirmedProductId).toEqual(products[1]._id)
+    expect(existing.metadata.qualityControl.expertVerified).toBe(false)
+  })
+})
+
+describe("记忆导入导出接口", () => {
+  const users = {
+    admin: { _id: userId, username: "admin", role: "admin", isActive: true },
+    viewer: { _id: userId, username: "viewer", role: "viewer", isActive: true },
+  }
+  const template = new ProductTemplate({ _id: templateId, name: "测试模板" })
+  const app = express()
+    .use("/api/matching/memories", memoryRoutes)
+    .use(errorHandler)
+  const uploadDir = path.join(__dirname, "../../uploads")
+  let existingFiles
+
+  const mockUser = (user) =>
+    mockDatabase({
+      User: { findOne: user },
+      ProductTemplate: { findOne: template },
+      Product: { find: products },
+    })
+
+  beforeAll(() => {
+    existingFiles = new Set(fs.readdirSync(uploadDir))
+  })
+
+  afterAll(() => {
+    for (const file of fs.readdirSync(uploadDir)) {
+      if (!existingFiles.has(file)) fs.rmSync(path.join(uploadDir, file))
+    }
+  })
+
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  const { accessToken } = generateTokens(userId)
+
+  test("导出需要审核权限", async () => {
+    mockUser(users.viewer)
+
+    const res = await request(app)
+      .get("/api/matching/memories/export")
+      .set("Authorization", `Bearer ${accessToken}`)
+
+    expect(res.status).toBe(403)
+  })
+
+  test("multipart 表单中的 entries 以 JSON 字符串传递", async () => {
+    mockUser(users.admin)
+
+    const res = await request(app)
+      .post("/api/matching/memories/import")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .field("templateId", templateId.toString())
+      .field(
+        "entries",
+        JSON.stringify([entry("中华硬", { productCode: "6901028001" })])
+      )
+
+    expect(res.status).toBe(200)
+    expect(res.body.data).toMatchObject({ total: 1, created: 1 })
+  })
+
+  test("entries 不是合法的 JSON 数组时返回400", async () => {
+    mockUser(users.admin)
+
+    const res = await request(app)
+      .post("/api/matching/memories/import")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .field("templateId", templateId.toString())
+      .field("entries", "[{")
+
+    expect(res.status).toBe(400)
+  })
+})
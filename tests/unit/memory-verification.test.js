@@ -0,0 +1,171 @@
+/**
+ * 记忆专家审核测试：审核队列、审核操作和已验证记忆的自动确认
+ */
+const express = require("express")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const MatchingMemory = require("../../src/models/MatchingMemory")
+const { verifyMemory } = require("../../src/controllers/memory.controller")
+const memoryRoutes = require("../../src/routes/memory.routes")
+const { createEngine } = require("../../src/utils/matching-algorithm")
+const { errorHandler } = require("../../src/middleware/error.middleware")
+const { generateTokens } = require("../../src/middleware/auth.middleware")
+const { mockDatabase } = require("../helpers/mock-database")
+const { invokeHandler } = require("../helpers/invoke-handler")
+
+const userId = new mongoose.Types.ObjectId()
+
+const createMemory = (status = "active") =>
+  new MatchingMemory({
+    normalizedWholesaleName: "中华硬",
+    originalWholesaleName: "中华硬",
+    confirmedProductId: new mongoose.Types.ObjectId(),
+    templateId: new mongoose.Types.ObjectId(),
+    confidence: 90,
+    confirmedBy: userId,
+    status,
+  })
+
+describe("记忆专家审核", () => {
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("审核队列只包含未验证且达到使用次数的激活记忆", async () => {
+    const db = mockDatabase({ MatchingMemory: { find: [], countDocuments: 0 } })
+
+    await MatchingMemory.getVerificationQueue({ minUsage: 5 })
+
+    expect(db.queries[0].filter).toEqual({
+      status: "active",
+      "metadata.qualityControl.expertVerified": { $ne: true },
+      "metadata.usageStats.totalUsed": { $gte: 5 },
+    })
+  })
+
+  test("修改后通过时更新绑定商品并记录审计", async () => {
+    const memory = createMemory()
+    const productId = new mongoose.Types.ObjectId()
+    const oldProductId = memory.confirmedProductId
+    const db = mockDatabase({
+      MatchingMemory: { findOne: memory },
+      Product: { findOne: { _id: productId } },
+    })
+
+    const { body } = await invokeHandler(verifyMemory, {
+      params: { id: memory._id.toString() },
+      body: { action: "edit", confirmedProductId: productId, note: "规格有误" },
+      user: { _id: userId },
+    })
+
+    expect(body.message).toBe("记忆已修改并审核通过")
+    expect(memory.metadata.qualityControl).toMatchObject({
+      expertVerified: true,
+      qualityScore: 4,
+      verifiedBy: userId,
+      qualityNotes: "规格有误",
+    })
+    expect(memory.metadata.auditTrail.at(-1)).toMatchObject({
+      action: "verified",
+      details: "专家修改后审核通过：规格有误",
+      oldValues: { confirmedProductId: oldProductId },
+      newValues: { confirmedProductId: productId },
+    })
+    expect(db.savedOf(MatchingMemory)).toEqual([memory])
+  })
+
+  test("驳回的记忆被废弃，非激活记忆不能审核", async () => {
+    const memory = createMemory()
+    mockDatabase({ MatchingMemory: { findOne: memory } })
+
+    await invokeHandler(verifyMemory, {
+      params: { id: memory._id.toString() },
+      body: { action: "reject" },
+      user: { _id: userId },
+    })
+    expect(memory.status).toBe("deprecated")
+    expect(memory.metadata.qualityControl.expertVerified).toBe(false)
+
+    const { error } = await invokeHandler(verifyMemory, {
+      params: { id: memory._id.toString() },
+      body: { action: "approve" },
+      user: { _id: userId },
+    })
+    expect(error.statusCode).toBe(400)
+  })
+
+  test("专家验证过的精确记忆视为高信任记忆，可忽略绑定冲突", () => {
+    const engine = createEngine()
+    const candidate = (expertVerified) => ({
+      productId: "p1",
+      score: { total: 80 },
+      isMemoryMatch: true,
+      memorySource: {
+        confirmCount: 1,
+        metadata: { qualityControl: { expertVerified } },
+      },
+    })
+
+    expect(
+      engine.evaluateAutoConfirm(candidate(true), { hasConflict: true }).rule
+    ).toBe("high_trust_memory")
+    expect(
+      engine.evaluateAutoConfirm(candidate(false), { hasConflict: true })
+        .blockedBy
+    ).toBe("conflict")
+    expect(
+      engine.evaluateAutoConfirm(
+        candidate(true),
+        { hasConflict: true },
+        { verifiedMemoryHighTrust: false }
+      ).blockedBy
+    ).toBe("conflict")
+  })
+
+  test("审核操作仅限管理员和审核员，edit 以外不能修改商品", async () => {
+    mockDatabase({
+      User: {
+        findOne: {
+          _id: userId,
+          username: "viewer",
+          role: "viewer",
+          isActive: true,
+        },
+      },
+    })
+    const app = express()
+      .use(express.json())
+      .use("/api/matching/memories", memoryRoutes)
+      .use(errorHandler)
+    const id = new mongoose.Types.ObjectId().toString()
+    const token = generateTokens(userId).accessToken
+
+    const queue = await request(app)
+      .get("/api/matching/memories/verification-queue")
+      .set("Authorization", `Bearer ${token}`)
+    expect(queue.status).toBe(403)
+
+    mockDatabase({
+      User: {
+        findOne: {
+          _id: userId,
+          username: "admin",
+          role: "admin",
+          isActive: true,
+        },
+      },
+    })
+    const invalid = await request(app)
+      .post(`/api/matching/memories/${id}/verify`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ action: "approve", confirmedProductId: id })
+    expect(invalid.status).toBe(400)
+  })
+})
@@ -0,0 +1,180 @@
+/**
+ * 价格异常检测测试
+ */
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const MatchingTask = require("../../src/models/MatchingTask")
+const MatchingRecord = require("../../src/models/MatchingRecord")
+const priceAnomalyService = require("../../src/services/price-anomaly.service")
+const matchingTaskService = require("../../src/services/matching-task.service")
+const { mockDatabase } = require("../helpers/mock-database")
+
+const product = {
+  pricing: { unit: "元/条", retailPrice: 500, companyPrice: 450 },
+  specifications: { packageQuantity: 20 },
+}
+
+describe("检测报价异常", () => {
+  test("按偏离倍数确定严重程度，取最严重的参考价", () => {
+    expect(priceAnomalyService.detect(480, "条", product)).toBeNull()
+
+    const anomaly = priceAnomalyService.detect(90, "条", product, 200)
+    expect(anomaly).toMatchObject({
+      severity: "high",
+      price: 90,
+      unit: "元/条",
+    })
+    expect(anomaly.deviations).toEqual([
+      {
+        reference: "retailPrice",
+        referencePrice: 500,
+        ratio: 5.6,
+        severity: "high",
+      },
+      {
+        reference: "companyPrice",
+        referencePrice: 450,
+        ratio: 5,
+        severity: "high",
+      },
+      {
+        reference: "recentWholesale",
+        referencePrice: 200,
+        ratio: 2.2,
+        severity: "medium",
+      },
+    ])
+    expect(anomaly.message).toBe(
+      "批发价90元/条异常：零售价500（相差5.6倍），公司价450（相差5倍），近期批发价200（相差2.2倍）"
+    )
+  })
+
+  test("换算为商品单位后比较，旧版本默认的盒按条处理", () => {
+    expect(priceAnomalyService.detect(45, "包", product)).toBeNull()
+    expect(priceAnomalyService.detect(450, "盒", product)).toBeNull()
+    expect(priceAnomalyService.detect(45, "盒", product).severity).toBe("high")
+  })
+
+  test("单位无法换算时不检测", () => {
+    expect(priceAnomalyService.detect(2, "克", product)).toBeNull()
+    expect(
+      priceAnomalyService.detect(2, "支", { pricing: product.pricing })
+    ).toBeNull()
+  })
+})
+
+describe("近期批发价和审核确认", () => {
+  const productId = new mongoose.Types.ObjectId()
+
+  const createRecord = (price) =>
+    new MatchingRecord({
+      taskId: new mongoose.Types.ObjectId(),
+      originalData: { name: "中华硬", price, unit: "条" },
+    })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("近期批发价取中位数，样本不足时不参与比较", async () => {
+    const record = createRecord(450)
+    const db = mockDatabase({
+      PriceHistory: {
+        find: [{ price: 440 }, { price: 600 }, { price: 450 }, { price: 460 }],
+      },
+    })
+
+    expect(
+      await priceAnomalyService.getRecentWholesalePrice(productId, {
+        excludeRecordId: record._id,
+      })
+    ).toBe(455)
+    expect(db.queries[0].filter.recordId).toEqual({ $ne: record._id })
+
+    mockDatabase({ PriceHistory: { find: [{ price: 440 }, { price: 450 }] } })
+    expect(await priceAnomalyService.getRecentWholesalePrice(productId)).toBe(
+      null
+    )
+  })
+
+  test("异常记录到匹配记录但不保存，高严重性时提高优先级", async () => {
+    const db = mockDatabase({ Product: { findOne: product } })
+    const record = createRecord(45)
+
+    const anomaly = await priceAnomalyService.flagRecord(record, productId)
+
+    expect(anomaly.severity).toBe("high")
+    expect(record.priority).toBe("high")
+    expect(record.exceptions[0]).toMatchObject({
+      type: "price_anomaly",
+      message: anomaly.message,
+      severity: "high",
+    })
+    expect(db.saved.size).toBe(0)
+
+    // 重复确认时不重复记录同一异常
+    await priceAnomalyService.flagRecord(record, productId)
+    expect(record.exceptions).toHaveLength(1)
+  })
+})
+
+describe("任务执行时检测价格异常", () => {
+  let tmpDir
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "price-anomaly-"))
+  })
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+    jest.spyOn(console, "log").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("价格异常阻止自动确认，记录进入待审核", async () => {
+    const filePath = path.join(tmpDir, "报价单.csv")
+    fs.writeFileSync(filePath, "批发名,批发价格\n中华硬,450\n中华硬,45\n")
+    const task = new MatchingTask({
+      templateId: new mongoose.Types.ObjectId(),
+      templateName: "测试模板",
+      originalFilename: "报价单.csv",
+      filePath,
+      status: "processing",
+      config: { autoConfirmPolicy: { minScore: 60 } },
+    })
+    const products = [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        name: "中华(硬)",
+        brand: "中华",
+        ...product,
+      },
+    ]
+    const db = mockDatabase({
+      MatchingTask: { findOne: task },
+      Product: { find: products, findOne: products[0] },
+    })
+
+    await matchingTaskService.processTask(task._id)
+
+    const [normal, anomalous] = db.savedOf(MatchingRecord)
+    expect(normal.status).toBe("confirmed")
+    expect(anomalous.status).toBe("pending")
+    expect(anomalous.priority).toBe("high")
+    expect(anomalous.exceptions.map((exception) => exception.type)).toContain(
+      "price_anomaly"
+    )
+  })
+})
@@ -0,0 +1,166 @@
+/**
+ * 批发价格历史测试
+ */
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const MatchingRecord = require("../../src/models/MatchingRecord")
+const PriceHistory = require("../../src/models/PriceHistory")
+const matchingTaskService = require("../../src/services/matching-task.service")
+const {
+  getProductPriceHistory,
+} = require("../../src/controllers/product.controller")
+const { mockDatabase } = require("../helpers/mock-database")
+const { invokeHandler } = require("../helpers/invoke-handler")
+
+const productId = new mongoose.Types.ObjectId()
+
+describe("确认匹配时记录价格历史", () => {
+  const createRecord = (originalData) =>
+    new MatchingRecord({
+      taskId: new mongoose.Types.ObjectId(),
+      originalData: { name: "中华硬", price: 45, unit: "包", ...originalData },
+      selectedMatch: { productId, confirmedAt: new Date("2024-03-01") },
+    })
+
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  const historyUpserts = (db) =>
+    db.queries.filter(
+      (query) =>
+        query.model === PriceHistory.modelName &&
+        query.op === "findOneAndUpdate"
+    )
+
+  test("按匹配记录写入换算后的价格，供应商取自任务", async () => {
+    const db = mockDatabase({
+      Product: { findOne: { pricing: { unit: "元/条" } } },
+      MatchingTask: { findOne: { metadata: { supplier: "华南烟草" } } },
+    })
+    const record = createRecord()
+
+    await matchingTaskService.updateProductWholesalePrice(record, productId)
+
+    const [upsert] = historyUpserts(db)
+    expect(upsert.filter).toEqual({ recordId: record._id })
+    expect(upsert.update).toMatchObject({
+      productId,
+      price: 450,
+      unit: "元/条",
+      originalPrice: 45,
+      originalUnit: "包",
+      supplier: "华南烟草",
+      recordedAt: new Date("2024-03-01"),
+    })
+    expect(upsert.options).toMatchObject({ upsert: true })
+  })
+
+  test("行数据中的供应商优先于任务供应商", async () => {
+    const db = mockDatabase({ Product: { findOne: {} } })
+
+    await matchingTaskService.updateProductWholesalePrice(
+      createRecord({ supplier: "华东烟草" }),
+      productId,
+      { supplier: "华南烟草", supplierId: null }
+    )
+
+    expect(historyUpserts(db)[0].update.supplier).toBe("华东烟草")
+    expect(
+      db.queries.filter((query) => query.model === "MatchingTask")
+    ).toEqual([])
+  })
+
+  test("拒绝或清空匹配时删除该记录的价格历史", async () => {
+    const db = mockDatabase({
+      PriceHistory: { deleteMany: { deletedCount: 1 } },
+    })
+    const record = createRecord()
+
+    await matchingTaskService.removeWholesalePriceHistory(record)
+
+    expect(db.queries).toMatchObject([
+      { op: "deleteMany", filter: { recordId: record._id } },
+    ])
+  })
+})
+
+describe("商品价格历史查询", () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("按时间段和供应商构建查询条件", () => {
+    expect(
+      PriceHistory.buildQuery(productId.toString(), {
+        from: "2024-03-01",
+        supplier: "",
+      })
+    ).toEqual({
+      productId,
+      recordedAt: { $gte: new Date("2024-03-01") },
+      supplier: "",
+    })
+  })
+
+  test("返回历史、供应商统计和按数量加权的汇总", async () => {
+    const suppliers = [
+      {
+        supplier: "华南烟草",
+        count: 3,
+        minPrice: 440,
+        avgPrice: 450,
+        maxPrice: 460,
+      },
+      {
+        supplier: "华东烟草",
+        count: 1,
+        minPrice: 470,
+        avgPrice: 470,
+        maxPrice: 470,
+      },
+    ]
+    const db = mockDatabase({
+      Product: { findOne: { _id: productId, name: "中华(硬)" } },
+      PriceHistory: {
+        countDocuments: 4,
+        aggregate: (pipeline) =>
+          pipeline.some((stage) => stage.$group?._id?.period) ? [] : suppliers,
+      },
+    })
+
+    const { body } = await invokeHandler(getProductPriceHistory, {
+      params: { id: productId.toString() },
+      query: { page: 1, limit: 20 },
+    })
+
+    expect(body.data.suppliers).toEqual(suppliers)
+    expect(body.data.summary).toEqual({
+      count: 4,
+      minPrice: 440,
+      maxPrice: 470,
+      avgPrice: 455,
+    })
+    expect(body.data.pagination).toMatchObject({ total: 4, pages: 1 })
+    const find = db.queries.find(
+      (query) => query.model === "PriceHistory" && query.op === "find"
+    )
+    expect(find.options).toMatchObject({ limit: 20, skip: 0 })
+  })
+
+  test("商品不存在时返回404", async () => {
+    mockDatabase()
+
+    const { error } = await invokeHandler(getProductPriceHistory, {
+      params: { id: productId.toString() },
+    })
+
+    expect(error.statusCode).toBe(404)
+  })
+})
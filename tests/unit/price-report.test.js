@@ -0,0 +1,148 @@
+/**
+ * 跨供应商比价报表测试
+ */
+const mongoose = require("mongoose")
+const priceReportService = require("../../src/services/price-report.service")
+const { mockDatabase } = require("../helpers/mock-database")
+
+const templateId = new mongoose.Types.ObjectId()
+const supplierId = new mongoose.Types.ObjectId()
+const tasks = [
+  {
+    _id: new mongoose.Types.ObjectId(),
+    supplierId: { _id: supplierId, name: "华南烟草" },
+  },
+  { _id: new mongoose.Types.ObjectId(), metadata: { supplier: "华东烟草" } },
+]
+const products = [
+  {
+    _id: new mongoose.Types.ObjectId(),
+    name: "中华(硬)",
+    brand: "中华",
+    pricing: { unit: "元/条", companyPrice: 450 },
+  },
+  {
+    _id: new mongoose.Types.ObjectId(),
+    name: "玉溪(软)",
+    brand: "玉溪",
+    pricing: { unit: "元/条", companyPrice: 230 },
+  },
+]
+
+// 聚合结果：每个 商品 + 供应商 最近一次确认的报价
+const quote = (product, task, originalData, supplier) => ({
+  _id: new mongoose.Types.ObjectId(),
+  taskId: task._id,
+  productId: product._id,
+  confirmedAt: new Date("2024-03-01"),
+  originalData,
+  supplierId: task.supplierId?._id,
+  supplier: supplier || task.metadata?.supplier || "未指定供应商",
+})
+
+const latestQuotes = [
+  // 旧版本保存的任务供应商名称与供应商实体名称不同
+  quote(products[0], tasks[0], { price: 44, unit: "包" }, "华南"),
+  quote(products[0], tasks[1], { price: 460, unit: "条" }),
+  quote(products[1], tasks[0], { price: 240, unit: "条" }),
+  quote(products[1], tasks[1], { price: 220, unit: "条" }),
+  quote(products[1], tasks[1], { price: 11, unit: "克" }, "华北烟草"),
+]
+
+describe("跨供应商比价", () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  const getReport = async (filters = {}) => {
+    const db = mockDatabase({
+      MatchingTask: { find: tasks },
+      MatchingRecord: { aggregate: latestQuotes },
+      Product: { find: products },
+    })
+    const report = await priceReportService.getPriceComparison({
+      templateId,
+      ...filters,
+    })
+    return { db, report }
+  }
+
+  test("换算单位后比较各供应商最近报价，价差大的商品在前", async () => {
+    const { report } = await getReport()
+
+    expect(
+      report.items.map(({ name, lowest, highest, spreadPercent }) => ({
+        name,
+        lowest: [lowest.supplier, lowest.price],
+        highest: [highest.supplier, highest.price],
+        spreadPercent,
+      }))
+    ).toEqual([
+      {
+        name: "玉溪(软)",
+        lowest: ["华东烟草", 220],
+        highest: ["华南烟草", 240],
+        spreadPercent: 9.09,
+      },
+      {
+        name: "中华(硬)",
+        lowest: ["华南烟草", 440],
+        highest: ["华东烟草", 460],
+        spreadPercent: 4.55,
+      },
+    ])
+    expect(report.items[1].quotes[0]).toMatchObject({
+      supplierId,
+      originalPrice: 44,
+      originalUnit: "包",
+    })
+  })
+
+  test("最低价次数按供应商 key 统计，单位无法换算的报价不参与", async () => {
+    const { report } = await getReport()
+
+    expect(report.suppliers).toEqual([
+      { key: "华东烟草", supplierId: undefined, name: "华东烟草" },
+      { key: supplierId.toString(), supplierId, name: "华南烟草" },
+    ])
+    expect(report.summary).toEqual({
+      productCount: 2,
+      comparableCount: 2,
+      supplierCount: 2,
+      cheapestCounts: { 华东烟草: 1, [supplierId.toString()]: 1 },
+      unconvertibleCount: 1,
+    })
+  })
+
+  test("在数据库中按商品和供应商分组取最近报价", async () => {
+    const { db } = await getReport({ from: "2024-03-01", brand: "中华" })
+
+    const { pipeline } = db.queries.find((query) => query.op === "aggregate")
+    expect(pipeline[0].$match).toMatchObject({
+      taskId: { $in: tasks.map((task) => task._id) },
+      status: "confirmed",
+      "selectedMatch.confirmedAt": { $gte: new Date("2024-03-01") },
+    })
+    expect(pipeline[1]).toEqual({ $sort: { "selectedMatch.confirmedAt": -1 } })
+    expect(pipeline.find((stage) => stage.$group).$group._id).toEqual({
+      productId: "$productId",
+      supplier: { $ifNull: ["$supplierId", "$supplier"] },
+    })
+
+    const productQuery = db.queries.find((query) => query.model === "Product")
+    expect(productQuery.filter.brand).toBe("中华")
+  })
+
+  test("导出工作簿时每个供应商一列报价", async () => {
+    const { report } = await getReport()
+
+    const worksheet = priceReportService
+      .buildPriceComparisonWorkbook(report)
+      .getWorksheet("供应商比价")
+
+    const header = worksheet.getRow(1).values
+    const row = worksheet.getRow(2).values
+    expect(header.slice(-2)).toEqual(["华东烟草", "华南烟草"])
+    expect(row.slice(-2)).toEqual([220, 240])
+  })
+})
@@ -0,0 +1,157 @@
+/**
+ * 重新匹配未确认记录测试
+ */
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const MatchingTask = require("../../src/models/MatchingTask")
+const MatchingRecord = require("../../src/models/MatchingRecord")
+const matchingTaskService = require("../../src/services/matching-task.service")
+const {
+  rematchMatchingTask,
+} = require("../../src/controllers/matching.controller")
+const { mockDatabase } = require("../helpers/mock-database")
+const { invokeHandler } = require("../helpers/invoke-handler")
+
+const userId = new mongoose.Types.ObjectId()
+const products = [
+  {
+    _id: new mongoose.Types.ObjectId(),
+    name: "中华(硬)",
+    brand: "中华",
+    pricing: { unit: "元/条", retailPrice: 500, companyPrice: 450 },
+  },
+  {
+    _id: new mongoose.Types.ObjectId(),
+    name: "中华(软)",
+    brand: "中华",
+    pricing: { unit: "元/条", retailPrice: 700, companyPrice: 650 },
+  },
+]
+
+const createTask = (status = "review") =>
+  new MatchingTask({
+    templateId: new mongoose.Types.ObjectId(),
+    templateName: "测试模板",
+    originalFilename: "报价单.csv",
+    filePath: "/tmp/报价单.csv",
+    status,
+  })
+
+const createRecord = (task, status, originalData, selectedMatch) =>
+  new MatchingRecord({
+    taskId: task._id,
+    status,
+    originalData,
+    selectedMatch,
+    exceptions: [{ type: "low_confidence", message: "旧异常" }],
+  })
+
+describe("重新匹配任务记录", () => {
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+    jest.spyOn(console, "log").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("生成新的系统建议，之前拒绝的商品不再推荐，旧异常标记为已解决", async () => {
+    const task = createTask()
+    const pending = createRecord(task, "pending", {
+      name: "中华硬",
+      price: 450,
+    })
+    const rejected = createRecord(
+      task,
+      "rejected",
+      { name: "中华硬", price: 450 },
+      { productId: products[0]._id }
+    )
+    const db = mockDatabase({
+      MatchingRecord: { find: [pending, rejected] },
+      Product: { find: products },
+    })
+
+    const summary = await matchingTaskService.rematchTask(task, {
+      statuses: ["pending", "rejected", "confirmed"],
+      userId,
+    })
+
+    expect(db.queries[0].filter.status).toEqual({
+      $in: ["pending", "rejected"],
+    })
+    expect(summary).toEqual({
+      total: 2,
+      suggested: 2,
+      exception: 0,
+      changed: 2,
+    })
+    expect(pending.status).toBe("pending")
+    expect(pending.selectedMatch).toMatchObject({
+      productId: products[0]._id,
+      matchType: "auto",
+    })
+    expect(rejected.selectedMatch.productId).toEqual(products[1]._id)
+    expect(rejected.candidates.map((c) => c.productId)).not.toContainEqual(
+      products[0]._id
+    )
+    expect(pending.exceptions[0].resolvedBy).toEqual(userId)
+    expect(pending.reviewHistory.at(-1)).toMatchObject({
+      action: "rematch",
+      previousStatus: "pending",
+      newStatus: "pending",
+    })
+    expect(db.savedOf(MatchingRecord)).toEqual([pending, rejected])
+  })
+
+  test("价格异常随记录一起保存，高严重性时提高优先级", async () => {
+    const task = createTask()
+    // 旧版本缺少单位时保存为"盒"，价格按条计
+    const legacy = createRecord(task, "exception", {
+      name: "中华硬",
+      price: 450,
+      unit: "盒",
+    })
+    const anomalous = createRecord(task, "exception", {
+      name: "中华硬",
+      price: 45,
+      unit: "条",
+    })
+    mockDatabase({
+      MatchingRecord: { find: [legacy, anomalous] },
+      Product: { find: products, findOne: products[0] },
+    })
+    const save = jest.spyOn(MatchingRecord.prototype, "save")
+
+    await matchingTaskService.rematchTask(task, {
+      statuses: ["exception"],
+      userId,
+    })
+
+    const openExceptions = (record) =>
+      record.exceptions.filter((exception) => !exception.resolvedAt)
+    expect(openExceptions(legacy)).toEqual([])
+    expect(legacy.priority).toBe("medium")
+    expect(openExceptions(anomalous)[0]).toMatchObject({
+      type: "price_anomaly",
+      severity: "high",
+    })
+    expect(anomalous.priority).toBe("high")
+    expect(save).toHaveBeenCalledTimes(2)
+  })
+
+  test("未完成匹配的任务不能重新匹配", async () => {
+    mockDatabase({ MatchingTask: { findOne: createTask("processing") } })
+
+    const { error } = await invokeHandler(rematchMatchingTask, {
+      params: { id: new mongoose.Types.ObjectId().toString() },
+      body: {},
+      user: { _id: userId },
+    })
+
+    expect(error.message).toBe("只有已完成匹配的任务可以重新匹配")
+  })
+})
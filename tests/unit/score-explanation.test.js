@@ -0,0 +1,132 @@
+/**
+ * 候选评分解释测试
+ */
+const { createEngine } = require("../../src/utils/matching-algorithm")
+
+const unitFactors = { packsPerCarton: 10, cartonsPerCase: 50 }
+const products = [
+  {
+    _id: "p1",
+    name: "中华(硬)",
+    brand: "中华",
+    pricing: { companyPrice: 450, unit: "元/条" },
+  },
+  {
+    _id: "p2",
+    name: "中华(软)",
+    brand: "中华",
+    pricing: { companyPrice: 650, unit: "元/条" },
+  },
+  {
+    _id: "p3",
+    name: "玉溪(软)",
+    brand: "玉溪",
+    pricing: { companyPrice: 230, unit: "元/条" },
+  },
+]
+
+const reasonOf = (candidate, type) =>
+  candidate.reasons.find((reason) => reason.type === type)
+
+describe("评分解释", () => {
+  const engine = createEngine("default", { unitFactors })
+  const candidateIndex = engine.buildIndex(products)
+
+  test("原因中附带名称相似度、品牌和命中/缺失的词", async () => {
+    const [best] = await engine.match(
+      { name: "中华硬盒细支", price: 45, unit: "包" },
+      candidateIndex
+    )
+
+    expect(best.productId).toBe("p1")
+    expect(reasonOf(best, "name_similarity").details).toEqual({
+      containment: 86,
+      similarity: 63,
+      specificationOnly: true,
+    })
+    expect(reasonOf(best, "brand_match").details).toEqual({
+      original: "中华",
+      product: "中华",
+      matched: true,
+    })
+    const tokens = reasonOf(best, "keyword_match").details
+    expect(tokens.matched).toEqual(expect.arrayContaining(["中华", "硬盒"]))
+    expect(tokens.missing).toEqual(["细支"])
+  })
+
+  test("规格冲突单独列出，价格说明按商品单位换算并给出对总分的影响", async () => {
+    const candidates = await engine.match(
+      { name: "中华硬盒细支", price: 45, unit: "包" },
+      candidateIndex
+    )
+    const soft = candidates.find((candidate) => candidate.productId === "p2")
+
+    expect(reasonOf(soft, "specification_conflict")).toMatchObject({
+      description: "规格不一致：硬盒/软盒",
+      weight: 0,
+      details: [{ feature: "box", original: "硬盒", product: "软盒" }],
+    })
+    expect(reasonOf(soft, "price_range")).toMatchObject({
+      description: "价格差异较大",
+      details: {
+        wholesalePrice: 450,
+        productPrice: 650,
+        score: soft.score.price,
+      },
+    })
+    expect(reasonOf(soft, "price_range").details.bonus).toBeLessThan(0)
+  })
+
+  test("品牌不一致时补充说明", () => {
+    const original = engine.normalize("玉溪软")
+    const product = engine.normalize(products[1].name)
+    const score = engine.scoreComponents(original, product, {}, products[1])
+
+    const reasons = engine.generateReasons(
+      score,
+      engine.explainMatch(original, product, {}, products[1], score)
+    )
+
+    expect(reasons.find((reason) => reason.type === "brand_match")).toEqual({
+      type: "brand_match",
+      description: "品牌不一致（玉溪 / 中华）",
+      weight: 0,
+      details: { original: "玉溪", product: "中华", matched: false },
+    })
+  })
+
+  test("价格加分为含价格与不含价格的加权分之差", () => {
+    expect(
+      engine.calculatePriceBonus(
+        { name: 60, price: 100 },
+        { weights: { name: 1, price: 1, brand: 0, package: 0 } }
+      )
+    ).toBe(20)
+    expect(engine.calculatePriceBonus({ name: 60 })).toBe(0)
+  })
+
+  test("记忆候选同样附带算法评分的解释", async () => {
+    const memoryEngine = createEngine("default", {
+      unitFactors,
+      memoryLookup: async () => [
+        {
+          _id: "memory-p1",
+          normalizedWholesaleName: "中华硬",
+          confirmedProductId: { _id: "p1" },
+          confidence: 90,
+          confirmCount: 3,
+        },
+      ],
+    })
+
+    const [best] = await memoryEngine.match(
+      { name: "中华硬" },
+      memoryEngine.buildIndex(products)
+    )
+
+    expect(best.isMemoryMatch).toBe(true)
+    expect(best.reasons[0].type).toBe("memory_match")
+    expect(reasonOf(best, "name_similarity").details).toBeDefined()
+    expect(reasonOf(best, "brand_match").details.matched).toBe(true)
+  })
+})
@@ -0,0 +1,176 @@
+/**
+ * 供应商关联、统计和价格历史分组测试
+ */
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const Supplier = require("../../src/models/Supplier")
+const MatchingRecord = require("../../src/models/MatchingRecord")
+const PriceHistory = require("../../src/models/PriceHistory")
+const matchingTaskService = require("../../src/services/matching-task.service")
+const {
+  deleteSupplier,
+  getSuppliers,
+} = require("../../src/controllers/supplier.controller")
+const { mockDatabase } = require("../helpers/mock-database")
+const { invokeHandler } = require("../helpers/invoke-handler")
+
+const supplierId = new mongoose.Types.ObjectId()
+const productId = new mongoose.Types.ObjectId()
+
+describe("供应商管理", () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("搜索关键字按字面匹配名称、编码和别名", async () => {
+    const db = mockDatabase()
+
+    await invokeHandler(getSuppliers, { query: { search: "华南(A)" } })
+
+    const pattern = { $regex: "华南\\(A\\)", $options: "i" }
+    expect(db.queries[0].filter).toEqual({
+      $or: [{ name: pattern }, { code: pattern }, { aliases: pattern }],
+    })
+  })
+
+  test("已关联匹配任务的供应商不能删除", async () => {
+    mockDatabase({
+      Supplier: {
+        findOne: new Supplier({ _id: supplierId, name: "华南烟草" }),
+      },
+      MatchingTask: { countDocuments: 2 },
+    })
+
+    const { error } = await invokeHandler(deleteSupplier, {
+      params: { id: supplierId.toString() },
+    })
+
+    expect(error.message).toBe(
+      "该供应商已关联2个匹配任务，无法删除，请改为停用"
+    )
+  })
+
+  test("统计匹配率、自动确认率和价格竞争力", async () => {
+    const db = mockDatabase({
+      MatchingTask: { distinct: [new mongoose.Types.ObjectId()] },
+      MatchingRecord: {
+        aggregate: [
+          {
+            total: 8,
+            confirmed: 6,
+            autoConfirmed: 2,
+            exception: 1,
+            avgConfidence: 81.25,
+          },
+        ],
+      },
+      PriceHistory: {
+        aggregate: [
+          {
+            compared: 5,
+            avgDiffPercent: -3.33,
+            belowCompanyPrice: 4,
+            aboveCompanyPrice: 1,
+          },
+        ],
+      },
+    })
+
+    const statistics = await Supplier.getStatistics(supplierId, {
+      start: "2024-03-01",
+    })
+
+    expect(statistics).toEqual({
+      taskCount: 1,
+      recordCount: 8,
+      matchRate: 75,
+      autoConfirmRate: 25,
+      manualReviewRate: 75,
+      exceptionRate: 13,
+      avgConfidence: 81.3,
+      price: {
+        compared: 5,
+        avgDiffPercent: -3.3,
+        belowCompanyPrice: 4,
+        aboveCompanyPrice: 1,
+      },
+    })
+    const prices = db.queries.find((query) => query.model === "PriceHistory")
+    expect(prices.pipeline[0].$match).toEqual({
+      supplierId,
+      recordedAt: { $gte: new Date("2024-03-01") },
+    })
+  })
+})
+
+describe("价格历史关联供应商", () => {
+  const createRecord = (originalData) =>
+    new MatchingRecord({
+      taskId: new mongoose.Types.ObjectId(),
+      originalData: { name: "中华硬", price: 450, unit: "条", ...originalData },
+    })
+
+  const historyUpdate = (db) =>
+    db.queries.find(
+      (query) =>
+        query.model === "PriceHistory" && query.op === "findOneAndUpdate"
+    ).update
+
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("记录任务关联的供应商ID", async () => {
+    const db = mockDatabase({
+      Product: { findOne: {} },
+      MatchingTask: {
+        findOne: { supplierId, metadata: { supplier: "华南烟草" } },
+      },
+    })
+
+    await matchingTaskService.updateProductWholesalePrice(
+      createRecord(),
+      productId
+    )
+
+    expect(historyUpdate(db)).toMatchObject({
+      supplier: "华南烟草",
+      supplierId,
+    })
+  })
+
+  test("行数据自带供应商时不关联任务的供应商", async () => {
+    const db = mockDatabase({ Product: { findOne: {} } })
+
+    await matchingTaskService.updateProductWholesalePrice(
+      createRecord({ supplier: "华东烟草" }),
+      productId,
+      { supplier: "华南烟草", supplierId }
+    )
+
+    const update = historyUpdate(db)
+    expect(update.supplier).toBe("华东烟草")
+    expect(update.supplierId).toBeUndefined()
+  })
+
+  test("供应商统计和走势按供应商ID分组，旧记录按名称分组", async () => {
+    const db = mockDatabase({ PriceHistory: { aggregate: [] } })
+
+    await PriceHistory.getSupplierStats(productId, { supplierId })
+    await PriceHistory.getTrend(productId, {}, "month")
+
+    const [stats, trend] = db.queries.map((query) => query.pipeline)
+    const groupKey = { $ifNull: ["$supplierId", "$supplier"] }
+    expect(stats[0].$match).toEqual({ productId, supplierId })
+    expect(stats.find((stage) => stage.$group).$group._id).toEqual(groupKey)
+    expect(trend.find((stage) => stage.$group).$group._id.supplier).toEqual(
+      groupKey
+    )
+  })
+})
@@ -0,0 +1,249 @@
+/**
+ * 任务事件推送（SSE）和事件订阅令牌测试
+ */
+const { EventEmitter } = require("events")
+const mongoose = require("mongoose")
+const { logger, redactUrl } = require("../../src/utils/logger")
+const MatchingTask = require("../../src/models/MatchingTask")
+const taskEventsService = require("../../src/services/task-events.service")
+const {
+  authenticateToken,
+  authenticateStreamToken,
+  generateTokens,
+  generateStreamToken,
+} = require("../../src/middleware/auth.middleware")
+const {
+  streamTaskEvents,
+  createTaskEventsToken,
+} = require("../../src/controllers/matching.controller")
+const { mockDatabase } = require("../helpers/mock-database")
+const { invokeHandler } = require("../helpers/invoke-handler")
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "reviewer",
+  isActive: true,
+}
+
+/**
+ * 调用认证中间件，返回 { passed, statusCode, body }
+ */
+async function authenticate(middleware, req) {
+  const result = { passed: false }
+  const res = {
+    status(code) {
+      result.statusCode = code
+      return this
+    },
+    json(body) {
+      result.body = body
+      return this
+    },
+  }
+  await middleware(
+    { headers: {}, query: {}, params: {}, ...req },
+    res,
+    () => (result.passed = true)
+  )
+  return result
+}
+
+/**
+ * 模拟 SSE 响应，解析写出的事件
+ */
+function createStreamResponse() {
+  const res = new EventEmitter()
+  res.chunks = []
+  res.writeHead = jest.fn()
+  res.write = (chunk) => res.chunks.push(chunk)
+  res.end = jest.fn(() => res.emit("finish"))
+  res.events = () =>
+    res.chunks
+      .filter((chunk) => chunk.startsWith("event:"))
+      .map((chunk) => {
+        const [, event, data] = chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/)
+        return { event, data: JSON.parse(data) }
+      })
+  return res
+}
+
+describe("任务事件订阅令牌", () => {
+  const taskId = new mongoose.Types.ObjectId().toString()
+
+  beforeEach(() => {
+    mockDatabase({ User: { findOne: user } })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("订阅令牌只能通过查询参数订阅签发时指定的任务", async () => {
+    const token = generateStreamToken(user._id, taskId)
+
+    const allowed = await authenticate(authenticateStreamToken, {
+      params: { id: taskId },
+      query: { token },
+    })
+    expect(allowed.passed).toBe(true)
+
+    const otherTask = await authenticate(authenticateStreamToken, {
+      params: { id: new mongoose.Types.ObjectId().toString() },
+      query: { token },
+    })
+    expect(otherTask).toMatchObject({
+      passed: false,
+      statusCode: 401,
+      body: { message: "无效的事件订阅令牌" },
+    })
+  })
+
+  test("访问令牌不能通过查询参数传递", async () => {
+    const { accessToken } = generateTokens(user._id)
+
+    const result = await authenticate(authenticateStreamToken, {
+      params: { id: taskId },
+      query: { token: accessToken },
+    })
+    expect(result).toMatchObject({ passed: false, statusCode: 401 })
+  })
+
+  test("订阅令牌不能作为访问令牌使用", async () => {
+    const token = generateStreamToken(user._id, taskId)
+
+    const result = await authenticate(authenticateToken, {
+      headers: { authorization: `Bearer ${token}` },
+    })
+    expect(result).toMatchObject({
+      passed: false,
+      statusCode: 401,
+      body: { message: "无效的访问令牌" },
+    })
+  })
+
+  test("请求头携带访问令牌时按普通认证处理", async () => {
+    const { accessToken } = generateTokens(user._id)
+
+    const result = await authenticate(authenticateStreamToken, {
+      params: { id: taskId },
+      headers: { authorization: `Bearer ${accessToken}` },
+    })
+    expect(result.passed).toBe(true)
+  })
+
+  test("为存在的任务签发订阅令牌", async () => {
+    const task = { _id: new mongoose.Types.ObjectId() }
+    mockDatabase({ User: { findOne: user }, MatchingTask: { findOne: task } })
+
+    const { body } = await invokeHandler(createTaskEventsToken, {
+      params: { id: task._id.toString() },
+      user,
+    })
+
+    const result = await authenticate(authenticateStreamToken, {
+      params: { id: task._id.toString() },
+      query: { token: body.data.token },
+    })
+    expect(result.passed).toBe(true)
+  })
+
+  test("访问日志中隐藏查询参数中的令牌", () => {
+    expect(redactUrl("/api/matching/tasks/1/events?token=abc.def")).toBe(
+      "/api/matching/tasks/1/events?token=[REDACTED]"
+    )
+    expect(redactUrl("/api/x?page=1&access_token=abc&sort=name")).toBe(
+      "/api/x?page=1&access_token=[REDACTED]&sort=name"
+    )
+    expect(redactUrl("/api/x?tokens=1")).toBe("/api/x?tokens=1")
+  })
+})
+
+describe("SSE 事件推送", () => {
+  beforeEach(() => {
+    jest.spyOn(logger, "info").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("进程内发布的事件只推送给对应任务的订阅者", async () => {
+    const received = []
+    const unsubscribe = taskEventsService.subscribe("task-1", (payload) =>
+      received.push(payload)
+    )
+
+    await taskEventsService.publish("task-1", "progress", { processed: 1 })
+    await taskEventsService.publish("task-2", "progress", { processed: 2 })
+    unsubscribe()
+    await taskEventsService.publish("task-1", "progress", { processed: 3 })
+
+    expect(received).toHaveLength(1)
+    expect(received[0]).toMatchObject({
+      taskId: "task-1",
+      event: "progress",
+      data: { processed: 1 },
+    })
+  })
+
+  test("已结束的任务推送当前状态后立即关闭连接", async () => {
+    const task = new MatchingTask({ status: "completed" })
+    mockDatabase({ MatchingTask: { findOne: task.toObject() } })
+    const res = createStreamResponse()
+
+    streamTaskEvents(
+      { params: { id: task._id.toString() }, on: jest.fn() },
+      res,
+      jest.fn()
+    )
+    await new Promise((resolve) => res.once("finish", resolve))
+
+    expect(res.events().map(({ event }) => event)).toEqual([
+      "status",
+      "complete",
+    ])
+  })
+
+  test("执行中的任务持续推送事件，完成后关闭连接并取消订阅", async () => {
+    const task = new MatchingTask({ status: "processing" })
+    const id = task._id.toString()
+    mockDatabase({ MatchingTask: { findOne: task.toObject() } })
+    const req = new EventEmitter()
+    req.params = { id }
+    const res = createStreamResponse()
+
+    streamTaskEvents(req, res, jest.fn())
+    await new Promise((resolve) => setImmediate(resolve))
+    expect(taskEventsService.emitter.listenerCount(id)).toBe(1)
+
+    await taskEventsService.publish(id, "progress", { processedItems: 5 })
+    await taskEventsService.publish(id, "complete", { status: "review" })
+
+    expect(res.events().map(({ event }) => event)).toEqual([
+      "status",
+      "progress",
+      "complete",
+    ])
+    expect(res.events()[1].data).toMatchObject({
+      taskId: id,
+      processedItems: 5,
+    })
+    expect(res.end).toHaveBeenCalled()
+    expect(taskEventsService.emitter.listenerCount(id)).toBe(0)
+  })
+
+  test("客户端断开时取消订阅", async () => {
+    const task = new MatchingTask({ status: "processing" })
+    const id = task._id.toString()
+    mockDatabase({ MatchingTask: { findOne: task.toObject() } })
+    const req = new EventEmitter()
+    req.params = { id }
+
+    streamTaskEvents(req, createStreamResponse(), jest.fn())
+    await new Promise((resolve) => setImmediate(resolve))
+    req.emit("close")
+
+    expect(taskEventsService.emitter.listenerCount(id)).toBe(0)
+    expect(taskEventsService.emitter.listenerCount("shutdown")).toBe(0)
+  })
+})
@@ -0,0 +1,130 @@
+/**
+ * 批发价单位换算测试
+ */
+const mongoose = require("mongoose")
+const { logger } = require("../../src/utils/logger")
+const MatchingRecord = require("../../src/models/MatchingRecord")
+const Product = require("../../src/models/Product")
+const matchingTaskService = require("../../src/services/matching-task.service")
+const {
+  normalizeWholesaleUnit,
+  resolveWholesaleUnit,
+  convertPrice,
+  toProductUnit,
+} = require("../../src/utils/unit-converter")
+const { mockDatabase } = require("../helpers/mock-database")
+
+const product = {
+  pricing: { unit: "元/条" },
+  specifications: { packageQuantity: 20 },
+}
+
+describe("单位换算", () => {
+  test("按每条包数、每件条数和每包支数换算", () => {
+    expect(convertPrice(45, "包", "元/条")).toBe(450)
+    expect(convertPrice(22500, "件", "条")).toBe(450)
+    expect(convertPrice(2.25, "支", "条", { product })).toBe(450)
+    expect(
+      convertPrice(45, "小盒", "条", { factors: { packsPerCarton: 20 } })
+    ).toBe(900)
+  })
+
+  test("缺少每包支数或单位无法识别时无法换算", () => {
+    expect(convertPrice(2.25, "支", "条")).toBeNull()
+    expect(convertPrice(450, "克", "条")).toBeNull()
+    expect(convertPrice(450, "克", "克")).toBeNull()
+  })
+
+  test("入库时标准化单位，无法识别的单位保留原文", () => {
+    expect(normalizeWholesaleUnit(" 盒 ")).toBe("包")
+    expect(normalizeWholesaleUnit("箱")).toBe("件")
+    expect(normalizeWholesaleUnit("克")).toBe("克")
+    expect(normalizeWholesaleUnit("")).toBeNull()
+    expect(normalizeWholesaleUnit(undefined)).toBeNull()
+  })
+
+  test("缺少单位和旧版本默认的盒按条处理", () => {
+    expect(resolveWholesaleUnit(undefined)).toBe("条")
+    expect(resolveWholesaleUnit("盒")).toBe("条")
+    expect(resolveWholesaleUnit("包")).toBe("包")
+    expect(resolveWholesaleUnit(null, { defaultWholesaleUnit: "包" })).toBe(
+      "包"
+    )
+
+    expect(toProductUnit(450, "盒", product)).toEqual({
+      price: 450,
+      unit: "元/条",
+      converted: false,
+    })
+    expect(toProductUnit(45, "包", product)).toEqual({
+      price: 450,
+      unit: "元/条",
+      converted: true,
+    })
+    expect(toProductUnit(450, "克", product)).toBeNull()
+  })
+
+  test("导入的单位列标准化后保存，缺少单位时使用默认批发单位", () => {
+    const build = (unit) =>
+      matchingTaskService.buildOriginalData({
+        批发名: "中华硬",
+        批发价格: 45,
+        单位: unit,
+      }).unit
+
+    expect(build("盒")).toBe("包")
+    expect(build(undefined)).toBe("条")
+  })
+})
+
+describe("更新商品批发价", () => {
+  const productId = new mongoose.Types.ObjectId()
+
+  const createRecord = (unit) =>
+    new MatchingRecord({
+      taskId: new mongoose.Types.ObjectId(),
+      originalData: { name: "中华硬", price: 45, unit },
+    })
+
+  beforeEach(() => {
+    for (const level of ["info", "warn", "error", "debug"]) {
+      jest.spyOn(logger, level).mockImplementation(() => {})
+    }
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("按商品价格单位写入批发价", async () => {
+    const db = mockDatabase({ Product: { findOne: product } })
+
+    await matchingTaskService.updateProductWholesalePrice(
+      createRecord("包"),
+      productId
+    )
+
+    const update = db.queries.find((query) => query.op === "findOneAndUpdate")
+    expect(update.model).toBe(Product.modelName)
+    expect(update.update).toMatchObject({
+      "wholesale.price": 450,
+      "wholesale.unit": "元/条",
+    })
+  })
+
+  test("单位无法换算时不写入批发价，并为记录添加异常", async () => {
+    const db = mockDatabase({ Product: { findOne: product } })
+    const record = createRecord("克")
+
+    await matchingTaskService.updateProductWholesalePrice(record, productId)
+
+    expect(
+      db.queries.filter((query) => query.op === "findOneAndUpdate")
+    ).toEqual([])
+    expect(db.savedOf(MatchingRecord)).toEqual([record])
+    expect(record.exceptions[0]).toMatchObject({
+      type: "unit_mismatch",
+      message: '批发单位"克"无法换算为商品价格单位"元/条"，未更新商品批发价',
+    })
+  })
+})
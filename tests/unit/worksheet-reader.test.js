@@ -0,0 +1,132 @@
+/**
+ * 工作表读取测试：表头行定位、合并单元格和多工作表
+ */
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const xlsx = require("xlsx")
+const {
+  detectHeaderRow,
+  readWorksheet,
+} = require("../../src/utils/worksheet-reader")
+const matchingTaskService = require("../../src/services/matching-task.service")
+
+/**
+ * 供应商报价单：标题行（合并）、空行、表头、按品牌合并的数据行、分页重复的表头
+ */
+function createQuoteSheet() {
+  const worksheet = xlsx.utils.aoa_to_sheet([
+    ["2024年3月报价单", null, null],
+    [null, null, null],
+    ["品牌", "商品名称", "批发价"],
+    ["中华", "中华(硬)", 450],
+    [null, "中华(软)", 650],
+    ["品牌", "商品名称", "批发价"],
+    ["玉溪", "玉溪(软)", 230],
+  ])
+  worksheet["!merges"] = [
+    { s: { r: 0, c: 0 }, e: { r: 0, c: 2 } },
+    { s: { r: 3, c: 0 }, e: { r: 4, c: 0 } },
+  ]
+  return worksheet
+}
+
+describe("readWorksheet", () => {
+  test("跳过标题行定位表头，数据行保留 Excel 中的真实行号", () => {
+    const { headerRow, headers, rows } = readWorksheet(createQuoteSheet())
+
+    expect(headerRow).toBe(3)
+    expect(headers).toEqual(["品牌", "商品名称", "批发价"])
+    expect(rows.map(({ row }) => row)).toEqual([4, 5, 7])
+  })
+
+  test("合并单元格的值填充到区域内每一行，重复的表头行被跳过", () => {
+    const { rows } = readWorksheet(createQuoteSheet())
+
+    expect(rows.map(({ data }) => data)).toEqual([
+      { 品牌: "中华", 商品名称: "中华(硬)", 批发价: 450 },
+      { 品牌: "中华", 商品名称: "中华(软)", 批发价: 650 },
+      { 品牌: "玉溪", 商品名称: "玉溪(软)", 批发价: 230 },
+    ])
+  })
+
+  test("重复的列名追加序号，空工作表返回空结果", () => {
+    const worksheet = xlsx.utils.aoa_to_sheet([
+      ["商品名称", "价格", "价格"],
+      ["中华(硬)", 450, 460],
+    ])
+
+    expect(readWorksheet(worksheet).rows[0].data).toEqual({
+      商品名称: "中华(硬)",
+      价格: 450,
+      价格_2: 460,
+    })
+    expect(readWorksheet({})).toEqual({
+      headerRow: null,
+      headers: [],
+      rows: [],
+    })
+  })
+
+  test("命中已知列名的行优先于普通文本行", () => {
+    expect(
+      detectHeaderRow([
+        ["供应商：华南烟草", "联系人：张三", "电话：123"],
+        ["名称", "单价", "单位"],
+      ])
+    ).toBe(1)
+  })
+})
+
+describe("解析多工作表文件", () => {
+  let tmpDir
+  let filePath
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "worksheet-reader-"))
+    filePath = path.join(tmpDir, "报价单.xlsx")
+
+    const workbook = xlsx.utils.book_new()
+    xlsx.utils.book_append_sheet(workbook, createQuoteSheet(), "卷烟")
+    xlsx.utils.book_append_sheet(
+      workbook,
+      xlsx.utils.aoa_to_sheet([
+        ["商品名称", "批发价"],
+        ["利群(新版)", 180],
+      ]),
+      "雪茄"
+    )
+    xlsx.writeFile(workbook, filePath)
+  })
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  const parse = (options) =>
+    matchingTaskService.parseUploadedFile(filePath, "报价单.xlsx", options)
+
+  test("默认只读取第一个工作表，行数据带工作表名和行号", async () => {
+    const rows = await parse()
+
+    expect(rows).toHaveLength(3)
+    expect(rows[0]).toMatchObject({ sheet: "卷烟", row: 4 })
+  })
+
+  test("按名称选择工作表或读取全部工作表", async () => {
+    expect((await parse({ sheets: ["雪茄"] })).map(({ row }) => row)).toEqual([
+      2,
+    ])
+    expect(
+      (await parse({ allSheets: true })).map(({ sheet, row }) =>
+        matchingTaskService.getSourceKey(sheet, row)
+      )
+    ).toEqual(["卷烟:4", "卷烟:5", "卷烟:7", "雪茄:2"])
+  })
+
+  test("指定的工作表不存在时报错", async () => {
+    await expect(parse({ sheets: ["卷烟", "酒水"] })).rejects.toThrow(
+      "工作表不存在: 酒水"
+    )
+  })
+})